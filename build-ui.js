@@ -4,6 +4,29 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 
+// Scripts inlined ahead of ui.js, in load order. Figma loads the UI from a
+// single HTML string, so anything ui.js depends on has to be embedded too.
+const uiScripts = [
+  'shared/color.js',
+  'shared/schema.js',
+  'shared/settings.js',
+  'shared/messages.js',
+  'ui/rpc.js',
+  'ui/schema-form.js',
+  'ui/zip.js',
+  'ui/export.js',
+  'ui/generated.js',
+  'ui/image-drop.js',
+  'ui/inspector.js',
+  'ui/jobs.js',
+  'ui/json-transfer.js',
+  'ui/selection.js',
+  'ui/settings.js',
+  'ui/theme.js',
+  'ui/toast.js',
+  'ui/window-size.js'
+];
+
 // Build UI with Tailwind CSS and shadcn/ui styling
 function buildUI() {
   console.log('Building UI with Tailwind CSS and shadcn/ui...');
@@ -34,13 +57,15 @@ function buildUI() {
     let uiJsContent = '';
     
     if (fs.existsSync(uiJsPath)) {
-      uiJsContent = fs.readFileSync(uiJsPath, 'utf8');
+      const dependencies = uiScripts.map(file => fs.readFileSync(path.join(__dirname, 'src', file), 'utf8'));
+      uiJsContent = [...dependencies, fs.readFileSync(uiJsPath, 'utf8')].join('\n');
     }
 
     // Create a beautiful shadcn/ui HTML with vanilla JavaScript
+    // (a replacer function keeps `$` sequences in the scripts from being expanded)
     let htmlContent = htmlTemplate.replace(
       '<!-- Load main UI script -->',
-      `<style>${cssContent}</style>
+      () => `<style>${cssContent}</style>
       <script>
         ${uiJsContent || '// No UI JavaScript found'}
       </script>`
@@ -71,13 +96,15 @@ function buildUI() {
       fs.copyFileSync(srcPath, destPath);
     });
     
-    // Copy utils.js
-    const utilsSrcPath = path.join(__dirname, 'src', 'lib', 'utils.js');
+    // Copy lib files (utils.js, positioning.js) the components import
+    const libDir = path.join(__dirname, 'src', 'lib');
     const distLibDir = path.join(distDir, 'lib');
     if (!fs.existsSync(distLibDir)) {
       fs.mkdirSync(distLibDir, { recursive: true });
     }
-    fs.copyFileSync(utilsSrcPath, path.join(distLibDir, 'utils.js'));
+    fs.readdirSync(libDir).filter(file => file.endsWith('.js')).forEach(file => {
+      fs.copyFileSync(path.join(libDir, file), path.join(distLibDir, file));
+    });
     
     console.log('UI built successfully with shadcn/ui styling and vanilla JS components!');
     
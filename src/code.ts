@@ -2,109 +2,121 @@
 // It has access to the Figma API but no access to the DOM or external APIs
 /// <reference types="@figma/plugin-typings" />
 /// <reference path="./types/figma.d.ts" />
+/// <reference path="./shared/color.js" />
+/// <reference path="./shared/schema.js" />
+/// <reference path="./shared/settings.js" />
+/// <reference path="./shared/messages.js" />
+/// <reference path="./plugin/errors.ts" />
+/// <reference path="./plugin/rpc.ts" />
+/// <reference path="./plugin/transaction.ts" />
+/// <reference path="./plugin/jobs.ts" />
+/// <reference path="./plugin/notify.ts" />
+/// <reference path="./plugin/shapes.ts" />
+/// <reference path="./plugin/grid.ts" />
+/// <reference path="./plugin/settings.ts" />
+/// <reference path="./plugin/tags.ts" />
+/// <reference path="./plugin/serialize.ts" />
+/// <reference path="./plugin/json-transfer.ts" />
+/// <reference path="./plugin/export.ts" />
+/// <reference path="./plugin/images.ts" />
+/// <reference path="./plugin/quick-actions.ts" />
+/// <reference path="./plugin/commands.ts" />
 
 console.log('Figma Plugin Boilerplate loaded');
 
-// Show the plugin UI
-figma.showUI(__html__, {
-  width: 400,
-  height: 600,
-  title: 'Figma Plugin Boilerplate'
-});
-
-// Handle messages from the UI
+// Route messages from the UI to the registered handlers
 figma.ui.onmessage = (msg: any) => {
   console.log('Received message from UI:', msg);
+  handleRpcMessage(msg);
+};
 
-  switch (msg.type) {
-    case 'create-rectangle':
-      createRectangle(msg.data);
-      break;
-
-    case 'get-selection':
-      getSelection();
-      break;
-
-    case 'close-plugin':
-      figma.closePlugin();
-      break;
-
-    default:
-      console.log('Unknown message type:', msg.type);
+registerGenerator('create-rectangle', createRectangle);
+registerGenerator('create-shape', createShape);
+registerGenerator('create-grid', createGrid);
+registerHandler('get-selection', () => getSelection());
+registerHandler('serialize-selection', (data) => serializeSelection(data));
+registerHandler('export-json', () => exportJson());
+registerHandler('import-json', (data) => importJson(data));
+registerHandler('export-selection', (data) => exportSelection(data));
+registerHandler('import-images', (data) => importImages(data));
+registerHandler('resize-ui', (data) => resizeUI(data));
+registerHandler('cancel-job', (data) => cancelJob(data));
+registerHandler('toast-action', (data) => runToastAction(data));
+registerHandler('toast-dismissed', (data) => dequeueToast(data));
+registerHandler('get-launch', () => ({ command: figma.command, tab: launchTab }));
+registerHandler('get-settings', async () => ({ version: SETTINGS_VERSION, settings: await loadSettings() }));
+registerHandler('set-settings', async (data) => {
+  if (data.reset) {
+    await resetSettings(data.reset);
   }
-};
+  const settings = data.values ? await updateSettings(data.values) : await loadSettings();
+  return { version: SETTINGS_VERSION, settings };
+});
+registerHandler('find-generated', (data) => findGenerated(data));
+registerHandler('select-generated', (data) => selectGenerated(data));
+registerHandler('regenerate-generated', (data) => regenerateGenerated(data));
+registerHandler('strip-generated-tags', (data) => stripGeneratedTags(data));
+registerHandler('close-plugin', () => figma.closePlugin());
 
 // Example function: Create a rectangle with custom properties
-function createRectangle(data: any) {
-  const rect = figma.createRectangle();
-  rect.resize(100, 100);
-  
-  // Set custom name if provided
-  if (data && data.name) {
+// `data` has already been validated against messageSchemas['create-rectangle']
+function createRectangle(data: { name: string; color: string }, parent?: Transaction) {
+  return runTransaction(tx => {
+    const rect = tx.track(figma.createRectangle());
+    rect.resize(100, 100);
     rect.name = data.name;
-  }
-  
-  // Convert hex color to RGB if provided
-  if (data && data.color) {
-    const color = hexToRgb(data.color);
-    if (color) {
-      rect.fills = [{ type: 'SOLID', color }];
-    } else {
-      // Fallback to default color if hex conversion fails
-      rect.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.6, b: 1 } }];
-    }
-  } else {
-    rect.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.6, b: 1 } }];
-  }
-  
-  // Position the rectangle in the center of the viewport
-  rect.x = figma.viewport.center.x - 50;
-  rect.y = figma.viewport.center.y - 50;
-  
-  // Add to current page
-  figma.currentPage.appendChild(rect);
-  
-  // Select the new rectangle
-  figma.currentPage.selection = [rect];
-  
-  // Zoom into view
-  figma.viewport.scrollAndZoomIntoView([rect]);
-  
-  // Send success message to UI
-  figma.ui.postMessage({
-    type: 'rectangle-created',
-    data: { id: rect.id, name: rect.name }
-  });
+    rect.fills = [solidPaint(data.color)];
+    
+    // Position the rectangle in the center of the viewport
+    rect.x = figma.viewport.center.x - 50;
+    rect.y = figma.viewport.center.y - 50;
+    
+    // Add to current page
+    figma.currentPage.appendChild(rect);
+    tagNodes([rect], 'create-rectangle', data);
+    
+    // Select the new rectangle
+    tx.set(figma.currentPage, 'selection', [rect]);
+    
+    // Zoom into view
+    figma.viewport.scrollAndZoomIntoView([rect]);
+    
+    return { id: rect.id, name: rect.name };
+  }, parent);
 }
 
-// Helper function to convert hex color to RGB
-function hexToRgb(hex: string) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  if (result) {
-    return {
-      r: parseInt(result[1], 16) / 255,
-      g: parseInt(result[2], 16) / 255,
-      b: parseInt(result[3], 16) / 255
-    };
+// Helper function to parse a color string (see src/shared/color.js)
+// Payloads are validated before handlers run, so a bad color here is a bug
+function requireColor(value: string): ParsedColor {
+  const color = parseColor(value);
+  if (!color) {
+    throw new PluginError('INVALID_PAYLOAD', `"${value}" is not a valid color`);
   }
-  return null;
+  return color;
+}
+
+// Helper function to build a solid paint; the color's alpha becomes the paint opacity
+function solidPaint(value: string): SolidPaint {
+  return colorToPaint(requireColor(value));
 }
 
 // Example function: Get current selection
 function getSelection() {
   const selection = figma.currentPage.selection;
   
-  const selectionData = selection.map((node: any) => ({
-    id: node.id,
-    name: node.name,
-    type: node.type,
-    width: 'width' in node ? node.width : null,
-    height: 'height' in node ? node.height : null
-  }));
-
-  figma.ui.postMessage({
-    type: 'selection-data',
-    data: selectionData
+  return selection.map((node: any) => {
+    const tag = readTag(node);
+    return {
+      id: node.id,
+      name: node.name,
+      type: node.type,
+      x: 'x' in node ? node.x : null,
+      y: 'y' in node ? node.y : null,
+      width: 'width' in node ? node.width : null,
+      height: 'height' in node ? node.height : null,
+      tag,
+      regenerable: canRegenerate(tag)
+    };
   });
 }
 
@@ -112,3 +124,17 @@ function getSelection() {
 figma.on('close', () => {
   console.log('Plugin closed');
 });
+
+// Suggestions while quick action parameters are typed
+figma.parameters.on('input', handleParameterInput);
+
+// Open the UI or run a headless command, depending on the menu item used.
+// Quick actions only get here once all their parameters are entered.
+figma.on('run', async ({ command, parameters }: RunEvent) => {
+  if (await routeCommand(command, parameters)) {
+    // Push a selection snapshot to the UI whenever it changes
+    figma.on('selectionchange', () => {
+      emitToUI('selection-changed', getSelection());
+    });
+  }
+});
@@ -0,0 +1,284 @@
+/**
+ * Checkbox component - Vanilla JavaScript version of shadcn/ui Checkbox
+ * A button with the checkbox role, so it can be styled like the rest of the library
+ * and also show an indeterminate ("mixed") state
+ */
+
+// Import utilities (adjust path as needed)
+const { cn } = window.shadcnUtils || require('../../lib/utils.js');
+
+const CHECKBOX_CHECK_ICON = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>';
+const CHECKBOX_INDETERMINATE_ICON = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="5" y1="12" x2="19" y2="12"></line></svg>';
+
+/**
+ * Creates a checkbox with shadcn/ui styling
+ * @param {Object} options - Checkbox configuration options
+ * @param {boolean|string} [options.checked=false] - Initial state: true, false or 'indeterminate'
+ * @param {boolean} [options.disabled=false] - Whether the checkbox is disabled
+ * @param {boolean} [options.required=false] - Whether the checkbox is required
+ * @param {boolean} [options.invalid=false] - Whether to show the error state
+ * @param {string} [options.id] - Element ID (lets a Label point at it)
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {function} [options.onCheckedChange] - Called with (checked, previousChecked) when the state changes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLButtonElement} The created checkbox element
+ */
+function createCheckbox(options = {}) {
+  const {
+    checked = false,
+    disabled = false,
+    required = false,
+    invalid = false,
+    id = '',
+    className = '',
+    onCheckedChange = null,
+    attributes = {}
+  } = options;
+
+  const checkbox = document.createElement('button');
+  checkbox.type = 'button';
+  checkbox.setAttribute('role', 'checkbox');
+  checkbox.className = cn(
+    "peer inline-flex h-4 w-4 shrink-0 items-center justify-center rounded-sm border border-primary ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 data-[state=checked]:bg-primary data-[state=checked]:text-primary-foreground data-[state=indeterminate]:bg-primary data-[state=indeterminate]:text-primary-foreground aria-[invalid=true]:border-destructive",
+    className
+  );
+
+  if (id) {
+    checkbox.id = id;
+  }
+  checkbox.disabled = disabled;
+  if (required) {
+    checkbox.setAttribute('aria-required', 'true');
+  }
+  if (invalid) {
+    checkbox.setAttribute('aria-invalid', 'true');
+  }
+
+  const indicator = document.createElement('span');
+  indicator.className = 'checkbox-indicator flex items-center justify-center text-current pointer-events-none';
+  checkbox.appendChild(indicator);
+
+  // Store checkbox state
+  checkbox._checkboxState = {
+    checked: false,
+    onCheckedChange: onCheckedChange
+  };
+  renderCheckbox(checkbox, checked);
+
+  // Indeterminate resolves to checked, like a native checkbox
+  checkbox.addEventListener('click', () => {
+    const current = checkbox._checkboxState.checked;
+    setCheckboxChecked(checkbox, current === 'indeterminate' ? true : !current);
+  });
+
+  // Checkboxes toggle with Space only; the button would also react to Enter
+  checkbox.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+    }
+  });
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    checkbox.setAttribute(key, value);
+  });
+
+  return checkbox;
+}
+
+/**
+ * Update the checkbox attributes and indicator for a state
+ * @param {HTMLButtonElement} checkbox - Checkbox element
+ * @param {boolean|string} checked - true, false or 'indeterminate'
+ */
+function renderCheckbox(checkbox, checked) {
+  checkbox._checkboxState.checked = checked;
+
+  const indeterminate = checked === 'indeterminate';
+  checkbox.setAttribute('aria-checked', indeterminate ? 'mixed' : String(checked));
+  checkbox.setAttribute('data-state', indeterminate ? 'indeterminate' : (checked ? 'checked' : 'unchecked'));
+
+  const indicator = checkbox.querySelector('.checkbox-indicator');
+  if (indicator) {
+    indicator.innerHTML = indeterminate ? CHECKBOX_INDETERMINATE_ICON : (checked ? CHECKBOX_CHECK_ICON : '');
+  }
+}
+
+/**
+ * Set the checked state of a checkbox
+ * @param {HTMLButtonElement} checkbox - Checkbox element
+ * @param {boolean|string} checked - true, false or 'indeterminate'
+ */
+function setCheckboxChecked(checkbox, checked) {
+  if (!checkbox || !checkbox._checkboxState) return;
+
+  const state = checkbox._checkboxState;
+  const previousChecked = state.checked;
+  if (checked !== 'indeterminate') {
+    checked = Boolean(checked);
+  }
+  if (checked === previousChecked) return;
+
+  renderCheckbox(checkbox, checked);
+
+  // Dispatch change event
+  if (state.onCheckedChange && typeof state.onCheckedChange === 'function') {
+    state.onCheckedChange(checked, previousChecked);
+  }
+
+  checkbox.dispatchEvent(new CustomEvent('checkedchange', {
+    detail: { checked, previousChecked },
+    bubbles: true
+  }));
+}
+
+/**
+ * Checkbox class for a more object-oriented approach
+ */
+class Checkbox {
+  /**
+   * Create a new Checkbox instance
+   * @param {Object} options - Checkbox options (same as createCheckbox)
+   */
+  constructor(options = {}) {
+    this.element = createCheckbox(options);
+  }
+
+  /**
+   * Set the checked state
+   * @param {boolean|string} checked - true, false or 'indeterminate'
+   * @returns {Checkbox} This checkbox instance for chaining
+   */
+  setChecked(checked) {
+    setCheckboxChecked(this.element, checked);
+    return this;
+  }
+
+  /**
+   * Put the checkbox in the indeterminate state
+   * @returns {Checkbox} This checkbox instance for chaining
+   */
+  setIndeterminate() {
+    setCheckboxChecked(this.element, 'indeterminate');
+    return this;
+  }
+
+  /**
+   * Get the checked state
+   * @returns {boolean|string} true, false or 'indeterminate'
+   */
+  getChecked() {
+    return this.element._checkboxState.checked;
+  }
+
+  /**
+   * Enable/disable the checkbox
+   * @param {boolean} disabled - Whether the checkbox is disabled
+   * @returns {Checkbox} This checkbox instance for chaining
+   */
+  setDisabled(disabled) {
+    this.element.disabled = disabled;
+    return this;
+  }
+
+  /**
+   * Set required state
+   * @param {boolean} required - Whether the checkbox is required
+   * @returns {Checkbox} This checkbox instance for chaining
+   */
+  setRequired(required) {
+    if (required) {
+      this.element.setAttribute('aria-required', 'true');
+    } else {
+      this.element.removeAttribute('aria-required');
+    }
+    return this;
+  }
+
+  /**
+   * Set error state
+   * @param {boolean} hasError - Whether there's an error
+   * @returns {Checkbox} This checkbox instance for chaining
+   */
+  setError(hasError) {
+    if (hasError) {
+      this.element.setAttribute('aria-invalid', 'true');
+    } else {
+      this.element.removeAttribute('aria-invalid');
+    }
+    return this;
+  }
+
+  /**
+   * Add event listener for checked state changes
+   * @param {function} handler - Event handler, receives e.detail.checked and e.detail.previousChecked
+   */
+  onCheckedChange(handler) {
+    this.element.addEventListener('checkedchange', handler);
+  }
+
+  /**
+   * Remove event listener for checked state changes
+   * @param {function} handler - Event handler
+   */
+  offCheckedChange(handler) {
+    this.element.removeEventListener('checkedchange', handler);
+  }
+
+  /**
+   * Get the DOM element
+   * @returns {HTMLButtonElement} The checkbox element
+   */
+  getElement() {
+    return this.element;
+  }
+
+  /**
+   * Append to a parent element
+   * @param {HTMLElement} parent - Parent element
+   * @returns {Checkbox} This checkbox instance for chaining
+   */
+  appendTo(parent) {
+    parent.appendChild(this.element);
+    return this;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createCheckbox,
+    setCheckboxChecked,
+    Checkbox
+  };
+} else if (typeof window !== 'undefined') {
+  window.shadcnCheckbox = {
+    createCheckbox,
+    setCheckboxChecked,
+    Checkbox
+  };
+}
+
+// Usage examples:
+/*
+// Checkbox with a label
+const row = document.createElement('div');
+row.className = 'flex items-center space-x-2';
+
+const terms = new Checkbox({ id: 'terms' });
+const termsLabel = new Label({ text: 'Accept terms and conditions' });
+termsLabel.associateWith(terms);
+
+terms.appendTo(row);
+termsLabel.appendTo(row);
+
+terms.onCheckedChange((e) => {
+  submitButton.disabled = e.detail.checked !== true;
+});
+
+// "Select all" checkbox that reflects a list of checkboxes
+const selectAll = createCheckbox({
+  onCheckedChange: (checked) => layerCheckboxes.forEach(cb => setCheckboxChecked(cb, checked))
+});
+setCheckboxChecked(selectAll, 'indeterminate');
+*/
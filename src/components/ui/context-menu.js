@@ -0,0 +1,162 @@
+/**
+ * ContextMenu component - Vanilla JavaScript version of shadcn/ui ContextMenu
+ * Opens a menu at the pointer when an area is right-clicked. Items, submenus and
+ * keyboard navigation come from the shared menu building blocks in dropdown-menu.js.
+ */
+
+// Import utilities (adjust path as needed)
+const { openMenu, closeMenu, createMenuContent, Menu } = window.shadcnDropdownMenu || require('./dropdown-menu.js');
+
+/**
+ * Creates a context menu for an area of the page
+ * @param {Object} options - Context menu configuration options
+ * @param {HTMLElement} options.target - Element that opens the menu when right-clicked
+ * @param {boolean} [options.disabled=false] - Whether to fall back to the browser's own menu
+ * @param {string} [options.className] - Additional CSS classes for the menu
+ * @param {function} [options.onOpenChange] - Called with true/false when the menu opens or closes
+ * @param {Object} [options.attributes] - Additional HTML attributes for the menu
+ * @returns {HTMLDivElement} The created menu element
+ */
+function createContextMenu(options = {}) {
+  const {
+    target,
+    disabled = false,
+    className = '',
+    onOpenChange = null,
+    attributes = {}
+  } = options;
+
+  if (!target) {
+    throw new Error('Context menu must have a target element');
+  }
+
+  const menu = createMenuContent({ className, onOpenChange, attributes });
+  menu._menuState.target = target;
+  menu._menuState.disabled = disabled;
+
+  target.addEventListener('contextmenu', (e) => {
+    if (menu._menuState.disabled) return;
+    e.preventDefault();
+    openContextMenu(menu, { x: e.clientX, y: e.clientY });
+  });
+
+  // Shift+F10 and the context menu key open it from the keyboard, at the target
+  target.addEventListener('keydown', (e) => {
+    if (menu._menuState.disabled) return;
+    if ((e.key === 'F10' && e.shiftKey) || e.key === 'ContextMenu') {
+      e.preventDefault();
+      const rect = target.getBoundingClientRect();
+      openContextMenu(menu, { x: rect.left, y: rect.bottom, focus: 'first' });
+    }
+  });
+
+  return menu;
+}
+
+/**
+ * Open a context menu at a point
+ * @param {HTMLDivElement} menu - Menu from createContextMenu()
+ * @param {Object} options - Open options
+ * @param {number} options.x - Horizontal viewport coordinate
+ * @param {number} options.y - Vertical viewport coordinate
+ * @param {string} [options.focus='content'] - What to focus: 'first' or 'last' item, or the 'content'
+ */
+function openContextMenu(menu, options) {
+  if (!menu || !menu._menuState) return;
+  const { x, y, focus = 'content' } = options;
+  const state = menu._menuState;
+
+  // Focus goes back where it was before the menu, or to the target
+  const active = document.activeElement;
+  let returnFocus = active && active !== document.body ? active : state.target;
+  if (menu.contains(active)) {
+    returnFocus = state.returnFocus;
+  }
+
+  // Right-clicking again while open moves the menu to the new point
+  closeMenu(menu, { returnFocus: false });
+
+  // A zero-size element at the pointer to position against
+  const point = {
+    getBoundingClientRect: () => ({ left: x, top: y, right: x, bottom: y, width: 0, height: 0, x, y })
+  };
+
+  openMenu(menu, {
+    reference: point,
+    side: 'right',
+    align: 'start',
+    sideOffset: 2,
+    focus,
+    returnFocus
+  });
+}
+
+/**
+ * ContextMenu class: a Menu opened by right-clicking a target element
+ */
+class ContextMenu extends Menu {
+  /**
+   * Build the context menu element
+   * @param {Object} options - Context menu options (same as createContextMenu)
+   * @returns {HTMLDivElement} The menu element
+   */
+  createElement(options) {
+    return createContextMenu(options);
+  }
+
+  /**
+   * Open the menu at a point
+   * @param {number} x - Horizontal viewport coordinate
+   * @param {number} y - Vertical viewport coordinate
+   * @returns {ContextMenu} This menu instance for chaining
+   */
+  openAt(x, y) {
+    openContextMenu(this.element, { x, y });
+    return this;
+  }
+
+  /**
+   * Enable/disable the context menu
+   * @param {boolean} disabled - Whether right-clicking shows the browser's menu instead
+   * @returns {ContextMenu} This menu instance for chaining
+   */
+  setDisabled(disabled) {
+    this.element._menuState.disabled = disabled;
+    return this;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createContextMenu,
+    openContextMenu,
+    ContextMenu
+  };
+} else if (typeof window !== 'undefined') {
+  window.shadcnContextMenu = {
+    createContextMenu,
+    openContextMenu,
+    ContextMenu
+  };
+}
+
+// Usage examples:
+/*
+// Right-click menu for a layer row
+const row = document.getElementById('layer-row');
+
+const menu = new ContextMenu({ target: row })
+  .addItem({ text: 'Select layer', onSelect: () => selectLayer() })
+  .addItem({ text: 'Zoom to layer', shortcut: '⇧2', onSelect: () => zoomToLayer() })
+  .addSeparator()
+  .addSubmenu({ text: 'Export as' }, (sub) => {
+    sub.addItem({ text: 'PNG' }).addItem({ text: 'SVG' }).addItem({ text: 'PDF' });
+  })
+  .addSeparator()
+  .addCheckboxItem({ text: 'Visible', checked: true, onCheckedChange: (visible) => setVisible(visible) });
+
+menu.onSelect((e) => {
+  console.log('Chose:', e.target.textContent);
+});
+*/
@@ -0,0 +1,682 @@
+/**
+ * Dialog component - Vanilla JavaScript version of shadcn/ui Dialog and AlertDialog
+ * Provides modal dialogs with an overlay, focus trap, scroll lock and keyboard support
+ */
+
+// Import utilities (adjust path as needed)
+const { cn } = window.shadcnUtils || require('../../lib/utils.js');
+const { createButton } = window.shadcnButton || require('./button.js');
+
+// Matches the `duration-200` enter/exit animation on the dialog content
+const DIALOG_ANIMATION_DURATION = 200;
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+// Open dialogs, topmost last. Only the topmost one handles keys and focus.
+const openDialogs = [];
+let dialogIdCounter = 0;
+let bodyOverflow = '';
+
+/**
+ * Creates a dialog. The dialog is not in the document until openDialog() is called.
+ * @param {Object} options - Dialog configuration options
+ * @param {string} [options.title] - Dialog title
+ * @param {string} [options.description] - Text below the title
+ * @param {HTMLElement|string} [options.content] - Dialog body (HTML element or string)
+ * @param {HTMLElement|HTMLElement[]} [options.footer] - Footer content, usually buttons
+ * @param {string} [options.role='dialog'] - ARIA role (dialog or alertdialog)
+ * @param {boolean} [options.showCloseButton=true] - Whether to show the close (×) button
+ * @param {boolean} [options.closeOnEscape=true] - Whether Escape closes the dialog
+ * @param {boolean} [options.closeOnOverlayClick=true] - Whether clicking the overlay closes the dialog
+ * @param {string} [options.className] - Additional CSS classes for the content
+ * @param {string} [options.overlayClassName] - Additional CSS classes for the overlay
+ * @param {function} [options.onOpenChange] - Called with true/false when the dialog opens or closes
+ * @param {Object} [options.attributes] - Additional HTML attributes for the content
+ * @returns {HTMLDivElement} The created dialog root element
+ */
+function createDialog(options = {}) {
+  const {
+    title = '',
+    description = '',
+    content = null,
+    footer = null,
+    role = 'dialog',
+    showCloseButton = true,
+    closeOnEscape = true,
+    closeOnOverlayClick = true,
+    className = '',
+    overlayClassName = '',
+    onOpenChange = null,
+    attributes = {}
+  } = options;
+
+  const id = `dialog-${++dialogIdCounter}`;
+
+  const dialog = document.createElement('div');
+  dialog.className = 'dialog-root';
+
+  const overlay = document.createElement('div');
+  overlay.className = cn(
+    "dialog-overlay fixed inset-0 z-50 bg-black/80 data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0",
+    overlayClassName
+  );
+  overlay.setAttribute('data-state', 'closed');
+  overlay.setAttribute('aria-hidden', 'true');
+
+  const panel = document.createElement('div');
+  panel.id = id;
+  panel.className = cn(
+    "dialog-content fixed left-[50%] top-[50%] z-50 grid w-full max-w-lg translate-x-[-50%] translate-y-[-50%] gap-4 border bg-background p-6 shadow-lg duration-200 data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[state=closed]:slide-out-to-left-1/2 data-[state=closed]:slide-out-to-top-[48%] data-[state=open]:slide-in-from-left-1/2 data-[state=open]:slide-in-from-top-[48%] sm:rounded-lg",
+    className
+  );
+  panel.setAttribute('role', role);
+  panel.setAttribute('aria-modal', 'true');
+  panel.setAttribute('data-state', 'closed');
+  // Lets the panel itself take focus when it has nothing focusable
+  panel.tabIndex = -1;
+
+  // Store dialog state
+  dialog._dialogState = {
+    isOpen: false,
+    closeOnEscape: closeOnEscape,
+    closeOnOverlayClick: closeOnOverlayClick,
+    onOpenChange: onOpenChange,
+    previousFocus: null,
+    promise: null,
+    resolve: null,
+    removeTimeout: null
+  };
+
+  if (title || description) {
+    const header = createDialogHeader();
+    if (title) {
+      const titleEl = createDialogTitle({ text: title, attributes: { id: `${id}-title` } });
+      header.appendChild(titleEl);
+      panel.setAttribute('aria-labelledby', titleEl.id);
+    }
+    if (description) {
+      const descriptionEl = createDialogDescription({ text: description, attributes: { id: `${id}-description` } });
+      header.appendChild(descriptionEl);
+      panel.setAttribute('aria-describedby', descriptionEl.id);
+    }
+    panel.appendChild(header);
+  }
+
+  if (content) {
+    if (typeof content === 'string') {
+      const body = document.createElement('div');
+      body.className = 'text-sm';
+      body.innerHTML = content;
+      panel.appendChild(body);
+    } else if (content instanceof HTMLElement) {
+      panel.appendChild(content);
+    }
+  }
+
+  if (footer) {
+    const footerEl = createDialogFooter();
+    (Array.isArray(footer) ? footer : [footer]).forEach(child => footerEl.appendChild(child));
+    panel.appendChild(footerEl);
+  }
+
+  if (showCloseButton) {
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = "dialog-close absolute right-4 top-4 rounded-sm opacity-70 ring-offset-background transition-opacity hover:opacity-100 focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:pointer-events-none";
+    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.innerHTML = '<svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M18 6 6 18M6 6l12 12"/></svg>';
+    closeButton.addEventListener('click', () => closeDialog(dialog));
+    panel.appendChild(closeButton);
+  }
+
+  overlay.addEventListener('click', () => {
+    if (dialog._dialogState.closeOnOverlayClick) {
+      closeDialog(dialog);
+    }
+  });
+
+  dialog.addEventListener('keydown', (e) => handleDialogKeydown(dialog, e));
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    panel.setAttribute(key, value);
+  });
+
+  dialog.appendChild(overlay);
+  dialog.appendChild(panel);
+
+  return dialog;
+}
+
+/**
+ * Creates a dialog header (title and description container)
+ * @param {Object} options - Header configuration options
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLDivElement} The created header element
+ */
+function createDialogHeader(options = {}) {
+  const {
+    className = '',
+    attributes = {}
+  } = options;
+
+  const header = document.createElement('div');
+  header.className = cn('flex flex-col space-y-1.5 text-center sm:text-left', className);
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    header.setAttribute(key, value);
+  });
+
+  return header;
+}
+
+/**
+ * Creates a dialog title
+ * @param {Object} options - Title configuration options
+ * @param {string} [options.text] - Title text
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLHeadingElement} The created title element
+ */
+function createDialogTitle(options = {}) {
+  const {
+    text = '',
+    className = '',
+    attributes = {}
+  } = options;
+
+  const title = document.createElement('h2');
+  title.className = cn('text-lg font-semibold leading-none tracking-tight', className);
+  title.textContent = text;
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    title.setAttribute(key, value);
+  });
+
+  return title;
+}
+
+/**
+ * Creates a dialog description
+ * @param {Object} options - Description configuration options
+ * @param {string} [options.text] - Description text
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLParagraphElement} The created description element
+ */
+function createDialogDescription(options = {}) {
+  const {
+    text = '',
+    className = '',
+    attributes = {}
+  } = options;
+
+  const description = document.createElement('p');
+  description.className = cn('text-sm text-muted-foreground', className);
+  description.textContent = text;
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    description.setAttribute(key, value);
+  });
+
+  return description;
+}
+
+/**
+ * Creates a dialog footer (button row)
+ * @param {Object} options - Footer configuration options
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLDivElement} The created footer element
+ */
+function createDialogFooter(options = {}) {
+  const {
+    className = '',
+    attributes = {}
+  } = options;
+
+  const footer = document.createElement('div');
+  footer.className = cn('dialog-footer flex flex-col-reverse sm:flex-row sm:justify-end sm:space-x-2', className);
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    footer.setAttribute(key, value);
+  });
+
+  return footer;
+}
+
+/**
+ * Creates an alert dialog: a dialog that asks the user to confirm an action.
+ * It has no close button and ignores overlay clicks, so the user has to pick
+ * one of the two buttons (Escape counts as cancel).
+ * @param {Object} options - Alert dialog configuration options
+ * @param {string} options.title - Dialog title, e.g. "Delete 200 layers?"
+ * @param {string} [options.description] - Text explaining the consequences
+ * @param {string} [options.actionText='Continue'] - Action button text
+ * @param {string} [options.cancelText='Cancel'] - Cancel button text
+ * @param {boolean} [options.destructive=false] - Whether to style the action as destructive
+ * @param {function} [options.onAction] - Action button click handler
+ * @param {function} [options.onCancel] - Cancel button click handler
+ * @param {string} [options.className] - Additional CSS classes for the content
+ * @param {Object} [options.attributes] - Additional HTML attributes for the content
+ * @returns {HTMLDivElement} The created dialog root element; openDialog() resolves with true for the action
+ */
+function createAlertDialog(options = {}) {
+  const {
+    title = '',
+    description = '',
+    actionText = 'Continue',
+    cancelText = 'Cancel',
+    destructive = false,
+    onAction = null,
+    onCancel = null,
+    className = '',
+    attributes = {}
+  } = options;
+
+  const cancelButton = createButton({
+    variant: 'outline',
+    text: cancelText,
+    className: 'mt-2 sm:mt-0',
+    attributes: { 'data-dialog-cancel': '' }
+  });
+  const actionButton = createButton({
+    variant: destructive ? 'destructive' : 'default',
+    text: actionText,
+    attributes: { 'data-dialog-action': '' }
+  });
+
+  const dialog = createDialog({
+    title,
+    description,
+    footer: [cancelButton, actionButton],
+    role: 'alertdialog',
+    showCloseButton: false,
+    closeOnOverlayClick: false,
+    className,
+    attributes
+  });
+
+  cancelButton.addEventListener('click', () => {
+    if (onCancel) onCancel();
+    closeDialog(dialog, false);
+  });
+  actionButton.addEventListener('click', () => {
+    if (onAction) onAction();
+    closeDialog(dialog, true);
+  });
+
+  return dialog;
+}
+
+/**
+ * Open a dialog: mounts it, locks page scroll, traps focus inside it and plays
+ * the enter animation
+ * @param {HTMLDivElement} dialog - Dialog root from createDialog() or createAlertDialog()
+ * @param {HTMLElement} [container=document.body] - Element to mount the dialog in
+ * @returns {Promise<*>} Resolves with the value passed to closeDialog() once the dialog closes
+ */
+function openDialog(dialog, container = document.body) {
+  if (!dialog || !dialog._dialogState) return Promise.resolve();
+  const state = dialog._dialogState;
+  if (state.isOpen) return state.promise;
+
+  state.isOpen = true;
+  state.previousFocus = document.activeElement;
+  state.promise = new Promise(resolve => {
+    state.resolve = resolve;
+  });
+
+  // A dialog reopened during its exit animation is still mounted
+  clearTimeout(state.removeTimeout);
+  if (!dialog.parentNode) {
+    container.appendChild(dialog);
+  }
+  dialog.querySelectorAll('.dialog-overlay, .dialog-content').forEach(el => {
+    el.setAttribute('data-state', 'open');
+  });
+
+  if (openDialogs.length === 0) {
+    bodyOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    document.addEventListener('focusin', handleDocumentFocusIn);
+  }
+  openDialogs.push(dialog);
+
+  // Alert dialogs start on Cancel, the safe choice
+  const panel = dialog.querySelector('.dialog-content');
+  const initialFocus = panel.querySelector('[data-dialog-cancel]') || getFocusableElements(panel)[0] || panel;
+  initialFocus.focus();
+
+  if (state.onOpenChange) state.onOpenChange(true);
+  dialog.dispatchEvent(new CustomEvent('openchange', { detail: { open: true } }));
+
+  return state.promise;
+}
+
+/**
+ * Close a dialog: plays the exit animation, removes it and returns focus to
+ * the element that had it before the dialog opened
+ * @param {HTMLDivElement} dialog - Dialog root element
+ * @param {*} [result] - Value the openDialog() promise resolves with
+ */
+function closeDialog(dialog, result) {
+  if (!dialog || !dialog._dialogState) return;
+  const state = dialog._dialogState;
+  if (!state.isOpen) return;
+
+  state.isOpen = false;
+  dialog.querySelectorAll('.dialog-overlay, .dialog-content').forEach(el => {
+    el.setAttribute('data-state', 'closed');
+  });
+  state.removeTimeout = setTimeout(() => dialog.remove(), DIALOG_ANIMATION_DURATION);
+
+  const index = openDialogs.indexOf(dialog);
+  if (index !== -1) openDialogs.splice(index, 1);
+  if (openDialogs.length === 0) {
+    document.body.style.overflow = bodyOverflow;
+    document.removeEventListener('focusin', handleDocumentFocusIn);
+  }
+
+  if (state.previousFocus && typeof state.previousFocus.focus === 'function') {
+    state.previousFocus.focus();
+  }
+  state.previousFocus = null;
+
+  if (state.onOpenChange) state.onOpenChange(false);
+  dialog.dispatchEvent(new CustomEvent('openchange', { detail: { open: false } }));
+  state.resolve(result);
+}
+
+/**
+ * Get the elements inside a container that can take keyboard focus
+ * @param {HTMLElement} container - Element to search
+ * @returns {HTMLElement[]} Focusable elements in tab order
+ */
+function getFocusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(el => !el.hidden);
+}
+
+/**
+ * Handle Escape and keep Tab/Shift+Tab cycling inside the topmost dialog
+ * @param {HTMLDivElement} dialog - Dialog root element
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleDialogKeydown(dialog, e) {
+  if (openDialogs[openDialogs.length - 1] !== dialog) return;
+  const state = dialog._dialogState;
+
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    e.stopPropagation();
+    if (state.closeOnEscape) closeDialog(dialog);
+    return;
+  }
+
+  if (e.key !== 'Tab') return;
+
+  const panel = dialog.querySelector('.dialog-content');
+  const focusable = getFocusableElements(panel);
+  if (focusable.length === 0) {
+    e.preventDefault();
+    panel.focus();
+    return;
+  }
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+  if (e.shiftKey && (active === first || active === panel)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && active === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Pull focus back into the topmost dialog when it lands outside it
+ * (e.g. a click on the page behind the overlay or a programmatic focus())
+ * @param {FocusEvent} e - Focus event
+ */
+function handleDocumentFocusIn(e) {
+  const dialog = openDialogs[openDialogs.length - 1];
+  if (!dialog) return;
+
+  const panel = dialog.querySelector('.dialog-content');
+  if (!panel.contains(e.target)) {
+    (getFocusableElements(panel)[0] || panel).focus();
+  }
+}
+
+/**
+ * Ask the user to confirm an action with an alert dialog. Exported as `confirm`;
+ * the longer name keeps the declaration from replacing window.confirm when
+ * this file is loaded as a plain script.
+ * @param {Object} options - Same options as createAlertDialog()
+ * @param {string} [options.confirmText='Continue'] - Action button text (alias of actionText)
+ * @returns {Promise<boolean>} true if the user confirmed, false if they cancelled
+ */
+function confirmDialog(options = {}) {
+  const { confirmText, ...alertOptions } = options;
+  if (confirmText) alertOptions.actionText = confirmText;
+
+  return openDialog(createAlertDialog(alertOptions)).then(result => result === true);
+}
+
+/**
+ * Dialog class for a more object-oriented approach
+ */
+class Dialog {
+  /**
+   * Create a new Dialog instance
+   * @param {Object} options - Dialog options (same as createDialog)
+   */
+  constructor(options = {}) {
+    this.element = this.createElement(options);
+  }
+
+  /**
+   * Build the dialog root element
+   * @param {Object} options - Dialog options
+   * @returns {HTMLDivElement} The dialog root element
+   */
+  createElement(options) {
+    return createDialog(options);
+  }
+
+  /**
+   * Add content to the dialog body, before the footer
+   * @param {HTMLElement|string} content - Content to add
+   * @returns {Dialog} This dialog instance for chaining
+   */
+  addContent(content) {
+    const panel = this.element.querySelector('.dialog-content');
+    let node = content;
+    if (typeof content === 'string') {
+      node = document.createElement('div');
+      node.className = 'text-sm';
+      node.innerHTML = content;
+    }
+    const footer = panel.querySelector('.dialog-footer');
+    panel.insertBefore(node, footer || panel.querySelector('.dialog-close'));
+    return this;
+  }
+
+  /**
+   * Add a button to the dialog footer
+   * @param {Object} options - Button options (same as createButton)
+   * @param {*} [options.result] - Close the dialog with this result when clicked
+   * @returns {Dialog} This dialog instance for chaining
+   */
+  addFooterButton(options = {}) {
+    const { result, ...buttonOptions } = options;
+    const panel = this.element.querySelector('.dialog-content');
+    let footer = panel.querySelector('.dialog-footer');
+    if (!footer) {
+      footer = createDialogFooter();
+      panel.insertBefore(footer, panel.querySelector('.dialog-close'));
+    }
+
+    const button = createButton(buttonOptions);
+    if (result !== undefined) {
+      button.addEventListener('click', () => this.close(result));
+    }
+    footer.appendChild(button);
+    return this;
+  }
+
+  /**
+   * Open the dialog
+   * @param {HTMLElement} [container] - Element to mount the dialog in
+   * @returns {Promise<*>} Resolves with the close result
+   */
+  open(container) {
+    return openDialog(this.element, container);
+  }
+
+  /**
+   * Close the dialog
+   * @param {*} [result] - Value the open() promise resolves with
+   */
+  close(result) {
+    closeDialog(this.element, result);
+  }
+
+  /**
+   * Check whether the dialog is open
+   * @returns {boolean} Whether the dialog is open
+   */
+  isOpen() {
+    return this.element._dialogState.isOpen;
+  }
+
+  /**
+   * Add event listener for open state changes
+   * @param {function} handler - Event handler, receives e.detail.open
+   */
+  onOpenChange(handler) {
+    this.element.addEventListener('openchange', handler);
+  }
+
+  /**
+   * Remove event listener for open state changes
+   * @param {function} handler - Event handler
+   */
+  offOpenChange(handler) {
+    this.element.removeEventListener('openchange', handler);
+  }
+
+  /**
+   * Get the DOM element
+   * @returns {HTMLDivElement} The dialog root element
+   */
+  getElement() {
+    return this.element;
+  }
+}
+
+/**
+ * AlertDialog class: a Dialog whose open() resolves with true or false
+ */
+class AlertDialog extends Dialog {
+  /**
+   * Build the alert dialog root element
+   * @param {Object} options - Alert dialog options (same as createAlertDialog)
+   * @returns {HTMLDivElement} The dialog root element
+   */
+  createElement(options) {
+    return createAlertDialog(options);
+  }
+
+  /**
+   * Open the alert dialog
+   * @param {HTMLElement} [container] - Element to mount the dialog in
+   * @returns {Promise<boolean>} true if the user confirmed
+   */
+  open(container) {
+    return super.open(container).then(result => result === true);
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createDialog,
+    createDialogHeader,
+    createDialogTitle,
+    createDialogDescription,
+    createDialogFooter,
+    createAlertDialog,
+    openDialog,
+    closeDialog,
+    confirm: confirmDialog,
+    Dialog,
+    AlertDialog
+  };
+} else if (typeof window !== 'undefined') {
+  window.shadcnDialog = {
+    createDialog,
+    createDialogHeader,
+    createDialogTitle,
+    createDialogDescription,
+    createDialogFooter,
+    createAlertDialog,
+    openDialog,
+    closeDialog,
+    confirm: confirmDialog,
+    Dialog,
+    AlertDialog
+  };
+}
+
+// Usage examples:
+/*
+// Confirm a destructive action
+const confirmed = await confirmDialog({
+  title: 'Delete 200 layers?',
+  description: 'This removes the selected layers from the page.',
+  confirmText: 'Delete',
+  destructive: true
+});
+if (confirmed) {
+  deleteLayers();
+}
+
+// Dialog with a form
+const nameInput = createInput({ placeholder: 'Frame name' });
+const dialog = new Dialog({
+  title: 'Rename frame',
+  description: 'Give the selected frame a new name.'
+})
+  .addContent(nameInput)
+  .addFooterButton({ variant: 'outline', text: 'Cancel', result: null })
+  .addFooterButton({ text: 'Save', result: 'save' });
+
+const result = await dialog.open();
+if (result === 'save') {
+  renameFrame(nameInput.value);
+}
+
+// Manual assembly
+const settingsDialog = createDialog({
+  title: 'Settings',
+  content: '<p>Nothing to configure yet.</p>',
+  onOpenChange: (open) => console.log('Open:', open)
+});
+openDialog(settingsDialog);
+closeDialog(settingsDialog);
+*/
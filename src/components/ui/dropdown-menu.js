@@ -0,0 +1,1082 @@
+/**
+ * DropdownMenu component - Vanilla JavaScript version of shadcn/ui DropdownMenu
+ * Provides menus with items, shortcuts, labels, separators, checkbox and radio items,
+ * nested submenus, typeahead and full keyboard navigation. The menu building
+ * blocks here are shared with ContextMenu (context-menu.js).
+ */
+
+// Import utilities (adjust path as needed)
+const { cn } = window.shadcnUtils || require('../../lib/utils.js');
+const { positionFloating, autoUpdate } = window.shadcnPositioning || require('../../lib/positioning.js');
+
+// Long enough for the exit animation
+const MENU_EXIT_DURATION = 150;
+const MENU_TYPEAHEAD_TIMEOUT = 1000;
+
+const MENU_ITEM_SELECTOR = '[role="menuitem"],[role="menuitemcheckbox"],[role="menuitemradio"]';
+
+const menuContentClasses = "z-50 min-w-[8rem] overflow-hidden rounded-md border bg-popover p-1 text-popover-foreground shadow-md outline-none data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2";
+const menuItemClasses = "relative flex cursor-default select-none items-center gap-2 rounded-sm px-2 py-1.5 text-sm outline-none transition-colors focus:bg-accent focus:text-accent-foreground data-[disabled]:pointer-events-none data-[disabled]:opacity-50";
+const menuIndicatorItemClasses = "relative flex cursor-default select-none items-center rounded-sm py-1.5 pl-8 pr-2 text-sm outline-none transition-colors focus:bg-accent focus:text-accent-foreground data-[disabled]:pointer-events-none data-[disabled]:opacity-50";
+
+// Only one menu (with its submenus) is open at a time
+let openRootMenu = null;
+let menuIdCounter = 0;
+
+/**
+ * Creates a menu content container (the list of items). Used directly for
+ * submenus; createDropdownMenu() and createContextMenu() build on it.
+ * @param {Object} options - Menu content configuration options
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {function} [options.onOpenChange] - Called with true/false when the menu opens or closes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLDivElement} The created menu element
+ */
+function createMenuContent(options = {}) {
+  const {
+    className = '',
+    onOpenChange = null,
+    attributes = {}
+  } = options;
+
+  const menu = document.createElement('div');
+  menu.id = `menu-${++menuIdCounter}`;
+  menu.className = cn(menuContentClasses, className);
+  menu.setAttribute('role', 'menu');
+  menu.setAttribute('aria-orientation', 'vertical');
+  menu.setAttribute('data-state', 'closed');
+  menu.tabIndex = -1;
+
+  // Store menu state
+  menu._menuState = {
+    isOpen: false,
+    trigger: null,
+    parentMenu: null,
+    openSubmenu: null,
+    onOpenChange: onOpenChange,
+    returnFocus: null,
+    cleanup: null,
+    removeTimeout: null,
+    searchTerm: '',
+    searchTimeout: null
+  };
+
+  menu.addEventListener('keydown', (e) => handleMenuKeydown(menu, e));
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    menu.setAttribute(key, value);
+  });
+
+  return menu;
+}
+
+/**
+ * Creates a menu item
+ * @param {Object} options - Menu item configuration options
+ * @param {string} [options.text] - Item text
+ * @param {HTMLElement|string} [options.icon] - Icon shown before the text
+ * @param {string} [options.shortcut] - Keyboard shortcut text shown on the right, e.g. '⌘D'
+ * @param {boolean} [options.inset=false] - Indent the text to line up with checkbox/radio items
+ * @param {boolean} [options.disabled=false] - Whether item is disabled
+ * @param {function} [options.onSelect] - Called when the item is chosen; call e.preventDefault() to keep the menu open
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLDivElement} The created menu item element
+ */
+function createMenuItem(options = {}) {
+  const {
+    text = '',
+    icon = null,
+    shortcut = '',
+    inset = false,
+    disabled = false,
+    onSelect = null,
+    className = '',
+    attributes = {}
+  } = options;
+
+  const item = document.createElement('div');
+  item.className = cn(menuItemClasses, inset && 'pl-8', className);
+  item.setAttribute('role', 'menuitem');
+  item.tabIndex = -1;
+
+  if (icon) {
+    const iconEl = document.createElement('span');
+    iconEl.className = 'flex h-4 w-4 shrink-0 items-center justify-center';
+    if (typeof icon === 'string') {
+      iconEl.innerHTML = icon;
+    } else if (icon instanceof HTMLElement) {
+      iconEl.appendChild(icon);
+    }
+    item.appendChild(iconEl);
+  }
+
+  item.appendChild(createMenuItemText(text));
+  if (shortcut) {
+    item.appendChild(createMenuShortcut({ text: shortcut }));
+  }
+
+  setupMenuItem(item, { disabled, onSelect });
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    item.setAttribute(key, value);
+  });
+
+  return item;
+}
+
+/**
+ * Creates a checkbox menu item that toggles on selection
+ * @param {Object} options - Checkbox item configuration options
+ * @param {string} [options.text] - Item text
+ * @param {boolean} [options.checked=false] - Initial checked state
+ * @param {string} [options.shortcut] - Keyboard shortcut text
+ * @param {boolean} [options.disabled=false] - Whether item is disabled
+ * @param {function} [options.onCheckedChange] - Called with the new checked state
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLDivElement} The created checkbox item element
+ */
+function createMenuCheckboxItem(options = {}) {
+  const {
+    text = '',
+    checked = false,
+    shortcut = '',
+    disabled = false,
+    onCheckedChange = null,
+    className = '',
+    attributes = {}
+  } = options;
+
+  const item = document.createElement('div');
+  item.className = cn(menuIndicatorItemClasses, className);
+  item.setAttribute('role', 'menuitemcheckbox');
+  item.tabIndex = -1;
+
+  item.appendChild(createMenuIndicator('<svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="m5 12 5 5L20 7"/></svg>'));
+  item.appendChild(createMenuItemText(text));
+  if (shortcut) {
+    item.appendChild(createMenuShortcut({ text: shortcut }));
+  }
+
+  setMenuItemChecked(item, checked);
+  setupMenuItem(item, {
+    disabled,
+    onSelect: () => {
+      const next = item.getAttribute('aria-checked') !== 'true';
+      setMenuItemChecked(item, next);
+      if (onCheckedChange) onCheckedChange(next);
+    }
+  });
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    item.setAttribute(key, value);
+  });
+
+  return item;
+}
+
+/**
+ * Creates a group for radio menu items; one of its items is checked at a time
+ * @param {Object} options - Radio group configuration options
+ * @param {string} [options.value] - Initially checked value
+ * @param {function} [options.onValueChange] - Called with the newly checked value
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLDivElement} The created radio group element
+ */
+function createMenuRadioGroup(options = {}) {
+  const {
+    value = '',
+    onValueChange = null,
+    className = '',
+    attributes = {}
+  } = options;
+
+  const group = document.createElement('div');
+  if (className) group.className = className;
+  group.setAttribute('role', 'group');
+
+  // Store radio group state
+  group._radioGroupState = {
+    value: value,
+    onValueChange: onValueChange
+  };
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    group.setAttribute(key, value);
+  });
+
+  return group;
+}
+
+/**
+ * Creates a radio menu item. Append it to a group from createMenuRadioGroup().
+ * @param {Object} options - Radio item configuration options
+ * @param {string} options.value - Item value
+ * @param {string} [options.text] - Item text
+ * @param {string} [options.shortcut] - Keyboard shortcut text
+ * @param {boolean} [options.disabled=false] - Whether item is disabled
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLDivElement} The created radio item element
+ */
+function createMenuRadioItem(options = {}) {
+  const {
+    value,
+    text = '',
+    shortcut = '',
+    disabled = false,
+    className = '',
+    attributes = {}
+  } = options;
+
+  if (value === undefined) {
+    throw new Error('Menu radio item must have a value');
+  }
+
+  const item = document.createElement('div');
+  item.className = cn(menuIndicatorItemClasses, className);
+  item.setAttribute('role', 'menuitemradio');
+  item.setAttribute('data-value', value);
+  item.setAttribute('aria-checked', 'false');
+  item.tabIndex = -1;
+
+  item.appendChild(createMenuIndicator('<svg class="h-2 w-2" viewBox="0 0 8 8"><circle cx="4" cy="4" r="4" fill="currentColor"/></svg>'));
+  item.appendChild(createMenuItemText(text));
+  if (shortcut) {
+    item.appendChild(createMenuShortcut({ text: shortcut }));
+  }
+
+  setupMenuItem(item, {
+    disabled,
+    onSelect: () => {
+      const group = item.closest('[role="group"]');
+      if (group) setMenuRadioValue(group, value);
+    }
+  });
+
+  // The group may not exist yet; pick up its value once the item is attached
+  item._syncChecked = () => {
+    const group = item.closest('[role="group"]');
+    const checked = !!group && group._radioGroupState && group._radioGroupState.value === value;
+    setMenuItemChecked(item, checked);
+  };
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    item.setAttribute(key, value);
+  });
+
+  return item;
+}
+
+/**
+ * Creates a non-interactive label, e.g. a heading for a group of items
+ * @param {Object} options - Label configuration options
+ * @param {string} [options.text] - Label text
+ * @param {boolean} [options.inset=false] - Indent to line up with checkbox/radio items
+ * @param {string} [options.className] - Additional CSS classes
+ * @returns {HTMLDivElement} The created label element
+ */
+function createMenuLabel(options = {}) {
+  const {
+    text = '',
+    inset = false,
+    className = ''
+  } = options;
+
+  const label = document.createElement('div');
+  label.className = cn('px-2 py-1.5 text-sm font-semibold', inset && 'pl-8', className);
+  label.textContent = text;
+
+  return label;
+}
+
+/**
+ * Creates a separator between groups of items
+ * @param {Object} options - Separator configuration options
+ * @param {string} [options.className] - Additional CSS classes
+ * @returns {HTMLDivElement} The created separator element
+ */
+function createMenuSeparator(options = {}) {
+  const { className = '' } = options;
+
+  const separator = document.createElement('div');
+  separator.className = cn('-mx-1 my-1 h-px bg-muted', className);
+  separator.setAttribute('role', 'separator');
+
+  return separator;
+}
+
+/**
+ * Creates the shortcut text shown at the end of an item
+ * @param {Object} options - Shortcut configuration options
+ * @param {string} [options.text] - Shortcut text, e.g. '⇧⌘P'
+ * @param {string} [options.className] - Additional CSS classes
+ * @returns {HTMLSpanElement} The created shortcut element
+ */
+function createMenuShortcut(options = {}) {
+  const {
+    text = '',
+    className = ''
+  } = options;
+
+  const shortcut = document.createElement('span');
+  shortcut.className = cn('ml-auto text-xs tracking-widest opacity-60', className);
+  shortcut.textContent = text;
+
+  return shortcut;
+}
+
+/**
+ * Creates a submenu trigger item. Its submenu opens on hover, click or ArrowRight.
+ * @param {Object} options - Submenu configuration options
+ * @param {string} [options.text] - Trigger text
+ * @param {HTMLDivElement} [options.content] - Submenu from createMenuContent(); created when omitted
+ * @param {boolean} [options.inset=false] - Indent to line up with checkbox/radio items
+ * @param {boolean} [options.disabled=false] - Whether the submenu is disabled
+ * @param {string} [options.className] - Additional CSS classes for the trigger
+ * @returns {HTMLDivElement} The created trigger; the submenu is its `_subMenu` property
+ */
+function createMenuSub(options = {}) {
+  const {
+    text = '',
+    content = null,
+    inset = false,
+    disabled = false,
+    className = ''
+  } = options;
+
+  const submenu = content || createMenuContent({ className: 'shadow-lg' });
+
+  const trigger = document.createElement('div');
+  trigger.className = cn(menuItemClasses, 'data-[state=open]:bg-accent', inset && 'pl-8', className);
+  trigger.setAttribute('role', 'menuitem');
+  trigger.setAttribute('aria-haspopup', 'menu');
+  trigger.setAttribute('aria-expanded', 'false');
+  trigger.setAttribute('aria-controls', submenu.id);
+  trigger.setAttribute('data-state', 'closed');
+  trigger.tabIndex = -1;
+  trigger._subMenu = submenu;
+
+  trigger.appendChild(createMenuItemText(text));
+  const chevron = document.createElement('span');
+  chevron.className = 'ml-auto';
+  chevron.innerHTML = '<svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="m9 18 6-6-6-6"/></svg>';
+  trigger.appendChild(chevron);
+
+  setupMenuItem(trigger, { disabled });
+  trigger.addEventListener('mouseenter', () => {
+    if (!trigger.hasAttribute('data-disabled')) {
+      openSubmenu(trigger, { focus: null });
+    }
+  });
+
+  return trigger;
+}
+
+/**
+ * Creates the text part of an item; typeahead matches against it
+ * @param {string} text - Item text
+ * @returns {HTMLSpanElement} The text element
+ */
+function createMenuItemText(text) {
+  const span = document.createElement('span');
+  span.className = 'menu-item-text';
+  span.textContent = text;
+  return span;
+}
+
+/**
+ * Creates the check/dot indicator of checkbox and radio items
+ * @param {string} svg - Indicator icon markup
+ * @returns {HTMLSpanElement} The indicator element
+ */
+function createMenuIndicator(svg) {
+  const indicator = document.createElement('span');
+  indicator.className = 'menu-item-indicator absolute left-2 flex h-3.5 w-3.5 items-center justify-center opacity-0';
+  indicator.innerHTML = svg;
+  return indicator;
+}
+
+/**
+ * Wire up selection, disabled state and hover focus for an item
+ * @param {HTMLElement} item - Menu item element
+ * @param {Object} options - Item behaviour
+ * @param {boolean} options.disabled - Whether the item is disabled
+ * @param {function} [options.onSelect] - `menuselect` listener; e.preventDefault() keeps the menu open
+ */
+function setupMenuItem(item, { disabled, onSelect }) {
+  if (disabled) {
+    item.setAttribute('data-disabled', '');
+    item.setAttribute('aria-disabled', 'true');
+  }
+
+  if (onSelect) {
+    item.addEventListener('menuselect', onSelect);
+  }
+
+  item.addEventListener('click', () => {
+    if (item.hasAttribute('data-disabled')) return;
+
+    // Submenu triggers open their submenu instead of being selected
+    if (item._subMenu) {
+      openSubmenu(item, { focus: 'first' });
+      return;
+    }
+
+    const event = new CustomEvent('menuselect', { bubbles: true, cancelable: true });
+    item.dispatchEvent(event);
+    if (!event.defaultPrevented) {
+      closeMenuTree(item.closest('[role="menu"]'));
+    }
+  });
+
+  item.addEventListener('mouseenter', () => {
+    if (item.hasAttribute('data-disabled')) return;
+    item.focus();
+
+    // Pointing at another item closes the sibling submenu
+    const menu = item.closest('[role="menu"]');
+    const openSub = menu && menu._menuState.openSubmenu;
+    if (openSub && openSub._menuState.trigger !== item) {
+      closeMenu(openSub, { returnFocus: false });
+    }
+  });
+}
+
+/**
+ * Set the checked state of a checkbox or radio item
+ * @param {HTMLElement} item - Checkbox or radio item
+ * @param {boolean} checked - Checked state
+ */
+function setMenuItemChecked(item, checked) {
+  item.setAttribute('aria-checked', checked.toString());
+  item.setAttribute('data-state', checked ? 'checked' : 'unchecked');
+  const indicator = item.querySelector('.menu-item-indicator');
+  if (indicator) {
+    indicator.style.opacity = checked ? '1' : '0';
+  }
+}
+
+/**
+ * Check the radio item with the given value
+ * @param {HTMLElement} group - Radio group element
+ * @param {string} value - Value to check
+ */
+function setMenuRadioValue(group, value) {
+  if (!group || !group._radioGroupState) return;
+
+  const state = group._radioGroupState;
+  const previousValue = state.value;
+  state.value = value;
+
+  group.querySelectorAll('[role="menuitemradio"]').forEach(item => {
+    setMenuItemChecked(item, item.getAttribute('data-value') === value);
+  });
+
+  if (value !== previousValue && state.onValueChange) {
+    state.onValueChange(value, previousValue);
+  }
+}
+
+/**
+ * Get the items of a menu that keyboard navigation can reach
+ * @param {HTMLElement} menu - Menu element
+ * @returns {HTMLElement[]} Enabled items in order
+ */
+function getMenuItems(menu) {
+  return Array.from(menu.querySelectorAll(MENU_ITEM_SELECTOR)).filter(item => !item.hasAttribute('data-disabled'));
+}
+
+/**
+ * Open a menu
+ * @param {HTMLDivElement} menu - Menu from createMenuContent(), createDropdownMenu() or createContextMenu()
+ * @param {Object} options - Where and how to open it
+ * @param {HTMLElement|{getBoundingClientRect: function}} options.reference - Element (or virtual element) to position against
+ * @param {string} [options.side='bottom'] - Preferred side of the reference
+ * @param {string} [options.align='start'] - Alignment along that side
+ * @param {number} [options.sideOffset=4] - Gap from the reference in pixels
+ * @param {number} [options.alignOffset=0] - Shift along the reference in pixels
+ * @param {string|null} [options.focus='content'] - What to focus: 'first' or 'last' item, the 'content', or nothing (null)
+ * @param {HTMLElement} [options.returnFocus] - Element to focus again when the menu closes
+ */
+function openMenu(menu, options) {
+  if (!menu || !menu._menuState) return;
+  const state = menu._menuState;
+  if (state.isOpen) return;
+
+  const {
+    reference,
+    side = 'bottom',
+    align = 'start',
+    sideOffset = 4,
+    alignOffset = 0,
+    focus = 'content',
+    returnFocus = null
+  } = options;
+
+  if (!state.parentMenu) {
+    // A new menu replaces whichever one was open
+    if (openRootMenu) closeMenu(openRootMenu, { returnFocus: false });
+    openRootMenu = menu;
+    document.addEventListener('pointerdown', handleMenuOutsidePointer, true);
+  }
+
+  state.isOpen = true;
+  state.returnFocus = returnFocus;
+  clearTimeout(state.removeTimeout);
+  menu.querySelectorAll('[role="menuitemradio"]').forEach(item => item._syncChecked());
+  document.body.appendChild(menu);
+  menu.setAttribute('data-state', 'open');
+
+  const update = () => positionFloating(reference, menu, { side, align, sideOffset, alignOffset });
+  update();
+  state.cleanup = autoUpdate(reference, menu, update);
+
+  focusMenu(menu, focus);
+
+  if (state.onOpenChange) state.onOpenChange(true);
+  menu.dispatchEvent(new CustomEvent('openchange', { detail: { open: true } }));
+}
+
+/**
+ * Close a menu and its open submenus
+ * @param {HTMLDivElement} menu - Menu element
+ * @param {Object} [options] - Close options
+ * @param {boolean} [options.returnFocus=true] - Focus the element the menu was opened from
+ */
+function closeMenu(menu, options = {}) {
+  if (!menu || !menu._menuState) return;
+  const state = menu._menuState;
+  if (!state.isOpen) return;
+
+  const { returnFocus = true } = options;
+
+  // Don't take focus from whatever the user clicked outside the menu
+  const active = document.activeElement;
+  const focusWasInside = !active || active === document.body || menuTreeContains(menu, active);
+
+  if (state.openSubmenu) {
+    closeMenu(state.openSubmenu, { returnFocus: false });
+  }
+
+  state.isOpen = false;
+  if (state.cleanup) state.cleanup();
+  state.cleanup = null;
+  clearTimeout(state.searchTimeout);
+  state.searchTerm = '';
+
+  menu.setAttribute('data-state', 'closed');
+  state.removeTimeout = setTimeout(() => menu.remove(), MENU_EXIT_DURATION);
+
+  if (state.parentMenu) {
+    state.parentMenu._menuState.openSubmenu = null;
+    state.trigger.setAttribute('aria-expanded', 'false');
+    state.trigger.setAttribute('data-state', 'closed');
+  } else {
+    openRootMenu = null;
+    document.removeEventListener('pointerdown', handleMenuOutsidePointer, true);
+    if (state.trigger) {
+      state.trigger.setAttribute('aria-expanded', 'false');
+      state.trigger.setAttribute('data-state', 'closed');
+    }
+  }
+
+  if (returnFocus && focusWasInside && state.returnFocus) {
+    state.returnFocus.focus();
+  }
+
+  if (state.onOpenChange) state.onOpenChange(false);
+  menu.dispatchEvent(new CustomEvent('openchange', { detail: { open: false } }));
+}
+
+/**
+ * Close the whole menu a (sub)menu belongs to
+ * @param {HTMLDivElement} menu - Any menu in the tree
+ */
+function closeMenuTree(menu) {
+  let root = menu;
+  while (root && root._menuState && root._menuState.parentMenu) {
+    root = root._menuState.parentMenu;
+  }
+  closeMenu(root);
+}
+
+/**
+ * Open the submenu of a submenu trigger to its side
+ * @param {HTMLDivElement} trigger - Trigger from createMenuSub()
+ * @param {Object} [options] - Open options
+ * @param {string|null} [options.focus='first'] - What to focus in the submenu (see openMenu)
+ */
+function openSubmenu(trigger, options = {}) {
+  const { focus = 'first' } = options;
+  const submenu = trigger._subMenu;
+  const parentMenu = trigger.closest('[role="menu"]');
+  if (!submenu || !parentMenu) return;
+
+  if (submenu._menuState.isOpen) {
+    focusMenu(submenu, focus);
+    return;
+  }
+
+  const openSub = parentMenu._menuState.openSubmenu;
+  if (openSub) closeMenu(openSub, { returnFocus: false });
+
+  submenu._menuState.parentMenu = parentMenu;
+  submenu._menuState.trigger = trigger;
+  parentMenu._menuState.openSubmenu = submenu;
+  trigger.setAttribute('aria-expanded', 'true');
+  trigger.setAttribute('data-state', 'open');
+
+  // alignOffset lines the first item up with the trigger (padding + border)
+  openMenu(submenu, { reference: trigger, side: 'right', align: 'start', sideOffset: 2, alignOffset: -5, focus, returnFocus: trigger });
+}
+
+/**
+ * Move focus into a menu
+ * @param {HTMLDivElement} menu - Menu element
+ * @param {string|null} focus - 'first', 'last', 'content' or null
+ */
+function focusMenu(menu, focus) {
+  if (!focus) return;
+  const items = getMenuItems(menu);
+  if (focus === 'first' && items.length) items[0].focus();
+  else if (focus === 'last' && items.length) items[items.length - 1].focus();
+  else menu.focus();
+}
+
+/**
+ * Handle menu keyboard navigation
+ * @param {HTMLDivElement} menu - Menu element
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleMenuKeydown(menu, e) {
+  const state = menu._menuState;
+  const items = getMenuItems(menu);
+  const current = items.indexOf(document.activeElement);
+
+  switch (e.key) {
+    case 'ArrowDown':
+      e.preventDefault();
+      if (items.length) items[current < items.length - 1 ? current + 1 : 0].focus();
+      break;
+    case 'ArrowUp':
+      e.preventDefault();
+      if (items.length) items[current > 0 ? current - 1 : items.length - 1].focus();
+      break;
+    case 'Home':
+    case 'PageUp':
+      e.preventDefault();
+      if (items.length) items[0].focus();
+      break;
+    case 'End':
+    case 'PageDown':
+      e.preventDefault();
+      if (items.length) items[items.length - 1].focus();
+      break;
+    case 'ArrowRight':
+      if (current !== -1 && items[current]._subMenu) {
+        e.preventDefault();
+        openSubmenu(items[current], { focus: 'first' });
+      }
+      break;
+    case 'ArrowLeft':
+      if (state.parentMenu) {
+        e.preventDefault();
+        closeMenu(menu);
+      }
+      break;
+    case 'Enter':
+    case ' ':
+      // Space continues a typeahead search that is in progress
+      if (e.key === ' ' && state.searchTerm) {
+        e.preventDefault();
+        handleMenuTypeahead(menu, e.key);
+        break;
+      }
+      e.preventDefault();
+      if (current !== -1) items[current].click();
+      break;
+    case 'Escape':
+      e.preventDefault();
+      e.stopPropagation();
+      closeMenuTree(menu);
+      break;
+    case 'Tab':
+      // Menus aren't part of the tab order
+      e.preventDefault();
+      closeMenuTree(menu);
+      break;
+    default:
+      if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        handleMenuTypeahead(menu, e.key);
+      }
+  }
+}
+
+/**
+ * Focus the next item whose text starts with what the user typed
+ * @param {HTMLDivElement} menu - Menu element
+ * @param {string} key - Typed key
+ */
+function handleMenuTypeahead(menu, key) {
+  const state = menu._menuState;
+  clearTimeout(state.searchTimeout);
+  state.searchTerm += key.toLowerCase();
+  state.searchTimeout = setTimeout(() => {
+    state.searchTerm = '';
+  }, MENU_TYPEAHEAD_TIMEOUT);
+
+  const items = getMenuItems(menu);
+  const current = items.indexOf(document.activeElement);
+  // Typing the same letter again cycles through the items starting with it
+  const repeated = state.searchTerm.split('').every(char => char === state.searchTerm[0]);
+  const search = repeated ? state.searchTerm[0] : state.searchTerm;
+  const start = repeated ? current + 1 : Math.max(current, 0);
+
+  const ordered = items.slice(start).concat(items.slice(0, start));
+  const match = ordered.find(item => {
+    const text = item.querySelector('.menu-item-text');
+    return text && text.textContent.toLowerCase().startsWith(search);
+  });
+  if (match) match.focus();
+}
+
+/**
+ * Close the open menu when the pointer goes down outside it and its submenus
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleMenuOutsidePointer(e) {
+  const root = openRootMenu;
+  if (!root) return;
+
+  // The dropdown trigger toggles the menu on its own click
+  const trigger = root._menuState.trigger;
+  if (trigger && trigger.contains(e.target)) return;
+
+  if (!menuTreeContains(root, e.target)) {
+    closeMenu(root);
+  }
+}
+
+/**
+ * Check whether a node is inside a menu or one of its open submenus
+ * @param {HTMLDivElement} menu - Menu element
+ * @param {Node} node - Node to look for
+ * @returns {boolean} Whether the node is inside
+ */
+function menuTreeContains(menu, node) {
+  for (let current = menu; current; current = current._menuState.openSubmenu) {
+    if (current.contains(node)) return true;
+  }
+  return false;
+}
+
+/**
+ * Creates a dropdown menu opened by a trigger element
+ * @param {Object} options - Dropdown menu configuration options
+ * @param {HTMLElement} options.trigger - Element that toggles the menu, usually a button
+ * @param {string} [options.side='bottom'] - Preferred side of the trigger
+ * @param {string} [options.align='start'] - Alignment along that side
+ * @param {number} [options.sideOffset=4] - Gap from the trigger in pixels
+ * @param {string} [options.className] - Additional CSS classes for the menu
+ * @param {function} [options.onOpenChange] - Called with true/false when the menu opens or closes
+ * @param {Object} [options.attributes] - Additional HTML attributes for the menu
+ * @returns {HTMLDivElement} The created menu element
+ */
+function createDropdownMenu(options = {}) {
+  const {
+    trigger,
+    side = 'bottom',
+    align = 'start',
+    sideOffset = 4,
+    className = '',
+    onOpenChange = null,
+    attributes = {}
+  } = options;
+
+  if (!trigger) {
+    throw new Error('Dropdown menu must have a trigger element');
+  }
+
+  const menu = createMenuContent({ className, onOpenChange, attributes });
+  menu._menuState.trigger = trigger;
+  menu._menuState.placement = { side, align, sideOffset };
+
+  trigger.setAttribute('aria-haspopup', 'menu');
+  trigger.setAttribute('aria-expanded', 'false');
+  trigger.setAttribute('aria-controls', menu.id);
+  trigger.setAttribute('data-state', 'closed');
+
+  trigger.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (menu._menuState.isOpen) {
+      closeMenu(menu);
+    } else {
+      openDropdownMenu(menu, { focus: 'content' });
+    }
+  });
+
+  trigger.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      openDropdownMenu(menu, { focus: 'first' });
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      openDropdownMenu(menu, { focus: 'last' });
+    }
+  });
+
+  return menu;
+}
+
+/**
+ * Open a dropdown menu below (or above) its trigger
+ * @param {HTMLDivElement} menu - Menu from createDropdownMenu()
+ * @param {Object} [options] - Open options
+ * @param {string} [options.focus='first'] - What to focus (see openMenu)
+ */
+function openDropdownMenu(menu, options = {}) {
+  if (!menu || !menu._menuState) return;
+  const { focus = 'first' } = options;
+  const { trigger, placement } = menu._menuState;
+
+  openMenu(menu, { reference: trigger, ...placement, focus, returnFocus: trigger });
+  trigger.setAttribute('aria-expanded', 'true');
+  trigger.setAttribute('data-state', 'open');
+}
+
+/**
+ * Menu class with chaining methods for building menus (also used for submenus)
+ */
+class Menu {
+  /**
+   * Create a new Menu instance
+   * @param {Object} options - Menu options (same as createMenuContent)
+   */
+  constructor(options = {}) {
+    this.element = this.createElement(options);
+  }
+
+  /**
+   * Build the menu element
+   * @param {Object} options - Menu options
+   * @returns {HTMLDivElement} The menu element
+   */
+  createElement(options) {
+    return createMenuContent(options);
+  }
+
+  /**
+   * Add an item
+   * @param {Object} options - Item options (same as createMenuItem)
+   * @returns {Menu} This menu instance for chaining
+   */
+  addItem(options = {}) {
+    this.element.appendChild(createMenuItem(options));
+    return this;
+  }
+
+  /**
+   * Add a checkbox item
+   * @param {Object} options - Checkbox item options (same as createMenuCheckboxItem)
+   * @returns {Menu} This menu instance for chaining
+   */
+  addCheckboxItem(options = {}) {
+    this.element.appendChild(createMenuCheckboxItem(options));
+    return this;
+  }
+
+  /**
+   * Add a group of radio items
+   * @param {Object} options - Radio group options (same as createMenuRadioGroup)
+   * @param {Object[]} items - Radio item options (same as createMenuRadioItem)
+   * @returns {Menu} This menu instance for chaining
+   */
+  addRadioGroup(options = {}, items = []) {
+    const group = createMenuRadioGroup(options);
+    items.forEach(itemOptions => group.appendChild(createMenuRadioItem(itemOptions)));
+    this.element.appendChild(group);
+    return this;
+  }
+
+  /**
+   * Add a label
+   * @param {Object} options - Label options (same as createMenuLabel)
+   * @returns {Menu} This menu instance for chaining
+   */
+  addLabel(options = {}) {
+    this.element.appendChild(createMenuLabel(options));
+    return this;
+  }
+
+  /**
+   * Add a separator
+   * @param {Object} options - Separator options
+   * @returns {Menu} This menu instance for chaining
+   */
+  addSeparator(options = {}) {
+    this.element.appendChild(createMenuSeparator(options));
+    return this;
+  }
+
+  /**
+   * Add a submenu
+   * @param {Object} options - Submenu trigger options (same as createMenuSub)
+   * @param {function(Menu): void} build - Receives the submenu to add items to
+   * @returns {Menu} This menu instance for chaining
+   */
+  addSubmenu(options = {}, build = () => {}) {
+    const submenu = new Menu({ className: 'shadow-lg' });
+    build(submenu);
+    this.element.appendChild(createMenuSub({ ...options, content: submenu.element }));
+    return this;
+  }
+
+  /**
+   * Close the menu
+   * @returns {Menu} This menu instance for chaining
+   */
+  close() {
+    closeMenu(this.element);
+    return this;
+  }
+
+  /**
+   * Check whether the menu is open
+   * @returns {boolean} Whether the menu is open
+   */
+  isOpen() {
+    return this.element._menuState.isOpen;
+  }
+
+  /**
+   * Add event listener for open state changes
+   * @param {function} handler - Event handler, receives e.detail.open
+   */
+  onOpenChange(handler) {
+    this.element.addEventListener('openchange', handler);
+  }
+
+  /**
+   * Add event listener for item selection in this menu (submenus have their own)
+   * @param {function} handler - Event handler, e.target is the chosen item
+   */
+  onSelect(handler) {
+    this.element.addEventListener('menuselect', handler);
+  }
+
+  /**
+   * Get the DOM element
+   * @returns {HTMLDivElement} The menu element
+   */
+  getElement() {
+    return this.element;
+  }
+}
+
+/**
+ * DropdownMenu class: a Menu opened from a trigger element
+ */
+class DropdownMenu extends Menu {
+  /**
+   * Build the dropdown menu element
+   * @param {Object} options - Dropdown menu options (same as createDropdownMenu)
+   * @returns {HTMLDivElement} The menu element
+   */
+  createElement(options) {
+    return createDropdownMenu(options);
+  }
+
+  /**
+   * Open the menu
+   * @returns {DropdownMenu} This menu instance for chaining
+   */
+  open() {
+    openDropdownMenu(this.element);
+    return this;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createMenuContent,
+    createMenuItem,
+    createMenuCheckboxItem,
+    createMenuRadioGroup,
+    createMenuRadioItem,
+    createMenuLabel,
+    createMenuSeparator,
+    createMenuShortcut,
+    createMenuSub,
+    setMenuItemChecked,
+    setMenuRadioValue,
+    openMenu,
+    closeMenu,
+    openSubmenu,
+    createDropdownMenu,
+    openDropdownMenu,
+    Menu,
+    DropdownMenu
+  };
+} else if (typeof window !== 'undefined') {
+  window.shadcnDropdownMenu = {
+    createMenuContent,
+    createMenuItem,
+    createMenuCheckboxItem,
+    createMenuRadioGroup,
+    createMenuRadioItem,
+    createMenuLabel,
+    createMenuSeparator,
+    createMenuShortcut,
+    createMenuSub,
+    setMenuItemChecked,
+    setMenuRadioValue,
+    openMenu,
+    closeMenu,
+    openSubmenu,
+    createDropdownMenu,
+    openDropdownMenu,
+    Menu,
+    DropdownMenu
+  };
+}
+
+// Usage examples:
+/*
+// Per-layer actions
+const trigger = createButton({ variant: 'ghost', size: 'icon', content: '⋯' });
+
+const menu = new DropdownMenu({ trigger, align: 'end' })
+  .addLabel({ text: 'Layer' })
+  .addSeparator()
+  .addItem({ text: 'Rename', shortcut: '⌘R', onSelect: () => renameLayer() })
+  .addItem({ text: 'Duplicate', shortcut: '⌘D', onSelect: () => duplicateLayer() })
+  .addSubmenu({ text: 'Move to' }, (sub) => {
+    sub.addItem({ text: 'Front' }).addItem({ text: 'Back' });
+  })
+  .addSeparator()
+  .addCheckboxItem({ text: 'Locked', checked: false, onCheckedChange: (locked) => setLocked(locked) })
+  .addRadioGroup({ value: 'normal', onValueChange: (mode) => setBlendMode(mode) }, [
+    { value: 'normal', text: 'Normal' },
+    { value: 'multiply', text: 'Multiply' }
+  ])
+  .addSeparator()
+  .addItem({ text: 'Delete', shortcut: '⌫', disabled: !canDelete });
+
+// Keep the menu open after choosing an item
+createMenuItem({
+  text: 'Select next',
+  onSelect: (e) => {
+    e.preventDefault();
+    selectNext();
+  }
+});
+*/
@@ -13,13 +13,26 @@ const labelModule = require('./label.js');
 const separatorModule = require('./separator.js');
 const tabsModule = require('./tabs.js');
 const selectModule = require('./select.js');
+const dialogModule = require('./dialog.js');
+const tooltipModule = require('./tooltip.js');
+const popoverModule = require('./popover.js');
+const dropdownMenuModule = require('./dropdown-menu.js');
+const contextMenuModule = require('./context-menu.js');
+const checkboxModule = require('./checkbox.js');
+const switchModule = require('./switch.js');
+const radioGroupModule = require('./radio-group.js');
+const sliderModule = require('./slider.js');
 const utilsModule = require('../../lib/utils.js');
+const positioningModule = require('../../lib/positioning.js');
 
 // Export all components and utilities
 const ShadcnUI = {
   // Utilities
   ...utilsModule,
   
+  // Positioning
+  ...positioningModule,
+  
   // Button
   ...buttonModule,
   
@@ -46,6 +59,33 @@ const ShadcnUI = {
   
   // Select
   ...selectModule,
+  
+  // Dialog
+  ...dialogModule,
+  
+  // Tooltip
+  ...tooltipModule,
+  
+  // Popover
+  ...popoverModule,
+  
+  // Dropdown Menu
+  ...dropdownMenuModule,
+  
+  // Context Menu
+  ...contextMenuModule,
+  
+  // Checkbox
+  ...checkboxModule,
+  
+  // Switch
+  ...switchModule,
+  
+  // Radio Group
+  ...radioGroupModule,
+  
+  // Slider
+  ...sliderModule,
 };
 
 // For browser environments, attach to window
@@ -68,3 +108,13 @@ module.exports.Label = labelModule.Label;
 module.exports.Separator = separatorModule.Separator;
 module.exports.Tabs = tabsModule.Tabs;
 module.exports.Select = selectModule.Select;
+module.exports.Dialog = dialogModule.Dialog;
+module.exports.AlertDialog = dialogModule.AlertDialog;
+module.exports.Tooltip = tooltipModule.Tooltip;
+module.exports.Popover = popoverModule.Popover;
+module.exports.DropdownMenu = dropdownMenuModule.DropdownMenu;
+module.exports.ContextMenu = contextMenuModule.ContextMenu;
+module.exports.Checkbox = checkboxModule.Checkbox;
+module.exports.Switch = switchModule.Switch;
+module.exports.RadioGroup = radioGroupModule.RadioGroup;
+module.exports.Slider = sliderModule.Slider;
@@ -81,6 +81,15 @@ function createLabel(options = {}) {
   return label;
 }
 
+/**
+ * Check whether a label's `for` attribute can point at an element
+ * @param {HTMLElement} element - Element to check
+ * @returns {boolean} Whether the element is labelable
+ */
+function isLabelable(element) {
+  return ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON', 'METER', 'OUTPUT', 'PROGRESS'].includes(element.tagName);
+}
+
 /**
  * Label class for more advanced usage
  */
@@ -121,23 +130,54 @@ class Label {
   }
   
   /**
-   * Associate this label with an input element
-   * @param {HTMLElement} input - Input element to associate with
+   * Associate this label with an input element or form control.
+   * Accepts elements and component instances (Checkbox, Switch, RadioGroup, Input...).
+   * Controls that a label can't point at, like a radio group, are linked with
+   * aria-labelledby instead, and clicking the label focuses them.
+   * @param {HTMLElement|Object} input - Element or component instance to associate with
    */
   associateWith(input) {
     this.associatedInput = input;
+    const element = this.getAssociatedElement();
     
-    // Set for attribute if input has an ID
-    if (input.id) {
-      this.element.setAttribute('for', input.id);
-    } else {
-      // Generate an ID for the input
-      const id = 'input-' + Math.random().toString(36).substr(2, 9);
-      input.id = id;
-      this.element.setAttribute('for', id);
+    // Generate an ID for the input if it doesn't have one
+    if (!element.id) {
+      element.id = 'input-' + Math.random().toString(36).substr(2, 9);
+    }
+    
+    if (isLabelable(element)) {
+      this.element.setAttribute('for', element.id);
+      return;
+    }
+    
+    if (!this.element.id) {
+      this.element.id = 'label-' + Math.random().toString(36).substr(2, 9);
+    }
+    element.setAttribute('aria-labelledby', this.element.id);
+    
+    if (!this._focusAssociated) {
+      this._focusAssociated = () => {
+        const target = this.getAssociatedElement();
+        if (!target) return;
+        // Focus the control's tab stop, e.g. the checked radio in a group
+        (target.querySelector('[tabindex="0"]') || target).focus();
+      };
+      this.element.addEventListener('click', this._focusAssociated);
     }
   }
   
+  /**
+   * Get the associated element (unwraps component instances)
+   * @returns {HTMLElement|null} The associated element
+   */
+  getAssociatedElement() {
+    const input = this.associatedInput;
+    if (input && typeof input.getElement === 'function') {
+      return input.getElement();
+    }
+    return input;
+  }
+  
   /**
    * Set required state
    * @param {boolean} required - Whether field is required
@@ -159,7 +199,18 @@ class Label {
     
     // Update associated input if exists
     if (this.associatedInput) {
-      this.associatedInput.required = required;
+      if (typeof this.associatedInput.setRequired === 'function') {
+        this.associatedInput.setRequired(required);
+      } else {
+        const element = this.getAssociatedElement();
+        if (isLabelable(element) && 'required' in element) {
+          element.required = required;
+        } else if (required) {
+          element.setAttribute('aria-required', 'true');
+        } else {
+          element.removeAttribute('aria-required');
+        }
+      }
     }
   }
   
@@ -188,7 +239,11 @@ class Label {
     
     // Update associated input if exists
     if (this.associatedInput) {
-      this.associatedInput.disabled = disabled;
+      if (typeof this.associatedInput.setDisabled === 'function') {
+        this.associatedInput.setDisabled(disabled);
+      } else {
+        this.getAssociatedElement().disabled = disabled;
+      }
     }
   }
   
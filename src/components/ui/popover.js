@@ -0,0 +1,320 @@
+/**
+ * Popover component - Vanilla JavaScript version of shadcn/ui Popover
+ * Opens rich content next to a trigger on click, with outside-click and Escape dismissal
+ */
+
+// Import utilities (adjust path as needed)
+const { cn } = window.shadcnUtils || require('../../lib/utils.js');
+const { positionFloating, autoUpdate } = window.shadcnPositioning || require('../../lib/positioning.js');
+const { createFloatingArrow } = window.shadcnTooltip || require('./tooltip.js');
+
+// Long enough for the exit animation
+const POPOVER_EXIT_DURATION = 150;
+
+const POPOVER_FOCUSABLE_SELECTOR = 'a[href],button:not([disabled]),input:not([disabled]),select:not([disabled]),textarea:not([disabled]),[tabindex]:not([tabindex="-1"])';
+
+let popoverIdCounter = 0;
+
+/**
+ * Creates a popover for a trigger element. Clicking the trigger toggles it;
+ * clicking outside or pressing Escape closes it.
+ * @param {Object} options - Popover configuration options
+ * @param {HTMLElement} options.trigger - Element that toggles the popover
+ * @param {HTMLElement|string} [options.content] - Popover content (HTML element or string)
+ * @param {string} [options.side='bottom'] - Preferred side (top, right, bottom, left)
+ * @param {string} [options.align='center'] - Alignment along the side (start, center, end)
+ * @param {number} [options.sideOffset=4] - Distance from the trigger in pixels
+ * @param {boolean} [options.showArrow=false] - Whether to show an arrow pointing at the trigger
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {function} [options.onOpenChange] - Called with true/false when the popover opens or closes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLDivElement} The created popover element
+ */
+function createPopover(options = {}) {
+  const {
+    trigger,
+    content = null,
+    side = 'bottom',
+    align = 'center',
+    sideOffset = 4,
+    showArrow = false,
+    className = '',
+    onOpenChange = null,
+    attributes = {}
+  } = options;
+
+  if (!trigger) {
+    throw new Error('Popover must have a trigger element');
+  }
+
+  const popover = document.createElement('div');
+  popover.id = `popover-${++popoverIdCounter}`;
+  popover.className = cn(
+    "popover-content z-50 w-72 rounded-md border bg-popover p-4 text-popover-foreground shadow-md outline-none data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
+    className
+  );
+  popover.setAttribute('role', 'dialog');
+  popover.setAttribute('data-state', 'closed');
+  popover.tabIndex = -1;
+
+  if (content) {
+    if (typeof content === 'string') {
+      popover.innerHTML = content;
+    } else if (content instanceof HTMLElement) {
+      popover.appendChild(content);
+    }
+  }
+
+  let arrow = null;
+  if (showArrow) {
+    arrow = createFloatingArrow();
+    popover.appendChild(arrow);
+  }
+
+  trigger.setAttribute('aria-haspopup', 'dialog');
+  trigger.setAttribute('aria-expanded', 'false');
+  trigger.setAttribute('aria-controls', popover.id);
+
+  // Store popover state
+  popover._popoverState = {
+    trigger: trigger,
+    isOpen: false,
+    side: side,
+    align: align,
+    sideOffset: sideOffset,
+    arrow: arrow,
+    onOpenChange: onOpenChange,
+    removeTimeout: null,
+    cleanup: null,
+    handleOutsidePointer: (e) => {
+      // The trigger toggles on its own click
+      if (!popover.contains(e.target) && !trigger.contains(e.target)) {
+        closePopover(popover);
+      }
+    }
+  };
+
+  trigger.addEventListener('click', (e) => {
+    e.preventDefault();
+    togglePopover(popover);
+  });
+
+  popover.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      closePopover(popover);
+    }
+  });
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    popover.setAttribute(key, value);
+  });
+
+  return popover;
+}
+
+/**
+ * Toggle a popover open/closed
+ * @param {HTMLDivElement} popover - Popover element
+ */
+function togglePopover(popover) {
+  if (!popover || !popover._popoverState) return;
+
+  if (popover._popoverState.isOpen) {
+    closePopover(popover);
+  } else {
+    openPopover(popover);
+  }
+}
+
+/**
+ * Open a popover and move focus into it
+ * @param {HTMLDivElement} popover - Popover element
+ */
+function openPopover(popover) {
+  if (!popover || !popover._popoverState) return;
+  const state = popover._popoverState;
+  if (state.isOpen) return;
+
+  state.isOpen = true;
+  clearTimeout(state.removeTimeout);
+  document.body.appendChild(popover);
+  popover.setAttribute('data-state', 'open');
+  state.trigger.setAttribute('aria-expanded', 'true');
+
+  const update = () => positionFloating(state.trigger, popover, {
+    side: state.side,
+    align: state.align,
+    sideOffset: state.sideOffset,
+    arrow: state.arrow
+  });
+  update();
+  state.cleanup = autoUpdate(state.trigger, popover, update);
+
+  (popover.querySelector(POPOVER_FOCUSABLE_SELECTOR) || popover).focus();
+  document.addEventListener('pointerdown', state.handleOutsidePointer, true);
+
+  if (state.onOpenChange) state.onOpenChange(true);
+  popover.dispatchEvent(new CustomEvent('openchange', { detail: { open: true } }));
+}
+
+/**
+ * Close a popover. Focus goes back to the trigger if it was inside the popover.
+ * @param {HTMLDivElement} popover - Popover element
+ */
+function closePopover(popover) {
+  if (!popover || !popover._popoverState) return;
+  const state = popover._popoverState;
+  if (!state.isOpen) return;
+
+  state.isOpen = false;
+  if (state.cleanup) state.cleanup();
+  state.cleanup = null;
+  document.removeEventListener('pointerdown', state.handleOutsidePointer, true);
+
+  // Don't take focus from whatever the user clicked outside the popover
+  const active = document.activeElement;
+  if (!active || active === document.body || popover.contains(active)) {
+    state.trigger.focus();
+  }
+
+  state.trigger.setAttribute('aria-expanded', 'false');
+  popover.setAttribute('data-state', 'closed');
+  state.removeTimeout = setTimeout(() => popover.remove(), POPOVER_EXIT_DURATION);
+
+  if (state.onOpenChange) state.onOpenChange(false);
+  popover.dispatchEvent(new CustomEvent('openchange', { detail: { open: false } }));
+}
+
+/**
+ * Popover class for a more object-oriented approach
+ */
+class Popover {
+  /**
+   * Create a new Popover instance
+   * @param {Object} options - Popover options (same as createPopover)
+   */
+  constructor(options = {}) {
+    this.element = createPopover(options);
+  }
+
+  /**
+   * Add content to the popover
+   * @param {HTMLElement|string} content - Content to add
+   * @returns {Popover} This popover instance for chaining
+   */
+  addContent(content) {
+    const arrow = this.element._popoverState.arrow;
+    if (typeof content === 'string') {
+      const wrapper = document.createElement('div');
+      wrapper.innerHTML = content;
+      this.element.insertBefore(wrapper, arrow);
+    } else if (content instanceof HTMLElement) {
+      this.element.insertBefore(content, arrow);
+    }
+    return this;
+  }
+
+  /**
+   * Open the popover
+   * @returns {Popover} This popover instance for chaining
+   */
+  open() {
+    openPopover(this.element);
+    return this;
+  }
+
+  /**
+   * Close the popover
+   * @returns {Popover} This popover instance for chaining
+   */
+  close() {
+    closePopover(this.element);
+    return this;
+  }
+
+  /**
+   * Toggle the popover
+   * @returns {Popover} This popover instance for chaining
+   */
+  toggle() {
+    togglePopover(this.element);
+    return this;
+  }
+
+  /**
+   * Check whether the popover is open
+   * @returns {boolean} Whether the popover is open
+   */
+  isOpen() {
+    return this.element._popoverState.isOpen;
+  }
+
+  /**
+   * Add event listener for open state changes
+   * @param {function} handler - Event handler, receives e.detail.open
+   */
+  onOpenChange(handler) {
+    this.element.addEventListener('openchange', handler);
+  }
+
+  /**
+   * Remove event listener for open state changes
+   * @param {function} handler - Event handler
+   */
+  offOpenChange(handler) {
+    this.element.removeEventListener('openchange', handler);
+  }
+
+  /**
+   * Get the DOM element
+   * @returns {HTMLDivElement} The popover element
+   */
+  getElement() {
+    return this.element;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createPopover,
+    openPopover,
+    closePopover,
+    togglePopover,
+    Popover
+  };
+} else if (typeof window !== 'undefined') {
+  window.shadcnPopover = {
+    createPopover,
+    openPopover,
+    closePopover,
+    togglePopover,
+    Popover
+  };
+}
+
+// Usage examples:
+/*
+// Popover with a small form
+const trigger = createButton({ variant: 'outline', text: 'Dimensions' });
+const widthInput = createInput({ type: 'number', placeholder: 'Width' });
+
+const popover = new Popover({ trigger, align: 'start', showArrow: true })
+  .addContent('<h4 class="font-medium leading-none mb-2">Dimensions</h4>')
+  .addContent(widthInput);
+
+popover.onOpenChange((e) => {
+  console.log('Popover open:', e.detail.open);
+});
+
+// Functional approach
+const info = createPopover({
+  trigger: document.getElementById('info-button'),
+  content: '<p class="text-sm">Grid cells snap to the 8px baseline.</p>',
+  side: 'right'
+});
+openPopover(info);
+*/
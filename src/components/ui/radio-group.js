@@ -0,0 +1,429 @@
+/**
+ * RadioGroup component - Vanilla JavaScript version of shadcn/ui RadioGroup
+ * A set of radio buttons where exactly one can be checked. The group is a single
+ * tab stop and the arrow keys move and select, like native radio buttons.
+ */
+
+// Import utilities (adjust path as needed)
+const { cn } = window.shadcnUtils || require('../../lib/utils.js');
+const { Label } = window.shadcnLabel || require('./label.js');
+
+/**
+ * Creates a radio group container with shadcn/ui styling
+ * @param {Object} options - Radio group configuration options
+ * @param {string} [options.value] - Initially checked value
+ * @param {string} [options.name] - Input name attribute, for form submission
+ * @param {string} [options.orientation='vertical'] - Layout direction (vertical, horizontal)
+ * @param {boolean} [options.disabled=false] - Whether the whole group is disabled
+ * @param {boolean} [options.required=false] - Whether a value is required
+ * @param {boolean} [options.invalid=false] - Whether to show the error state
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {function} [options.onValueChange] - Called with (value, previousValue) when the checked item changes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLDivElement} The created radio group element
+ */
+function createRadioGroup(options = {}) {
+  const {
+    value = '',
+    name = '',
+    orientation = 'vertical',
+    disabled = false,
+    required = false,
+    invalid = false,
+    className = '',
+    onValueChange = null,
+    attributes = {}
+  } = options;
+
+  const group = document.createElement('div');
+  group.setAttribute('role', 'radiogroup');
+  group.setAttribute('aria-orientation', orientation);
+  group.setAttribute('data-orientation', orientation);
+  group.className = cn(
+    orientation === 'horizontal' ? 'flex flex-wrap items-center gap-4' : 'grid gap-2',
+    className
+  );
+
+  if (required) {
+    group.setAttribute('aria-required', 'true');
+  }
+  if (invalid) {
+    group.setAttribute('aria-invalid', 'true');
+  }
+
+  if (name) {
+    const hiddenInput = document.createElement('input');
+    hiddenInput.type = 'hidden';
+    hiddenInput.name = name;
+    hiddenInput.value = value;
+    group.appendChild(hiddenInput);
+  }
+
+  // Store radio group state
+  group._radioGroupState = {
+    value: value,
+    disabled: disabled,
+    onValueChange: onValueChange
+  };
+
+  // Items can be added at any time, so keep their state in sync as they arrive
+  const observer = new MutationObserver(() => updateRadioItems(group));
+  observer.observe(group, { childList: true, subtree: true });
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, attrValue]) => {
+    group.setAttribute(key, attrValue);
+  });
+
+  return group;
+}
+
+/**
+ * Creates a radio button for a radio group
+ * @param {Object} options - Radio item configuration options
+ * @param {string} options.value - Value the group takes when this item is checked
+ * @param {boolean} [options.disabled=false] - Whether the item is disabled
+ * @param {string} [options.id] - Element ID (lets a Label point at it)
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLButtonElement} The created radio item element
+ */
+function createRadioGroupItem(options = {}) {
+  const {
+    value,
+    disabled = false,
+    id = '',
+    className = '',
+    attributes = {}
+  } = options;
+
+  if (value === undefined || value === null) {
+    throw new Error('Radio group item must have a value');
+  }
+
+  const item = document.createElement('button');
+  item.type = 'button';
+  item.setAttribute('role', 'radio');
+  item.setAttribute('data-value', value);
+  item.setAttribute('aria-checked', 'false');
+  item.setAttribute('data-state', 'unchecked');
+  item.tabIndex = -1;
+  item.className = cn(
+    "radio-group-item peer inline-flex aspect-square h-4 w-4 shrink-0 items-center justify-center rounded-full border border-primary text-primary ring-offset-background focus:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 data-[invalid=true]:border-destructive",
+    className
+  );
+
+  if (id) {
+    item.id = id;
+  }
+  item.disabled = disabled;
+  // Remembers the item's own setting while the whole group is disabled
+  item._radioItemDisabled = disabled;
+
+  const indicator = document.createElement('span');
+  indicator.className = 'radio-group-indicator h-2.5 w-2.5 rounded-full bg-current pointer-events-none';
+  indicator.style.display = 'none';
+  item.appendChild(indicator);
+
+  item.addEventListener('click', () => {
+    const group = item.closest('[role="radiogroup"]');
+    setRadioGroupValue(group, value);
+  });
+
+  item.addEventListener('keydown', handleRadioItemKeydown);
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, attrValue]) => {
+    item.setAttribute(key, attrValue);
+  });
+
+  return item;
+}
+
+/**
+ * Get the radio items of a group, in document order
+ * @param {HTMLDivElement} group - Radio group element
+ * @returns {HTMLButtonElement[]} The radio items
+ */
+function getRadioItems(group) {
+  return Array.from(group.querySelectorAll('[role="radio"]'));
+}
+
+/**
+ * Sync the checked, disabled, error and tab stop state of every item with the group
+ * @param {HTMLDivElement} group - Radio group element
+ */
+function updateRadioItems(group) {
+  if (!group || !group._radioGroupState) return;
+
+  const state = group._radioGroupState;
+  const invalid = group.getAttribute('aria-invalid') === 'true';
+  const items = getRadioItems(group);
+
+  items.forEach(item => {
+    const isChecked = item.getAttribute('data-value') === state.value;
+    item.setAttribute('aria-checked', isChecked.toString());
+    item.setAttribute('data-state', isChecked ? 'checked' : 'unchecked');
+    item.disabled = state.disabled || item._radioItemDisabled;
+    if (invalid) {
+      item.setAttribute('data-invalid', 'true');
+    } else {
+      item.removeAttribute('data-invalid');
+    }
+
+    const indicator = item.querySelector('.radio-group-indicator');
+    if (indicator) {
+      indicator.style.display = isChecked ? '' : 'none';
+    }
+  });
+
+  // The checked item is the group's only tab stop, or the first enabled one if nothing is checked
+  const enabled = items.filter(item => !item.disabled);
+  const tabStop = enabled.find(item => item.getAttribute('aria-checked') === 'true') || enabled[0];
+  items.forEach(item => {
+    item.tabIndex = item === tabStop ? 0 : -1;
+  });
+}
+
+/**
+ * Check the item with a value
+ * @param {HTMLDivElement} group - Radio group element
+ * @param {string} value - Value to check
+ */
+function setRadioGroupValue(group, value) {
+  if (!group || !group._radioGroupState) return;
+
+  const state = group._radioGroupState;
+  const previousValue = state.value;
+  if (value === previousValue) return;
+
+  state.value = value;
+  updateRadioItems(group);
+
+  const hiddenInput = group.querySelector('input[type="hidden"]');
+  if (hiddenInput) {
+    hiddenInput.value = value;
+  }
+
+  // Dispatch change event
+  if (state.onValueChange && typeof state.onValueChange === 'function') {
+    state.onValueChange(value, previousValue);
+  }
+
+  const changeEvent = new CustomEvent('valuechange', {
+    detail: { value, previousValue },
+    bubbles: true
+  });
+  group.dispatchEvent(changeEvent);
+}
+
+/**
+ * Handle radio item keyboard events: arrow keys move to the next enabled item and check it
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleRadioItemKeydown(e) {
+  const item = e.currentTarget;
+  const group = item.closest('[role="radiogroup"]');
+  if (!group) return;
+
+  const items = getRadioItems(group).filter(radio => !radio.disabled);
+  const currentIndex = items.indexOf(item);
+  let nextIndex;
+
+  switch (e.key) {
+    case 'ArrowDown':
+    case 'ArrowRight':
+      nextIndex = currentIndex < items.length - 1 ? currentIndex + 1 : 0;
+      break;
+    case 'ArrowUp':
+    case 'ArrowLeft':
+      nextIndex = currentIndex > 0 ? currentIndex - 1 : items.length - 1;
+      break;
+    case 'Enter':
+      // Radio buttons check with Space only
+      e.preventDefault();
+      return;
+    default:
+      return;
+  }
+
+  e.preventDefault();
+  const next = items[nextIndex];
+  if (next) {
+    next.focus();
+    setRadioGroupValue(group, next.getAttribute('data-value'));
+  }
+}
+
+/**
+ * RadioGroup class for a more object-oriented approach
+ */
+class RadioGroup {
+  /**
+   * Create a new RadioGroup instance
+   * @param {Object} options - Radio group options (same as createRadioGroup)
+   */
+  constructor(options = {}) {
+    this.element = createRadioGroup(options);
+  }
+
+  /**
+   * Add a radio item, optionally with a label next to it
+   * @param {Object} options - Radio item options (same as createRadioGroupItem)
+   * @param {string} [options.label] - Label text shown next to the item
+   * @returns {RadioGroup} This radio group instance for chaining
+   */
+  addItem(options = {}) {
+    const { label, ...itemOptions } = options;
+    const item = createRadioGroupItem(itemOptions);
+
+    if (label) {
+      const row = document.createElement('div');
+      row.className = 'flex items-center space-x-2';
+      const itemLabel = new Label({ text: label });
+      itemLabel.associateWith(item);
+      row.appendChild(item);
+      itemLabel.appendTo(row);
+      this.element.appendChild(row);
+    } else {
+      this.element.appendChild(item);
+    }
+
+    updateRadioItems(this.element);
+    return this;
+  }
+
+  /**
+   * Check the item with a value
+   * @param {string} value - Value to check
+   * @returns {RadioGroup} This radio group instance for chaining
+   */
+  setValue(value) {
+    setRadioGroupValue(this.element, value);
+    return this;
+  }
+
+  /**
+   * Get the checked value
+   * @returns {string} The checked value, or '' if nothing is checked
+   */
+  getValue() {
+    return this.element._radioGroupState.value;
+  }
+
+  /**
+   * Enable/disable the whole group
+   * @param {boolean} disabled - Whether the group is disabled
+   * @returns {RadioGroup} This radio group instance for chaining
+   */
+  setDisabled(disabled) {
+    this.element._radioGroupState.disabled = disabled;
+    updateRadioItems(this.element);
+    return this;
+  }
+
+  /**
+   * Set required state
+   * @param {boolean} required - Whether a value is required
+   * @returns {RadioGroup} This radio group instance for chaining
+   */
+  setRequired(required) {
+    if (required) {
+      this.element.setAttribute('aria-required', 'true');
+    } else {
+      this.element.removeAttribute('aria-required');
+    }
+    return this;
+  }
+
+  /**
+   * Set error state
+   * @param {boolean} hasError - Whether there's an error
+   * @returns {RadioGroup} This radio group instance for chaining
+   */
+  setError(hasError) {
+    if (hasError) {
+      this.element.setAttribute('aria-invalid', 'true');
+    } else {
+      this.element.removeAttribute('aria-invalid');
+    }
+    updateRadioItems(this.element);
+    return this;
+  }
+
+  /**
+   * Add event listener for value changes
+   * @param {function} handler - Event handler, receives e.detail.value and e.detail.previousValue
+   */
+  onValueChange(handler) {
+    this.element.addEventListener('valuechange', handler);
+  }
+
+  /**
+   * Remove event listener for value changes
+   * @param {function} handler - Event handler
+   */
+  offValueChange(handler) {
+    this.element.removeEventListener('valuechange', handler);
+  }
+
+  /**
+   * Get the DOM element
+   * @returns {HTMLDivElement} The radio group element
+   */
+  getElement() {
+    return this.element;
+  }
+
+  /**
+   * Append to a parent element
+   * @param {HTMLElement} parent - Parent element
+   * @returns {RadioGroup} This radio group instance for chaining
+   */
+  appendTo(parent) {
+    parent.appendChild(this.element);
+    return this;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createRadioGroup,
+    createRadioGroupItem,
+    setRadioGroupValue,
+    RadioGroup
+  };
+} else if (typeof window !== 'undefined') {
+  window.shadcnRadioGroup = {
+    createRadioGroup,
+    createRadioGroupItem,
+    setRadioGroupValue,
+    RadioGroup
+  };
+}
+
+// Usage examples:
+/*
+// Radio group with labelled items
+const density = new RadioGroup({ value: 'comfortable', name: 'density' })
+  .addItem({ value: 'default', label: 'Default' })
+  .addItem({ value: 'comfortable', label: 'Comfortable' })
+  .addItem({ value: 'compact', label: 'Compact', disabled: true });
+
+const densityLabel = new Label({ text: 'Row density' });
+densityLabel.associateWith(density);
+
+density.onValueChange((e) => {
+  console.log('Density:', e.detail.value, 'was', e.detail.previousValue);
+});
+
+// Functional approach, horizontal
+const alignGroup = createRadioGroup({
+  orientation: 'horizontal',
+  onValueChange: (value) => setAlignment(value)
+});
+['left', 'center', 'right'].forEach(value => {
+  alignGroup.appendChild(createRadioGroupItem({ value, attributes: { 'aria-label': value } }));
+});
+*/
@@ -5,6 +5,7 @@
 
 // Import utilities (adjust path as needed)
 const { cn } = window.shadcnUtils || require('../../lib/utils.js');
+const { positionFloating, autoUpdate } = window.shadcnPositioning || require('../../lib/positioning.js');
 
 /**
  * Creates a select container element
@@ -45,7 +46,8 @@ function createSelect(options = {}) {
     options: new Map(),
     onValueChange: onValueChange,
     searchTerm: '',
-    searchTimeout: null
+    searchTimeout: null,
+    cleanup: null
   };
   
   // Add additional attributes
@@ -119,7 +121,7 @@ function createSelectTrigger(options = {}) {
  * Creates a select content container (dropdown list)
  * @param {Object} options - Select content configuration options
  * @param {string} [options.className] - Additional CSS classes
- * @param {number} [options.maxHeight=200] - Maximum height in pixels
+ * @param {number} [options.maxHeight=200] - Maximum height in pixels (less when the window has no room)
  * @param {Object} [options.attributes] - Additional HTML attributes
  * @returns {HTMLDivElement} The created select content element
  */
@@ -132,7 +134,7 @@ function createSelectContent(options = {}) {
 
   const content = document.createElement('div');
   content.className = cn(
-    "absolute top-full left-0 z-50 w-full min-w-[8rem] overflow-hidden rounded-md border bg-popover text-popover-foreground shadow-md data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
+    "z-50 min-w-[8rem] overflow-hidden rounded-md border bg-popover text-popover-foreground shadow-md data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
     className
   );
   
@@ -141,6 +143,7 @@ function createSelectContent(options = {}) {
   content.style.display = 'none';
   content.style.maxHeight = `${maxHeight}px`;
   content.style.overflowY = 'auto';
+  content.dataset.maxHeight = maxHeight;
   
   // Add additional attributes
   Object.entries(attributes).forEach(([key, value]) => {
@@ -294,6 +297,11 @@ function openSelect(selectRoot) {
     content.setAttribute('data-state', 'open');
     content.style.display = 'block';
     
+    // Open below the trigger, or above it when the window has more room there
+    const update = () => positionSelectContent(trigger, content);
+    update();
+    state.cleanup = autoUpdate(trigger, content, update);
+    
     // Focus first non-disabled item
     const firstItem = content.querySelector('[role="option"]:not([data-disabled])');
     if (firstItem) {
@@ -329,6 +337,11 @@ function closeSelect(selectRoot) {
     content.setAttribute('data-state', 'closed');
     content.style.display = 'none';
     
+    if (state.cleanup) {
+      state.cleanup();
+      state.cleanup = null;
+    }
+    
     // Focus trigger
     trigger.focus();
     
@@ -338,6 +351,24 @@ function closeSelect(selectRoot) {
   }
 }
 
+/**
+ * Position the dropdown against its trigger and fit its height to the room available
+ * @param {HTMLElement} trigger - The select trigger
+ * @param {HTMLElement} content - The select content
+ */
+function positionSelectContent(trigger, content) {
+  const options = { side: 'bottom', align: 'start', sideOffset: 4 };
+  content.style.minWidth = `${trigger.offsetWidth}px`;
+  content.style.maxHeight = `${content.dataset.maxHeight}px`;
+  
+  const { availableHeight } = positionFloating(trigger, content, options);
+  if (content.offsetHeight > availableHeight) {
+    // Shrink to the room on the chosen side, then place it again at its new height
+    content.style.maxHeight = `${availableHeight}px`;
+    positionFloating(trigger, content, options);
+  }
+}
+
 /**
  * Select a value
  * @param {HTMLElement} selectRoot - The select root element
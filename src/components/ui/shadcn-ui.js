@@ -108,6 +108,129 @@
     };
   }
 
+  // === POSITIONING ===
+
+  const OPPOSITE_SIDE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+  function computePosition(reference, floating, options = {}) {
+    const {
+      side = 'bottom', align = 'center', sideOffset = 4, alignOffset = 0,
+      flip = true, shift = true, collisionPadding = 8, arrow = null, arrowPadding = 8
+    } = options;
+
+    const ref = reference.getBoundingClientRect();
+    const size = { width: floating.offsetWidth, height: floating.offsetHeight };
+    const viewport = {
+      width: document.documentElement.clientWidth || window.innerWidth,
+      height: document.documentElement.clientHeight || window.innerHeight
+    };
+    const space = {
+      top: ref.top - sideOffset - collisionPadding,
+      bottom: viewport.height - ref.bottom - sideOffset - collisionPadding,
+      left: ref.left - sideOffset - collisionPadding,
+      right: viewport.width - ref.right - sideOffset - collisionPadding
+    };
+    const needed = s => (s === 'top' || s === 'bottom' ? size.height : size.width);
+
+    let placedSide = side;
+    if (flip && space[side] < needed(side) && space[OPPOSITE_SIDE[side]] > space[side]) {
+      placedSide = OPPOSITE_SIDE[side];
+    }
+
+    const vertical = placedSide === 'top' || placedSide === 'bottom';
+    let x;
+    let y;
+    if (placedSide === 'bottom') y = ref.bottom + sideOffset;
+    else if (placedSide === 'top') y = ref.top - sideOffset - size.height;
+    else if (placedSide === 'right') x = ref.right + sideOffset;
+    else x = ref.left - sideOffset - size.width;
+
+    const refStart = vertical ? ref.left : ref.top;
+    const refLength = vertical ? ref.width : ref.height;
+    const floatLength = vertical ? size.width : size.height;
+    let cross;
+    if (align === 'start') cross = refStart + alignOffset;
+    else if (align === 'end') cross = refStart + refLength - floatLength - alignOffset;
+    else cross = refStart + (refLength - floatLength) / 2 + alignOffset;
+
+    if (shift) {
+      const limit = (vertical ? viewport.width : viewport.height) - floatLength - collisionPadding;
+      cross = Math.max(collisionPadding, Math.min(cross, limit));
+    }
+    if (vertical) x = cross;
+    else y = cross;
+
+    let arrowX = null;
+    let arrowY = null;
+    if (arrow) {
+      const arrowLength = vertical ? arrow.offsetWidth : arrow.offsetHeight;
+      const center = refStart + refLength / 2 - cross - arrowLength / 2;
+      const offset = Math.max(arrowPadding, Math.min(center, floatLength - arrowLength - arrowPadding));
+      if (vertical) arrowX = offset;
+      else arrowY = offset;
+    }
+
+    return {
+      x: Math.round(x),
+      y: Math.round(y),
+      side: placedSide,
+      align,
+      arrowX,
+      arrowY,
+      availableWidth: Math.max(0, vertical ? viewport.width - collisionPadding * 2 : space[placedSide]),
+      availableHeight: Math.max(0, vertical ? space[placedSide] : viewport.height - collisionPadding * 2)
+    };
+  }
+
+  function positionFloating(reference, floating, options = {}) {
+    floating.style.position = 'fixed';
+    floating.style.left = '0px';
+    floating.style.top = '0px';
+
+    // Compensate for a transformed ancestor acting as the containing block
+    const origin = floating.getBoundingClientRect();
+    const position = computePosition(reference, floating, options);
+
+    floating.style.left = `${position.x - origin.left}px`;
+    floating.style.top = `${position.y - origin.top}px`;
+    floating.setAttribute('data-side', position.side);
+    floating.setAttribute('data-align', position.align);
+
+    if (options.arrow) {
+      const arrow = options.arrow;
+      const half = `${-Math.round((position.side === 'top' || position.side === 'bottom' ? arrow.offsetHeight : arrow.offsetWidth) / 2)}px`;
+      arrow.style.position = 'absolute';
+      arrow.style.left = position.arrowX !== null ? `${position.arrowX}px` : '';
+      arrow.style.top = position.arrowY !== null ? `${position.arrowY}px` : '';
+      arrow.style.right = '';
+      arrow.style.bottom = '';
+      arrow.style[OPPOSITE_SIDE[position.side]] = half;
+      arrow.setAttribute('data-side', position.side);
+    }
+
+    return position;
+  }
+
+  function autoUpdate(reference, floating, update) {
+    let frame = null;
+    const schedule = () => {
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        update();
+      });
+    };
+
+    window.addEventListener('scroll', schedule, true);
+    window.addEventListener('resize', schedule);
+
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      window.removeEventListener('scroll', schedule, true);
+      window.removeEventListener('resize', schedule);
+    };
+  }
+
   // === BUTTON COMPONENT ===
   
   const buttonVariants = cva(
@@ -580,7 +703,8 @@
       placeholder: placeholder,
       disabled: disabled,
       isOpen: false,
-      options: new Map()
+      options: new Map(),
+      cleanup: null
     };
     
     return select;
@@ -627,7 +751,7 @@
     const { className = '', maxHeight = 200 } = options;
     const content = document.createElement('div');
     content.className = cn(
-      "absolute top-full left-0 z-50 w-full min-w-[8rem] overflow-hidden rounded-md border bg-popover text-popover-foreground shadow-md",
+      "z-50 min-w-[8rem] overflow-hidden rounded-md border bg-popover text-popover-foreground shadow-md data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=top]:slide-in-from-bottom-2",
       className
     );
     
@@ -636,6 +760,7 @@
     content.style.display = 'none';
     content.style.maxHeight = `${maxHeight}px`;
     content.style.overflowY = 'auto';
+    content.dataset.maxHeight = maxHeight;
     
     return content;
   }
@@ -700,6 +825,22 @@
       trigger.setAttribute('aria-expanded', 'true');
       content.setAttribute('data-state', 'open');
       content.style.display = 'block';
+      
+      const update = () => positionSelectContent(trigger, content);
+      update();
+      state.cleanup = autoUpdate(trigger, content, update);
+    }
+  }
+
+  function positionSelectContent(trigger, content) {
+    const options = { side: 'bottom', align: 'start', sideOffset: 4 };
+    content.style.minWidth = `${trigger.offsetWidth}px`;
+    content.style.maxHeight = `${content.dataset.maxHeight}px`;
+    
+    const { availableHeight } = positionFloating(trigger, content, options);
+    if (content.offsetHeight > availableHeight) {
+      content.style.maxHeight = `${availableHeight}px`;
+      positionFloating(trigger, content, options);
     }
   }
 
@@ -717,6 +858,11 @@
       content.setAttribute('data-state', 'closed');
       content.style.display = 'none';
     }
+    
+    if (state.cleanup) {
+      state.cleanup();
+      state.cleanup = null;
+    }
   }
 
   function selectValue(selectRoot, value) {
@@ -819,55 +965,2679 @@
     }
   }
 
-  // === MAIN EXPORT ===
-  
-  const ShadcnUI = {
-    // Utilities
-    cn,
-    clsx,
-    twMerge,
-    cva,
-    
-    // Components
-    createButton,
-    Button,
-    buttonVariants,
-    
-    createCard,
-    createCardHeader,
-    createCardTitle,
-    createCardContent,
-    
-    createInput,
-    
-    createBadge,
-    badgeVariants,
-    
-    createSeparator,
-    
-    createAlert,
-    alertVariants,
-    
-    createLabel,
-    
-    // Tabs
-    createTabs,
-    createTabsList,
-    createTabsTrigger,
-    createTabsContent,
-    setActiveTab,
-    Tabs,
-    
-    // Select
-    createSelect,
-    createSelectTrigger,
-    createSelectContent,
-    createSelectItem,
-    selectValue,
-    openSelect,
-    closeSelect,
-    toggleSelect,
-    Select,
+  // === DIALOG COMPONENT ===
+
+  const DIALOG_ANIMATION_DURATION = 200;
+  const FOCUSABLE_SELECTOR = 'a[href],button:not([disabled]),input:not([disabled]),select:not([disabled]),textarea:not([disabled]),[tabindex]:not([tabindex="-1"])';
+  const openDialogs = [];
+  let dialogIdCounter = 0;
+  let bodyOverflow = '';
+
+  function createDialog(options = {}) {
+    const {
+      title = '', description = '', content = null, footer = null, role = 'dialog',
+      showCloseButton = true, closeOnEscape = true, closeOnOverlayClick = true,
+      className = '', overlayClassName = '', onOpenChange = null
+    } = options;
+    const id = `dialog-${++dialogIdCounter}`;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog-root';
+
+    const overlay = document.createElement('div');
+    overlay.className = cn(
+      "dialog-overlay fixed inset-0 z-50 bg-black/80 data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0",
+      overlayClassName
+    );
+    overlay.setAttribute('data-state', 'closed');
+    overlay.setAttribute('aria-hidden', 'true');
+
+    const panel = document.createElement('div');
+    panel.id = id;
+    panel.className = cn(
+      "dialog-content fixed left-[50%] top-[50%] z-50 grid w-full max-w-lg translate-x-[-50%] translate-y-[-50%] gap-4 border bg-background p-6 shadow-lg duration-200 data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[state=closed]:slide-out-to-left-1/2 data-[state=closed]:slide-out-to-top-[48%] data-[state=open]:slide-in-from-left-1/2 data-[state=open]:slide-in-from-top-[48%] sm:rounded-lg",
+      className
+    );
+    panel.setAttribute('role', role);
+    panel.setAttribute('aria-modal', 'true');
+    panel.setAttribute('data-state', 'closed');
+    panel.tabIndex = -1;
+
+    dialog._dialogState = {
+      isOpen: false,
+      closeOnEscape: closeOnEscape,
+      closeOnOverlayClick: closeOnOverlayClick,
+      onOpenChange: onOpenChange,
+      previousFocus: null,
+      promise: null,
+      resolve: null,
+      removeTimeout: null
+    };
+
+    if (title || description) {
+      const header = createDialogHeader();
+      if (title) {
+        header.appendChild(createDialogTitle({ text: title, id: `${id}-title` }));
+        panel.setAttribute('aria-labelledby', `${id}-title`);
+      }
+      if (description) {
+        header.appendChild(createDialogDescription({ text: description, id: `${id}-description` }));
+        panel.setAttribute('aria-describedby', `${id}-description`);
+      }
+      panel.appendChild(header);
+    }
+
+    if (content) {
+      if (typeof content === 'string') {
+        const body = document.createElement('div');
+        body.className = 'text-sm';
+        body.innerHTML = content;
+        panel.appendChild(body);
+      } else if (content instanceof HTMLElement) {
+        panel.appendChild(content);
+      }
+    }
+
+    if (footer) {
+      const footerEl = createDialogFooter();
+      (Array.isArray(footer) ? footer : [footer]).forEach(child => footerEl.appendChild(child));
+      panel.appendChild(footerEl);
+    }
+
+    if (showCloseButton) {
+      const closeButton = document.createElement('button');
+      closeButton.type = 'button';
+      closeButton.className = "dialog-close absolute right-4 top-4 rounded-sm opacity-70 ring-offset-background transition-opacity hover:opacity-100 focus:outline-none focus:ring-2 focus:ring-ring focus:ring-offset-2 disabled:pointer-events-none";
+      closeButton.setAttribute('aria-label', 'Close');
+      closeButton.innerHTML = '<svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M18 6 6 18M6 6l12 12"/></svg>';
+      closeButton.addEventListener('click', () => closeDialog(dialog));
+      panel.appendChild(closeButton);
+    }
+
+    overlay.addEventListener('click', () => {
+      if (dialog._dialogState.closeOnOverlayClick) closeDialog(dialog);
+    });
+    dialog.addEventListener('keydown', (e) => handleDialogKeydown(dialog, e));
+
+    dialog.appendChild(overlay);
+    dialog.appendChild(panel);
+    return dialog;
+  }
+
+  function createDialogHeader(options = {}) {
+    const { className = '' } = options;
+    const header = document.createElement('div');
+    header.className = cn('flex flex-col space-y-1.5 text-center sm:text-left', className);
+    return header;
+  }
+
+  function createDialogTitle(options = {}) {
+    const { text = '', id = '', className = '' } = options;
+    const title = document.createElement('h2');
+    title.className = cn('text-lg font-semibold leading-none tracking-tight', className);
+    title.textContent = text;
+    if (id) title.id = id;
+    return title;
+  }
+
+  function createDialogDescription(options = {}) {
+    const { text = '', id = '', className = '' } = options;
+    const description = document.createElement('p');
+    description.className = cn('text-sm text-muted-foreground', className);
+    description.textContent = text;
+    if (id) description.id = id;
+    return description;
+  }
+
+  function createDialogFooter(options = {}) {
+    const { className = '' } = options;
+    const footer = document.createElement('div');
+    footer.className = cn('dialog-footer flex flex-col-reverse sm:flex-row sm:justify-end sm:space-x-2', className);
+    return footer;
+  }
+
+  function createAlertDialog(options = {}) {
+    const {
+      title = '', description = '', actionText = 'Continue', cancelText = 'Cancel',
+      destructive = false, onAction = null, onCancel = null, className = ''
+    } = options;
+
+    const cancelButton = createButton({ variant: 'outline', text: cancelText, className: 'mt-2 sm:mt-0' });
+    cancelButton.setAttribute('data-dialog-cancel', '');
+    const actionButton = createButton({ variant: destructive ? 'destructive' : 'default', text: actionText });
+    actionButton.setAttribute('data-dialog-action', '');
+
+    const dialog = createDialog({
+      title, description, className,
+      footer: [cancelButton, actionButton],
+      role: 'alertdialog',
+      showCloseButton: false,
+      closeOnOverlayClick: false
+    });
+
+    cancelButton.addEventListener('click', () => {
+      if (onCancel) onCancel();
+      closeDialog(dialog, false);
+    });
+    actionButton.addEventListener('click', () => {
+      if (onAction) onAction();
+      closeDialog(dialog, true);
+    });
+
+    return dialog;
+  }
+
+  function openDialog(dialog, container = document.body) {
+    if (!dialog || !dialog._dialogState) return Promise.resolve();
+    const state = dialog._dialogState;
+    if (state.isOpen) return state.promise;
+
+    state.isOpen = true;
+    state.previousFocus = document.activeElement;
+    state.promise = new Promise(resolve => { state.resolve = resolve; });
+
+    clearTimeout(state.removeTimeout);
+    if (!dialog.parentNode) container.appendChild(dialog);
+    dialog.querySelectorAll('.dialog-overlay, .dialog-content').forEach(el => el.setAttribute('data-state', 'open'));
+
+    if (openDialogs.length === 0) {
+      bodyOverflow = document.body.style.overflow;
+      document.body.style.overflow = 'hidden';
+      document.addEventListener('focusin', handleDocumentFocusIn);
+    }
+    openDialogs.push(dialog);
+
+    const panel = dialog.querySelector('.dialog-content');
+    (panel.querySelector('[data-dialog-cancel]') || getFocusableElements(panel)[0] || panel).focus();
+
+    if (state.onOpenChange) state.onOpenChange(true);
+    dialog.dispatchEvent(new CustomEvent('openchange', { detail: { open: true } }));
+    return state.promise;
+  }
+
+  function closeDialog(dialog, result) {
+    if (!dialog || !dialog._dialogState) return;
+    const state = dialog._dialogState;
+    if (!state.isOpen) return;
+
+    state.isOpen = false;
+    dialog.querySelectorAll('.dialog-overlay, .dialog-content').forEach(el => el.setAttribute('data-state', 'closed'));
+    state.removeTimeout = setTimeout(() => dialog.remove(), DIALOG_ANIMATION_DURATION);
+
+    const index = openDialogs.indexOf(dialog);
+    if (index !== -1) openDialogs.splice(index, 1);
+    if (openDialogs.length === 0) {
+      document.body.style.overflow = bodyOverflow;
+      document.removeEventListener('focusin', handleDocumentFocusIn);
+    }
+
+    if (state.previousFocus && typeof state.previousFocus.focus === 'function') state.previousFocus.focus();
+    state.previousFocus = null;
+
+    if (state.onOpenChange) state.onOpenChange(false);
+    dialog.dispatchEvent(new CustomEvent('openchange', { detail: { open: false } }));
+    state.resolve(result);
+  }
+
+  function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(el => !el.hidden);
+  }
+
+  function handleDialogKeydown(dialog, e) {
+    if (openDialogs[openDialogs.length - 1] !== dialog) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      if (dialog._dialogState.closeOnEscape) closeDialog(dialog);
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const panel = dialog.querySelector('.dialog-content');
+    const focusable = getFocusableElements(panel);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      panel.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || active === panel)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  function handleDocumentFocusIn(e) {
+    const dialog = openDialogs[openDialogs.length - 1];
+    if (!dialog) return;
+    const panel = dialog.querySelector('.dialog-content');
+    if (!panel.contains(e.target)) (getFocusableElements(panel)[0] || panel).focus();
+  }
+
+  function confirmDialog(options = {}) {
+    const { confirmText, ...alertOptions } = options;
+    if (confirmText) alertOptions.actionText = confirmText;
+    return openDialog(createAlertDialog(alertOptions)).then(result => result === true);
+  }
+
+  class Dialog {
+    constructor(options = {}) {
+      this.element = this.createElement(options);
+    }
+
+    createElement(options) {
+      return createDialog(options);
+    }
+
+    addContent(content) {
+      const panel = this.element.querySelector('.dialog-content');
+      let node = content;
+      if (typeof content === 'string') {
+        node = document.createElement('div');
+        node.className = 'text-sm';
+        node.innerHTML = content;
+      }
+      panel.insertBefore(node, panel.querySelector('.dialog-footer') || panel.querySelector('.dialog-close'));
+      return this;
+    }
+
+    addFooterButton(options = {}) {
+      const { result, ...buttonOptions } = options;
+      const panel = this.element.querySelector('.dialog-content');
+      let footer = panel.querySelector('.dialog-footer');
+      if (!footer) {
+        footer = createDialogFooter();
+        panel.insertBefore(footer, panel.querySelector('.dialog-close'));
+      }
+      const button = createButton(buttonOptions);
+      if (result !== undefined) button.addEventListener('click', () => this.close(result));
+      footer.appendChild(button);
+      return this;
+    }
+
+    open(container) {
+      return openDialog(this.element, container);
+    }
+
+    close(result) {
+      closeDialog(this.element, result);
+    }
+
+    isOpen() {
+      return this.element._dialogState.isOpen;
+    }
+
+    onOpenChange(handler) {
+      this.element.addEventListener('openchange', handler);
+    }
+
+    getElement() {
+      return this.element;
+    }
+  }
+
+  class AlertDialog extends Dialog {
+    createElement(options) {
+      return createAlertDialog(options);
+    }
+
+    open(container) {
+      return super.open(container).then(result => result === true);
+    }
+  }
+
+  // === TOOLTIP COMPONENT ===
+
+  const TOOLTIP_SKIP_DELAY = 300;
+  const TOOLTIP_EXIT_DURATION = 150;
+  let tooltipIdCounter = 0;
+  let lastTooltipHiddenAt = 0;
+
+  function createTooltip(options = {}) {
+    const {
+      trigger, text = '', content = null, side = 'top', align = 'center', sideOffset = 4,
+      delayDuration = 700, showArrow = false, className = ''
+    } = options;
+    if (!trigger) throw new Error('Tooltip must have a trigger element');
+
+    const tooltip = document.createElement('div');
+    tooltip.id = `tooltip-${++tooltipIdCounter}`;
+    tooltip.className = cn(
+      "tooltip-content z-50 rounded-md border bg-popover px-3 py-1.5 text-sm text-popover-foreground shadow-md animate-in fade-in-0 zoom-in-95 data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=closed]:zoom-out-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
+      className
+    );
+    tooltip.setAttribute('role', 'tooltip');
+    tooltip.setAttribute('data-state', 'closed');
+
+    if (content) {
+      if (typeof content === 'string') tooltip.innerHTML = content;
+      else if (content instanceof HTMLElement) tooltip.appendChild(content);
+    } else if (text) {
+      tooltip.textContent = text;
+    }
+
+    const arrow = showArrow ? createFloatingArrow() : null;
+    if (arrow) tooltip.appendChild(arrow);
+
+    tooltip._tooltipState = {
+      trigger, isOpen: false, side, align, sideOffset, delayDuration, arrow,
+      showTimeout: null, removeTimeout: null, cleanup: null
+    };
+
+    trigger.addEventListener('mouseenter', () => {
+      const state = tooltip._tooltipState;
+      clearTimeout(state.showTimeout);
+      const delay = Date.now() - lastTooltipHiddenAt < TOOLTIP_SKIP_DELAY ? 0 : state.delayDuration;
+      state.showTimeout = setTimeout(() => showTooltip(tooltip), delay);
+    });
+    trigger.addEventListener('mouseleave', () => hideTooltip(tooltip));
+    trigger.addEventListener('focus', () => showTooltip(tooltip));
+    trigger.addEventListener('blur', () => hideTooltip(tooltip));
+    trigger.addEventListener('pointerdown', () => hideTooltip(tooltip));
+    trigger.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && tooltip._tooltipState.isOpen) hideTooltip(tooltip);
+    });
+
+    return tooltip;
+  }
+
+  function createFloatingArrow(options = {}) {
+    const { className = '' } = options;
+    const arrow = document.createElement('div');
+    arrow.className = cn(
+      "floating-arrow h-2 w-2 rotate-45 bg-popover data-[side=bottom]:border-l data-[side=bottom]:border-t data-[side=top]:border-b data-[side=top]:border-r data-[side=left]:border-r data-[side=left]:border-t data-[side=right]:border-b data-[side=right]:border-l",
+      className
+    );
+    arrow.setAttribute('aria-hidden', 'true');
+    return arrow;
+  }
+
+  function showTooltip(tooltip) {
+    if (!tooltip || !tooltip._tooltipState) return;
+    const state = tooltip._tooltipState;
+    clearTimeout(state.showTimeout);
+    if (state.isOpen) return;
+
+    state.isOpen = true;
+    clearTimeout(state.removeTimeout);
+    document.body.appendChild(tooltip);
+    tooltip.setAttribute('data-state', 'open');
+    setDescribedBy(state.trigger, tooltip.id, true);
+
+    const update = () => positionFloating(state.trigger, tooltip, {
+      side: state.side, align: state.align, sideOffset: state.sideOffset, arrow: state.arrow
+    });
+    update();
+    state.cleanup = autoUpdate(state.trigger, tooltip, update);
+  }
+
+  function hideTooltip(tooltip) {
+    if (!tooltip || !tooltip._tooltipState) return;
+    const state = tooltip._tooltipState;
+    clearTimeout(state.showTimeout);
+    if (!state.isOpen) return;
+
+    state.isOpen = false;
+    lastTooltipHiddenAt = Date.now();
+    if (state.cleanup) state.cleanup();
+    state.cleanup = null;
+    setDescribedBy(state.trigger, tooltip.id, false);
+    tooltip.setAttribute('data-state', 'closed');
+    state.removeTimeout = setTimeout(() => tooltip.remove(), TOOLTIP_EXIT_DURATION);
+  }
+
+  // Keeps the descriptions the trigger already had (e.g. a field's error message)
+  function setDescribedBy(element, id, described) {
+    const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+    if (described) {
+      ids.push(id);
+    }
+    if (ids.length > 0) {
+      element.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+      element.removeAttribute('aria-describedby');
+    }
+  }
+
+  class Tooltip {
+    constructor(options = {}) {
+      this.element = createTooltip(options);
+    }
+
+    setText(text) {
+      const arrow = this.element._tooltipState.arrow;
+      this.element.textContent = text;
+      if (arrow) this.element.appendChild(arrow);
+      return this;
+    }
+
+    show() {
+      showTooltip(this.element);
+      return this;
+    }
+
+    hide() {
+      hideTooltip(this.element);
+      return this;
+    }
+
+    isOpen() {
+      return this.element._tooltipState.isOpen;
+    }
+
+    getElement() {
+      return this.element;
+    }
+  }
+
+  // === POPOVER COMPONENT ===
+
+  const POPOVER_EXIT_DURATION = 150;
+  let popoverIdCounter = 0;
+
+  function createPopover(options = {}) {
+    const {
+      trigger, content = null, side = 'bottom', align = 'center', sideOffset = 4,
+      showArrow = false, className = '', onOpenChange = null
+    } = options;
+    if (!trigger) throw new Error('Popover must have a trigger element');
+
+    const popover = document.createElement('div');
+    popover.id = `popover-${++popoverIdCounter}`;
+    popover.className = cn(
+      "popover-content z-50 w-72 rounded-md border bg-popover p-4 text-popover-foreground shadow-md outline-none data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
+      className
+    );
+    popover.setAttribute('role', 'dialog');
+    popover.setAttribute('data-state', 'closed');
+    popover.tabIndex = -1;
+
+    if (content) {
+      if (typeof content === 'string') popover.innerHTML = content;
+      else if (content instanceof HTMLElement) popover.appendChild(content);
+    }
+
+    const arrow = showArrow ? createFloatingArrow() : null;
+    if (arrow) popover.appendChild(arrow);
+
+    trigger.setAttribute('aria-haspopup', 'dialog');
+    trigger.setAttribute('aria-expanded', 'false');
+    trigger.setAttribute('aria-controls', popover.id);
+
+    popover._popoverState = {
+      trigger, isOpen: false, side, align, sideOffset, arrow, onOpenChange,
+      removeTimeout: null,
+      cleanup: null,
+      handleOutsidePointer: (e) => {
+        if (!popover.contains(e.target) && !trigger.contains(e.target)) closePopover(popover);
+      }
+    };
+
+    trigger.addEventListener('click', (e) => {
+      e.preventDefault();
+      togglePopover(popover);
+    });
+    popover.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        closePopover(popover);
+      }
+    });
+
+    return popover;
+  }
+
+  function togglePopover(popover) {
+    if (!popover || !popover._popoverState) return;
+    if (popover._popoverState.isOpen) closePopover(popover);
+    else openPopover(popover);
+  }
+
+  function openPopover(popover) {
+    if (!popover || !popover._popoverState) return;
+    const state = popover._popoverState;
+    if (state.isOpen) return;
+
+    state.isOpen = true;
+    clearTimeout(state.removeTimeout);
+    document.body.appendChild(popover);
+    popover.setAttribute('data-state', 'open');
+    state.trigger.setAttribute('aria-expanded', 'true');
+
+    const update = () => positionFloating(state.trigger, popover, {
+      side: state.side, align: state.align, sideOffset: state.sideOffset, arrow: state.arrow
+    });
+    update();
+    state.cleanup = autoUpdate(state.trigger, popover, update);
+
+    (popover.querySelector(FOCUSABLE_SELECTOR) || popover).focus();
+    document.addEventListener('pointerdown', state.handleOutsidePointer, true);
+
+    if (state.onOpenChange) state.onOpenChange(true);
+    popover.dispatchEvent(new CustomEvent('openchange', { detail: { open: true } }));
+  }
+
+  function closePopover(popover) {
+    if (!popover || !popover._popoverState) return;
+    const state = popover._popoverState;
+    if (!state.isOpen) return;
+
+    state.isOpen = false;
+    if (state.cleanup) state.cleanup();
+    state.cleanup = null;
+    document.removeEventListener('pointerdown', state.handleOutsidePointer, true);
+
+    const active = document.activeElement;
+    if (!active || active === document.body || popover.contains(active)) state.trigger.focus();
+
+    state.trigger.setAttribute('aria-expanded', 'false');
+    popover.setAttribute('data-state', 'closed');
+    state.removeTimeout = setTimeout(() => popover.remove(), POPOVER_EXIT_DURATION);
+
+    if (state.onOpenChange) state.onOpenChange(false);
+    popover.dispatchEvent(new CustomEvent('openchange', { detail: { open: false } }));
+  }
+
+  class Popover {
+    constructor(options = {}) {
+      this.element = createPopover(options);
+    }
+
+    addContent(content) {
+      const arrow = this.element._popoverState.arrow;
+      if (typeof content === 'string') {
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = content;
+        this.element.insertBefore(wrapper, arrow);
+      } else if (content instanceof HTMLElement) {
+        this.element.insertBefore(content, arrow);
+      }
+      return this;
+    }
+
+    open() {
+      openPopover(this.element);
+      return this;
+    }
+
+    close() {
+      closePopover(this.element);
+      return this;
+    }
+
+    toggle() {
+      togglePopover(this.element);
+      return this;
+    }
+
+    isOpen() {
+      return this.element._popoverState.isOpen;
+    }
+
+    onOpenChange(handler) {
+      this.element.addEventListener('openchange', handler);
+    }
+
+    getElement() {
+      return this.element;
+    }
+  }
+
+  // === DROPDOWN MENU COMPONENT ===
+
+  // Long enough for the exit animation
+  const MENU_EXIT_DURATION = 150;
+  const MENU_TYPEAHEAD_TIMEOUT = 1000;
+
+  const MENU_ITEM_SELECTOR = '[role="menuitem"],[role="menuitemcheckbox"],[role="menuitemradio"]';
+
+  const menuContentClasses = "z-50 min-w-[8rem] overflow-hidden rounded-md border bg-popover p-1 text-popover-foreground shadow-md outline-none data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2";
+  const menuItemClasses = "relative flex cursor-default select-none items-center gap-2 rounded-sm px-2 py-1.5 text-sm outline-none transition-colors focus:bg-accent focus:text-accent-foreground data-[disabled]:pointer-events-none data-[disabled]:opacity-50";
+  const menuIndicatorItemClasses = "relative flex cursor-default select-none items-center rounded-sm py-1.5 pl-8 pr-2 text-sm outline-none transition-colors focus:bg-accent focus:text-accent-foreground data-[disabled]:pointer-events-none data-[disabled]:opacity-50";
+
+  // Only one menu (with its submenus) is open at a time
+  let openRootMenu = null;
+  let menuIdCounter = 0;
+
+  function createMenuContent(options = {}) {
+    const {
+      className = '',
+      onOpenChange = null,
+      attributes = {}
+    } = options;
+
+    const menu = document.createElement('div');
+    menu.id = `menu-${++menuIdCounter}`;
+    menu.className = cn(menuContentClasses, className);
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-orientation', 'vertical');
+    menu.setAttribute('data-state', 'closed');
+    menu.tabIndex = -1;
+
+    // Store menu state
+    menu._menuState = {
+      isOpen: false,
+      trigger: null,
+      parentMenu: null,
+      openSubmenu: null,
+      onOpenChange: onOpenChange,
+      returnFocus: null,
+      cleanup: null,
+      removeTimeout: null,
+      searchTerm: '',
+      searchTimeout: null
+    };
+
+    menu.addEventListener('keydown', (e) => handleMenuKeydown(menu, e));
+
+    // Add additional attributes
+    Object.entries(attributes).forEach(([key, value]) => {
+      menu.setAttribute(key, value);
+    });
+
+    return menu;
+  }
+
+  function createMenuItem(options = {}) {
+    const {
+      text = '',
+      icon = null,
+      shortcut = '',
+      inset = false,
+      disabled = false,
+      onSelect = null,
+      className = '',
+      attributes = {}
+    } = options;
+
+    const item = document.createElement('div');
+    item.className = cn(menuItemClasses, inset && 'pl-8', className);
+    item.setAttribute('role', 'menuitem');
+    item.tabIndex = -1;
+
+    if (icon) {
+      const iconEl = document.createElement('span');
+      iconEl.className = 'flex h-4 w-4 shrink-0 items-center justify-center';
+      if (typeof icon === 'string') {
+        iconEl.innerHTML = icon;
+      } else if (icon instanceof HTMLElement) {
+        iconEl.appendChild(icon);
+      }
+      item.appendChild(iconEl);
+    }
+
+    item.appendChild(createMenuItemText(text));
+    if (shortcut) {
+      item.appendChild(createMenuShortcut({ text: shortcut }));
+    }
+
+    setupMenuItem(item, { disabled, onSelect });
+
+    // Add additional attributes
+    Object.entries(attributes).forEach(([key, value]) => {
+      item.setAttribute(key, value);
+    });
+
+    return item;
+  }
+
+  function createMenuCheckboxItem(options = {}) {
+    const {
+      text = '',
+      checked = false,
+      shortcut = '',
+      disabled = false,
+      onCheckedChange = null,
+      className = '',
+      attributes = {}
+    } = options;
+
+    const item = document.createElement('div');
+    item.className = cn(menuIndicatorItemClasses, className);
+    item.setAttribute('role', 'menuitemcheckbox');
+    item.tabIndex = -1;
+
+    item.appendChild(createMenuIndicator('<svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="m5 12 5 5L20 7"/></svg>'));
+    item.appendChild(createMenuItemText(text));
+    if (shortcut) {
+      item.appendChild(createMenuShortcut({ text: shortcut }));
+    }
+
+    setMenuItemChecked(item, checked);
+    setupMenuItem(item, {
+      disabled,
+      onSelect: () => {
+        const next = item.getAttribute('aria-checked') !== 'true';
+        setMenuItemChecked(item, next);
+        if (onCheckedChange) onCheckedChange(next);
+      }
+    });
+
+    // Add additional attributes
+    Object.entries(attributes).forEach(([key, value]) => {
+      item.setAttribute(key, value);
+    });
+
+    return item;
+  }
+
+  function createMenuRadioGroup(options = {}) {
+    const {
+      value = '',
+      onValueChange = null,
+      className = '',
+      attributes = {}
+    } = options;
+
+    const group = document.createElement('div');
+    if (className) group.className = className;
+    group.setAttribute('role', 'group');
+
+    // Store radio group state
+    group._radioGroupState = {
+      value: value,
+      onValueChange: onValueChange
+    };
+
+    // Add additional attributes
+    Object.entries(attributes).forEach(([key, value]) => {
+      group.setAttribute(key, value);
+    });
+
+    return group;
+  }
+
+  function createMenuRadioItem(options = {}) {
+    const {
+      value,
+      text = '',
+      shortcut = '',
+      disabled = false,
+      className = '',
+      attributes = {}
+    } = options;
+
+    if (value === undefined) {
+      throw new Error('Menu radio item must have a value');
+    }
+
+    const item = document.createElement('div');
+    item.className = cn(menuIndicatorItemClasses, className);
+    item.setAttribute('role', 'menuitemradio');
+    item.setAttribute('data-value', value);
+    item.setAttribute('aria-checked', 'false');
+    item.tabIndex = -1;
+
+    item.appendChild(createMenuIndicator('<svg class="h-2 w-2" viewBox="0 0 8 8"><circle cx="4" cy="4" r="4" fill="currentColor"/></svg>'));
+    item.appendChild(createMenuItemText(text));
+    if (shortcut) {
+      item.appendChild(createMenuShortcut({ text: shortcut }));
+    }
+
+    setupMenuItem(item, {
+      disabled,
+      onSelect: () => {
+        const group = item.closest('[role="group"]');
+        if (group) setMenuRadioValue(group, value);
+      }
+    });
+
+    // The group may not exist yet; pick up its value once the item is attached
+    item._syncChecked = () => {
+      const group = item.closest('[role="group"]');
+      const checked = !!group && group._radioGroupState && group._radioGroupState.value === value;
+      setMenuItemChecked(item, checked);
+    };
+
+    // Add additional attributes
+    Object.entries(attributes).forEach(([key, value]) => {
+      item.setAttribute(key, value);
+    });
+
+    return item;
+  }
+
+  function createMenuLabel(options = {}) {
+    const {
+      text = '',
+      inset = false,
+      className = ''
+    } = options;
+
+    const label = document.createElement('div');
+    label.className = cn('px-2 py-1.5 text-sm font-semibold', inset && 'pl-8', className);
+    label.textContent = text;
+
+    return label;
+  }
+
+  function createMenuSeparator(options = {}) {
+    const { className = '' } = options;
+
+    const separator = document.createElement('div');
+    separator.className = cn('-mx-1 my-1 h-px bg-muted', className);
+    separator.setAttribute('role', 'separator');
+
+    return separator;
+  }
+
+  function createMenuShortcut(options = {}) {
+    const {
+      text = '',
+      className = ''
+    } = options;
+
+    const shortcut = document.createElement('span');
+    shortcut.className = cn('ml-auto text-xs tracking-widest opacity-60', className);
+    shortcut.textContent = text;
+
+    return shortcut;
+  }
+
+  function createMenuSub(options = {}) {
+    const {
+      text = '',
+      content = null,
+      inset = false,
+      disabled = false,
+      className = ''
+    } = options;
+
+    const submenu = content || createMenuContent({ className: 'shadow-lg' });
+
+    const trigger = document.createElement('div');
+    trigger.className = cn(menuItemClasses, 'data-[state=open]:bg-accent', inset && 'pl-8', className);
+    trigger.setAttribute('role', 'menuitem');
+    trigger.setAttribute('aria-haspopup', 'menu');
+    trigger.setAttribute('aria-expanded', 'false');
+    trigger.setAttribute('aria-controls', submenu.id);
+    trigger.setAttribute('data-state', 'closed');
+    trigger.tabIndex = -1;
+    trigger._subMenu = submenu;
+
+    trigger.appendChild(createMenuItemText(text));
+    const chevron = document.createElement('span');
+    chevron.className = 'ml-auto';
+    chevron.innerHTML = '<svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="m9 18 6-6-6-6"/></svg>';
+    trigger.appendChild(chevron);
+
+    setupMenuItem(trigger, { disabled });
+    trigger.addEventListener('mouseenter', () => {
+      if (!trigger.hasAttribute('data-disabled')) {
+        openSubmenu(trigger, { focus: null });
+      }
+    });
+
+    return trigger;
+  }
+
+  function createMenuItemText(text) {
+    const span = document.createElement('span');
+    span.className = 'menu-item-text';
+    span.textContent = text;
+    return span;
+  }
+
+  function createMenuIndicator(svg) {
+    const indicator = document.createElement('span');
+    indicator.className = 'menu-item-indicator absolute left-2 flex h-3.5 w-3.5 items-center justify-center opacity-0';
+    indicator.innerHTML = svg;
+    return indicator;
+  }
+
+  function setupMenuItem(item, { disabled, onSelect }) {
+    if (disabled) {
+      item.setAttribute('data-disabled', '');
+      item.setAttribute('aria-disabled', 'true');
+    }
+
+    if (onSelect) {
+      item.addEventListener('menuselect', onSelect);
+    }
+
+    item.addEventListener('click', () => {
+      if (item.hasAttribute('data-disabled')) return;
+
+      // Submenu triggers open their submenu instead of being selected
+      if (item._subMenu) {
+        openSubmenu(item, { focus: 'first' });
+        return;
+      }
+
+      const event = new CustomEvent('menuselect', { bubbles: true, cancelable: true });
+      item.dispatchEvent(event);
+      if (!event.defaultPrevented) {
+        closeMenuTree(item.closest('[role="menu"]'));
+      }
+    });
+
+    item.addEventListener('mouseenter', () => {
+      if (item.hasAttribute('data-disabled')) return;
+      item.focus();
+
+      // Pointing at another item closes the sibling submenu
+      const menu = item.closest('[role="menu"]');
+      const openSub = menu && menu._menuState.openSubmenu;
+      if (openSub && openSub._menuState.trigger !== item) {
+        closeMenu(openSub, { returnFocus: false });
+      }
+    });
+  }
+
+  function setMenuItemChecked(item, checked) {
+    item.setAttribute('aria-checked', checked.toString());
+    item.setAttribute('data-state', checked ? 'checked' : 'unchecked');
+    const indicator = item.querySelector('.menu-item-indicator');
+    if (indicator) {
+      indicator.style.opacity = checked ? '1' : '0';
+    }
+  }
+
+  function setMenuRadioValue(group, value) {
+    if (!group || !group._radioGroupState) return;
+
+    const state = group._radioGroupState;
+    const previousValue = state.value;
+    state.value = value;
+
+    group.querySelectorAll('[role="menuitemradio"]').forEach(item => {
+      setMenuItemChecked(item, item.getAttribute('data-value') === value);
+    });
+
+    if (value !== previousValue && state.onValueChange) {
+      state.onValueChange(value, previousValue);
+    }
+  }
+
+  function getMenuItems(menu) {
+    return Array.from(menu.querySelectorAll(MENU_ITEM_SELECTOR)).filter(item => !item.hasAttribute('data-disabled'));
+  }
+
+  function openMenu(menu, options) {
+    if (!menu || !menu._menuState) return;
+    const state = menu._menuState;
+    if (state.isOpen) return;
+
+    const {
+      reference,
+      side = 'bottom',
+      align = 'start',
+      sideOffset = 4,
+      alignOffset = 0,
+      focus = 'content',
+      returnFocus = null
+    } = options;
+
+    if (!state.parentMenu) {
+      // A new menu replaces whichever one was open
+      if (openRootMenu) closeMenu(openRootMenu, { returnFocus: false });
+      openRootMenu = menu;
+      document.addEventListener('pointerdown', handleMenuOutsidePointer, true);
+    }
+
+    state.isOpen = true;
+    state.returnFocus = returnFocus;
+    clearTimeout(state.removeTimeout);
+    menu.querySelectorAll('[role="menuitemradio"]').forEach(item => item._syncChecked());
+    document.body.appendChild(menu);
+    menu.setAttribute('data-state', 'open');
+
+    const update = () => positionFloating(reference, menu, { side, align, sideOffset, alignOffset });
+    update();
+    state.cleanup = autoUpdate(reference, menu, update);
+
+    focusMenu(menu, focus);
+
+    if (state.onOpenChange) state.onOpenChange(true);
+    menu.dispatchEvent(new CustomEvent('openchange', { detail: { open: true } }));
+  }
+
+  function closeMenu(menu, options = {}) {
+    if (!menu || !menu._menuState) return;
+    const state = menu._menuState;
+    if (!state.isOpen) return;
+
+    const { returnFocus = true } = options;
+
+    // Don't take focus from whatever the user clicked outside the menu
+    const active = document.activeElement;
+    const focusWasInside = !active || active === document.body || menuTreeContains(menu, active);
+
+    if (state.openSubmenu) {
+      closeMenu(state.openSubmenu, { returnFocus: false });
+    }
+
+    state.isOpen = false;
+    if (state.cleanup) state.cleanup();
+    state.cleanup = null;
+    clearTimeout(state.searchTimeout);
+    state.searchTerm = '';
+
+    menu.setAttribute('data-state', 'closed');
+    state.removeTimeout = setTimeout(() => menu.remove(), MENU_EXIT_DURATION);
+
+    if (state.parentMenu) {
+      state.parentMenu._menuState.openSubmenu = null;
+      state.trigger.setAttribute('aria-expanded', 'false');
+      state.trigger.setAttribute('data-state', 'closed');
+    } else {
+      openRootMenu = null;
+      document.removeEventListener('pointerdown', handleMenuOutsidePointer, true);
+      if (state.trigger) {
+        state.trigger.setAttribute('aria-expanded', 'false');
+        state.trigger.setAttribute('data-state', 'closed');
+      }
+    }
+
+    if (returnFocus && focusWasInside && state.returnFocus) {
+      state.returnFocus.focus();
+    }
+
+    if (state.onOpenChange) state.onOpenChange(false);
+    menu.dispatchEvent(new CustomEvent('openchange', { detail: { open: false } }));
+  }
+
+  function closeMenuTree(menu) {
+    let root = menu;
+    while (root && root._menuState && root._menuState.parentMenu) {
+      root = root._menuState.parentMenu;
+    }
+    closeMenu(root);
+  }
+
+  function openSubmenu(trigger, options = {}) {
+    const { focus = 'first' } = options;
+    const submenu = trigger._subMenu;
+    const parentMenu = trigger.closest('[role="menu"]');
+    if (!submenu || !parentMenu) return;
+
+    if (submenu._menuState.isOpen) {
+      focusMenu(submenu, focus);
+      return;
+    }
+
+    const openSub = parentMenu._menuState.openSubmenu;
+    if (openSub) closeMenu(openSub, { returnFocus: false });
+
+    submenu._menuState.parentMenu = parentMenu;
+    submenu._menuState.trigger = trigger;
+    parentMenu._menuState.openSubmenu = submenu;
+    trigger.setAttribute('aria-expanded', 'true');
+    trigger.setAttribute('data-state', 'open');
+
+    // alignOffset lines the first item up with the trigger (padding + border)
+    openMenu(submenu, { reference: trigger, side: 'right', align: 'start', sideOffset: 2, alignOffset: -5, focus, returnFocus: trigger });
+  }
+
+  function focusMenu(menu, focus) {
+    if (!focus) return;
+    const items = getMenuItems(menu);
+    if (focus === 'first' && items.length) items[0].focus();
+    else if (focus === 'last' && items.length) items[items.length - 1].focus();
+    else menu.focus();
+  }
+
+  function handleMenuKeydown(menu, e) {
+    const state = menu._menuState;
+    const items = getMenuItems(menu);
+    const current = items.indexOf(document.activeElement);
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (items.length) items[current < items.length - 1 ? current + 1 : 0].focus();
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (items.length) items[current > 0 ? current - 1 : items.length - 1].focus();
+        break;
+      case 'Home':
+      case 'PageUp':
+        e.preventDefault();
+        if (items.length) items[0].focus();
+        break;
+      case 'End':
+      case 'PageDown':
+        e.preventDefault();
+        if (items.length) items[items.length - 1].focus();
+        break;
+      case 'ArrowRight':
+        if (current !== -1 && items[current]._subMenu) {
+          e.preventDefault();
+          openSubmenu(items[current], { focus: 'first' });
+        }
+        break;
+      case 'ArrowLeft':
+        if (state.parentMenu) {
+          e.preventDefault();
+          closeMenu(menu);
+        }
+        break;
+      case 'Enter':
+      case ' ':
+        // Space continues a typeahead search that is in progress
+        if (e.key === ' ' && state.searchTerm) {
+          e.preventDefault();
+          handleMenuTypeahead(menu, e.key);
+          break;
+        }
+        e.preventDefault();
+        if (current !== -1) items[current].click();
+        break;
+      case 'Escape':
+        e.preventDefault();
+        e.stopPropagation();
+        closeMenuTree(menu);
+        break;
+      case 'Tab':
+        // Menus aren't part of the tab order
+        e.preventDefault();
+        closeMenuTree(menu);
+        break;
+      default:
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          handleMenuTypeahead(menu, e.key);
+        }
+    }
+  }
+
+  function handleMenuTypeahead(menu, key) {
+    const state = menu._menuState;
+    clearTimeout(state.searchTimeout);
+    state.searchTerm += key.toLowerCase();
+    state.searchTimeout = setTimeout(() => {
+      state.searchTerm = '';
+    }, MENU_TYPEAHEAD_TIMEOUT);
+
+    const items = getMenuItems(menu);
+    const current = items.indexOf(document.activeElement);
+    // Typing the same letter again cycles through the items starting with it
+    const repeated = state.searchTerm.split('').every(char => char === state.searchTerm[0]);
+    const search = repeated ? state.searchTerm[0] : state.searchTerm;
+    const start = repeated ? current + 1 : Math.max(current, 0);
+
+    const ordered = items.slice(start).concat(items.slice(0, start));
+    const match = ordered.find(item => {
+      const text = item.querySelector('.menu-item-text');
+      return text && text.textContent.toLowerCase().startsWith(search);
+    });
+    if (match) match.focus();
+  }
+
+  function handleMenuOutsidePointer(e) {
+    const root = openRootMenu;
+    if (!root) return;
+
+    // The dropdown trigger toggles the menu on its own click
+    const trigger = root._menuState.trigger;
+    if (trigger && trigger.contains(e.target)) return;
+
+    if (!menuTreeContains(root, e.target)) {
+      closeMenu(root);
+    }
+  }
+
+  function menuTreeContains(menu, node) {
+    for (let current = menu; current; current = current._menuState.openSubmenu) {
+      if (current.contains(node)) return true;
+    }
+    return false;
+  }
+
+  function createDropdownMenu(options = {}) {
+    const {
+      trigger,
+      side = 'bottom',
+      align = 'start',
+      sideOffset = 4,
+      className = '',
+      onOpenChange = null,
+      attributes = {}
+    } = options;
+
+    if (!trigger) {
+      throw new Error('Dropdown menu must have a trigger element');
+    }
+
+    const menu = createMenuContent({ className, onOpenChange, attributes });
+    menu._menuState.trigger = trigger;
+    menu._menuState.placement = { side, align, sideOffset };
+
+    trigger.setAttribute('aria-haspopup', 'menu');
+    trigger.setAttribute('aria-expanded', 'false');
+    trigger.setAttribute('aria-controls', menu.id);
+    trigger.setAttribute('data-state', 'closed');
+
+    trigger.addEventListener('click', (e) => {
+      e.preventDefault();
+      if (menu._menuState.isOpen) {
+        closeMenu(menu);
+      } else {
+        openDropdownMenu(menu, { focus: 'content' });
+      }
+    });
+
+    trigger.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        openDropdownMenu(menu, { focus: 'first' });
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        openDropdownMenu(menu, { focus: 'last' });
+      }
+    });
+
+    return menu;
+  }
+
+  function openDropdownMenu(menu, options = {}) {
+    if (!menu || !menu._menuState) return;
+    const { focus = 'first' } = options;
+    const { trigger, placement } = menu._menuState;
+
+    openMenu(menu, { reference: trigger, ...placement, focus, returnFocus: trigger });
+    trigger.setAttribute('aria-expanded', 'true');
+    trigger.setAttribute('data-state', 'open');
+  }
+
+  class Menu {
+    constructor(options = {}) {
+      this.element = this.createElement(options);
+    }
+
+    createElement(options) {
+      return createMenuContent(options);
+    }
+
+    addItem(options = {}) {
+      this.element.appendChild(createMenuItem(options));
+      return this;
+    }
+
+    addCheckboxItem(options = {}) {
+      this.element.appendChild(createMenuCheckboxItem(options));
+      return this;
+    }
+
+    addRadioGroup(options = {}, items = []) {
+      const group = createMenuRadioGroup(options);
+      items.forEach(itemOptions => group.appendChild(createMenuRadioItem(itemOptions)));
+      this.element.appendChild(group);
+      return this;
+    }
+
+    addLabel(options = {}) {
+      this.element.appendChild(createMenuLabel(options));
+      return this;
+    }
+
+    addSeparator(options = {}) {
+      this.element.appendChild(createMenuSeparator(options));
+      return this;
+    }
+
+    addSubmenu(options = {}, build = () => {}) {
+      const submenu = new Menu({ className: 'shadow-lg' });
+      build(submenu);
+      this.element.appendChild(createMenuSub({ ...options, content: submenu.element }));
+      return this;
+    }
+
+    close() {
+      closeMenu(this.element);
+      return this;
+    }
+
+    isOpen() {
+      return this.element._menuState.isOpen;
+    }
+
+    onOpenChange(handler) {
+      this.element.addEventListener('openchange', handler);
+    }
+
+    onSelect(handler) {
+      this.element.addEventListener('menuselect', handler);
+    }
+
+    getElement() {
+      return this.element;
+    }
+  }
+
+  class DropdownMenu extends Menu {
+    createElement(options) {
+      return createDropdownMenu(options);
+    }
+
+    open() {
+      openDropdownMenu(this.element);
+      return this;
+    }
+  }
+
+  // === CONTEXT MENU COMPONENT ===
+
+  function createContextMenu(options = {}) {
+    const {
+      target,
+      disabled = false,
+      className = '',
+      onOpenChange = null,
+      attributes = {}
+    } = options;
+
+    if (!target) {
+      throw new Error('Context menu must have a target element');
+    }
+
+    const menu = createMenuContent({ className, onOpenChange, attributes });
+    menu._menuState.target = target;
+    menu._menuState.disabled = disabled;
+
+    target.addEventListener('contextmenu', (e) => {
+      if (menu._menuState.disabled) return;
+      e.preventDefault();
+      openContextMenu(menu, { x: e.clientX, y: e.clientY });
+    });
+
+    // Shift+F10 and the context menu key open it from the keyboard, at the target
+    target.addEventListener('keydown', (e) => {
+      if (menu._menuState.disabled) return;
+      if ((e.key === 'F10' && e.shiftKey) || e.key === 'ContextMenu') {
+        e.preventDefault();
+        const rect = target.getBoundingClientRect();
+        openContextMenu(menu, { x: rect.left, y: rect.bottom, focus: 'first' });
+      }
+    });
+
+    return menu;
+  }
+
+  function openContextMenu(menu, options) {
+    if (!menu || !menu._menuState) return;
+    const { x, y, focus = 'content' } = options;
+    const state = menu._menuState;
+
+    // Focus goes back where it was before the menu, or to the target
+    const active = document.activeElement;
+    let returnFocus = active && active !== document.body ? active : state.target;
+    if (menu.contains(active)) {
+      returnFocus = state.returnFocus;
+    }
+
+    // Right-clicking again while open moves the menu to the new point
+    closeMenu(menu, { returnFocus: false });
+
+    // A zero-size element at the pointer to position against
+    const point = {
+      getBoundingClientRect: () => ({ left: x, top: y, right: x, bottom: y, width: 0, height: 0, x, y })
+    };
+
+    openMenu(menu, {
+      reference: point,
+      side: 'right',
+      align: 'start',
+      sideOffset: 2,
+      focus,
+      returnFocus
+    });
+  }
+
+  class ContextMenu extends Menu {
+    createElement(options) {
+      return createContextMenu(options);
+    }
+
+    openAt(x, y) {
+      openContextMenu(this.element, { x, y });
+      return this;
+    }
+
+    setDisabled(disabled) {
+      this.element._menuState.disabled = disabled;
+      return this;
+    }
+  }
+
+  // === CHECKBOX COMPONENT ===
+
+  const CHECKBOX_CHECK_ICON = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>';
+  const CHECKBOX_INDETERMINATE_ICON = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="5" y1="12" x2="19" y2="12"></line></svg>';
+
+  function createCheckbox(options = {}) {
+    const {
+      checked = false,
+      disabled = false,
+      required = false,
+      invalid = false,
+      id = '',
+      className = '',
+      onCheckedChange = null,
+      attributes = {}
+    } = options;
+
+    const checkbox = document.createElement('button');
+    checkbox.type = 'button';
+    checkbox.setAttribute('role', 'checkbox');
+    checkbox.className = cn(
+      "peer inline-flex h-4 w-4 shrink-0 items-center justify-center rounded-sm border border-primary ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 data-[state=checked]:bg-primary data-[state=checked]:text-primary-foreground data-[state=indeterminate]:bg-primary data-[state=indeterminate]:text-primary-foreground aria-[invalid=true]:border-destructive",
+      className
+    );
+
+    if (id) {
+      checkbox.id = id;
+    }
+    checkbox.disabled = disabled;
+    if (required) {
+      checkbox.setAttribute('aria-required', 'true');
+    }
+    if (invalid) {
+      checkbox.setAttribute('aria-invalid', 'true');
+    }
+
+    const indicator = document.createElement('span');
+    indicator.className = 'checkbox-indicator flex items-center justify-center text-current pointer-events-none';
+    checkbox.appendChild(indicator);
+
+    // Store checkbox state
+    checkbox._checkboxState = {
+      checked: false,
+      onCheckedChange: onCheckedChange
+    };
+    renderCheckbox(checkbox, checked);
+
+    // Indeterminate resolves to checked, like a native checkbox
+    checkbox.addEventListener('click', () => {
+      const current = checkbox._checkboxState.checked;
+      setCheckboxChecked(checkbox, current === 'indeterminate' ? true : !current);
+    });
+
+    // Checkboxes toggle with Space only; the button would also react to Enter
+    checkbox.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+      }
+    });
+
+    // Add additional attributes
+    Object.entries(attributes).forEach(([key, value]) => {
+      checkbox.setAttribute(key, value);
+    });
+
+    return checkbox;
+  }
+
+  function renderCheckbox(checkbox, checked) {
+    checkbox._checkboxState.checked = checked;
+
+    const indeterminate = checked === 'indeterminate';
+    checkbox.setAttribute('aria-checked', indeterminate ? 'mixed' : String(checked));
+    checkbox.setAttribute('data-state', indeterminate ? 'indeterminate' : (checked ? 'checked' : 'unchecked'));
+
+    const indicator = checkbox.querySelector('.checkbox-indicator');
+    if (indicator) {
+      indicator.innerHTML = indeterminate ? CHECKBOX_INDETERMINATE_ICON : (checked ? CHECKBOX_CHECK_ICON : '');
+    }
+  }
+
+  function setCheckboxChecked(checkbox, checked) {
+    if (!checkbox || !checkbox._checkboxState) return;
+
+    const state = checkbox._checkboxState;
+    const previousChecked = state.checked;
+    if (checked !== 'indeterminate') {
+      checked = Boolean(checked);
+    }
+    if (checked === previousChecked) return;
+
+    renderCheckbox(checkbox, checked);
+
+    // Dispatch change event
+    if (state.onCheckedChange && typeof state.onCheckedChange === 'function') {
+      state.onCheckedChange(checked, previousChecked);
+    }
+
+    checkbox.dispatchEvent(new CustomEvent('checkedchange', {
+      detail: { checked, previousChecked },
+      bubbles: true
+    }));
+  }
+
+  class Checkbox {
+    constructor(options = {}) {
+      this.element = createCheckbox(options);
+    }
+
+    setChecked(checked) {
+      setCheckboxChecked(this.element, checked);
+      return this;
+    }
+
+    setIndeterminate() {
+      setCheckboxChecked(this.element, 'indeterminate');
+      return this;
+    }
+
+    getChecked() {
+      return this.element._checkboxState.checked;
+    }
+
+    setDisabled(disabled) {
+      this.element.disabled = disabled;
+      return this;
+    }
+
+    setRequired(required) {
+      if (required) {
+        this.element.setAttribute('aria-required', 'true');
+      } else {
+        this.element.removeAttribute('aria-required');
+      }
+      return this;
+    }
+
+    setError(hasError) {
+      if (hasError) {
+        this.element.setAttribute('aria-invalid', 'true');
+      } else {
+        this.element.removeAttribute('aria-invalid');
+      }
+      return this;
+    }
+
+    onCheckedChange(handler) {
+      this.element.addEventListener('checkedchange', handler);
+    }
+
+    offCheckedChange(handler) {
+      this.element.removeEventListener('checkedchange', handler);
+    }
+
+    getElement() {
+      return this.element;
+    }
+
+    appendTo(parent) {
+      parent.appendChild(this.element);
+      return this;
+    }
+  }
+
+  // === SWITCH COMPONENT ===
+
+  function createSwitch(options = {}) {
+    const {
+      checked = false,
+      disabled = false,
+      required = false,
+      invalid = false,
+      id = '',
+      className = '',
+      onCheckedChange = null,
+      attributes = {}
+    } = options;
+
+    const switchElement = document.createElement('button');
+    switchElement.type = 'button';
+    switchElement.setAttribute('role', 'switch');
+    switchElement.className = cn(
+      "peer inline-flex h-6 w-11 shrink-0 cursor-pointer items-center rounded-full border-2 border-transparent transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 focus-visible:ring-offset-background disabled:cursor-not-allowed disabled:opacity-50 data-[state=checked]:bg-primary data-[state=unchecked]:bg-input aria-[invalid=true]:border-destructive",
+      className
+    );
+
+    if (id) {
+      switchElement.id = id;
+    }
+    switchElement.disabled = disabled;
+    if (required) {
+      switchElement.setAttribute('aria-required', 'true');
+    }
+    if (invalid) {
+      switchElement.setAttribute('aria-invalid', 'true');
+    }
+
+    const thumb = document.createElement('span');
+    thumb.className = 'switch-thumb pointer-events-none block h-5 w-5 rounded-full bg-background shadow-lg ring-0 transition-transform data-[state=checked]:translate-x-5 data-[state=unchecked]:translate-x-0';
+    switchElement.appendChild(thumb);
+
+    // Store switch state
+    switchElement._switchState = {
+      checked: false,
+      onCheckedChange: onCheckedChange
+    };
+    renderSwitch(switchElement, Boolean(checked));
+
+    // Space and Enter both click the button
+    switchElement.addEventListener('click', () => {
+      setSwitchChecked(switchElement, !switchElement._switchState.checked);
+    });
+
+    // Add additional attributes
+    Object.entries(attributes).forEach(([key, value]) => {
+      switchElement.setAttribute(key, value);
+    });
+
+    return switchElement;
+  }
+
+  function renderSwitch(switchElement, checked) {
+    switchElement._switchState.checked = checked;
+
+    const dataState = checked ? 'checked' : 'unchecked';
+    switchElement.setAttribute('aria-checked', String(checked));
+    switchElement.setAttribute('data-state', dataState);
+
+    const thumb = switchElement.querySelector('.switch-thumb');
+    if (thumb) {
+      thumb.setAttribute('data-state', dataState);
+    }
+  }
+
+  function setSwitchChecked(switchElement, checked) {
+    if (!switchElement || !switchElement._switchState) return;
+
+    const state = switchElement._switchState;
+    const previousChecked = state.checked;
+    checked = Boolean(checked);
+    if (checked === previousChecked) return;
+
+    renderSwitch(switchElement, checked);
+
+    // Dispatch change event
+    if (state.onCheckedChange && typeof state.onCheckedChange === 'function') {
+      state.onCheckedChange(checked, previousChecked);
+    }
+
+    switchElement.dispatchEvent(new CustomEvent('checkedchange', {
+      detail: { checked, previousChecked },
+      bubbles: true
+    }));
+  }
+
+  class Switch {
+    constructor(options = {}) {
+      this.element = createSwitch(options);
+    }
+
+    setChecked(checked) {
+      setSwitchChecked(this.element, checked);
+      return this;
+    }
+
+    toggle() {
+      setSwitchChecked(this.element, !this.element._switchState.checked);
+      return this;
+    }
+
+    getChecked() {
+      return this.element._switchState.checked;
+    }
+
+    setDisabled(disabled) {
+      this.element.disabled = disabled;
+      return this;
+    }
+
+    setRequired(required) {
+      if (required) {
+        this.element.setAttribute('aria-required', 'true');
+      } else {
+        this.element.removeAttribute('aria-required');
+      }
+      return this;
+    }
+
+    setError(hasError) {
+      if (hasError) {
+        this.element.setAttribute('aria-invalid', 'true');
+      } else {
+        this.element.removeAttribute('aria-invalid');
+      }
+      return this;
+    }
+
+    onCheckedChange(handler) {
+      this.element.addEventListener('checkedchange', handler);
+    }
+
+    offCheckedChange(handler) {
+      this.element.removeEventListener('checkedchange', handler);
+    }
+
+    getElement() {
+      return this.element;
+    }
+
+    appendTo(parent) {
+      parent.appendChild(this.element);
+      return this;
+    }
+  }
+
+  // === RADIO GROUP COMPONENT ===
+
+  function createRadioGroup(options = {}) {
+    const {
+      value = '',
+      name = '',
+      orientation = 'vertical',
+      disabled = false,
+      required = false,
+      invalid = false,
+      className = '',
+      onValueChange = null,
+      attributes = {}
+    } = options;
+
+    const group = document.createElement('div');
+    group.setAttribute('role', 'radiogroup');
+    group.setAttribute('aria-orientation', orientation);
+    group.setAttribute('data-orientation', orientation);
+    group.className = cn(
+      orientation === 'horizontal' ? 'flex flex-wrap items-center gap-4' : 'grid gap-2',
+      className
+    );
+
+    if (required) {
+      group.setAttribute('aria-required', 'true');
+    }
+    if (invalid) {
+      group.setAttribute('aria-invalid', 'true');
+    }
+
+    if (name) {
+      const hiddenInput = document.createElement('input');
+      hiddenInput.type = 'hidden';
+      hiddenInput.name = name;
+      hiddenInput.value = value;
+      group.appendChild(hiddenInput);
+    }
+
+    // Store radio group state
+    group._radioGroupState = {
+      value: value,
+      disabled: disabled,
+      onValueChange: onValueChange
+    };
+
+    // Items can be added at any time, so keep their state in sync as they arrive
+    const observer = new MutationObserver(() => updateRadioItems(group));
+    observer.observe(group, { childList: true, subtree: true });
+
+    // Add additional attributes
+    Object.entries(attributes).forEach(([key, attrValue]) => {
+      group.setAttribute(key, attrValue);
+    });
+
+    return group;
+  }
+
+  function createRadioGroupItem(options = {}) {
+    const {
+      value,
+      disabled = false,
+      id = '',
+      className = '',
+      attributes = {}
+    } = options;
+
+    if (value === undefined || value === null) {
+      throw new Error('Radio group item must have a value');
+    }
+
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.setAttribute('role', 'radio');
+    item.setAttribute('data-value', value);
+    item.setAttribute('aria-checked', 'false');
+    item.setAttribute('data-state', 'unchecked');
+    item.tabIndex = -1;
+    item.className = cn(
+      "radio-group-item peer inline-flex aspect-square h-4 w-4 shrink-0 items-center justify-center rounded-full border border-primary text-primary ring-offset-background focus:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 data-[invalid=true]:border-destructive",
+      className
+    );
+
+    if (id) {
+      item.id = id;
+    }
+    item.disabled = disabled;
+    // Remembers the item's own setting while the whole group is disabled
+    item._radioItemDisabled = disabled;
+
+    const indicator = document.createElement('span');
+    indicator.className = 'radio-group-indicator h-2.5 w-2.5 rounded-full bg-current pointer-events-none';
+    indicator.style.display = 'none';
+    item.appendChild(indicator);
+
+    item.addEventListener('click', () => {
+      const group = item.closest('[role="radiogroup"]');
+      setRadioGroupValue(group, value);
+    });
+
+    item.addEventListener('keydown', handleRadioItemKeydown);
+
+    // Add additional attributes
+    Object.entries(attributes).forEach(([key, attrValue]) => {
+      item.setAttribute(key, attrValue);
+    });
+
+    return item;
+  }
+
+  function getRadioItems(group) {
+    return Array.from(group.querySelectorAll('[role="radio"]'));
+  }
+
+  function updateRadioItems(group) {
+    if (!group || !group._radioGroupState) return;
+
+    const state = group._radioGroupState;
+    const invalid = group.getAttribute('aria-invalid') === 'true';
+    const items = getRadioItems(group);
+
+    items.forEach(item => {
+      const isChecked = item.getAttribute('data-value') === state.value;
+      item.setAttribute('aria-checked', isChecked.toString());
+      item.setAttribute('data-state', isChecked ? 'checked' : 'unchecked');
+      item.disabled = state.disabled || item._radioItemDisabled;
+      if (invalid) {
+        item.setAttribute('data-invalid', 'true');
+      } else {
+        item.removeAttribute('data-invalid');
+      }
+
+      const indicator = item.querySelector('.radio-group-indicator');
+      if (indicator) {
+        indicator.style.display = isChecked ? '' : 'none';
+      }
+    });
+
+    // The checked item is the group's only tab stop, or the first enabled one if nothing is checked
+    const enabled = items.filter(item => !item.disabled);
+    const tabStop = enabled.find(item => item.getAttribute('aria-checked') === 'true') || enabled[0];
+    items.forEach(item => {
+      item.tabIndex = item === tabStop ? 0 : -1;
+    });
+  }
+
+  function setRadioGroupValue(group, value) {
+    if (!group || !group._radioGroupState) return;
+
+    const state = group._radioGroupState;
+    const previousValue = state.value;
+    if (value === previousValue) return;
+
+    state.value = value;
+    updateRadioItems(group);
+
+    const hiddenInput = group.querySelector('input[type="hidden"]');
+    if (hiddenInput) {
+      hiddenInput.value = value;
+    }
+
+    // Dispatch change event
+    if (state.onValueChange && typeof state.onValueChange === 'function') {
+      state.onValueChange(value, previousValue);
+    }
+
+    const changeEvent = new CustomEvent('valuechange', {
+      detail: { value, previousValue },
+      bubbles: true
+    });
+    group.dispatchEvent(changeEvent);
+  }
+
+  function handleRadioItemKeydown(e) {
+    const item = e.currentTarget;
+    const group = item.closest('[role="radiogroup"]');
+    if (!group) return;
+
+    const items = getRadioItems(group).filter(radio => !radio.disabled);
+    const currentIndex = items.indexOf(item);
+    let nextIndex;
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowRight':
+        nextIndex = currentIndex < items.length - 1 ? currentIndex + 1 : 0;
+        break;
+      case 'ArrowUp':
+      case 'ArrowLeft':
+        nextIndex = currentIndex > 0 ? currentIndex - 1 : items.length - 1;
+        break;
+      case 'Enter':
+        // Radio buttons check with Space only
+        e.preventDefault();
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    const next = items[nextIndex];
+    if (next) {
+      next.focus();
+      setRadioGroupValue(group, next.getAttribute('data-value'));
+    }
+  }
+
+  class RadioGroup {
+    constructor(options = {}) {
+      this.element = createRadioGroup(options);
+    }
+
+    addItem(options = {}) {
+      const { label, ...itemOptions } = options;
+      const item = createRadioGroupItem(itemOptions);
+
+      if (label) {
+        const row = document.createElement('div');
+        row.className = 'flex items-center space-x-2';
+        if (!item.id) item.id = 'input-' + Math.random().toString(36).substr(2, 9);
+        row.appendChild(item);
+        row.appendChild(createLabel({ text: label, htmlFor: item.id }));
+        this.element.appendChild(row);
+      } else {
+        this.element.appendChild(item);
+      }
+
+      updateRadioItems(this.element);
+      return this;
+    }
+
+    setValue(value) {
+      setRadioGroupValue(this.element, value);
+      return this;
+    }
+
+    getValue() {
+      return this.element._radioGroupState.value;
+    }
+
+    setDisabled(disabled) {
+      this.element._radioGroupState.disabled = disabled;
+      updateRadioItems(this.element);
+      return this;
+    }
+
+    setRequired(required) {
+      if (required) {
+        this.element.setAttribute('aria-required', 'true');
+      } else {
+        this.element.removeAttribute('aria-required');
+      }
+      return this;
+    }
+
+    setError(hasError) {
+      if (hasError) {
+        this.element.setAttribute('aria-invalid', 'true');
+      } else {
+        this.element.removeAttribute('aria-invalid');
+      }
+      updateRadioItems(this.element);
+      return this;
+    }
+
+    onValueChange(handler) {
+      this.element.addEventListener('valuechange', handler);
+    }
+
+    offValueChange(handler) {
+      this.element.removeEventListener('valuechange', handler);
+    }
+
+    getElement() {
+      return this.element;
+    }
+
+    appendTo(parent) {
+      parent.appendChild(this.element);
+      return this;
+    }
+  }
+
+  // === SLIDER COMPONENT ===
+
+  // PageUp/PageDown and Shift+Arrow move this many steps
+  const SLIDER_PAGE_STEPS = 10;
+
+  function createSlider(options = {}) {
+    const {
+      value = null,
+      min = 0,
+      max = 100,
+      step = 1,
+      minStepsBetweenThumbs = 0,
+      orientation = 'horizontal',
+      disabled = false,
+      ticks = false,
+      input = null,
+      thumbLabels = null,
+      throttle = 50,
+      className = '',
+      onValueChange = null,
+      onValueCommit = null,
+      attributes = {}
+    } = options;
+
+    if (!(max > min)) {
+      throw new Error('Slider max must be greater than min');
+    }
+    if (!(step > 0)) {
+      throw new Error('Slider step must be greater than 0');
+    }
+
+    const range = Array.isArray(value);
+    const initialValues = range ? value.slice(0, 2) : [value === null ? min : value];
+
+    const slider = document.createElement('span');
+    slider.className = cn(
+      "slider-root relative flex touch-none select-none items-center data-[orientation=horizontal]:h-5 data-[orientation=horizontal]:w-full data-[orientation=vertical]:h-full data-[orientation=vertical]:min-h-[8rem] data-[orientation=vertical]:w-5 data-[orientation=vertical]:flex-col data-[orientation=vertical]:justify-center data-[disabled]:cursor-not-allowed data-[disabled]:opacity-50",
+      className
+    );
+    slider.setAttribute('data-orientation', orientation);
+
+    const track = document.createElement('span');
+    track.className = 'slider-track relative grow overflow-hidden rounded-full bg-secondary data-[orientation=horizontal]:h-2 data-[orientation=horizontal]:w-full data-[orientation=vertical]:h-full data-[orientation=vertical]:w-2';
+    track.setAttribute('data-orientation', orientation);
+
+    const rangeElement = document.createElement('span');
+    rangeElement.className = 'slider-range absolute bg-primary data-[orientation=horizontal]:h-full data-[orientation=vertical]:w-full';
+    rangeElement.setAttribute('data-orientation', orientation);
+    track.appendChild(rangeElement);
+    slider.appendChild(track);
+
+    if (ticks) {
+      slider.appendChild(createSliderTicks({ ticks, min, max, step, orientation }));
+    }
+
+    const labels = thumbLabels || (range ? ['Minimum', 'Maximum'] : []);
+    const thumbs = initialValues.map((_, index) => {
+      const thumb = document.createElement('span');
+      thumb.className = 'slider-thumb absolute block h-5 w-5 rounded-full border-2 border-primary bg-background ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 data-[disabled]:pointer-events-none';
+      thumb.setAttribute('role', 'slider');
+      thumb.setAttribute('aria-valuemin', String(min));
+      thumb.setAttribute('aria-valuemax', String(max));
+      thumb.setAttribute('aria-orientation', orientation);
+      thumb.setAttribute('data-orientation', orientation);
+      thumb.setAttribute('data-index', String(index));
+      if (labels[index]) {
+        thumb.setAttribute('aria-label', labels[index]);
+      }
+      thumb.addEventListener('keydown', handleSliderThumbKeydown);
+      thumb.addEventListener('keyup', () => commitSlider(slider));
+      slider.appendChild(thumb);
+      return thumb;
+    });
+
+    // Store slider state
+    slider._sliderState = {
+      values: [],
+      range: range,
+      min: min,
+      max: max,
+      step: step,
+      minStepsBetweenThumbs: minStepsBetweenThumbs,
+      orientation: orientation,
+      disabled: false,
+      throttle: throttle,
+      track: track,
+      rangeElement: rangeElement,
+      thumbs: thumbs,
+      inputs: [],
+      activeThumb: 0,
+      onValueChange: onValueChange,
+      onValueCommit: onValueCommit,
+      emittedValue: null,
+      committedValue: null,
+      lastEmitAt: 0,
+      emitTimeout: null
+    };
+
+    const state = slider._sliderState;
+    state.values = initialValues.map(v => snapSliderValue(state, v));
+    if (range && state.values[0] > state.values[1]) {
+      state.values.reverse();
+    }
+    state.emittedValue = getSliderValue(slider);
+    state.committedValue = state.emittedValue;
+    setSliderDisabled(slider, disabled);
+    renderSlider(slider);
+
+    slider.addEventListener('pointerdown', (e) => handleSliderPointerDown(slider, e));
+
+    if (input) {
+      (Array.isArray(input) ? input : [input]).forEach((item, index) => linkSliderInput(slider, item, index));
+    }
+
+    // Add additional attributes
+    Object.entries(attributes).forEach(([key, attrValue]) => {
+      slider.setAttribute(key, attrValue);
+    });
+
+    return slider;
+  }
+
+  function createSliderTicks(options) {
+    const { ticks, min, max, step, orientation } = options;
+
+    let tickValues = ticks;
+    if (!Array.isArray(ticks)) {
+      tickValues = [];
+      for (let v = min; v <= max + step / 2; v += step) {
+        tickValues.push(Math.min(v, max));
+      }
+    }
+
+    const container = document.createElement('span');
+    container.className = 'slider-ticks pointer-events-none absolute inset-0';
+    container.setAttribute('aria-hidden', 'true');
+
+    tickValues.forEach(tickValue => {
+      const tick = document.createElement('span');
+      tick.className = 'slider-tick absolute bg-muted-foreground/50';
+      tick.setAttribute('data-value', String(tickValue));
+      const percent = `${((tickValue - min) / (max - min)) * 100}%`;
+      if (orientation === 'vertical') {
+        tick.style.bottom = percent;
+        tick.style.left = '100%';
+        tick.style.width = '4px';
+        tick.style.height = '1px';
+        tick.style.transform = 'translateY(50%)';
+      } else {
+        tick.style.left = percent;
+        tick.style.top = '100%';
+        tick.style.width = '1px';
+        tick.style.height = '4px';
+        tick.style.transform = 'translateX(-50%)';
+      }
+      container.appendChild(tick);
+    });
+
+    return container;
+  }
+
+  function snapSliderValue(state, value) {
+    const { min, max, step } = state;
+    const decimals = Math.max(countDecimals(step), countDecimals(min));
+    const snapped = min + Math.round((Number(value) - min) / step) * step;
+    return Math.min(max, Math.max(min, Number(snapped.toFixed(decimals))));
+  }
+
+  function countDecimals(value) {
+    const text = String(value);
+    return text.includes('.') ? text.split('.')[1].length : 0;
+  }
+
+  function renderSlider(slider) {
+    const state = slider._sliderState;
+    const percent = v => ((v - state.min) / (state.max - state.min)) * 100;
+    const vertical = state.orientation === 'vertical';
+
+    state.thumbs.forEach((thumb, index) => {
+      const value = state.values[index];
+      thumb.setAttribute('aria-valuenow', String(value));
+      if (vertical) {
+        thumb.style.bottom = `${percent(value)}%`;
+        thumb.style.left = '50%';
+        thumb.style.transform = 'translate(-50%, 50%)';
+      } else {
+        thumb.style.left = `${percent(value)}%`;
+        thumb.style.top = '50%';
+        thumb.style.transform = 'translate(-50%, -50%)';
+      }
+    });
+
+    // A single slider fills from the minimum; a range fills between its thumbs
+    const start = state.range ? percent(state.values[0]) : 0;
+    const end = percent(state.values[state.values.length - 1]);
+    if (vertical) {
+      state.rangeElement.style.bottom = `${start}%`;
+      state.rangeElement.style.height = `${end - start}%`;
+    } else {
+      state.rangeElement.style.left = `${start}%`;
+      state.rangeElement.style.width = `${end - start}%`;
+    }
+
+    state.inputs.forEach((input, index) => {
+      if (input && document.activeElement !== input) {
+        input.value = String(state.values[index]);
+      }
+    });
+  }
+
+  function moveSliderThumb(slider, index, value) {
+    const state = slider._sliderState;
+    const gap = state.minStepsBetweenThumbs * state.step;
+    let next = snapSliderValue(state, value);
+
+    if (index > 0) next = Math.max(next, state.values[index - 1] + gap);
+    if (index < state.values.length - 1) next = Math.min(next, state.values[index + 1] - gap);
+    next = Math.min(state.max, Math.max(state.min, next));
+
+    if (next === state.values[index]) return false;
+    state.values[index] = next;
+    renderSlider(slider);
+    return true;
+  }
+
+  function getSliderValue(slider) {
+    if (!slider || !slider._sliderState) return null;
+    const state = slider._sliderState;
+    return state.range ? state.values.slice() : state.values[0];
+  }
+
+  function setSliderValue(slider, value) {
+    if (!slider || !slider._sliderState) return;
+    const state = slider._sliderState;
+
+    const values = Array.isArray(value) ? value : [value];
+    const snapped = values.slice(0, state.values.length).map(v => snapSliderValue(state, v));
+    if (snapped.length === 2 && snapped[0] > snapped[1]) {
+      snapped.reverse();
+    }
+    snapped.forEach((v, index) => {
+      state.values[index] = v;
+    });
+    renderSlider(slider);
+    commitSlider(slider);
+  }
+
+  function setSliderDisabled(slider, disabled) {
+    if (!slider || !slider._sliderState) return;
+    const state = slider._sliderState;
+    state.disabled = disabled;
+
+    const elements = [slider, ...state.thumbs];
+    elements.forEach(element => {
+      if (disabled) {
+        element.setAttribute('data-disabled', '');
+      } else {
+        element.removeAttribute('data-disabled');
+      }
+    });
+    state.thumbs.forEach(thumb => {
+      thumb.tabIndex = disabled ? -1 : 0;
+      if (disabled) {
+        thumb.setAttribute('aria-disabled', 'true');
+      } else {
+        thumb.removeAttribute('aria-disabled');
+      }
+    });
+    state.inputs.forEach(input => {
+      if (input) input.disabled = disabled;
+    });
+  }
+
+  function linkSliderInput(slider, input, index = 0) {
+    if (!slider || !slider._sliderState) return;
+    const state = slider._sliderState;
+    const element = input && typeof input.getElement === 'function' ? input.getElement() : input;
+    if (!element || index >= state.values.length) return;
+
+    element.type = 'number';
+    element.min = String(state.min);
+    element.max = String(state.max);
+    element.step = String(state.step);
+    element.value = String(state.values[index]);
+    element.disabled = state.disabled;
+    state.inputs[index] = element;
+
+    element.addEventListener('change', () => {
+      const typed = parseFloat(element.value);
+      if (!Number.isNaN(typed)) {
+        moveSliderThumb(slider, index, typed);
+        commitSlider(slider);
+      }
+      // Show the value the thumb actually took (snapped, clamped, or unchanged)
+      element.value = String(state.values[index]);
+    });
+  }
+
+  function emitSliderChange(slider, immediate = false) {
+    const state = slider._sliderState;
+    const wait = state.throttle - (Date.now() - state.lastEmitAt);
+
+    if (immediate || wait <= 0) {
+      clearTimeout(state.emitTimeout);
+      state.emitTimeout = null;
+      dispatchSliderChange(slider);
+    } else if (!state.emitTimeout) {
+      // The trailing call delivers the latest value once the interval has passed
+      state.emitTimeout = setTimeout(() => {
+        state.emitTimeout = null;
+        dispatchSliderChange(slider);
+      }, wait);
+    }
+  }
+
+  function dispatchSliderChange(slider) {
+    const state = slider._sliderState;
+    const value = getSliderValue(slider);
+    const previousValue = state.emittedValue;
+    if (String(value) === String(previousValue)) return;
+
+    state.lastEmitAt = Date.now();
+    state.emittedValue = value;
+
+    // Dispatch change event
+    if (state.onValueChange && typeof state.onValueChange === 'function') {
+      state.onValueChange(value, previousValue);
+    }
+
+    slider.dispatchEvent(new CustomEvent('valuechange', {
+      detail: { value, previousValue },
+      bubbles: true
+    }));
+  }
+
+  function commitSlider(slider) {
+    const state = slider._sliderState;
+    emitSliderChange(slider, true);
+
+    const value = getSliderValue(slider);
+    const previousValue = state.committedValue;
+    if (String(value) === String(previousValue)) return;
+    state.committedValue = value;
+
+    if (state.onValueCommit && typeof state.onValueCommit === 'function') {
+      state.onValueCommit(value);
+    }
+
+    slider.dispatchEvent(new CustomEvent('valuecommit', {
+      detail: { value, previousValue },
+      bubbles: true
+    }));
+  }
+
+  function getSliderValueFromPointer(slider, e) {
+    const state = slider._sliderState;
+    const rect = state.track.getBoundingClientRect();
+    const vertical = state.orientation === 'vertical';
+    const length = vertical ? rect.height : rect.width;
+    if (!length) return null;
+
+    const ratio = vertical ? (rect.bottom - e.clientY) / length : (e.clientX - rect.left) / length;
+    return state.min + Math.min(1, Math.max(0, ratio)) * (state.max - state.min);
+  }
+
+  function handleSliderPointerDown(slider, e) {
+    const state = slider._sliderState;
+    if (state.disabled || e.button > 0) return;
+
+    const value = getSliderValueFromPointer(slider, e);
+    if (value === null) return;
+    e.preventDefault();
+
+    // Closest thumb; when thumbs overlap, the pointer's side decides
+    let index = 0;
+    state.values.forEach((thumbValue, i) => {
+      const distance = Math.abs(thumbValue - value);
+      const best = Math.abs(state.values[index] - value);
+      if (distance < best || (distance === best && value > thumbValue)) {
+        index = i;
+      }
+    });
+    state.activeThumb = index;
+    state.thumbs[index].focus();
+
+    if (moveSliderThumb(slider, index, value)) {
+      emitSliderChange(slider);
+    }
+
+    const handleMove = (moveEvent) => {
+      const moveValue = getSliderValueFromPointer(slider, moveEvent);
+      if (moveValue !== null && moveSliderThumb(slider, state.activeThumb, moveValue)) {
+        emitSliderChange(slider);
+      }
+    };
+    const handleUp = () => {
+      document.removeEventListener('pointermove', handleMove);
+      document.removeEventListener('pointerup', handleUp);
+      document.removeEventListener('pointercancel', handleUp);
+      commitSlider(slider);
+    };
+
+    document.addEventListener('pointermove', handleMove);
+    document.addEventListener('pointerup', handleUp);
+    document.addEventListener('pointercancel', handleUp);
+  }
+
+  function handleSliderThumbKeydown(e) {
+    const thumb = e.currentTarget;
+    const slider = thumb.closest('.slider-root');
+    if (!slider || !slider._sliderState) return;
+
+    const state = slider._sliderState;
+    if (state.disabled) return;
+
+    const index = Number(thumb.getAttribute('data-index'));
+    const current = state.values[index];
+    const pageStep = state.step * SLIDER_PAGE_STEPS;
+    const arrowStep = e.shiftKey ? pageStep : state.step;
+    let next;
+
+    switch (e.key) {
+      case 'ArrowRight':
+      case 'ArrowUp':
+        next = current + arrowStep;
+        break;
+      case 'ArrowLeft':
+      case 'ArrowDown':
+        next = current - arrowStep;
+        break;
+      case 'PageUp':
+        next = current + pageStep;
+        break;
+      case 'PageDown':
+        next = current - pageStep;
+        break;
+      case 'Home':
+        next = state.min;
+        break;
+      case 'End':
+        next = state.max;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    if (moveSliderThumb(slider, index, next)) {
+      emitSliderChange(slider);
+    }
+  }
+
+  class Slider {
+    constructor(options = {}) {
+      this.element = createSlider(options);
+    }
+
+    setValue(value) {
+      setSliderValue(this.element, value);
+      return this;
+    }
+
+    getValue() {
+      return getSliderValue(this.element);
+    }
+
+    setDisabled(disabled) {
+      setSliderDisabled(this.element, disabled);
+      return this;
+    }
+
+    linkInput(input, index = 0) {
+      linkSliderInput(this.element, input, index);
+      return this;
+    }
+
+    onValueChange(handler) {
+      this.element.addEventListener('valuechange', handler);
+    }
+
+    offValueChange(handler) {
+      this.element.removeEventListener('valuechange', handler);
+    }
+
+    onValueCommit(handler) {
+      this.element.addEventListener('valuecommit', handler);
+    }
+
+    offValueCommit(handler) {
+      this.element.removeEventListener('valuecommit', handler);
+    }
+
+    getElement() {
+      return this.element;
+    }
+
+    appendTo(parent) {
+      parent.appendChild(this.element);
+      return this;
+    }
+  }
+
+  // === MAIN EXPORT ===
+  
+  const ShadcnUI = {
+    // Utilities
+    cn,
+    clsx,
+    twMerge,
+    cva,
+    
+    // Positioning
+    computePosition,
+    positionFloating,
+    autoUpdate,
+    
+    // Components
+    createButton,
+    Button,
+    buttonVariants,
+    
+    createCard,
+    createCardHeader,
+    createCardTitle,
+    createCardContent,
+    
+    createInput,
+    
+    createBadge,
+    badgeVariants,
+    
+    createSeparator,
+    
+    createAlert,
+    alertVariants,
+    
+    createLabel,
+    
+    // Tabs
+    createTabs,
+    createTabsList,
+    createTabsTrigger,
+    createTabsContent,
+    setActiveTab,
+    Tabs,
+    
+    // Select
+    createSelect,
+    createSelectTrigger,
+    createSelectContent,
+    createSelectItem,
+    selectValue,
+    openSelect,
+    closeSelect,
+    toggleSelect,
+    Select,
+    
+    // Dialog
+    createDialog,
+    createDialogHeader,
+    createDialogTitle,
+    createDialogDescription,
+    createDialogFooter,
+    createAlertDialog,
+    openDialog,
+    closeDialog,
+    confirm: confirmDialog,
+    Dialog,
+    AlertDialog,
+    
+    // Tooltip
+    createTooltip,
+    createFloatingArrow,
+    showTooltip,
+    hideTooltip,
+    Tooltip,
+    
+    // Popover
+    createPopover,
+    openPopover,
+    closePopover,
+    togglePopover,
+    Popover,
+    
+    // Dropdown Menu
+    createMenuContent,
+    createMenuItem,
+    createMenuCheckboxItem,
+    createMenuRadioGroup,
+    createMenuRadioItem,
+    createMenuLabel,
+    createMenuSeparator,
+    createMenuShortcut,
+    createMenuSub,
+    setMenuItemChecked,
+    setMenuRadioValue,
+    openMenu,
+    closeMenu,
+    openSubmenu,
+    createDropdownMenu,
+    openDropdownMenu,
+    Menu,
+    DropdownMenu,
+    
+    // Context Menu
+    createContextMenu,
+    openContextMenu,
+    ContextMenu,
+    
+    // Checkbox
+    createCheckbox,
+    setCheckboxChecked,
+    Checkbox,
+    
+    // Switch
+    createSwitch,
+    setSwitchChecked,
+    Switch,
+    
+    // Radio Group
+    createRadioGroup,
+    createRadioGroupItem,
+    setRadioGroupValue,
+    RadioGroup,
+    
+    // Slider
+    createSlider,
+    getSliderValue,
+    setSliderValue,
+    setSliderDisabled,
+    linkSliderInput,
+    Slider,
   };
 
   // Export to global scope
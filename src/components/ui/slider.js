@@ -0,0 +1,709 @@
+/**
+ * Slider component - Vanilla JavaScript version of shadcn/ui Slider
+ * Picks a number, or a range with two thumbs, by dragging or with the keyboard.
+ * Change events are throttled so they can drive live updates in the plugin sandbox.
+ */
+
+// Import utilities (adjust path as needed)
+const { cn } = window.shadcnUtils || require('../../lib/utils.js');
+
+// PageUp/PageDown and Shift+Arrow move this many steps
+const SLIDER_PAGE_STEPS = 10;
+
+/**
+ * Creates a slider with shadcn/ui styling. Pass an array as the value for a range slider.
+ * @param {Object} options - Slider configuration options
+ * @param {number|number[]} [options.value] - Initial value, or [low, high] for two thumbs (defaults to min)
+ * @param {number} [options.min=0] - Minimum value
+ * @param {number} [options.max=100] - Maximum value
+ * @param {number} [options.step=1] - Step between values
+ * @param {number} [options.minStepsBetweenThumbs=0] - Minimum distance between two thumbs, in steps
+ * @param {string} [options.orientation='horizontal'] - Slider direction (horizontal, vertical)
+ * @param {boolean} [options.disabled=false] - Whether the slider is disabled
+ * @param {boolean|number[]} [options.ticks=false] - Tick marks: true for one per step, or the values to mark
+ * @param {HTMLInputElement|Object|Array} [options.input] - Numeric Input (element or instance) kept in sync with the value; an array links one per thumb
+ * @param {string[]} [options.thumbLabels] - Accessible names for the thumbs (default 'Minimum'/'Maximum' for two thumbs)
+ * @param {number} [options.throttle=50] - Minimum time between change events while dragging, in milliseconds
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {function} [options.onValueChange] - Called with (value, previousValue) while the value changes (throttled)
+ * @param {function} [options.onValueCommit] - Called with (value) when a drag or key press ends
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLSpanElement} The created slider element
+ */
+function createSlider(options = {}) {
+  const {
+    value = null,
+    min = 0,
+    max = 100,
+    step = 1,
+    minStepsBetweenThumbs = 0,
+    orientation = 'horizontal',
+    disabled = false,
+    ticks = false,
+    input = null,
+    thumbLabels = null,
+    throttle = 50,
+    className = '',
+    onValueChange = null,
+    onValueCommit = null,
+    attributes = {}
+  } = options;
+
+  if (!(max > min)) {
+    throw new Error('Slider max must be greater than min');
+  }
+  if (!(step > 0)) {
+    throw new Error('Slider step must be greater than 0');
+  }
+
+  const range = Array.isArray(value);
+  const initialValues = range ? value.slice(0, 2) : [value === null ? min : value];
+
+  const slider = document.createElement('span');
+  slider.className = cn(
+    "slider-root relative flex touch-none select-none items-center data-[orientation=horizontal]:h-5 data-[orientation=horizontal]:w-full data-[orientation=vertical]:h-full data-[orientation=vertical]:min-h-[8rem] data-[orientation=vertical]:w-5 data-[orientation=vertical]:flex-col data-[orientation=vertical]:justify-center data-[disabled]:cursor-not-allowed data-[disabled]:opacity-50",
+    className
+  );
+  slider.setAttribute('data-orientation', orientation);
+
+  const track = document.createElement('span');
+  track.className = 'slider-track relative grow overflow-hidden rounded-full bg-secondary data-[orientation=horizontal]:h-2 data-[orientation=horizontal]:w-full data-[orientation=vertical]:h-full data-[orientation=vertical]:w-2';
+  track.setAttribute('data-orientation', orientation);
+
+  const rangeElement = document.createElement('span');
+  rangeElement.className = 'slider-range absolute bg-primary data-[orientation=horizontal]:h-full data-[orientation=vertical]:w-full';
+  rangeElement.setAttribute('data-orientation', orientation);
+  track.appendChild(rangeElement);
+  slider.appendChild(track);
+
+  if (ticks) {
+    slider.appendChild(createSliderTicks({ ticks, min, max, step, orientation }));
+  }
+
+  const labels = thumbLabels || (range ? ['Minimum', 'Maximum'] : []);
+  const thumbs = initialValues.map((_, index) => {
+    const thumb = document.createElement('span');
+    thumb.className = 'slider-thumb absolute block h-5 w-5 rounded-full border-2 border-primary bg-background ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 data-[disabled]:pointer-events-none';
+    thumb.setAttribute('role', 'slider');
+    thumb.setAttribute('aria-valuemin', String(min));
+    thumb.setAttribute('aria-valuemax', String(max));
+    thumb.setAttribute('aria-orientation', orientation);
+    thumb.setAttribute('data-orientation', orientation);
+    thumb.setAttribute('data-index', String(index));
+    if (labels[index]) {
+      thumb.setAttribute('aria-label', labels[index]);
+    }
+    thumb.addEventListener('keydown', handleSliderThumbKeydown);
+    thumb.addEventListener('keyup', () => commitSlider(slider));
+    slider.appendChild(thumb);
+    return thumb;
+  });
+
+  // Store slider state
+  slider._sliderState = {
+    values: [],
+    range: range,
+    min: min,
+    max: max,
+    step: step,
+    minStepsBetweenThumbs: minStepsBetweenThumbs,
+    orientation: orientation,
+    disabled: false,
+    throttle: throttle,
+    track: track,
+    rangeElement: rangeElement,
+    thumbs: thumbs,
+    inputs: [],
+    activeThumb: 0,
+    onValueChange: onValueChange,
+    onValueCommit: onValueCommit,
+    emittedValue: null,
+    committedValue: null,
+    lastEmitAt: 0,
+    emitTimeout: null
+  };
+
+  const state = slider._sliderState;
+  state.values = initialValues.map(v => snapSliderValue(state, v));
+  if (range && state.values[0] > state.values[1]) {
+    state.values.reverse();
+  }
+  state.emittedValue = getSliderValue(slider);
+  state.committedValue = state.emittedValue;
+  setSliderDisabled(slider, disabled);
+  renderSlider(slider);
+
+  slider.addEventListener('pointerdown', (e) => handleSliderPointerDown(slider, e));
+
+  if (input) {
+    (Array.isArray(input) ? input : [input]).forEach((item, index) => linkSliderInput(slider, item, index));
+  }
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, attrValue]) => {
+    slider.setAttribute(key, attrValue);
+  });
+
+  return slider;
+}
+
+/**
+ * Creates the tick marks shown along a slider
+ * @param {Object} options - Tick configuration options
+ * @param {boolean|number[]} options.ticks - true for one tick per step, or the values to mark
+ * @param {number} options.min - Minimum value
+ * @param {number} options.max - Maximum value
+ * @param {number} options.step - Step between values
+ * @param {string} options.orientation - Slider direction (horizontal, vertical)
+ * @returns {HTMLSpanElement} The element holding the ticks
+ */
+function createSliderTicks(options) {
+  const { ticks, min, max, step, orientation } = options;
+
+  let tickValues = ticks;
+  if (!Array.isArray(ticks)) {
+    tickValues = [];
+    for (let v = min; v <= max + step / 2; v += step) {
+      tickValues.push(Math.min(v, max));
+    }
+  }
+
+  const container = document.createElement('span');
+  container.className = 'slider-ticks pointer-events-none absolute inset-0';
+  container.setAttribute('aria-hidden', 'true');
+
+  tickValues.forEach(tickValue => {
+    const tick = document.createElement('span');
+    tick.className = 'slider-tick absolute bg-muted-foreground/50';
+    tick.setAttribute('data-value', String(tickValue));
+    const percent = `${((tickValue - min) / (max - min)) * 100}%`;
+    if (orientation === 'vertical') {
+      tick.style.bottom = percent;
+      tick.style.left = '100%';
+      tick.style.width = '4px';
+      tick.style.height = '1px';
+      tick.style.transform = 'translateY(50%)';
+    } else {
+      tick.style.left = percent;
+      tick.style.top = '100%';
+      tick.style.width = '1px';
+      tick.style.height = '4px';
+      tick.style.transform = 'translateX(-50%)';
+    }
+    container.appendChild(tick);
+  });
+
+  return container;
+}
+
+/**
+ * Round a value to the slider's step and clamp it to min/max
+ * @param {Object} state - Slider state
+ * @param {number} value - Raw value
+ * @returns {number} The snapped value
+ */
+function snapSliderValue(state, value) {
+  const { min, max, step } = state;
+  const decimals = Math.max(countDecimals(step), countDecimals(min));
+  const snapped = min + Math.round((Number(value) - min) / step) * step;
+  return Math.min(max, Math.max(min, Number(snapped.toFixed(decimals))));
+}
+
+/**
+ * Count the decimal places of a number
+ * @param {number} value - Number to check
+ * @returns {number} Number of decimals
+ */
+function countDecimals(value) {
+  const text = String(value);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+/**
+ * Update thumbs, range, ARIA attributes and linked inputs from the slider state
+ * @param {HTMLSpanElement} slider - Slider element
+ */
+function renderSlider(slider) {
+  const state = slider._sliderState;
+  const percent = v => ((v - state.min) / (state.max - state.min)) * 100;
+  const vertical = state.orientation === 'vertical';
+
+  state.thumbs.forEach((thumb, index) => {
+    const value = state.values[index];
+    thumb.setAttribute('aria-valuenow', String(value));
+    if (vertical) {
+      thumb.style.bottom = `${percent(value)}%`;
+      thumb.style.left = '50%';
+      thumb.style.transform = 'translate(-50%, 50%)';
+    } else {
+      thumb.style.left = `${percent(value)}%`;
+      thumb.style.top = '50%';
+      thumb.style.transform = 'translate(-50%, -50%)';
+    }
+  });
+
+  // A single slider fills from the minimum; a range fills between its thumbs
+  const start = state.range ? percent(state.values[0]) : 0;
+  const end = percent(state.values[state.values.length - 1]);
+  if (vertical) {
+    state.rangeElement.style.bottom = `${start}%`;
+    state.rangeElement.style.height = `${end - start}%`;
+  } else {
+    state.rangeElement.style.left = `${start}%`;
+    state.rangeElement.style.width = `${end - start}%`;
+  }
+
+  state.inputs.forEach((input, index) => {
+    if (input && document.activeElement !== input) {
+      input.value = String(state.values[index]);
+    }
+  });
+}
+
+/**
+ * Move one thumb, keeping it between its neighbours
+ * @param {HTMLSpanElement} slider - Slider element
+ * @param {number} index - Thumb index
+ * @param {number} value - New value for the thumb
+ * @returns {boolean} Whether the value changed
+ */
+function moveSliderThumb(slider, index, value) {
+  const state = slider._sliderState;
+  const gap = state.minStepsBetweenThumbs * state.step;
+  let next = snapSliderValue(state, value);
+
+  if (index > 0) next = Math.max(next, state.values[index - 1] + gap);
+  if (index < state.values.length - 1) next = Math.min(next, state.values[index + 1] - gap);
+  next = Math.min(state.max, Math.max(state.min, next));
+
+  if (next === state.values[index]) return false;
+  state.values[index] = next;
+  renderSlider(slider);
+  return true;
+}
+
+/**
+ * Get the value of a slider
+ * @param {HTMLSpanElement} slider - Slider element
+ * @returns {number|number[]} The value, or [low, high] for a range slider
+ */
+function getSliderValue(slider) {
+  if (!slider || !slider._sliderState) return null;
+  const state = slider._sliderState;
+  return state.range ? state.values.slice() : state.values[0];
+}
+
+/**
+ * Set the value of a slider. Change and commit events fire right away.
+ * @param {HTMLSpanElement} slider - Slider element
+ * @param {number|number[]} value - New value, or [low, high] for a range slider
+ */
+function setSliderValue(slider, value) {
+  if (!slider || !slider._sliderState) return;
+  const state = slider._sliderState;
+
+  const values = Array.isArray(value) ? value : [value];
+  const snapped = values.slice(0, state.values.length).map(v => snapSliderValue(state, v));
+  if (snapped.length === 2 && snapped[0] > snapped[1]) {
+    snapped.reverse();
+  }
+  snapped.forEach((v, index) => {
+    state.values[index] = v;
+  });
+  renderSlider(slider);
+  commitSlider(slider);
+}
+
+/**
+ * Enable/disable a slider
+ * @param {HTMLSpanElement} slider - Slider element
+ * @param {boolean} disabled - Whether the slider is disabled
+ */
+function setSliderDisabled(slider, disabled) {
+  if (!slider || !slider._sliderState) return;
+  const state = slider._sliderState;
+  state.disabled = disabled;
+
+  const elements = [slider, ...state.thumbs];
+  elements.forEach(element => {
+    if (disabled) {
+      element.setAttribute('data-disabled', '');
+    } else {
+      element.removeAttribute('data-disabled');
+    }
+  });
+  state.thumbs.forEach(thumb => {
+    thumb.tabIndex = disabled ? -1 : 0;
+    if (disabled) {
+      thumb.setAttribute('aria-disabled', 'true');
+    } else {
+      thumb.removeAttribute('aria-disabled');
+    }
+  });
+  state.inputs.forEach(input => {
+    if (input) input.disabled = disabled;
+  });
+}
+
+/**
+ * Keep a numeric input in sync with one of the slider's thumbs. Typing a number
+ * and pressing Enter or leaving the field moves the thumb; moving the thumb updates the field.
+ * @param {HTMLSpanElement} slider - Slider element
+ * @param {HTMLInputElement|Object} input - Input element or Input instance
+ * @param {number} [index=0] - Thumb the input controls
+ */
+function linkSliderInput(slider, input, index = 0) {
+  if (!slider || !slider._sliderState) return;
+  const state = slider._sliderState;
+  const element = input && typeof input.getElement === 'function' ? input.getElement() : input;
+  if (!element || index >= state.values.length) return;
+
+  element.type = 'number';
+  element.min = String(state.min);
+  element.max = String(state.max);
+  element.step = String(state.step);
+  element.value = String(state.values[index]);
+  element.disabled = state.disabled;
+  state.inputs[index] = element;
+
+  element.addEventListener('change', () => {
+    const typed = parseFloat(element.value);
+    if (!Number.isNaN(typed)) {
+      moveSliderThumb(slider, index, typed);
+      commitSlider(slider);
+    }
+    // Show the value the thumb actually took (snapped, clamped, or unchanged)
+    element.value = String(state.values[index]);
+  });
+}
+
+/**
+ * Fire the change event, at most once per throttle interval unless immediate
+ * @param {HTMLSpanElement} slider - Slider element
+ * @param {boolean} [immediate=false] - Whether to skip the throttle
+ */
+function emitSliderChange(slider, immediate = false) {
+  const state = slider._sliderState;
+  const wait = state.throttle - (Date.now() - state.lastEmitAt);
+
+  if (immediate || wait <= 0) {
+    clearTimeout(state.emitTimeout);
+    state.emitTimeout = null;
+    dispatchSliderChange(slider);
+  } else if (!state.emitTimeout) {
+    // The trailing call delivers the latest value once the interval has passed
+    state.emitTimeout = setTimeout(() => {
+      state.emitTimeout = null;
+      dispatchSliderChange(slider);
+    }, wait);
+  }
+}
+
+/**
+ * Dispatch the change event if the value differs from the last one reported
+ * @param {HTMLSpanElement} slider - Slider element
+ */
+function dispatchSliderChange(slider) {
+  const state = slider._sliderState;
+  const value = getSliderValue(slider);
+  const previousValue = state.emittedValue;
+  if (String(value) === String(previousValue)) return;
+
+  state.lastEmitAt = Date.now();
+  state.emittedValue = value;
+
+  // Dispatch change event
+  if (state.onValueChange && typeof state.onValueChange === 'function') {
+    state.onValueChange(value, previousValue);
+  }
+
+  slider.dispatchEvent(new CustomEvent('valuechange', {
+    detail: { value, previousValue },
+    bubbles: true
+  }));
+}
+
+/**
+ * Report the final value of an interaction: flush any pending change event,
+ * then fire the commit event if the value differs from the last commit
+ * @param {HTMLSpanElement} slider - Slider element
+ */
+function commitSlider(slider) {
+  const state = slider._sliderState;
+  emitSliderChange(slider, true);
+
+  const value = getSliderValue(slider);
+  const previousValue = state.committedValue;
+  if (String(value) === String(previousValue)) return;
+  state.committedValue = value;
+
+  if (state.onValueCommit && typeof state.onValueCommit === 'function') {
+    state.onValueCommit(value);
+  }
+
+  slider.dispatchEvent(new CustomEvent('valuecommit', {
+    detail: { value, previousValue },
+    bubbles: true
+  }));
+}
+
+/**
+ * Convert a pointer position to a slider value
+ * @param {HTMLSpanElement} slider - Slider element
+ * @param {PointerEvent} e - Pointer event
+ * @returns {?number} The value under the pointer, or null if the track has no size
+ */
+function getSliderValueFromPointer(slider, e) {
+  const state = slider._sliderState;
+  const rect = state.track.getBoundingClientRect();
+  const vertical = state.orientation === 'vertical';
+  const length = vertical ? rect.height : rect.width;
+  if (!length) return null;
+
+  const ratio = vertical ? (rect.bottom - e.clientY) / length : (e.clientX - rect.left) / length;
+  return state.min + Math.min(1, Math.max(0, ratio)) * (state.max - state.min);
+}
+
+/**
+ * Start dragging: jump the closest thumb to the pointer and follow it until release
+ * @param {HTMLSpanElement} slider - Slider element
+ * @param {PointerEvent} e - Pointer event
+ */
+function handleSliderPointerDown(slider, e) {
+  const state = slider._sliderState;
+  if (state.disabled || e.button > 0) return;
+
+  const value = getSliderValueFromPointer(slider, e);
+  if (value === null) return;
+  e.preventDefault();
+
+  // Closest thumb; when thumbs overlap, the pointer's side decides
+  let index = 0;
+  state.values.forEach((thumbValue, i) => {
+    const distance = Math.abs(thumbValue - value);
+    const best = Math.abs(state.values[index] - value);
+    if (distance < best || (distance === best && value > thumbValue)) {
+      index = i;
+    }
+  });
+  state.activeThumb = index;
+  state.thumbs[index].focus();
+
+  if (moveSliderThumb(slider, index, value)) {
+    emitSliderChange(slider);
+  }
+
+  const handleMove = (moveEvent) => {
+    const moveValue = getSliderValueFromPointer(slider, moveEvent);
+    if (moveValue !== null && moveSliderThumb(slider, state.activeThumb, moveValue)) {
+      emitSliderChange(slider);
+    }
+  };
+  const handleUp = () => {
+    document.removeEventListener('pointermove', handleMove);
+    document.removeEventListener('pointerup', handleUp);
+    document.removeEventListener('pointercancel', handleUp);
+    commitSlider(slider);
+  };
+
+  document.addEventListener('pointermove', handleMove);
+  document.addEventListener('pointerup', handleUp);
+  document.addEventListener('pointercancel', handleUp);
+}
+
+/**
+ * Handle slider thumb keyboard events
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleSliderThumbKeydown(e) {
+  const thumb = e.currentTarget;
+  const slider = thumb.closest('.slider-root');
+  if (!slider || !slider._sliderState) return;
+
+  const state = slider._sliderState;
+  if (state.disabled) return;
+
+  const index = Number(thumb.getAttribute('data-index'));
+  const current = state.values[index];
+  const pageStep = state.step * SLIDER_PAGE_STEPS;
+  const arrowStep = e.shiftKey ? pageStep : state.step;
+  let next;
+
+  switch (e.key) {
+    case 'ArrowRight':
+    case 'ArrowUp':
+      next = current + arrowStep;
+      break;
+    case 'ArrowLeft':
+    case 'ArrowDown':
+      next = current - arrowStep;
+      break;
+    case 'PageUp':
+      next = current + pageStep;
+      break;
+    case 'PageDown':
+      next = current - pageStep;
+      break;
+    case 'Home':
+      next = state.min;
+      break;
+    case 'End':
+      next = state.max;
+      break;
+    default:
+      return;
+  }
+
+  e.preventDefault();
+  if (moveSliderThumb(slider, index, next)) {
+    emitSliderChange(slider);
+  }
+}
+
+/**
+ * Slider class for a more object-oriented approach
+ */
+class Slider {
+  /**
+   * Create a new Slider instance
+   * @param {Object} options - Slider options (same as createSlider)
+   */
+  constructor(options = {}) {
+    this.element = createSlider(options);
+  }
+
+  /**
+   * Set the value
+   * @param {number|number[]} value - New value, or [low, high] for a range slider
+   * @returns {Slider} This slider instance for chaining
+   */
+  setValue(value) {
+    setSliderValue(this.element, value);
+    return this;
+  }
+
+  /**
+   * Get the value
+   * @returns {number|number[]} The value, or [low, high] for a range slider
+   */
+  getValue() {
+    return getSliderValue(this.element);
+  }
+
+  /**
+   * Enable/disable the slider
+   * @param {boolean} disabled - Whether the slider is disabled
+   * @returns {Slider} This slider instance for chaining
+   */
+  setDisabled(disabled) {
+    setSliderDisabled(this.element, disabled);
+    return this;
+  }
+
+  /**
+   * Keep a numeric input in sync with a thumb
+   * @param {HTMLInputElement|Object} input - Input element or Input instance
+   * @param {number} [index=0] - Thumb the input controls
+   * @returns {Slider} This slider instance for chaining
+   */
+  linkInput(input, index = 0) {
+    linkSliderInput(this.element, input, index);
+    return this;
+  }
+
+  /**
+   * Add event listener for value changes (throttled while dragging)
+   * @param {function} handler - Event handler, receives e.detail.value and e.detail.previousValue
+   */
+  onValueChange(handler) {
+    this.element.addEventListener('valuechange', handler);
+  }
+
+  /**
+   * Remove event listener for value changes
+   * @param {function} handler - Event handler
+   */
+  offValueChange(handler) {
+    this.element.removeEventListener('valuechange', handler);
+  }
+
+  /**
+   * Add event listener for the final value of a drag or key press
+   * @param {function} handler - Event handler, receives e.detail.value and e.detail.previousValue
+   */
+  onValueCommit(handler) {
+    this.element.addEventListener('valuecommit', handler);
+  }
+
+  /**
+   * Remove event listener for committed values
+   * @param {function} handler - Event handler
+   */
+  offValueCommit(handler) {
+    this.element.removeEventListener('valuecommit', handler);
+  }
+
+  /**
+   * Get the DOM element
+   * @returns {HTMLSpanElement} The slider element
+   */
+  getElement() {
+    return this.element;
+  }
+
+  /**
+   * Append to a parent element
+   * @param {HTMLElement} parent - Parent element
+   * @returns {Slider} This slider instance for chaining
+   */
+  appendTo(parent) {
+    parent.appendChild(this.element);
+    return this;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createSlider,
+    getSliderValue,
+    setSliderValue,
+    setSliderDisabled,
+    linkSliderInput,
+    Slider
+  };
+} else if (typeof window !== 'undefined') {
+  window.shadcnSlider = {
+    createSlider,
+    getSliderValue,
+    setSliderValue,
+    setSliderDisabled,
+    linkSliderInput,
+    Slider
+  };
+}
+
+// Usage examples:
+/*
+// Opacity slider with a linked number field, updating the selection live
+const opacityInput = new Input({ className: 'w-20' });
+const opacity = new Slider({ value: 100, max: 100, input: opacityInput, thumbLabels: ['Opacity'] });
+
+opacity.onValueChange((e) => {
+  parent.postMessage({ pluginMessage: { type: 'set-opacity', value: e.detail.value / 100 } }, '*');
+});
+
+// Range slider with tick marks
+const spacing = createSlider({
+  value: [8, 32],
+  min: 0,
+  max: 64,
+  step: 4,
+  minStepsBetweenThumbs: 1,
+  ticks: true,
+  onValueCommit: ([low, high]) => console.log('Spacing between', low, 'and', high)
+});
+
+// Vertical slider
+const radius = new Slider({ value: 4, max: 32, orientation: 'vertical' });
+*/
@@ -0,0 +1,269 @@
+/**
+ * Switch component - Vanilla JavaScript version of shadcn/ui Switch
+ * An on/off toggle for settings that take effect immediately
+ */
+
+// Import utilities (adjust path as needed)
+const { cn } = window.shadcnUtils || require('../../lib/utils.js');
+
+/**
+ * Creates a switch with shadcn/ui styling
+ * @param {Object} options - Switch configuration options
+ * @param {boolean} [options.checked=false] - Whether the switch starts on
+ * @param {boolean} [options.disabled=false] - Whether the switch is disabled
+ * @param {boolean} [options.required=false] - Whether the switch is required
+ * @param {boolean} [options.invalid=false] - Whether to show the error state
+ * @param {string} [options.id] - Element ID (lets a Label point at it)
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {function} [options.onCheckedChange] - Called with (checked, previousChecked) when the switch is toggled
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLButtonElement} The created switch element
+ */
+function createSwitch(options = {}) {
+  const {
+    checked = false,
+    disabled = false,
+    required = false,
+    invalid = false,
+    id = '',
+    className = '',
+    onCheckedChange = null,
+    attributes = {}
+  } = options;
+
+  const switchElement = document.createElement('button');
+  switchElement.type = 'button';
+  switchElement.setAttribute('role', 'switch');
+  switchElement.className = cn(
+    "peer inline-flex h-6 w-11 shrink-0 cursor-pointer items-center rounded-full border-2 border-transparent transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 focus-visible:ring-offset-background disabled:cursor-not-allowed disabled:opacity-50 data-[state=checked]:bg-primary data-[state=unchecked]:bg-input aria-[invalid=true]:border-destructive",
+    className
+  );
+
+  if (id) {
+    switchElement.id = id;
+  }
+  switchElement.disabled = disabled;
+  if (required) {
+    switchElement.setAttribute('aria-required', 'true');
+  }
+  if (invalid) {
+    switchElement.setAttribute('aria-invalid', 'true');
+  }
+
+  const thumb = document.createElement('span');
+  thumb.className = 'switch-thumb pointer-events-none block h-5 w-5 rounded-full bg-background shadow-lg ring-0 transition-transform data-[state=checked]:translate-x-5 data-[state=unchecked]:translate-x-0';
+  switchElement.appendChild(thumb);
+
+  // Store switch state
+  switchElement._switchState = {
+    checked: false,
+    onCheckedChange: onCheckedChange
+  };
+  renderSwitch(switchElement, Boolean(checked));
+
+  // Space and Enter both click the button
+  switchElement.addEventListener('click', () => {
+    setSwitchChecked(switchElement, !switchElement._switchState.checked);
+  });
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    switchElement.setAttribute(key, value);
+  });
+
+  return switchElement;
+}
+
+/**
+ * Update the switch and thumb attributes for a state
+ * @param {HTMLButtonElement} switchElement - Switch element
+ * @param {boolean} checked - Whether the switch is on
+ */
+function renderSwitch(switchElement, checked) {
+  switchElement._switchState.checked = checked;
+
+  const dataState = checked ? 'checked' : 'unchecked';
+  switchElement.setAttribute('aria-checked', String(checked));
+  switchElement.setAttribute('data-state', dataState);
+
+  const thumb = switchElement.querySelector('.switch-thumb');
+  if (thumb) {
+    thumb.setAttribute('data-state', dataState);
+  }
+}
+
+/**
+ * Turn a switch on or off
+ * @param {HTMLButtonElement} switchElement - Switch element
+ * @param {boolean} checked - Whether the switch is on
+ */
+function setSwitchChecked(switchElement, checked) {
+  if (!switchElement || !switchElement._switchState) return;
+
+  const state = switchElement._switchState;
+  const previousChecked = state.checked;
+  checked = Boolean(checked);
+  if (checked === previousChecked) return;
+
+  renderSwitch(switchElement, checked);
+
+  // Dispatch change event
+  if (state.onCheckedChange && typeof state.onCheckedChange === 'function') {
+    state.onCheckedChange(checked, previousChecked);
+  }
+
+  switchElement.dispatchEvent(new CustomEvent('checkedchange', {
+    detail: { checked, previousChecked },
+    bubbles: true
+  }));
+}
+
+/**
+ * Switch class for a more object-oriented approach
+ */
+class Switch {
+  /**
+   * Create a new Switch instance
+   * @param {Object} options - Switch options (same as createSwitch)
+   */
+  constructor(options = {}) {
+    this.element = createSwitch(options);
+  }
+
+  /**
+   * Turn the switch on or off
+   * @param {boolean} checked - Whether the switch is on
+   * @returns {Switch} This switch instance for chaining
+   */
+  setChecked(checked) {
+    setSwitchChecked(this.element, checked);
+    return this;
+  }
+
+  /**
+   * Flip the switch
+   * @returns {Switch} This switch instance for chaining
+   */
+  toggle() {
+    setSwitchChecked(this.element, !this.element._switchState.checked);
+    return this;
+  }
+
+  /**
+   * Check whether the switch is on
+   * @returns {boolean} Whether the switch is on
+   */
+  getChecked() {
+    return this.element._switchState.checked;
+  }
+
+  /**
+   * Enable/disable the switch
+   * @param {boolean} disabled - Whether the switch is disabled
+   * @returns {Switch} This switch instance for chaining
+   */
+  setDisabled(disabled) {
+    this.element.disabled = disabled;
+    return this;
+  }
+
+  /**
+   * Set required state
+   * @param {boolean} required - Whether the switch is required
+   * @returns {Switch} This switch instance for chaining
+   */
+  setRequired(required) {
+    if (required) {
+      this.element.setAttribute('aria-required', 'true');
+    } else {
+      this.element.removeAttribute('aria-required');
+    }
+    return this;
+  }
+
+  /**
+   * Set error state
+   * @param {boolean} hasError - Whether there's an error
+   * @returns {Switch} This switch instance for chaining
+   */
+  setError(hasError) {
+    if (hasError) {
+      this.element.setAttribute('aria-invalid', 'true');
+    } else {
+      this.element.removeAttribute('aria-invalid');
+    }
+    return this;
+  }
+
+  /**
+   * Add event listener for checked state changes
+   * @param {function} handler - Event handler, receives e.detail.checked and e.detail.previousChecked
+   */
+  onCheckedChange(handler) {
+    this.element.addEventListener('checkedchange', handler);
+  }
+
+  /**
+   * Remove event listener for checked state changes
+   * @param {function} handler - Event handler
+   */
+  offCheckedChange(handler) {
+    this.element.removeEventListener('checkedchange', handler);
+  }
+
+  /**
+   * Get the DOM element
+   * @returns {HTMLButtonElement} The switch element
+   */
+  getElement() {
+    return this.element;
+  }
+
+  /**
+   * Append to a parent element
+   * @param {HTMLElement} parent - Parent element
+   * @returns {Switch} This switch instance for chaining
+   */
+  appendTo(parent) {
+    parent.appendChild(this.element);
+    return this;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createSwitch,
+    setSwitchChecked,
+    Switch
+  };
+} else if (typeof window !== 'undefined') {
+  window.shadcnSwitch = {
+    createSwitch,
+    setSwitchChecked,
+    Switch
+  };
+}
+
+// Usage examples:
+/*
+// Setting that applies as soon as it's toggled
+const row = document.createElement('div');
+row.className = 'flex items-center space-x-2';
+
+const snapToggle = new Switch({ id: 'snap-to-grid', checked: true });
+const snapLabel = new Label({ text: 'Snap to grid' });
+snapLabel.associateWith(snapToggle);
+
+snapToggle.appendTo(row);
+snapLabel.appendTo(row);
+
+snapToggle.onCheckedChange((e) => {
+  parent.postMessage({ pluginMessage: { type: 'set-snap', enabled: e.detail.checked } }, '*');
+});
+
+// Functional approach
+const previewSwitch = createSwitch({
+  onCheckedChange: (checked) => togglePreview(checked)
+});
+*/
@@ -0,0 +1,297 @@
+/**
+ * Tooltip component - Vanilla JavaScript version of shadcn/ui Tooltip
+ * Shows a short description next to an element on hover or keyboard focus
+ */
+
+// Import utilities (adjust path as needed)
+const { cn } = window.shadcnUtils || require('../../lib/utils.js');
+const { positionFloating, autoUpdate } = window.shadcnPositioning || require('../../lib/positioning.js');
+
+// Moving from one tooltip trigger to the next within this time skips the delay
+const TOOLTIP_SKIP_DELAY = 300;
+// Long enough for the exit animation
+const TOOLTIP_EXIT_DURATION = 150;
+
+let tooltipIdCounter = 0;
+let lastTooltipHiddenAt = 0;
+
+/**
+ * Creates a tooltip for a trigger element. The tooltip is added to the page
+ * while it is shown and linked to the trigger with `aria-describedby`.
+ * @param {Object} options - Tooltip configuration options
+ * @param {HTMLElement} options.trigger - Element that shows the tooltip
+ * @param {string} [options.text] - Tooltip text
+ * @param {HTMLElement|string} [options.content] - Tooltip content (HTML element or string)
+ * @param {string} [options.side='top'] - Preferred side (top, right, bottom, left)
+ * @param {string} [options.align='center'] - Alignment along the side (start, center, end)
+ * @param {number} [options.sideOffset=4] - Distance from the trigger in pixels
+ * @param {number} [options.delayDuration=700] - Hover delay before showing, in milliseconds
+ * @param {boolean} [options.showArrow=false] - Whether to show an arrow pointing at the trigger
+ * @param {string} [options.className] - Additional CSS classes
+ * @param {Object} [options.attributes] - Additional HTML attributes
+ * @returns {HTMLDivElement} The created tooltip element
+ */
+function createTooltip(options = {}) {
+  const {
+    trigger,
+    text = '',
+    content = null,
+    side = 'top',
+    align = 'center',
+    sideOffset = 4,
+    delayDuration = 700,
+    showArrow = false,
+    className = '',
+    attributes = {}
+  } = options;
+
+  if (!trigger) {
+    throw new Error('Tooltip must have a trigger element');
+  }
+
+  const tooltip = document.createElement('div');
+  tooltip.id = `tooltip-${++tooltipIdCounter}`;
+  tooltip.className = cn(
+    "tooltip-content z-50 rounded-md border bg-popover px-3 py-1.5 text-sm text-popover-foreground shadow-md animate-in fade-in-0 zoom-in-95 data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=closed]:zoom-out-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
+    className
+  );
+  tooltip.setAttribute('role', 'tooltip');
+  tooltip.setAttribute('data-state', 'closed');
+
+  if (content) {
+    if (typeof content === 'string') {
+      tooltip.innerHTML = content;
+    } else if (content instanceof HTMLElement) {
+      tooltip.appendChild(content);
+    }
+  } else if (text) {
+    tooltip.textContent = text;
+  }
+
+  let arrow = null;
+  if (showArrow) {
+    arrow = createFloatingArrow();
+    tooltip.appendChild(arrow);
+  }
+
+  // Store tooltip state
+  tooltip._tooltipState = {
+    trigger: trigger,
+    isOpen: false,
+    side: side,
+    align: align,
+    sideOffset: sideOffset,
+    delayDuration: delayDuration,
+    arrow: arrow,
+    showTimeout: null,
+    removeTimeout: null,
+    cleanup: null
+  };
+
+  trigger.addEventListener('mouseenter', () => {
+    const state = tooltip._tooltipState;
+    clearTimeout(state.showTimeout);
+    const delay = Date.now() - lastTooltipHiddenAt < TOOLTIP_SKIP_DELAY ? 0 : state.delayDuration;
+    state.showTimeout = setTimeout(() => showTooltip(tooltip), delay);
+  });
+  trigger.addEventListener('mouseleave', () => hideTooltip(tooltip));
+  // Keyboard users get the tooltip right away
+  trigger.addEventListener('focus', () => showTooltip(tooltip));
+  trigger.addEventListener('blur', () => hideTooltip(tooltip));
+  trigger.addEventListener('pointerdown', () => hideTooltip(tooltip));
+  trigger.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && tooltip._tooltipState.isOpen) {
+      hideTooltip(tooltip);
+    }
+  });
+
+  // Add additional attributes
+  Object.entries(attributes).forEach(([key, value]) => {
+    tooltip.setAttribute(key, value);
+  });
+
+  return tooltip;
+}
+
+/**
+ * Creates the arrow used by tooltips and popovers. Only the two borders that
+ * face away from the content are drawn, so it reads as a continuation of the border.
+ * @param {Object} options - Arrow configuration options
+ * @param {string} [options.className] - Additional CSS classes
+ * @returns {HTMLDivElement} The created arrow element
+ */
+function createFloatingArrow(options = {}) {
+  const { className = '' } = options;
+
+  const arrow = document.createElement('div');
+  arrow.className = cn(
+    "floating-arrow h-2 w-2 rotate-45 bg-popover data-[side=bottom]:border-l data-[side=bottom]:border-t data-[side=top]:border-b data-[side=top]:border-r data-[side=left]:border-r data-[side=left]:border-t data-[side=right]:border-b data-[side=right]:border-l",
+    className
+  );
+  arrow.setAttribute('aria-hidden', 'true');
+
+  return arrow;
+}
+
+/**
+ * Show a tooltip
+ * @param {HTMLDivElement} tooltip - Tooltip element
+ */
+function showTooltip(tooltip) {
+  if (!tooltip || !tooltip._tooltipState) return;
+  const state = tooltip._tooltipState;
+  clearTimeout(state.showTimeout);
+  if (state.isOpen) return;
+
+  state.isOpen = true;
+  clearTimeout(state.removeTimeout);
+  document.body.appendChild(tooltip);
+  tooltip.setAttribute('data-state', 'open');
+  setDescribedBy(state.trigger, tooltip.id, true);
+
+  const update = () => positionFloating(state.trigger, tooltip, {
+    side: state.side,
+    align: state.align,
+    sideOffset: state.sideOffset,
+    arrow: state.arrow
+  });
+  update();
+  state.cleanup = autoUpdate(state.trigger, tooltip, update);
+}
+
+/**
+ * Hide a tooltip (also cancels a pending delayed show)
+ * @param {HTMLDivElement} tooltip - Tooltip element
+ */
+function hideTooltip(tooltip) {
+  if (!tooltip || !tooltip._tooltipState) return;
+  const state = tooltip._tooltipState;
+  clearTimeout(state.showTimeout);
+  if (!state.isOpen) return;
+
+  state.isOpen = false;
+  lastTooltipHiddenAt = Date.now();
+  if (state.cleanup) state.cleanup();
+  state.cleanup = null;
+  setDescribedBy(state.trigger, tooltip.id, false);
+  tooltip.setAttribute('data-state', 'closed');
+  state.removeTimeout = setTimeout(() => tooltip.remove(), TOOLTIP_EXIT_DURATION);
+}
+
+/**
+ * Add or remove one id in an element's `aria-describedby` list, keeping the
+ * descriptions it already had (e.g. a form field's error message)
+ * @param {HTMLElement} element - Described element
+ * @param {string} id - ID of the describing element
+ * @param {boolean} described - Whether the id should be in the list
+ */
+function setDescribedBy(element, id, described) {
+  const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+  if (described) {
+    ids.push(id);
+  }
+  if (ids.length > 0) {
+    element.setAttribute('aria-describedby', ids.join(' '));
+  } else {
+    element.removeAttribute('aria-describedby');
+  }
+}
+
+/**
+ * Tooltip class for a more object-oriented approach
+ */
+class Tooltip {
+  /**
+   * Create a new Tooltip instance
+   * @param {Object} options - Tooltip options (same as createTooltip)
+   */
+  constructor(options = {}) {
+    this.element = createTooltip(options);
+  }
+
+  /**
+   * Set the tooltip text
+   * @param {string} text - New text
+   * @returns {Tooltip} This tooltip instance for chaining
+   */
+  setText(text) {
+    const arrow = this.element._tooltipState.arrow;
+    this.element.textContent = text;
+    if (arrow) this.element.appendChild(arrow);
+    return this;
+  }
+
+  /**
+   * Show the tooltip
+   * @returns {Tooltip} This tooltip instance for chaining
+   */
+  show() {
+    showTooltip(this.element);
+    return this;
+  }
+
+  /**
+   * Hide the tooltip
+   * @returns {Tooltip} This tooltip instance for chaining
+   */
+  hide() {
+    hideTooltip(this.element);
+    return this;
+  }
+
+  /**
+   * Check whether the tooltip is shown
+   * @returns {boolean} Whether the tooltip is shown
+   */
+  isOpen() {
+    return this.element._tooltipState.isOpen;
+  }
+
+  /**
+   * Get the DOM element
+   * @returns {HTMLDivElement} The tooltip element
+   */
+  getElement() {
+    return this.element;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createTooltip,
+    createFloatingArrow,
+    showTooltip,
+    hideTooltip,
+    Tooltip
+  };
+} else if (typeof window !== 'undefined') {
+  window.shadcnTooltip = {
+    createTooltip,
+    createFloatingArrow,
+    showTooltip,
+    hideTooltip,
+    Tooltip
+  };
+}
+
+// Usage examples:
+/*
+// Icon button with a tooltip
+const deleteButton = createButton({ variant: 'ghost', size: 'icon', content: '🗑️' });
+deleteButton.setAttribute('aria-label', 'Delete');
+
+new Tooltip({
+  trigger: deleteButton,
+  text: 'Delete selected layers',
+  side: 'bottom',
+  showArrow: true
+});
+
+// Functional approach with a shorter delay
+createTooltip({
+  trigger: document.getElementById('export-button'),
+  text: 'Export as PNG (⌘E)',
+  delayDuration: 300
+});
+*/
@@ -0,0 +1,187 @@
+/**
+ * Vanilla JavaScript positioning for floating elements (tooltips, popovers, dropdowns)
+ * Places an element next to a reference element and keeps it inside the viewport,
+ * similar to the Floating UI middleware shadcn/ui gets through Radix
+ */
+
+const OPPOSITE_SIDE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+/**
+ * Compute where a floating element goes next to a reference element.
+ * Coordinates are viewport coordinates, for use with `position: fixed`.
+ * @param {HTMLElement} reference - Element the floating element is anchored to
+ * @param {HTMLElement} floating - Floating element; it must be displayed so it can be measured
+ * @param {Object} [options] - Positioning options
+ * @param {string} [options.side='bottom'] - Preferred side of the reference (top, right, bottom, left)
+ * @param {string} [options.align='center'] - Alignment along that side (start, center, end)
+ * @param {number} [options.sideOffset=4] - Gap between reference and floating element in pixels
+ * @param {number} [options.alignOffset=0] - Shift along the alignment axis in pixels
+ * @param {boolean} [options.flip=true] - Move to the opposite side when the preferred side has too little room
+ * @param {boolean} [options.shift=true] - Slide along the side to stay inside the viewport
+ * @param {number} [options.collisionPadding=8] - Minimum distance from the viewport edges in pixels
+ * @param {HTMLElement} [options.arrow] - Arrow element inside the floating element
+ * @param {number} [options.arrowPadding=8] - Minimum distance between the arrow and the floating element's corners
+ * @returns {{x: number, y: number, side: string, align: string, arrowX: ?number, arrowY: ?number, availableWidth: number, availableHeight: number}}
+ *   Position and the side actually used; arrowX/arrowY are relative to the floating element
+ */
+function computePosition(reference, floating, options = {}) {
+  const {
+    side = 'bottom',
+    align = 'center',
+    sideOffset = 4,
+    alignOffset = 0,
+    flip = true,
+    shift = true,
+    collisionPadding = 8,
+    arrow = null,
+    arrowPadding = 8
+  } = options;
+
+  const ref = reference.getBoundingClientRect();
+  const size = { width: floating.offsetWidth, height: floating.offsetHeight };
+  const viewport = {
+    width: document.documentElement.clientWidth || window.innerWidth,
+    height: document.documentElement.clientHeight || window.innerHeight
+  };
+
+  // Room between the reference and the viewport edge on each side
+  const space = {
+    top: ref.top - sideOffset - collisionPadding,
+    bottom: viewport.height - ref.bottom - sideOffset - collisionPadding,
+    left: ref.left - sideOffset - collisionPadding,
+    right: viewport.width - ref.right - sideOffset - collisionPadding
+  };
+  const needed = s => (s === 'top' || s === 'bottom' ? size.height : size.width);
+
+  let placedSide = side;
+  if (flip && space[side] < needed(side)) {
+    const opposite = OPPOSITE_SIDE[side];
+    // Only flip when the other side is actually better
+    if (space[opposite] > space[side]) {
+      placedSide = opposite;
+    }
+  }
+
+  const vertical = placedSide === 'top' || placedSide === 'bottom';
+  let x;
+  let y;
+
+  if (placedSide === 'bottom') y = ref.bottom + sideOffset;
+  else if (placedSide === 'top') y = ref.top - sideOffset - size.height;
+  else if (placedSide === 'right') x = ref.right + sideOffset;
+  else x = ref.left - sideOffset - size.width;
+
+  // Cross axis: align start/center/end edges
+  const refStart = vertical ? ref.left : ref.top;
+  const refLength = vertical ? ref.width : ref.height;
+  const floatLength = vertical ? size.width : size.height;
+  let cross;
+  if (align === 'start') cross = refStart + alignOffset;
+  else if (align === 'end') cross = refStart + refLength - floatLength - alignOffset;
+  else cross = refStart + (refLength - floatLength) / 2 + alignOffset;
+
+  if (shift) {
+    const limit = (vertical ? viewport.width : viewport.height) - floatLength - collisionPadding;
+    cross = Math.max(collisionPadding, Math.min(cross, limit));
+  }
+
+  if (vertical) x = cross;
+  else y = cross;
+
+  // Point the arrow at the center of the reference, but keep it off the corners
+  let arrowX = null;
+  let arrowY = null;
+  if (arrow) {
+    const arrowLength = vertical ? arrow.offsetWidth : arrow.offsetHeight;
+    const center = refStart + refLength / 2 - cross - arrowLength / 2;
+    const offset = Math.max(arrowPadding, Math.min(center, floatLength - arrowLength - arrowPadding));
+    if (vertical) arrowX = offset;
+    else arrowY = offset;
+  }
+
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    side: placedSide,
+    align,
+    arrowX,
+    arrowY,
+    availableWidth: Math.max(0, vertical ? viewport.width - collisionPadding * 2 : space[placedSide]),
+    availableHeight: Math.max(0, vertical ? space[placedSide] : viewport.height - collisionPadding * 2)
+  };
+}
+
+/**
+ * Position a floating element next to a reference element. Applies the result
+ * of computePosition() as `position: fixed` coordinates and sets `data-side` and
+ * `data-align` on the floating element (and the arrow) for side-aware styling.
+ * @param {HTMLElement} reference - Element the floating element is anchored to
+ * @param {HTMLElement} floating - Floating element; it must be displayed so it can be measured
+ * @param {Object} [options] - Same options as computePosition()
+ * @returns {Object} The computed position
+ */
+function positionFloating(reference, floating, options = {}) {
+  floating.style.position = 'fixed';
+  floating.style.left = '0px';
+  floating.style.top = '0px';
+
+  // A transformed ancestor (e.g. a centered dialog) becomes the containing block
+  // of fixed elements, so measure where 0,0 actually ends up and compensate
+  const origin = floating.getBoundingClientRect();
+  const position = computePosition(reference, floating, options);
+
+  floating.style.left = `${position.x - origin.left}px`;
+  floating.style.top = `${position.y - origin.top}px`;
+  floating.setAttribute('data-side', position.side);
+  floating.setAttribute('data-align', position.align);
+
+  if (options.arrow) {
+    const arrow = options.arrow;
+    const half = `${-Math.round((position.side === 'top' || position.side === 'bottom' ? arrow.offsetHeight : arrow.offsetWidth) / 2)}px`;
+    arrow.style.position = 'absolute';
+    arrow.style.left = position.arrowX !== null ? `${position.arrowX}px` : '';
+    arrow.style.top = position.arrowY !== null ? `${position.arrowY}px` : '';
+    arrow.style.right = '';
+    arrow.style.bottom = '';
+    // The arrow sits on the edge that faces the reference
+    arrow.style[OPPOSITE_SIDE[position.side]] = half;
+    arrow.setAttribute('data-side', position.side);
+  }
+
+  return position;
+}
+
+/**
+ * Keep a floating element positioned while the page scrolls or the window resizes
+ * @param {HTMLElement} reference - Element the floating element is anchored to
+ * @param {HTMLElement} floating - Floating element
+ * @param {function} update - Called to reposition, usually a positionFloating() call
+ * @returns {function} Cleanup function that stops the updates
+ */
+function autoUpdate(reference, floating, update) {
+  let frame = null;
+  const schedule = () => {
+    if (frame !== null) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      update();
+    });
+  };
+
+  // Capture catches scrolling in any scroll container, not just the window
+  window.addEventListener('scroll', schedule, true);
+  window.addEventListener('resize', schedule);
+
+  return () => {
+    if (frame !== null) cancelAnimationFrame(frame);
+    window.removeEventListener('scroll', schedule, true);
+    window.removeEventListener('resize', schedule);
+  };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { computePosition, positionFloating, autoUpdate };
+} else if (typeof window !== 'undefined') {
+  window.shadcnPositioning = { computePosition, positionFloating, autoUpdate };
+}
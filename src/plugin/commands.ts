@@ -0,0 +1,111 @@
+// Menu commands from manifest.json `menu`, routed on figma.command
+//
+// UI commands open the plugin window, optionally on a specific tab. Headless
+// commands do their work without any UI and close the plugin with a message
+// describing the outcome, which Figma shows as a toast. Running the plugin
+// without a command (e.g. from the development menu before `menu` existed)
+// opens the UI on the last used tab.
+
+type PluginTab = 'plugin' | 'selection' | 'ui' | 'settings';
+
+// Resolves with the message shown when the plugin closes
+type HeadlessCommand = () => Promise<string>;
+
+const UI_TITLE = 'Figma Plugin Boilerplate';
+
+// Tab to open on; null keeps the tab saved in settings
+const uiCommands: { [command: string]: PluginTab | null } = {
+  'open': null,
+  'open-selection': 'selection',
+  'open-settings': 'settings'
+};
+
+const headlessCommands: { [command: string]: HeadlessCommand } = {
+  'create-rectangle-last': async () => {
+    const result = await createRectangle(await lastFormValues('create-rectangle'));
+    return `Created "${result.name}"`;
+  },
+
+  'create-grid-last': async () => {
+    const options = await lastFormValues('create-grid');
+    const result = await createGrid(options);
+    return `Created a ${options.rows} × ${options.columns} grid of ${result.count} tiles`;
+  },
+
+  'select-generated': async () => {
+    const { runs, count } = findGenerated({ scope: 'page' });
+    if (count === 0) {
+      return 'No generated nodes on this page';
+    }
+    const ids = runs.reduce((all: string[], run) => all.concat(run.nodeIds), []);
+    const { selected } = selectGenerated({ ids });
+    return `Selected ${selected} generated ${selected === 1 ? 'node' : 'nodes'}`;
+  }
+};
+
+// Set when a UI command asked for a specific tab; read by the UI on startup
+let launchTab: PluginTab | null = null;
+// Whether there is a UI to push events to; headless commands run without one
+let uiOpen = false;
+
+/**
+ * Run the command the plugin was started with. Resolves with whether the UI
+ * was opened. Quick actions (src/plugin/quick-actions.ts) arrive with their parameters.
+ */
+async function routeCommand(command: string, parameters?: ParameterValues): Promise<boolean> {
+  if (parameters && quickActions[command]) {
+    runHeadless(command, () => runQuickAction(command, parameters));
+    return false;
+  }
+
+  const headless = headlessCommands[command];
+  if (headless) {
+    runHeadless(command, headless);
+    return false;
+  }
+
+  if (command && !(command in uiCommands)) {
+    console.warn(`Unknown command "${command}", opening the UI`);
+  }
+  launchTab = uiCommands[command] || null;
+  await openUI();
+  return true;
+}
+
+/**
+ * Show the plugin window at the size it had last time. themeColors gives the
+ * UI Figma's `--figma-color-*` variables and theme class (see src/ui/theme.js).
+ */
+async function openUI() {
+  const settings = await loadSettings();
+  figma.showUI(__html__, { ...windowSizeFor(settings.window), title: UI_TITLE, themeColors: true });
+  uiOpen = true;
+}
+
+/**
+ * `resize-ui`: resize the plugin window. The UI saves the size in settings itself,
+ * so a drag can resize continuously and save once at the end.
+ */
+function resizeUI(size: { width: number; height: number }) {
+  figma.ui.resize(size.width, size.height);
+  return size;
+}
+
+async function runHeadless(command: string, run: HeadlessCommand) {
+  try {
+    figma.closePlugin(await run());
+  } catch (error) {
+    console.error(`Command "${command}" failed:`, error);
+    // A toast shown right before closing can be lost; closePlugin shows its message itself
+    figma.closePlugin(errorMessage(error));
+  }
+}
+
+/**
+ * The values last used in a generated form (saved by the UI in settings),
+ * validated like a message from the UI. Fields never edited get their defaults.
+ */
+async function lastFormValues(type: string) {
+  const settings = await loadSettings();
+  return validateMessage(type, settings.forms[type] || {});
+}
@@ -0,0 +1,62 @@
+// Structured errors reported back to the UI
+//
+// Every failed handler produces the same envelope so the UI can show it
+// without knowing which handler ran:
+//   { code, message, type, details? }
+
+type ErrorCode =
+  | 'UNKNOWN_MESSAGE'
+  | 'INVALID_PAYLOAD'
+  | 'NO_SELECTION'
+  | 'HANDLER_FAILED'
+  | 'CANCELLED'
+  | 'INTERNAL_ERROR';
+
+interface ErrorEnvelope {
+  code: ErrorCode;
+  message: string;
+  // Message type of the request that failed
+  type: string | null;
+  details?: any;
+}
+
+/**
+ * Error with a machine-readable code. Throw this from handlers when the
+ * failure is expected (bad input, nothing selected, ...).
+ */
+class PluginError extends Error {
+  code: ErrorCode;
+  details?: any;
+
+  constructor(code: ErrorCode, message: string, details?: any) {
+    super(message);
+    this.name = 'PluginError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Normalize anything a handler may throw into an error envelope
+ */
+function toErrorEnvelope(error: unknown, type: string | null): ErrorEnvelope {
+  if (error instanceof PluginError) {
+    const envelope: ErrorEnvelope = { code: error.code, message: error.message, type };
+    if (error.details !== undefined) {
+      envelope.details = error.details;
+    }
+    return envelope;
+  }
+
+  // Anything else escaped from the Figma API or from a bug in the handler
+  if (error instanceof Error) {
+    return {
+      code: 'HANDLER_FAILED',
+      message: error.message,
+      type,
+      details: { name: error.name }
+    };
+  }
+
+  return { code: 'INTERNAL_ERROR', message: String(error), type };
+}
@@ -0,0 +1,102 @@
+// Image and document export of the selection (`export-selection`)
+//
+// Nodes are exported one at a time with exportAsync(). Each result is pushed to
+// the UI as soon as it is ready, so large exports stream instead of arriving as
+// one huge reply:
+//   export-progress { exportId, index, total, node, status: 'exporting' }
+//   export-progress { exportId, index, total, node, status: 'done', file: { filename, mimeType, bytes } }
+//   export-progress { exportId, index, total, node, status: 'failed', message }
+
+type ExportFormat = 'PNG' | 'JPG' | 'SVG' | 'PDF';
+
+interface ExportOptions {
+  format: ExportFormat;
+  // Resolution multiplier for PNG and JPG
+  scale: number;
+  // Appended to every file name, e.g. "@2x"
+  suffix: string;
+  // SVG only: convert text to outlines instead of <text> elements
+  svgOutlineText: boolean;
+  // Export only the node's contents, without the area around it
+  contentsOnly: boolean;
+}
+
+const EXPORT_PROGRESS = 'export-progress';
+
+const EXPORT_MIME_TYPES: { [format in ExportFormat]: string } = {
+  PNG: 'image/png',
+  JPG: 'image/jpeg',
+  SVG: 'image/svg+xml',
+  PDF: 'application/pdf'
+};
+
+let nextExportId = 0;
+
+/**
+ * `export-selection`: export every selected node, streaming files to the UI.
+ * A node that fails doesn't stop the others; the reply lists the failures.
+ */
+async function exportSelection(options: ExportOptions) {
+  const nodes = figma.currentPage.selection.slice();
+  if (nodes.length === 0) {
+    throw new PluginError('NO_SELECTION', 'Select the layers to export');
+  }
+
+  const exportId = `export-${++nextExportId}`;
+  const settings = exportSettings(options);
+  const filenames = exportFilenames(nodes, options);
+  const failed: { id: string; name: string; message: string }[] = [];
+  const total = nodes.length;
+
+  for (let index = 0; index < total; index++) {
+    const node = nodes[index];
+    const progress = { exportId, index, total, node: { id: node.id, name: node.name } };
+    emitToUI(EXPORT_PROGRESS, { ...progress, status: 'exporting' });
+
+    try {
+      const bytes = await node.exportAsync(settings);
+      emitToUI(EXPORT_PROGRESS, {
+        ...progress,
+        status: 'done',
+        file: { filename: filenames[index], mimeType: EXPORT_MIME_TYPES[options.format], bytes }
+      });
+    } catch (error) {
+      const message = errorMessage(error);
+      failed.push({ id: node.id, name: node.name, message });
+      emitToUI(EXPORT_PROGRESS, { ...progress, status: 'failed', message });
+    }
+  }
+
+  return { exportId, total, exported: total - failed.length, failed };
+}
+
+function exportSettings(options: ExportOptions): ExportSettings {
+  const { format, contentsOnly } = options;
+  switch (format) {
+    case 'SVG':
+      return { format, contentsOnly, svgOutlineText: options.svgOutlineText };
+    case 'PDF':
+      return { format, contentsOnly };
+    default:
+      return { format, contentsOnly, constraint: { type: 'SCALE', value: options.scale } };
+  }
+}
+
+/**
+ * File names from node names, made safe for file systems and unique within
+ * the export so a zip bundle doesn't overwrite its own entries
+ */
+function exportFilenames(nodes: SceneNode[], options: ExportOptions): string[] {
+  const used = new Set<string>();
+  const extension = options.format.toLowerCase();
+
+  return nodes.map(node => {
+    const base = node.name.replace(/[\\/:*?"<>|]+/g, '-').trim() || node.type.toLowerCase();
+    let filename = `${base}${options.suffix}.${extension}`;
+    for (let copy = 2; used.has(filename.toLowerCase()); copy++) {
+      filename = `${base} ${copy}${options.suffix}.${extension}`;
+    }
+    used.add(filename.toLowerCase());
+    return filename;
+  });
+}
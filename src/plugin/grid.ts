@@ -0,0 +1,159 @@
+// Batch generator for the `create-grid` command
+// Lays out rows × columns rectangles, optionally inside an auto layout frame
+
+type ColorRamp = 'none' | 'sequential' | 'rows' | 'columns';
+
+interface GridOptions {
+  rows: number;
+  columns: number;
+  cellWidth: number;
+  cellHeight: number;
+  gap: number;
+  cornerRadius: number;
+  startColor: string;
+  endColor: string;
+  colorRamp: ColorRamp;
+  namePattern: string;
+  wrapInFrame: boolean;
+  frameName: string;
+  padding: number;
+}
+
+// Keeps a single command from locking up the editor
+const MAX_GRID_NODES = 2500;
+
+/**
+ * Create the grid, select it and zoom to it. Runs as a transaction, so all
+ * nodes land in one undo step and a failure or cancel part way through removes
+ * them again. Tiles are created as a job (src/plugin/jobs.ts) to report progress.
+ */
+function createGrid(options: GridOptions, parent?: Transaction) {
+  const { rows, columns, cellWidth, cellHeight, gap } = options;
+  const total = rows * columns;
+
+  if (total > MAX_GRID_NODES) {
+    throw new PluginError('INVALID_PAYLOAD', `A grid can have at most ${MAX_GRID_NODES} nodes (got ${total})`, {
+      errors: [{ path: 'rows', message: `× columns must be at most ${MAX_GRID_NODES}` }]
+    });
+  }
+
+  const start = requireColor(options.startColor);
+  const end = requireColor(options.endColor);
+  const gridWidth = columns * cellWidth + (columns - 1) * gap;
+  const gridHeight = rows * cellHeight + (rows - 1) * gap;
+
+  return runJob('create-grid', total, job => runTransaction(async tx => {
+    const tiles: RectangleNode[] = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < columns; col++) {
+        const index = row * columns + col;
+        const rect = tx.track(figma.createRectangle());
+        rect.resize(cellWidth, cellHeight);
+        rect.name = formatTileName(options.namePattern, row, col, index);
+        rect.fills = [colorToPaint(mixColors(start, end, rampPosition(options, row, col, index)))];
+        if (options.cornerRadius > 0) {
+          rect.cornerRadius = options.cornerRadius;
+        }
+        rect.x = col * (cellWidth + gap);
+        rect.y = row * (cellHeight + gap);
+        tiles.push(rect);
+        await job.step(rect.name);
+      }
+    }
+
+    let result: SceneNode[];
+    if (options.wrapInFrame) {
+      const frame = tx.track(createGridFrame(options, gridWidth));
+      tiles.forEach(tile => frame.appendChild(tile));
+      placeAtViewportCenter([frame], frame.width, frame.height);
+      figma.currentPage.appendChild(frame);
+      result = [frame];
+    } else {
+      tiles.forEach(tile => figma.currentPage.appendChild(tile));
+      placeAtViewportCenter(tiles, gridWidth, gridHeight);
+      result = tiles;
+    }
+
+    tagNodes(options.wrapInFrame ? [...result, ...tiles] : tiles, 'create-grid', options);
+    tx.set(figma.currentPage, 'selection', result);
+    figma.viewport.scrollAndZoomIntoView(result);
+
+    return {
+      count: tiles.length,
+      frameId: options.wrapInFrame ? result[0].id : null,
+      ids: tiles.map(tile => tile.id)
+    };
+  }, parent));
+}
+
+/**
+ * Auto layout frame that wraps tiles into `columns` per row
+ */
+function createGridFrame(options: GridOptions, gridWidth: number): FrameNode {
+  const frame = figma.createFrame();
+  frame.name = options.frameName;
+  frame.fills = [];
+  frame.layoutMode = 'HORIZONTAL';
+  frame.layoutWrap = 'WRAP';
+  frame.itemSpacing = options.gap;
+  frame.counterAxisSpacing = options.gap;
+  frame.paddingTop = options.padding;
+  frame.paddingRight = options.padding;
+  frame.paddingBottom = options.padding;
+  frame.paddingLeft = options.padding;
+  // Fixed width makes the wrap happen after exactly `columns` tiles
+  frame.primaryAxisSizingMode = 'FIXED';
+  frame.counterAxisSizingMode = 'AUTO';
+  frame.resize(gridWidth + options.padding * 2, frame.height);
+  return frame;
+}
+
+/**
+ * Shift nodes laid out from (0, 0) so the whole block is centered in the viewport
+ */
+function placeAtViewportCenter(nodes: SceneNode[], width: number, height: number) {
+  const left = figma.viewport.center.x - width / 2;
+  const top = figma.viewport.center.y - height / 2;
+  nodes.forEach(node => {
+    node.x += left;
+    node.y += top;
+  });
+}
+
+/**
+ * Replace {row}, {col} and {index} (all 1-based) in a name pattern
+ */
+function formatTileName(pattern: string, row: number, col: number, index: number) {
+  return pattern
+    .replace(/\{row\}/g, String(row + 1))
+    .replace(/\{col\}/g, String(col + 1))
+    .replace(/\{index\}/g, String(index + 1));
+}
+
+/**
+ * Position of a tile along the color ramp, from 0 (start color) to 1 (end color)
+ */
+function rampPosition(options: GridOptions, row: number, col: number, index: number) {
+  const ratio = (value: number, count: number) => (count > 1 ? value / (count - 1) : 0);
+
+  switch (options.colorRamp) {
+    case 'sequential':
+      return ratio(index, options.rows * options.columns);
+    case 'rows':
+      return ratio(row, options.rows);
+    case 'columns':
+      return ratio(col, options.columns);
+    case 'none':
+    default:
+      return 0;
+  }
+}
+
+function mixColors(from: ParsedColor, to: ParsedColor, t: number): ParsedColor {
+  return {
+    r: from.r + (to.r - from.r) * t,
+    g: from.g + (to.g - from.g) * t,
+    b: from.b + (to.b - from.b) * t,
+    a: from.a + (to.a - from.a) * t
+  };
+}
@@ -0,0 +1,111 @@
+// Image and SVG import for the `import-images` command
+//
+// The UI reads dropped files and sends them in one message:
+//   files: [{ name: 'photo.png', kind: 'image', bytes: Uint8Array }, { name: 'icon.svg', kind: 'svg', svg: '<svg ...' }]
+// Raster images become rectangles with an image fill sized to the image's
+// aspect ratio; SVGs become vector nodes. The new nodes are laid out in a row
+// centered in the viewport, the way createRectangle() places its rectangle.
+
+type ImageScaleMode = 'fill' | 'fit' | 'crop';
+
+interface ImportedFile {
+  name: string;
+  kind: 'image' | 'svg';
+  bytes?: Uint8Array;
+  svg?: string;
+}
+
+interface ImageImportOptions {
+  files: ImportedFile[];
+  scaleMode: ImageScaleMode;
+  // Longest side of an imported image in pixels; larger images are scaled down
+  maxSize: number;
+}
+
+// Space between nodes when several files are dropped at once
+const IMAGE_IMPORT_GAP = 24;
+
+/**
+ * `import-images`: create one node per file. Files that can't be read are
+ * reported and skipped; the rest are created as a single undo step.
+ */
+async function importImages(options: ImageImportOptions) {
+  return runTransaction(async tx => {
+    const nodes: SceneNode[] = [];
+    const failed: { name: string; message: string }[] = [];
+
+    for (const file of options.files) {
+      try {
+        const node = file.kind === 'svg'
+          ? importSvgFile(file, tx)
+          : await importImageFile(file, options, tx);
+        node.name = file.name.replace(/\.[^.]+$/, '') || node.name;
+        nodes.push(node);
+      } catch (error) {
+        failed.push({ name: String(file && file.name), message: errorMessage(error) });
+      }
+    }
+
+    if (nodes.length === 0) {
+      const reasons = failed.map(item => `${item.name} (${item.message})`).join(', ');
+      throw new PluginError('INVALID_PAYLOAD', `None of the files could be imported: ${reasons}`, { failed });
+    }
+
+    // Lay the nodes out left to right, then center the row like createRectangle()
+    const rowHeight = Math.max(...nodes.map(node => node.height));
+    let x = 0;
+    nodes.forEach(node => {
+      node.x = x;
+      node.y = (rowHeight - node.height) / 2;
+      x += node.width + IMAGE_IMPORT_GAP;
+    });
+    placeAtViewportCenter(nodes, x - IMAGE_IMPORT_GAP, rowHeight);
+
+    // The tag records which files were imported, not their contents, so an
+    // import can be found and selected but not regenerated
+    tagNodes(nodes, 'import-images', {
+      files: options.files.map(file => ({ name: file.name, kind: file.kind })),
+      scaleMode: options.scaleMode,
+      maxSize: options.maxSize
+    });
+
+    tx.set(figma.currentPage, 'selection', nodes);
+    figma.viewport.scrollAndZoomIntoView(nodes);
+
+    return { ids: nodes.map(node => node.id), created: nodes.length, failed };
+  });
+}
+
+/**
+ * Rectangle with an image fill, keeping the image's aspect ratio
+ */
+async function importImageFile(file: ImportedFile, options: ImageImportOptions, tx: Transaction): Promise<RectangleNode> {
+  if (!file.bytes || !ArrayBuffer.isView(file.bytes) || file.bytes.length === 0) {
+    throw new PluginError('INVALID_PAYLOAD', 'Image file is empty');
+  }
+
+  // Throws for formats other than PNG, JPG and GIF, and for images over 4096px
+  const image = figma.createImage(file.bytes);
+  const size = await image.getSizeAsync();
+  const scale = Math.min(1, options.maxSize / Math.max(size.width, size.height));
+
+  const rect = tx.track(figma.createRectangle());
+  rect.resize(Math.max(1, Math.round(size.width * scale)), Math.max(1, Math.round(size.height * scale)));
+  rect.fills = [{
+    type: 'IMAGE',
+    imageHash: image.hash,
+    scaleMode: options.scaleMode.toUpperCase() as ImagePaint['scaleMode']
+  }];
+  return rect;
+}
+
+/**
+ * Vector nodes from SVG markup, wrapped in a frame by Figma
+ */
+function importSvgFile(file: ImportedFile, tx: Transaction): FrameNode {
+  if (typeof file.svg !== 'string' || !/<svg[\s>]/.test(file.svg)) {
+    throw new PluginError('INVALID_PAYLOAD', 'File is not SVG markup');
+  }
+
+  return tx.track(figma.createNodeFromSvg(file.svg));
+}
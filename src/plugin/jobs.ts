@@ -0,0 +1,95 @@
+// Long-running jobs with progress and cancellation
+//
+// A job calls `job.step(current)` once per unit of work. Every JOB_CHUNK_SIZE
+// steps it yields to the editor, so Figma and the UI stay responsive, and
+// pushes a progress event:
+//   job-progress { jobId, type, done, total, current, status: 'running' }
+// The last event has status 'done', 'cancelled' or 'failed'. The UI stops a job
+// with `cancel-job { jobId }`; the next step then throws CANCELLED, which rolls
+// back the transaction the job runs in.
+
+type JobStatus = 'running' | 'done' | 'cancelled' | 'failed';
+
+const JOB_PROGRESS = 'job-progress';
+const JOB_CHUNK_SIZE = 50;
+
+const runningJobs = new Map<string, Job>();
+let nextJobId = 0;
+
+class Job {
+  readonly id = `job-${++nextJobId}`;
+  done = 0;
+  cancelled = false;
+  private current = '';
+
+  constructor(readonly type: string, readonly total: number) {}
+
+  /**
+   * Count one unit of work. Yields and reports progress at the end of each
+   * chunk, and throws CANCELLED there if the UI asked to stop.
+   */
+  async step(current: string) {
+    this.done++;
+    this.current = current;
+    if (this.done % JOB_CHUNK_SIZE !== 0) {
+      return;
+    }
+
+    this.report('running');
+    // Messages from the UI, including cancel-job, are only handled while we wait
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (this.cancelled) {
+      throw new PluginError('CANCELLED', `Cancelled after ${this.done} of ${this.total}`, {
+        done: this.done,
+        total: this.total
+      });
+    }
+  }
+
+  report(status: JobStatus) {
+    // Headless commands have no UI to report to
+    if (!uiOpen) {
+      return;
+    }
+    emitToUI(JOB_PROGRESS, {
+      jobId: this.id,
+      type: this.type,
+      done: Math.min(this.done, this.total),
+      total: this.total,
+      current: this.current,
+      status
+    });
+  }
+}
+
+/**
+ * Run `body` as a job of `total` steps. `type` is the message type it belongs
+ * to, so the UI can tell jobs apart.
+ */
+async function runJob<T>(type: string, total: number, body: (job: Job) => Promise<T>): Promise<T> {
+  const job = new Job(type, total);
+  runningJobs.set(job.id, job);
+  job.report('running');
+
+  try {
+    const result = await body(job);
+    job.report('done');
+    return result;
+  } catch (error) {
+    job.report(error instanceof PluginError && error.code === 'CANCELLED' ? 'cancelled' : 'failed');
+    throw error;
+  } finally {
+    runningJobs.delete(job.id);
+  }
+}
+
+/**
+ * `cancel-job`: ask a running job to stop at its next chunk boundary
+ */
+function cancelJob(options: { jobId: string }) {
+  const job = runningJobs.get(options.jobId);
+  if (job) {
+    job.cancelled = true;
+  }
+  return { cancelled: !!job };
+}
@@ -0,0 +1,578 @@
+// JSON export and import of node subtrees (`export-json`, `import-json`)
+//
+// An export document wraps full-depth serialize.ts snapshots:
+//   {
+//     format: 'figma-plugin-boilerplate/nodes',
+//     version: 1,
+//     exportedAt: '2024-05-01T12:00:00.000Z',
+//     source: { file: 'Design system', page: 'Cards' },
+//     nodes: [SerializedNode, ...]
+//   }
+// Import recreates what the Plugin API can create and reports everything it
+// had to leave out (unsupported node types, missing fonts and images, ...).
+
+interface NodeDocument {
+  format: string;
+  version: number;
+  exportedAt: string;
+  source: { file: string; page: string };
+  nodes: SerializedNode[];
+}
+
+interface ImportIssue {
+  // Names from the imported root down to the affected node
+  path: string;
+  message: string;
+}
+
+interface ImportContext {
+  tx: Transaction;
+  // Steps once per serialized node, for progress and cancellation
+  job: Job;
+  issues: ImportIssue[];
+  count: number;
+  // Requested font ("Family/Style") -> font actually used
+  fonts: Map<string, FontName>;
+}
+
+type ImportParent = BaseNode & ChildrenMixin;
+
+const NODE_DOCUMENT_FORMAT = 'figma-plugin-boilerplate/nodes';
+const NODE_DOCUMENT_VERSION = 1;
+const MAX_EXPORTED_NODES = 5000;
+const IMAGE_PAINT_SCALE_MODES = ['FILL', 'FIT', 'CROP', 'TILE'];
+
+// Text properties applied generically once the characters are set
+const TEXT_STYLE_KEYS = TEXT_KEYS.filter(key => ['characters', 'fontName', 'fontWeight', 'textAutoResize'].indexOf(key) === -1);
+
+/**
+ * `export-json`: the selected nodes and everything inside them as a node document
+ */
+async function exportJson() {
+  const selection = figma.currentPage.selection;
+  if (selection.length === 0) {
+    throw new PluginError('NO_SELECTION', 'Select the layers to export');
+  }
+
+  const budget = { remaining: MAX_EXPORTED_NODES };
+  const nodes: SerializedNode[] = [];
+  for (const node of selection) {
+    if (budget.remaining <= 0) {
+      break;
+    }
+    nodes.push(await serializeNode(node, Infinity, budget));
+  }
+
+  const document: NodeDocument = {
+    format: NODE_DOCUMENT_FORMAT,
+    version: NODE_DOCUMENT_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { file: figma.root.name, page: figma.currentPage.name },
+    nodes
+  };
+
+  return {
+    document,
+    count: MAX_EXPORTED_NODES - budget.remaining,
+    truncated: nodes.length < selection.length || hasTruncated(nodes)
+  };
+}
+
+/**
+ * `import-json`: recreate the nodes of a document on the current page.
+ * Runs as a cancellable job inside a transaction; nodes that can't be created
+ * are reported, not fatal.
+ */
+async function importJson(options: { document: any; position: 'viewport-center' | 'original' }) {
+  const document = checkNodeDocument(options.document);
+
+  return runJob('import-json', countImportSteps(document.nodes), job => runTransaction(async tx => {
+    const context: ImportContext = { tx, job, issues: [], count: 0, fonts: new Map() };
+    const roots: SceneNode[] = [];
+
+    for (const data of document.nodes) {
+      const node = await importNode(data, figma.currentPage, context, data.name);
+      if (node) {
+        roots.push(node);
+      }
+    }
+
+    if (roots.length === 0) {
+      throw new PluginError('INVALID_PAYLOAD', 'Nothing in the document could be imported', { issues: context.issues });
+    }
+
+    if (options.position === 'viewport-center') {
+      const left = Math.min(...roots.map(node => node.x));
+      const top = Math.min(...roots.map(node => node.y));
+      const right = Math.max(...roots.map(node => node.x + node.width));
+      const bottom = Math.max(...roots.map(node => node.y + node.height));
+      roots.forEach(node => {
+        node.x -= left;
+        node.y -= top;
+      });
+      placeAtViewportCenter(roots, right - left, bottom - top);
+    }
+
+    // Like image imports, the tag leaves out the document itself: imported
+    // nodes can be found and selected but not regenerated
+    tagNodes(roots, 'import-json', {
+      position: options.position,
+      version: document.version,
+      nodes: document.nodes.map(node => node.name)
+    });
+
+    tx.set(figma.currentPage, 'selection', roots);
+    figma.viewport.scrollAndZoomIntoView(roots);
+
+    return { count: context.count, ids: roots.map(node => node.id), issues: context.issues };
+  }));
+}
+
+function checkNodeDocument(document: any): NodeDocument {
+  const invalid = (message: string) => new PluginError('INVALID_PAYLOAD', `The document ${message}`, {
+    errors: [{ path: 'document', message }]
+  });
+
+  if (!document || document.format !== NODE_DOCUMENT_FORMAT) {
+    throw invalid(`is not a ${NODE_DOCUMENT_FORMAT} export`);
+  }
+  if (typeof document.version !== 'number' || document.version > NODE_DOCUMENT_VERSION) {
+    throw invalid(`has version ${document.version}; this plugin reads up to version ${NODE_DOCUMENT_VERSION}`);
+  }
+  if (!Array.isArray(document.nodes) || document.nodes.length === 0) {
+    throw invalid('has no nodes');
+  }
+  return document;
+}
+
+/**
+ * Nodes importNode() visits: everything except the children of instances
+ */
+function countImportSteps(nodes: SerializedNode[]): number {
+  return nodes.reduce((count, node) => {
+    const children = node.children && node.type !== 'INSTANCE' ? countImportSteps(node.children) : 0;
+    return count + 1 + children;
+  }, 0);
+}
+
+/**
+ * Recreate one serialized node and its children inside `parent`
+ */
+async function importNode(data: SerializedNode, parent: ImportParent, context: ImportContext, path: string): Promise<SceneNode | null> {
+  await context.job.step(path);
+  if (data.type === 'GROUP' || data.type === 'BOOLEAN_OPERATION') {
+    return importContainer(data, parent, context, path);
+  }
+
+  const node = await createImportedNode(data, context, path);
+  if (!node) {
+    return null;
+  }
+
+  context.tx.track(node);
+  context.count++;
+  node.name = data.name;
+  parent.appendChild(node);
+
+  applyImportedGeometry(node, data, context, path);
+  if (data.layout) {
+    applyImportedProps(node, data.layout, AUTO_LAYOUT_KEYS.concat(LAYOUT_CHILD_KEYS), context, path);
+  }
+  applyImportedAppearance(node, data.appearance, context, path);
+  if (node.type === 'TEXT' && data.text) {
+    await applyImportedText(node, data, context, path);
+  }
+  if (node.type === 'COMPONENT' && data.component) {
+    applyImportedComponent(node, data.component, context, path);
+  }
+
+  if (data.childCount) {
+    addImportIssue(context, path, `${data.childCount} children were not exported`);
+  }
+  // Instances get their children from the main component
+  if (data.children && 'appendChild' in node && node.type !== 'INSTANCE') {
+    for (const child of data.children) {
+      await importNode(child, node, context, `${path} / ${child.name}`);
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Groups and boolean operations are built around their children, which keep
+ * coordinates relative to the container's parent
+ */
+async function importContainer(data: SerializedNode, parent: ImportParent, context: ImportContext, path: string): Promise<SceneNode | null> {
+  const children: SceneNode[] = [];
+  for (const child of data.children || []) {
+    const node = await importNode(child, parent, context, `${path} / ${child.name}`);
+    if (node) {
+      children.push(node);
+    }
+  }
+
+  if (children.length === 0) {
+    addImportIssue(context, path, `Empty ${data.type.toLowerCase()} was skipped`);
+    return null;
+  }
+
+  let node: GroupNode | BooleanOperationNode;
+  if (data.type === 'GROUP') {
+    node = figma.group(children, parent);
+  } else {
+    const operation = data.vector ? data.vector.booleanOperation : 'UNION';
+    const combine = {
+      UNION: figma.union,
+      SUBTRACT: figma.subtract,
+      INTERSECT: figma.intersect,
+      EXCLUDE: figma.exclude
+    }[operation as BooleanOperationNode['booleanOperation']] || figma.union;
+    node = combine.call(figma, children, parent);
+  }
+
+  context.tx.track(node);
+  context.count++;
+  node.name = data.name;
+  applyImportedAppearance(node, data.appearance, context, path);
+  return node;
+}
+
+/**
+ * Create the bare node for a serialized node type, or report why it can't be
+ */
+async function createImportedNode(data: SerializedNode, context: ImportContext, path: string): Promise<SceneNode | null> {
+  switch (data.type) {
+    case 'RECTANGLE':
+      return figma.createRectangle();
+    case 'ELLIPSE':
+      return figma.createEllipse();
+    case 'POLYGON':
+      return figma.createPolygon();
+    case 'STAR':
+      return figma.createStar();
+    case 'LINE':
+      return figma.createLine();
+    case 'TEXT':
+      return figma.createText();
+    case 'FRAME':
+      return figma.createFrame();
+    case 'SECTION':
+      return figma.createSection();
+    case 'COMPONENT':
+      return figma.createComponent();
+
+    case 'VECTOR': {
+      const vector = figma.createVector();
+      if (data.vector && data.vector.vectorPaths) {
+        vector.vectorPaths = data.vector.vectorPaths;
+      } else {
+        addImportIssue(context, path, 'Vector paths are missing; created an empty vector');
+      }
+      return vector;
+    }
+
+    case 'INSTANCE': {
+      const mainComponent = await findMainComponent(data.component && data.component.mainComponent);
+      if (mainComponent) {
+        const instance = mainComponent.createInstance();
+        applyInstanceProperties(instance, data.component, context, path);
+        return instance;
+      }
+      addImportIssue(context, path, 'Main component is not available in this file; recreated the instance as a frame');
+      return figma.createFrame();
+    }
+
+    case 'COMPONENT_SET':
+      addImportIssue(context, path, 'Component sets are recreated as frames of separate components');
+      return figma.createFrame();
+
+    default:
+      addImportIssue(context, path, `${data.type} nodes can't be created by plugins and were skipped`);
+      return null;
+  }
+}
+
+/**
+ * The exported main component, from this file or a published library
+ */
+async function findMainComponent(reference: { id: string; key: string } | null | undefined): Promise<ComponentNode | null> {
+  if (!reference) {
+    return null;
+  }
+
+  const local = await figma.getNodeByIdAsync(reference.id);
+  if (local && local.type === 'COMPONENT' && local.key === reference.key) {
+    return local;
+  }
+
+  try {
+    return await figma.importComponentByKeyAsync(reference.key);
+  } catch (error) {
+    // Not published, or published from a library this file doesn't use
+    return null;
+  }
+}
+
+function applyInstanceProperties(instance: InstanceNode, component: SerializedProps | undefined, context: ImportContext, path: string) {
+  const properties = component && component.componentProperties;
+  if (!properties) {
+    return;
+  }
+
+  const values: { [name: string]: string | boolean } = {};
+  Object.keys(properties).forEach(name => {
+    // Instance swaps point at nodes of the exporting file
+    if (properties[name].type !== 'INSTANCE_SWAP') {
+      values[name] = properties[name].value;
+    }
+  });
+
+  try {
+    instance.setProperties(values);
+  } catch (error) {
+    addImportIssue(context, path, `Component properties were not restored: ${errorMessage(error)}`);
+  }
+}
+
+function applyImportedComponent(node: ComponentNode, component: SerializedProps, context: ImportContext, path: string) {
+  if (component.description) {
+    node.description = component.description;
+  }
+
+  const definitions = component.componentPropertyDefinitions || {};
+  Object.keys(definitions).forEach(name => {
+    const definition = definitions[name];
+    if (definition.type === 'VARIANT' || definition.type === 'INSTANCE_SWAP') {
+      addImportIssue(context, path, `${definition.type.toLowerCase()} property "${name}" was not recreated`);
+      return;
+    }
+    try {
+      // Names carry a "#id" suffix that Figma assigns again
+      node.addComponentProperty(name.split('#')[0], definition.type, definition.defaultValue);
+    } catch (error) {
+      addImportIssue(context, path, `Property "${name}" was not recreated: ${errorMessage(error)}`);
+    }
+  });
+}
+
+function applyImportedGeometry(node: SceneNode, data: SerializedNode, context: ImportContext, path: string) {
+  const { width, height } = data.geometry;
+
+  // Text sizes itself once its characters are set
+  if (node.type !== 'TEXT' && 'resize' in node && typeof width === 'number' && typeof height === 'number') {
+    try {
+      node.resize(Math.max(width, 0.01), node.type === 'LINE' ? 0 : Math.max(height, 0.01));
+    } catch (error) {
+      addImportIssue(context, path, `Size was not restored: ${errorMessage(error)}`);
+    }
+  }
+
+  applyImportedProps(node, data.geometry, ['pointCount', 'innerRadius', 'arcData', 'rotation', 'x', 'y', 'constraints'], context, path);
+}
+
+function applyImportedAppearance(node: SceneNode, appearance: SerializedProps, context: ImportContext, path: string) {
+  if (!appearance) {
+    return;
+  }
+
+  applyImportedProps(node, appearance, APPEARANCE_KEYS, context, path);
+
+  if ('fills' in node && Array.isArray(appearance.fills)) {
+    try {
+      node.fills = deserializePaints(appearance.fills, context, path);
+    } catch (error) {
+      addImportIssue(context, path, `Fills were not restored: ${errorMessage(error)}`);
+    }
+  }
+  if ('strokes' in node && Array.isArray(appearance.strokes)) {
+    try {
+      node.strokes = deserializePaints(appearance.strokes, context, path);
+    } catch (error) {
+      addImportIssue(context, path, `Strokes were not restored: ${errorMessage(error)}`);
+    }
+  }
+  if ('effects' in node && Array.isArray(appearance.effects)) {
+    try {
+      node.effects = appearance.effects.map(deserializeEffect);
+    } catch (error) {
+      addImportIssue(context, path, `Effects were not restored: ${errorMessage(error)}`);
+    }
+  }
+}
+
+async function applyImportedText(node: TextNode, data: SerializedNode, context: ImportContext, path: string) {
+  const text = data.text as SerializedProps;
+  const segments: any[] = Array.isArray(text.segments) ? text.segments : [];
+
+  // Setting characters needs the node's current font loaded
+  await figma.loadFontAsync(node.fontName as FontName);
+  node.fontName = await resolveImportFont(text.fontName !== 'mixed' ? text.fontName : segments[0] && segments[0].fontName, context, path);
+  node.characters = String(text.characters || '');
+
+  applyImportedProps(node, text, TEXT_STYLE_KEYS, context, path);
+
+  for (const segment of segments) {
+    const { start, end } = segment;
+    try {
+      node.setRangeFontName(start, end, await resolveImportFont(segment.fontName, context, path));
+      node.setRangeFontSize(start, end, segment.fontSize);
+      node.setRangeTextCase(start, end, segment.textCase);
+      node.setRangeTextDecoration(start, end, segment.textDecoration);
+      node.setRangeLineHeight(start, end, segment.lineHeight);
+      node.setRangeLetterSpacing(start, end, segment.letterSpacing);
+      if (Array.isArray(segment.fills)) {
+        node.setRangeFills(start, end, deserializePaints(segment.fills, context, path));
+      }
+    } catch (error) {
+      addImportIssue(context, path, `Style of characters ${start}-${end} was not restored: ${errorMessage(error)}`);
+    }
+  }
+
+  const { width, height } = data.geometry;
+  const autoResize = text.textAutoResize;
+  if (autoResize === 'NONE' || autoResize === 'TRUNCATE') {
+    node.resize(Math.max(width, 0.01), Math.max(height, 0.01));
+  } else if (autoResize === 'HEIGHT') {
+    node.resize(Math.max(width, 0.01), node.height);
+  }
+  if (autoResize) {
+    node.textAutoResize = autoResize;
+  }
+}
+
+/**
+ * Load an exported font, falling back to the default font when it isn't installed
+ */
+async function resolveImportFont(font: FontName | undefined, context: ImportContext, path: string): Promise<FontName> {
+  if (!font) {
+    await figma.loadFontAsync(DEFAULT_FONT);
+    return DEFAULT_FONT;
+  }
+
+  const key = `${font.family}/${font.style}`;
+  const cached = context.fonts.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  let resolved = font;
+  try {
+    await figma.loadFontAsync(font);
+  } catch (error) {
+    addImportIssue(context, path, `Font ${font.family} ${font.style} is not available; used ${DEFAULT_FONT.family} ${DEFAULT_FONT.style}`);
+    await figma.loadFontAsync(DEFAULT_FONT);
+    resolved = DEFAULT_FONT;
+  }
+  context.fonts.set(key, resolved);
+  return resolved;
+}
+
+function deserializePaints(paints: SerializedProps[], context: ImportContext, path: string): Paint[] {
+  const result: Paint[] = [];
+
+  paints.forEach(paint => {
+    const base = {
+      visible: paint.visible !== false,
+      opacity: typeof paint.opacity === 'number' ? paint.opacity : 1,
+      blendMode: (paint.blendMode || 'NORMAL') as BlendMode
+    };
+
+    switch (paint.type) {
+      case 'SOLID': {
+        const color = parseColor(paint.color);
+        if (!color) {
+          addImportIssue(context, path, `Fill color "${paint.color}" is not a color`);
+          return;
+        }
+        result.push({ ...base, type: 'SOLID', color: { r: color.r, g: color.g, b: color.b } });
+        return;
+      }
+
+      case 'GRADIENT_LINEAR':
+      case 'GRADIENT_RADIAL':
+      case 'GRADIENT_ANGULAR':
+      case 'GRADIENT_DIAMOND':
+        if (!isTransform(paint.gradientTransform) || !Array.isArray(paint.gradientStops)) {
+          addImportIssue(context, path, `${paint.type} paint has no valid transform or stops and was left out`);
+          return;
+        }
+        result.push({
+          ...base,
+          type: paint.type,
+          gradientTransform: paint.gradientTransform,
+          gradientStops: paint.gradientStops.map((stop: SerializedProps) => ({
+            position: stop.position,
+            color: parseColor(stop.color) || { r: 0, g: 0, b: 0, a: 1 }
+          }))
+        });
+        return;
+
+      case 'IMAGE':
+        // Image hashes only resolve in files that already contain the image
+        if (!paint.imageHash || !figma.getImageByHash(paint.imageHash)) {
+          addImportIssue(context, path, 'Image fill is not available in this file and was left out');
+          return;
+        }
+        if (IMAGE_PAINT_SCALE_MODES.indexOf(paint.scaleMode) === -1) {
+          addImportIssue(context, path, `Image fill scale mode "${paint.scaleMode}" is not supported and was left out`);
+          return;
+        }
+        result.push({
+          ...base,
+          type: 'IMAGE',
+          scaleMode: paint.scaleMode,
+          imageHash: paint.imageHash,
+          ...(paint.rotation !== undefined ? { rotation: paint.rotation } : {}),
+          ...(paint.scalingFactor !== undefined ? { scalingFactor: paint.scalingFactor } : {})
+        });
+        return;
+
+      default:
+        addImportIssue(context, path, `${paint.type} paints are not supported and were left out`);
+    }
+  });
+
+  return result;
+}
+
+function isTransform(value: any): value is Transform {
+  return Array.isArray(value) && value.length === 2 && value.every(row =>
+    Array.isArray(row) && row.length === 3 && row.every(cell => typeof cell === 'number')
+  );
+}
+
+function deserializeEffect(effect: SerializedProps): Effect {
+  const { boundVariables, ...rest } = effect;
+  if (typeof rest.color === 'string') {
+    rest.color = parseColor(rest.color) || { r: 0, g: 0, b: 0, a: 0.25 };
+  }
+  return rest as Effect;
+}
+
+/**
+ * Assign the listed properties that were exported, reporting the ones this
+ * node rejects. Mixed values are skipped; their per-corner or per-side
+ * counterparts carry the detail.
+ */
+function applyImportedProps(node: SceneNode, props: SerializedProps, keys: string[], context: ImportContext, path: string) {
+  keys.forEach(key => {
+    const value = props[key];
+    if (value === undefined || value === 'mixed') {
+      return;
+    }
+    if (!(key in node)) {
+      addImportIssue(context, path, `${key} is not supported on ${node.type.toLowerCase()} nodes`);
+      return;
+    }
+    try {
+      (node as any)[key] = value;
+    } catch (error) {
+      addImportIssue(context, path, `${key} was not restored: ${errorMessage(error)}`);
+    }
+  });
+}
+
+function addImportIssue(context: ImportContext, path: string, message: string) {
+  context.issues.push({ path, message });
+}
@@ -0,0 +1,84 @@
+// Notifications from sandbox code (notify())
+//
+// One call for both kinds of toast: while the plugin window is open it shows a
+// toast in the UI (src/ui/toast.js), otherwise a native figma.notify() toast.
+// `target` picks one explicitly. Options follow figma.notify(), including the
+// button callback and onDequeue, which the UI reports back through
+// `toast-action` and `toast-dismissed`.
+
+type NotifyTarget = 'auto' | 'figma' | 'ui';
+type NotifyVariant = 'default' | 'success' | 'destructive';
+
+interface NotifyOptions {
+  target?: NotifyTarget;
+  variant?: NotifyVariant;
+  // Milliseconds; Infinity keeps it until dismissed. Defaults to Figma's 3 seconds.
+  timeout?: number;
+  // Return false from `action` to keep the toast open
+  button?: { text: string; action: () => boolean | void };
+  onDequeue?: (reason: NotifyDequeueReason) => void;
+}
+
+interface UIToast {
+  options: NotifyOptions;
+}
+
+const NOTIFY_TIMEOUT = 3000;
+
+const uiToasts = new Map<string, UIToast>();
+let nextToastId = 0;
+
+/**
+ * Show a notification. Returns a handler whose cancel() closes it early.
+ */
+function notify(message: string, options: NotifyOptions = {}): NotificationHandler {
+  const target = options.target || 'auto';
+  if (target === 'figma' || (target === 'auto' && !uiOpen)) {
+    return figma.notify(message, {
+      timeout: options.timeout,
+      error: options.variant === 'destructive',
+      button: options.button,
+      onDequeue: options.onDequeue
+    });
+  }
+
+  const id = `toast-${++nextToastId}`;
+  uiToasts.set(id, { options });
+  const timeout = options.timeout === undefined ? NOTIFY_TIMEOUT : options.timeout;
+  emitToUI('toast', {
+    id,
+    message,
+    variant: options.variant || 'default',
+    // Infinity doesn't survive the trip to the UI; 0 means "until dismissed" there
+    timeout: isFinite(timeout) ? timeout : 0,
+    button: options.button ? { text: options.button.text } : null
+  });
+
+  return { cancel: () => emitToUI('toast-cancel', { id }) };
+}
+
+/**
+ * `toast-action`: the action button of a UI toast was clicked
+ */
+function runToastAction(data: { id: string }) {
+  const toast = uiToasts.get(data.id);
+  const button = toast && toast.options.button;
+  if (!button) {
+    return { keep: false };
+  }
+  return { keep: button.action() === false };
+}
+
+/**
+ * `toast-dismissed`: a UI toast closed; pass the reason on to onDequeue
+ */
+function dequeueToast(data: { id: string; reason: NotifyDequeueReason }) {
+  const toast = uiToasts.get(data.id);
+  if (!toast) {
+    return;
+  }
+  uiToasts.delete(data.id);
+  if (toast.options.onDequeue) {
+    toast.options.onDequeue(data.reason);
+  }
+}
@@ -0,0 +1,192 @@
+// Quick actions: menu commands with `parameters` in manifest.json
+//
+// Figma asks for each parameter in the quick actions bar, calling
+// handleParameterInput() as the user types so we can offer suggestions or
+// reject the input. Once every parameter is entered the `run` event delivers
+// the values, and the command runs the same handler as the matching UI message.
+
+interface QuickAction {
+  // Message type whose handler runs, e.g. 'create-rectangle'
+  type: string;
+  // Suggestions for each parameter key
+  suggest: { [key: string]: (query: string, result: SuggestionResults) => void | Promise<void> };
+  // Payload for the handler from the entered parameter values
+  payload: (parameters: ParameterValues) => any;
+  // Message shown when the plugin closes
+  done: (payload: any) => string;
+}
+
+interface ColorSuggestion {
+  name: string;
+  hex: string;
+}
+
+// Named presets offered before the CSS color names
+const COLOR_PRESETS: ColorSuggestion[] = [
+  { name: 'Blue', hex: '#3b82f6' },
+  { name: 'Red', hex: '#ef4444' },
+  { name: 'Green', hex: '#22c55e' },
+  { name: 'Amber', hex: '#f59e0b' },
+  { name: 'Violet', hex: '#8b5cf6' },
+  { name: 'Pink', hex: '#ec4899' },
+  { name: 'Slate', hex: '#64748b' },
+  { name: 'Black', hex: '#000000' },
+  { name: 'White', hex: '#ffffff' }
+];
+
+const SIZE_SUGGESTIONS = ['100', '200', '400'];
+const MAX_SUGGESTIONS = 20;
+
+const quickActions: { [command: string]: QuickAction } = {
+  'create-rectangle': {
+    type: 'create-rectangle',
+    suggest: {
+      color: suggestColors,
+      name: (query, result) => result.setSuggestions(suggestText(query, messageSchemas['create-rectangle'].name.default))
+    },
+    payload: parameters => ({ color: parameters.color, name: parameters.name }),
+    done: payload => `Created "${payload.name || messageSchemas['create-rectangle'].name.default}"`
+  },
+
+  'create-shape': {
+    type: 'create-shape',
+    suggest: {
+      shape: suggestShapes,
+      fill: suggestColors,
+      size: suggestSize
+    },
+    payload: parameters => ({
+      shape: parameters.shape,
+      fill: parameters.fill,
+      width: parameters.size ? Number(parameters.size) : undefined,
+      height: parameters.size ? Number(parameters.size) : undefined
+    }),
+    done: payload => `Created ${/^[aeiou]/.test(payload.shape) ? 'an' : 'a'} ${payload.shape}`
+  }
+};
+
+/**
+ * `figma.parameters.on('input')`: suggestions for the parameter being typed
+ */
+async function handleParameterInput({ key, query, result }: ParameterInputEvent) {
+  const action = quickActions[figma.command];
+  const suggest = action && action.suggest[key];
+  if (!suggest) {
+    result.setSuggestions([]);
+    return;
+  }
+  await suggest(query, result);
+}
+
+/**
+ * Run a quick action with the values from the quick actions bar
+ */
+async function runQuickAction(command: string, parameters: ParameterValues): Promise<string> {
+  const action = quickActions[command];
+  const payload = action.payload(parameters);
+  await invokeHandler({ type: action.type, data: payload });
+  await rememberRecentColors([payload.color, payload.fill]);
+  return action.done(payload);
+}
+
+/**
+ * Colors matching the query: the typed color itself, recent colors, presets
+ * and CSS color names. Unparseable input with no matches is rejected.
+ */
+async function suggestColors(query: string, result: SuggestionResults) {
+  const text = query.trim().toLowerCase();
+  const { recentColors } = await loadSettings();
+
+  const candidates: ColorSuggestion[] = [
+    ...recentColors.map(hex => ({ name: 'Recent', hex })),
+    ...COLOR_PRESETS,
+    ...Object.keys(namedColors).map(name => ({ name, hex: `#${namedColors[name]}` }))
+  ];
+  const matches = candidates.filter(({ name, hex }) => !text || name.toLowerCase().indexOf(text) !== -1 || hex.indexOf(text) === 0);
+
+  const typed = text ? parseColor(text) : null;
+  if (!typed && matches.length === 0) {
+    result.setError(colorInputError(text));
+    return;
+  }
+
+  const suggestions = typed ? [{ name: query.trim(), hex: colorToHex(typed) }, ...matches] : matches;
+  const unique = suggestions.filter((item, index) => suggestions.findIndex(other => other.hex === item.hex) === index);
+
+  result.setSuggestions(unique.slice(0, MAX_SUGGESTIONS).map(({ name, hex }) => ({
+    name: name === hex || name === query.trim() ? name : `${name} ${hex}`,
+    data: hex,
+    icon: colorSwatchIcon(hex)
+  })));
+}
+
+function colorInputError(text: string) {
+  if (text.charAt(0) === '#') {
+    return `${text} is not a hex color. Use 3, 4, 6 or 8 digits, like #3b82f6`;
+  }
+  return `"${text}" ${schemaFormats.color.message}`;
+}
+
+function colorSwatchIcon(hex: string) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><rect x="0.5" y="0.5" width="15" height="15" rx="3" fill="${hex}" stroke="#0000001a"/></svg>`;
+}
+
+function suggestShapes(query: string, result: SuggestionResults) {
+  const text = query.trim().toLowerCase();
+  // Vectors need SVG markup, which the quick actions bar can't take
+  const shapes = (messageSchemas['create-shape'].shape.values as ShapeKind[]).filter(shape => shape !== 'vector');
+  const matches = shapes.filter(shape => shape.indexOf(text) !== -1);
+  if (matches.length === 0) {
+    result.setError(`No shape called "${query.trim()}". Try ${shapes.join(', ')}`);
+    return;
+  }
+  result.setSuggestions(matches);
+}
+
+function suggestSize(query: string, result: SuggestionResults) {
+  const text = query.trim();
+  if (!text) {
+    result.setSuggestions(SIZE_SUGGESTIONS);
+    return;
+  }
+
+  const errors: FieldError[] = [];
+  validateField(messageSchemas['create-shape'].width, Number(text), 'Size', errors);
+  if (errors.length > 0) {
+    result.setError(formatValidationErrors(errors));
+    return;
+  }
+  result.setSuggestions([text]);
+}
+
+/**
+ * The typed text first, then the default, for freeform parameters
+ */
+function suggestText(query: string, fallback: string): string[] {
+  const text = query.trim();
+  return text && text !== fallback ? [text, fallback] : [fallback];
+}
+
+/**
+ * Put colors used by a quick action at the front of the recent colors list,
+ * like the UI does for its forms
+ */
+async function rememberRecentColors(values: (string | undefined)[]) {
+  const used = values
+    .map(value => (value ? parseColor(value) : null))
+    .filter((color): color is ParsedColor => color !== null)
+    .map(color => colorToHex(color));
+  if (used.length === 0) {
+    return;
+  }
+
+  try {
+    // Merge inside the update so a concurrent settings write can't drop colors
+    await updateSettings(({ recentColors }) => {
+      const merged = used.concat(recentColors).filter((color, index, list) => list.indexOf(color) === index);
+      return { recentColors: merged.slice(0, settingsSchema.recentColors.maxLength) };
+    });
+  } catch (error) {
+    console.warn('Could not save recent colors:', error);
+  }
+}
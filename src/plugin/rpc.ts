@@ -0,0 +1,99 @@
+// Request/response layer between the UI and the plugin sandbox
+//
+// The UI sends `{ type, id, data }`. When `id` is present the sandbox answers
+// with a single `rpc-response` message carrying the same id, so callers never
+// have to guess which reply belongs to which request. Messages without an id
+// are still dispatched to the handler; if one of those fails the error is
+// pushed as a `plugin-error` event instead, so no failure goes unreported.
+//
+// Payloads of message types listed in `messageSchemas` (src/shared/messages.js)
+// are validated first; handlers receive the validated data with defaults filled in.
+
+type RpcHandler = (data: any, msg: RpcRequest) => unknown | Promise<unknown>;
+
+interface RpcRequest {
+  type: string;
+  id?: string;
+  data?: any;
+}
+
+const RPC_RESPONSE = 'rpc-response';
+const PLUGIN_ERROR = 'plugin-error';
+
+const rpcHandlers: { [type: string]: RpcHandler } = {};
+
+/**
+ * Register the handler for a message type. The handler's return value (or
+ * resolved promise) is sent back to the caller; a thrown error rejects it.
+ */
+function registerHandler(type: string, handler: RpcHandler) {
+  if (rpcHandlers[type]) {
+    console.warn(`Replacing existing handler for "${type}"`);
+  }
+  rpcHandlers[type] = handler;
+}
+
+/**
+ * Push an unsolicited event to the UI (selection changes, progress, ...)
+ */
+function emitToUI(type: string, data?: any) {
+  figma.ui.postMessage({ type, data });
+}
+
+/**
+ * Check a payload against the schema registered for its message type
+ */
+function validateMessage(type: string, data: any) {
+  const schema = messageSchemas[type];
+  if (!schema) {
+    return data;
+  }
+
+  const result = validatePayload(schema, data);
+  if (!result.valid) {
+    throw new PluginError(
+      'INVALID_PAYLOAD',
+      `Invalid "${type}" payload: ${formatValidationErrors(result.errors)}`,
+      { errors: result.errors }
+    );
+  }
+  return result.value;
+}
+
+/**
+ * Dispatch a message from the UI to its registered handler and reply if the
+ * message carries a correlation id.
+ */
+async function handleRpcMessage(msg: RpcRequest) {
+  if (!msg || typeof msg.type !== 'string') {
+    console.log('Ignoring malformed message:', msg);
+    return;
+  }
+
+  try {
+    const result = await invokeHandler(msg);
+    if (msg.id) {
+      figma.ui.postMessage({ type: RPC_RESPONSE, id: msg.id, ok: true, data: result });
+    }
+  } catch (error) {
+    console.error(`Handler for "${msg.type}" failed:`, error);
+    const envelope = toErrorEnvelope(error, msg.type);
+    if (msg.id) {
+      figma.ui.postMessage({ type: RPC_RESPONSE, id: msg.id, ok: false, error: envelope });
+    } else {
+      emitToUI(PLUGIN_ERROR, envelope);
+    }
+  }
+}
+
+/**
+ * Validate a message and run its handler. Also used to run UI commands from
+ * outside the UI, e.g. quick actions, so both paths behave the same.
+ */
+async function invokeHandler(msg: RpcRequest) {
+  const handler = rpcHandlers[msg.type];
+  if (!handler) {
+    throw new PluginError('UNKNOWN_MESSAGE', `No handler registered for "${msg.type}"`);
+  }
+  return handler(validateMessage(msg.type, msg.data), msg);
+}
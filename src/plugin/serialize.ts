@@ -0,0 +1,286 @@
+// Plain JSON snapshots of nodes for the `serialize-selection` command
+//
+// Properties are grouped the way the inspector shows them. Only properties a
+// node actually has are included, figma.mixed becomes the string 'mixed', and
+// paint and effect colors are hex strings so the JSON reads like a design spec.
+
+type SerializedProps = { [key: string]: any };
+
+interface SerializedNode {
+  id: string;
+  name: string;
+  type: string;
+  geometry: SerializedProps;
+  appearance: SerializedProps;
+  layout?: SerializedProps;
+  text?: SerializedProps;
+  vector?: SerializedProps;
+  component?: SerializedProps;
+  children?: SerializedNode[];
+  // Set instead of `children` below the depth limit
+  childCount?: number;
+  // Some children were left out because the node budget ran out
+  truncated?: boolean;
+}
+
+interface SerializeOptions {
+  // Levels of children to include; deeper levels are only counted
+  depth: number;
+}
+
+// Keeps a huge selection from producing a message the UI can't render
+const MAX_SERIALIZED_NODES = 500;
+
+const GEOMETRY_KEYS = ['x', 'y', 'width', 'height', 'rotation', 'constraints', 'pointCount', 'innerRadius', 'arcData'];
+
+const APPEARANCE_KEYS = [
+  'visible', 'locked', 'opacity', 'blendMode', 'isMask', 'clipsContent',
+  'cornerRadius', 'topLeftRadius', 'topRightRadius', 'bottomRightRadius', 'bottomLeftRadius', 'cornerSmoothing',
+  'strokeWeight', 'strokeTopWeight', 'strokeRightWeight', 'strokeBottomWeight', 'strokeLeftWeight',
+  'strokeAlign', 'strokeCap', 'strokeJoin', 'dashPattern'
+];
+
+const AUTO_LAYOUT_KEYS = [
+  'layoutMode', 'layoutWrap', 'primaryAxisSizingMode', 'counterAxisSizingMode',
+  'primaryAxisAlignItems', 'counterAxisAlignItems', 'counterAxisAlignContent',
+  'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'itemSpacing', 'counterAxisSpacing', 'itemReverseZIndex', 'strokesIncludedInLayout'
+];
+
+// How a node sits inside an auto layout parent
+const LAYOUT_CHILD_KEYS = [
+  'layoutAlign', 'layoutGrow', 'layoutPositioning', 'layoutSizingHorizontal', 'layoutSizingVertical',
+  'minWidth', 'maxWidth', 'minHeight', 'maxHeight'
+];
+
+const TEXT_KEYS = [
+  'characters', 'fontName', 'fontSize', 'fontWeight', 'textAlignHorizontal', 'textAlignVertical',
+  'textAutoResize', 'textCase', 'textDecoration', 'lineHeight', 'letterSpacing',
+  'paragraphSpacing', 'paragraphIndent', 'textTruncation', 'maxLines'
+];
+
+const TEXT_SEGMENT_FIELDS: (keyof Omit<StyledTextSegment, 'characters' | 'start' | 'end'>)[] = [
+  'fontName', 'fontSize', 'fills', 'textCase', 'textDecoration', 'lineHeight', 'letterSpacing'
+];
+
+/**
+ * `serialize-selection`: snapshot every selected node
+ */
+async function serializeSelection(options: SerializeOptions) {
+  const budget = { remaining: MAX_SERIALIZED_NODES };
+  const nodes: SerializedNode[] = [];
+
+  for (const node of figma.currentPage.selection) {
+    if (budget.remaining <= 0) {
+      break;
+    }
+    nodes.push(await serializeNode(node, options.depth, budget));
+  }
+
+  return { nodes, truncated: nodes.length < figma.currentPage.selection.length || hasTruncated(nodes) };
+}
+
+/**
+ * Snapshot one node and up to `depth` levels of its children
+ */
+async function serializeNode(node: SceneNode, depth: number, budget: { remaining: number }): Promise<SerializedNode> {
+  budget.remaining--;
+
+  const result: SerializedNode = {
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    geometry: readProps(node, GEOMETRY_KEYS),
+    appearance: serializeAppearance(node)
+  };
+
+  const layout = serializeLayout(node);
+  if (Object.keys(layout).length > 0) {
+    result.layout = layout;
+  }
+
+  if (node.type === 'TEXT') {
+    result.text = serializeText(node);
+  }
+
+  if (node.type === 'VECTOR') {
+    result.vector = { vectorPaths: node.vectorPaths };
+  } else if (node.type === 'BOOLEAN_OPERATION') {
+    result.vector = { booleanOperation: node.booleanOperation };
+  }
+
+  const component = await serializeComponent(node);
+  if (component) {
+    result.component = component;
+  }
+
+  if ('children' in node) {
+    if (depth > 0) {
+      result.children = [];
+      for (const child of node.children) {
+        if (budget.remaining <= 0) {
+          result.truncated = true;
+          break;
+        }
+        result.children.push(await serializeNode(child, depth - 1, budget));
+      }
+    } else {
+      result.childCount = node.children.length;
+    }
+  }
+
+  return result;
+}
+
+function serializeAppearance(node: SceneNode): SerializedProps {
+  const appearance = readProps(node, APPEARANCE_KEYS);
+
+  if ('fills' in node) {
+    appearance.fills = serializePaints(node.fills);
+  }
+  if ('strokes' in node) {
+    appearance.strokes = serializePaints(node.strokes);
+  }
+  if ('effects' in node) {
+    appearance.effects = node.effects.map(serializeEffect);
+  }
+
+  return appearance;
+}
+
+function serializeLayout(node: SceneNode): SerializedProps {
+  const layout: SerializedProps = {};
+
+  if ('layoutMode' in node && node.layoutMode !== 'NONE') {
+    Object.assign(layout, readProps(node, AUTO_LAYOUT_KEYS));
+  }
+
+  const parent = node.parent;
+  if (parent && 'layoutMode' in parent && parent.layoutMode !== 'NONE') {
+    Object.assign(layout, readProps(node, LAYOUT_CHILD_KEYS));
+  }
+
+  return layout;
+}
+
+function serializeText(node: TextNode): SerializedProps {
+  const text = readProps(node, TEXT_KEYS);
+
+  // Mixed styles are described run by run
+  const mixed = TEXT_SEGMENT_FIELDS.some(field => (node as any)[field] === figma.mixed);
+  if (mixed) {
+    text.segments = node.getStyledTextSegments(TEXT_SEGMENT_FIELDS).map(segment => ({
+      ...segment,
+      fills: serializePaints(segment.fills)
+    }));
+  }
+
+  return text;
+}
+
+async function serializeComponent(node: SceneNode): Promise<SerializedProps | null> {
+  switch (node.type) {
+    case 'COMPONENT': {
+      const isVariant = !!node.parent && node.parent.type === 'COMPONENT_SET';
+      return {
+        key: node.key,
+        description: node.description,
+        // Variants have no definitions of their own; they live on the set
+        ...(isVariant
+          ? { variantProperties: node.variantProperties }
+          : { componentPropertyDefinitions: node.componentPropertyDefinitions })
+      };
+    }
+
+    case 'COMPONENT_SET':
+      return {
+        key: node.key,
+        description: node.description,
+        componentPropertyDefinitions: node.componentPropertyDefinitions,
+        variantGroupProperties: node.variantGroupProperties
+      };
+
+    case 'INSTANCE': {
+      const mainComponent = await node.getMainComponentAsync();
+      return {
+        mainComponent: mainComponent ? { id: mainComponent.id, name: mainComponent.name, key: mainComponent.key } : null,
+        componentProperties: node.componentProperties,
+        variantProperties: node.variantProperties
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+function serializePaints(paints: ReadonlyArray<Paint> | PluginAPI['mixed']): SerializedProps[] | 'mixed' {
+  if (paints === figma.mixed) {
+    return 'mixed';
+  }
+
+  return paints.map(paint => {
+    const base: SerializedProps = {
+      type: paint.type,
+      visible: paint.visible !== false,
+      opacity: paint.opacity !== undefined ? paint.opacity : 1,
+      blendMode: paint.blendMode || 'NORMAL'
+    };
+
+    switch (paint.type) {
+      case 'SOLID':
+        return { ...base, color: colorToHex({ ...paint.color, a: 1 }) };
+      case 'GRADIENT_LINEAR':
+      case 'GRADIENT_RADIAL':
+      case 'GRADIENT_ANGULAR':
+      case 'GRADIENT_DIAMOND':
+        return {
+          ...base,
+          gradientStops: paint.gradientStops.map(stop => ({ position: stop.position, color: colorToHex(stop.color) })),
+          gradientTransform: paint.gradientTransform
+        };
+      case 'IMAGE':
+        return {
+          ...base,
+          scaleMode: paint.scaleMode,
+          imageHash: paint.imageHash,
+          rotation: paint.rotation,
+          scalingFactor: paint.scalingFactor
+        };
+      default:
+        return base;
+    }
+  });
+}
+
+function serializeEffect(effect: Effect): SerializedProps {
+  const result: SerializedProps = { ...effect };
+  if ('color' in effect) {
+    result.color = colorToHex(effect.color);
+  }
+  return result;
+}
+
+/**
+ * Copy the listed properties a node has, replacing figma.mixed with 'mixed'.
+ * Getters that throw for this node are skipped.
+ */
+function readProps(node: SceneNode, keys: string[]): SerializedProps {
+  const props: SerializedProps = {};
+  keys.forEach(key => {
+    if (!(key in node)) {
+      return;
+    }
+    try {
+      const value = (node as any)[key];
+      props[key] = value === figma.mixed ? 'mixed' : value;
+    } catch (error) {
+      // Some properties are only readable in certain states (e.g. inside instances)
+    }
+  });
+  return props;
+}
+
+function hasTruncated(nodes: SerializedNode[]): boolean {
+  return nodes.some(node => node.truncated || (node.children ? hasTruncated(node.children) : false));
+}
@@ -0,0 +1,129 @@
+// Persistent settings for the `get-settings` and `set-settings` commands
+//
+// Settings are stored per user with figma.clientStorage as { version, values }.
+// Values always go through settingsSchema (src/shared/settings.js). When the
+// shape of a value changes incompatibly, bump SETTINGS_VERSION and add a
+// migration that upgrades documents written by the previous version.
+
+interface Settings {
+  activeTab: string;
+  recentColors: string[];
+  theme: 'figma' | 'light' | 'dark';
+  forms: { [type: string]: any };
+  window: { width: number; height: number; compact: boolean };
+}
+
+interface SettingsDocument {
+  version: number;
+  values: any;
+}
+
+const SETTINGS_STORAGE_KEY = 'settings';
+const SETTINGS_VERSION = 1;
+
+// Keyed by the version each migration upgrades to
+const SETTINGS_MIGRATIONS: { [version: number]: (document: any) => SettingsDocument } = {
+  // Before versioning, the values object was stored directly
+  1: document => ({ version: 1, values: document })
+};
+
+let settingsCache: Settings | null = null;
+
+// Writes run one at a time, so each one starts from the result of the last
+let settingsQueue: Promise<unknown> = Promise.resolve();
+
+/**
+ * Read the stored settings, upgrading and filling in defaults as needed
+ */
+async function loadSettings(): Promise<Settings> {
+  if (settingsCache) {
+    return settingsCache;
+  }
+
+  let stored: any;
+  try {
+    stored = await figma.clientStorage.getAsync(SETTINGS_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not read settings, using defaults:', error);
+  }
+
+  settingsCache = stored === undefined || stored === null ? normalizeSettings({}) : migrateSettings(stored);
+  return settingsCache;
+}
+
+/**
+ * Change some settings; the rest keep their value. Pass a function to compute
+ * the changes from the current settings, e.g. to add to a list.
+ */
+function updateSettings(changes: Partial<Settings> | ((current: Settings) => Partial<Settings>)): Promise<Settings> {
+  return queueSettingsWrite(async () => {
+    const current = await loadSettings();
+    const resolved = typeof changes === 'function' ? changes(current) : changes;
+    const result = validatePayload(settingsSchema, { ...current, ...resolved });
+    if (!result.valid) {
+      throw new PluginError(
+        'INVALID_PAYLOAD',
+        `Invalid settings: ${formatValidationErrors(result.errors)}`,
+        { errors: result.errors }
+      );
+    }
+    return writeSettings(result.value);
+  });
+}
+
+/**
+ * Put the given settings (or all of them) back to their defaults
+ */
+function resetSettings(keys?: string[]): Promise<Settings> {
+  return queueSettingsWrite(async () => {
+    const current: { [key: string]: any } = { ...(await loadSettings()) };
+    (keys || Object.keys(current)).forEach(key => delete current[key]);
+    return writeSettings(normalizeSettings(current));
+  });
+}
+
+/**
+ * Run a read-modify-write after the ones already queued, even if they failed
+ */
+function queueSettingsWrite<T>(task: () => Promise<T>): Promise<T> {
+  const run = settingsQueue.then(task, task);
+  settingsQueue = run.catch(() => undefined);
+  return run;
+}
+
+async function writeSettings(values: Settings): Promise<Settings> {
+  const document: SettingsDocument = { version: SETTINGS_VERSION, values };
+  await figma.clientStorage.setAsync(SETTINGS_STORAGE_KEY, document);
+  settingsCache = values;
+  return values;
+}
+
+/**
+ * Run the migrations between the stored version and SETTINGS_VERSION
+ */
+function migrateSettings(stored: any): Settings {
+  let document = stored;
+  let version = typeof stored.version === 'number' ? stored.version : 0;
+
+  while (version < SETTINGS_VERSION) {
+    version += 1;
+    document = SETTINGS_MIGRATIONS[version](document);
+  }
+
+  return normalizeSettings(document.values);
+}
+
+/**
+ * Apply defaults, dropping any stored value that no longer validates
+ */
+function normalizeSettings(values: any): Settings {
+  const source: { [key: string]: any } = values && typeof values === 'object' ? { ...values } : {};
+  const result = validatePayload(settingsSchema, source);
+  if (result.valid) {
+    return result.value;
+  }
+
+  console.warn('Resetting invalid settings:', formatValidationErrors(result.errors));
+  result.errors.forEach((error: FieldError) => delete source[error.path.split(/[.[]/)[0]]);
+  return validatePayload(settingsSchema, source).value;
+}
@@ -0,0 +1,222 @@
+// Generic shape creation for the `create-shape` command
+// Payloads are validated against messageSchemas['create-shape'] before they get here
+
+type ShapeKind = 'rectangle' | 'ellipse' | 'polygon' | 'star' | 'line' | 'vector' | 'frame' | 'text';
+
+type ShapeNode = RectangleNode | EllipseNode | PolygonNode | StarNode | LineNode | FrameNode | TextNode;
+
+type PositionMode = 'viewport-center' | 'absolute' | 'relative-to-selection';
+
+interface ShapePosition {
+  mode: PositionMode;
+  x: number;
+  y: number;
+}
+
+interface ShapeOptions {
+  shape: ShapeKind;
+  name?: string;
+  width: number;
+  height: number;
+  fill: string;
+  cornerRadius: number;
+  pointCount: number;
+  innerRadius: number;
+  text: string;
+  fontSize: number;
+  svg?: string;
+  strokeColor?: string;
+  strokeWeight: number;
+  opacity: number;
+  rotation: number;
+  position: ShapePosition;
+}
+
+const DEFAULT_FONT: FontName = { family: 'Inter', style: 'Regular' };
+
+/**
+ * Create a shape node, add it to the current page, select it and zoom to it.
+ * Runs as a transaction, so a failing step leaves nothing behind.
+ */
+async function createShape(options: ShapeOptions, parent?: Transaction) {
+  // Resolve the position first so a missing selection fails before anything is created
+  const place = resolvePosition(options.position);
+
+  return runTransaction(async tx => {
+    const node = await buildShapeNode(options, tx);
+
+    if (options.name) {
+      node.name = options.name;
+    }
+
+    applyShapeStyle(node, options);
+
+    // Vectors keep their aspect ratio and text sizes itself, so place by the built size
+    const origin = place(node.width, node.height);
+    node.x = origin.x;
+    node.y = origin.y;
+    if (options.rotation) {
+      node.rotation = options.rotation;
+    }
+
+    figma.currentPage.appendChild(node);
+    tagNodes([node], 'create-shape', options);
+    tx.set(figma.currentPage, 'selection', [node]);
+    figma.viewport.scrollAndZoomIntoView([node]);
+
+    return { id: node.id, name: node.name, type: node.type };
+  }, parent);
+}
+
+/**
+ * Create the bare node for a shape kind, sized to the requested dimensions.
+ * The node is tracked by `tx` as soon as it exists.
+ */
+async function buildShapeNode(options: ShapeOptions, tx: Transaction): Promise<ShapeNode> {
+  const { width, height } = options;
+
+  switch (options.shape) {
+    case 'rectangle': {
+      const rect = tx.track(figma.createRectangle());
+      rect.resize(width, height);
+      return rect;
+    }
+
+    case 'ellipse': {
+      const ellipse = tx.track(figma.createEllipse());
+      ellipse.resize(width, height);
+      return ellipse;
+    }
+
+    case 'polygon': {
+      const polygon = tx.track(figma.createPolygon());
+      polygon.pointCount = options.pointCount;
+      polygon.resize(width, height);
+      return polygon;
+    }
+
+    case 'star': {
+      const star = tx.track(figma.createStar());
+      star.pointCount = options.pointCount;
+      star.innerRadius = options.innerRadius;
+      star.resize(width, height);
+      return star;
+    }
+
+    case 'line': {
+      // Lines only have a length; height must be zero
+      const line = tx.track(figma.createLine());
+      line.resize(width, 0);
+      return line;
+    }
+
+    case 'vector': {
+      if (!options.svg) {
+        throw new PluginError('INVALID_PAYLOAD', 'SVG markup is required for vector shapes', {
+          errors: [{ path: 'svg', message: 'is required for vector shapes' }]
+        });
+      }
+      const vector = tx.track(figma.createNodeFromSvg(options.svg));
+      // Fit inside width × height without distorting the artwork
+      const scale = Math.min(width / vector.width, height > 0 ? height / vector.height : Infinity);
+      if (isFinite(scale) && scale > 0) {
+        vector.rescale(scale);
+      }
+      return vector;
+    }
+
+    case 'frame': {
+      const frame = tx.track(figma.createFrame());
+      frame.resize(width, height);
+      return frame;
+    }
+
+    case 'text': {
+      await figma.loadFontAsync(DEFAULT_FONT);
+      const text = tx.track(figma.createText());
+      text.fontName = DEFAULT_FONT;
+      text.fontSize = options.fontSize;
+      text.characters = options.text;
+      // Fixed width, height grows with the content
+      text.resize(width, text.height);
+      text.textAutoResize = 'HEIGHT';
+      return text;
+    }
+  }
+}
+
+/**
+ * Apply fill, stroke, corner radius and opacity where the node supports them
+ */
+function applyShapeStyle(node: ShapeNode, options: ShapeOptions) {
+  if (options.shape === 'line') {
+    // A line has nothing to fill, so its color is the stroke
+    (node as LineNode).strokes = [solidPaint(options.strokeColor || options.fill)];
+    (node as LineNode).strokeWeight = Math.max(options.strokeWeight, 1);
+  } else {
+    // SVG imports keep the artwork's own paints
+    if (options.shape !== 'vector' && 'fills' in node) {
+      node.fills = [solidPaint(options.fill)];
+    }
+    if (options.strokeColor && options.strokeWeight > 0 && 'strokes' in node) {
+      node.strokes = [solidPaint(options.strokeColor)];
+      node.strokeWeight = options.strokeWeight;
+    }
+  }
+
+  if (options.cornerRadius > 0 && 'cornerRadius' in node) {
+    node.cornerRadius = options.cornerRadius;
+  }
+
+  if ('opacity' in node) {
+    node.opacity = options.opacity;
+  }
+}
+
+/**
+ * Work out where a new node goes. The selection and viewport are read right
+ * away; the returned function gives the top-left corner for the node's size.
+ */
+function resolvePosition(position: ShapePosition): (width: number, height: number) => Vector {
+  switch (position.mode) {
+    case 'absolute':
+      return () => ({ x: position.x, y: position.y });
+
+    case 'relative-to-selection': {
+      const bounds = getSelectionBounds();
+      if (!bounds) {
+        throw new PluginError('NO_SELECTION', 'Select a layer to place the shape next to it');
+      }
+      // Offset is measured from the top-right corner of the selection
+      return () => ({ x: bounds.x + bounds.width + position.x, y: bounds.y + position.y });
+    }
+
+    case 'viewport-center':
+    default: {
+      const center = figma.viewport.center;
+      return (width, height) => ({
+        x: center.x - width / 2 + position.x,
+        y: center.y - height / 2 + position.y
+      });
+    }
+  }
+}
+
+/**
+ * Bounding box of the current selection in absolute coordinates
+ */
+function getSelectionBounds(): Rect | null {
+  const boxes = figma.currentPage.selection
+    .map(node => ('absoluteBoundingBox' in node ? node.absoluteBoundingBox : null))
+    .filter((box): box is Rect => box !== null);
+
+  if (boxes.length === 0) {
+    return null;
+  }
+
+  const left = Math.min(...boxes.map(box => box.x));
+  const top = Math.min(...boxes.map(box => box.y));
+  const right = Math.max(...boxes.map(box => box.x + box.width));
+  const bottom = Math.max(...boxes.map(box => box.y + box.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
@@ -0,0 +1,313 @@
+// Tags on generated nodes
+//
+// Every node a generator creates records which command made it and with which
+// parameters, so it can be found, selected, regenerated or untagged later.
+// Imported images and JSON documents are tagged as well, with a summary of the
+// import instead of its contents; they can be found and selected but not regenerated.
+// The full tag is private plugin data; the same fields are mirrored to shared
+// plugin data so other plugins and widgets can recognize generated nodes.
+
+interface GeneratorTag {
+  version: number;
+  // Message type of the command that created the node
+  generator: string;
+  // Validated payload the command ran with
+  params: any;
+  // Nodes created by the same command run share a run id
+  runId: string;
+  createdAt: string;
+}
+
+interface GeneratedRun {
+  runId: string;
+  generator: string;
+  params: any;
+  createdAt: string;
+  pageId: string;
+  pageName: string;
+  nodeIds: string[];
+}
+
+type TagScope = 'page' | 'document';
+
+type NodeGenerator = (data: any, parent?: Transaction) => Promise<any>;
+
+const TAG_KEY = 'generator';
+const TAG_VERSION = 1;
+const SHARED_TAG_NAMESPACE = 'plugin_boilerplate';
+const SHARED_TAG_KEYS = ['generator', 'params', 'runId', 'createdAt'];
+
+const generators: { [type: string]: NodeGenerator } = {};
+
+/**
+ * Register a command that creates nodes. It is exposed as a message handler
+ * and can be rerun with new parameters by `regenerate-generated`.
+ *
+ * Generators must tag what they create with tagNodes(), run inside
+ * runTransaction(body, parent) and leave the new top-level nodes selected.
+ */
+function registerGenerator(type: string, generator: NodeGenerator) {
+  generators[type] = generator;
+  registerHandler(type, (data) => generator(data));
+}
+
+/**
+ * Tag nodes created by one run of a generator
+ */
+function tagNodes(nodes: SceneNode[], generator: string, params: any) {
+  const tag: GeneratorTag = {
+    version: TAG_VERSION,
+    generator,
+    params,
+    runId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: new Date().toISOString()
+  };
+  const json = JSON.stringify(tag);
+
+  nodes.forEach(node => {
+    node.setPluginData(TAG_KEY, json);
+    node.setSharedPluginData(SHARED_TAG_NAMESPACE, 'generator', tag.generator);
+    node.setSharedPluginData(SHARED_TAG_NAMESPACE, 'params', JSON.stringify(tag.params));
+    node.setSharedPluginData(SHARED_TAG_NAMESPACE, 'runId', tag.runId);
+    node.setSharedPluginData(SHARED_TAG_NAMESPACE, 'createdAt', tag.createdAt);
+  });
+}
+
+/**
+ * The tag on a node, or null for nodes the plugin did not create
+ */
+function readTag(node: BaseNode): GeneratorTag | null {
+  const json = node.getPluginData(TAG_KEY);
+  if (!json) {
+    return null;
+  }
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.warn(`Ignoring unreadable tag on ${node.id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Whether regenerate-generated can rerun the command behind a tag. Imports are
+ * tagged too, but only registered generators can run again.
+ */
+function canRegenerate(tag: GeneratorTag | null): boolean {
+  return tag !== null && Boolean(generators[tag.generator]);
+}
+
+function clearTag(node: BaseNode) {
+  node.setPluginData(TAG_KEY, '');
+  SHARED_TAG_KEYS.forEach(key => node.setSharedPluginData(SHARED_TAG_NAMESPACE, key, ''));
+}
+
+/**
+ * Tagged nodes on the current page or in the whole document
+ */
+function findTaggedNodes(scope: TagScope, generator?: string): { node: SceneNode; tag: GeneratorTag; page: PageNode }[] {
+  const pages = scope === 'document' ? figma.root.children : [figma.currentPage];
+  const found: { node: SceneNode; tag: GeneratorTag; page: PageNode }[] = [];
+
+  pages.forEach(page => {
+    page.findAllWithCriteria({ pluginData: { keys: [TAG_KEY] } }).forEach(node => {
+      const tag = readTag(node);
+      if (tag && (!generator || tag.generator === generator)) {
+        found.push({ node, tag, page });
+      }
+    });
+  });
+
+  return found;
+}
+
+/**
+ * `find-generated`: tagged nodes grouped by the run that created them
+ */
+function findGenerated(options: { scope: TagScope; generator?: string }) {
+  const runs = new Map<string, GeneratedRun>();
+
+  findTaggedNodes(options.scope, options.generator).forEach(({ node, tag, page }) => {
+    const run = runs.get(tag.runId);
+    if (run) {
+      run.nodeIds.push(node.id);
+      return;
+    }
+    runs.set(tag.runId, {
+      runId: tag.runId,
+      generator: tag.generator,
+      params: tag.params,
+      createdAt: tag.createdAt,
+      pageId: page.id,
+      pageName: page.name,
+      nodeIds: [node.id]
+    });
+  });
+
+  const list = Array.from(runs.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return {
+    runs: list,
+    count: list.reduce((total, run) => total + run.nodeIds.length, 0)
+  };
+}
+
+/**
+ * `select-generated`: select nodes by id, switching to their page if needed.
+ * Nodes on other pages than the first one found are skipped.
+ */
+function selectGenerated(options: { ids: string[] }) {
+  const nodes = resolveNodes(options.ids);
+  if (nodes.length === 0) {
+    throw new PluginError('NO_SELECTION', 'None of the nodes exist anymore');
+  }
+
+  const page = pageOf(nodes[0]);
+  if (page && page !== figma.currentPage) {
+    figma.currentPage = page;
+  }
+
+  const selection = nodes.filter(node => pageOf(node) === figma.currentPage);
+  figma.currentPage.selection = selection;
+  figma.viewport.scrollAndZoomIntoView(selection);
+
+  return { selected: selection.length, skipped: options.ids.length - selection.length };
+}
+
+/**
+ * `regenerate-generated`: rerun the generators behind the given nodes (the
+ * selection by default) with their stored parameters merged with `params`.
+ * Each run is replaced as a whole, in the same parent and at the same position.
+ */
+function regenerateGenerated(options: { ids?: string[]; params: any }) {
+  const runs = new Map<string, GeneratorTag>();
+  resolveTargets(options.ids).forEach(node => {
+    const tag = readTag(node);
+    if (tag) {
+      runs.set(tag.runId, tag);
+    }
+  });
+
+  if (runs.size === 0) {
+    throw new PluginError('NO_SELECTION', 'Select layers created by this plugin to regenerate them');
+  }
+
+  return runTransaction(async tx => {
+    const created: SceneNode[] = [];
+    const replaced: SceneNode[] = [];
+
+    for (const tag of Array.from(runs.values())) {
+      const generator = generators[tag.generator];
+      if (!generator) {
+        throw new PluginError('INVALID_PAYLOAD', `"${tag.generator}" can not be regenerated`);
+      }
+
+      const previous = runRoots(tag.runId);
+      const data = validateMessage(tag.generator, { ...tag.params, ...options.params });
+      await generator(data, tx);
+
+      // Generators leave their new top-level nodes selected
+      const fresh = figma.currentPage.selection.slice();
+      if (previous.length > 0) {
+        placeLike(fresh, previous);
+      }
+      created.push(...fresh);
+      replaced.push(...previous);
+    }
+
+    // Removal can not be rolled back, so it happens once everything else worked
+    replaced.forEach(node => node.remove());
+    tx.set(figma.currentPage, 'selection', created);
+
+    return { regenerated: runs.size, ids: created.map(node => node.id) };
+  });
+}
+
+/**
+ * `strip-generated-tags`: remove tags from the given nodes (the selection by
+ * default) and everything inside them
+ */
+function stripGeneratedTags(options: { ids?: string[] }) {
+  let count = 0;
+  const strip = (node: BaseNode) => {
+    if (readTag(node)) {
+      clearTag(node);
+      count++;
+    }
+  };
+
+  resolveTargets(options.ids).forEach(node => {
+    strip(node);
+    if ('findAll' in node) {
+      node.findAll().forEach(strip);
+    }
+  });
+
+  notify(`Removed tags from ${count} ${count === 1 ? 'node' : 'nodes'}`, { variant: 'success' });
+  return { count };
+}
+
+/**
+ * Top-level nodes of a run on the current page: tagged nodes whose parent is
+ * not part of the same run
+ */
+function runRoots(runId: string): SceneNode[] {
+  const inRun = (node: BaseNode | null) => !!node && readTag(node)?.runId === runId;
+  return findTaggedNodes('page')
+    .filter(({ node, tag }) => tag.runId === runId && !inRun(node.parent))
+    .map(({ node }) => node);
+}
+
+/**
+ * Move fresh nodes into the parent of the nodes they replace, at the same
+ * stacking position, with their bounding boxes sharing the top-left corner
+ */
+function placeLike(fresh: SceneNode[], previous: SceneNode[]) {
+  const anchor = previous[0];
+  const parent = anchor.parent;
+  if (parent && parent !== figma.currentPage && 'insertChild' in parent) {
+    const index = parent.children.indexOf(anchor);
+    fresh.forEach((node, offset) => parent.insertChild(index + offset, node));
+  }
+
+  const target = nodeBounds(previous);
+  const current = nodeBounds(fresh);
+  fresh.forEach(node => {
+    node.x += target.x - current.x;
+    node.y += target.y - current.y;
+  });
+}
+
+function nodeBounds(nodes: SceneNode[]) {
+  return {
+    x: Math.min(...nodes.map(node => node.x)),
+    y: Math.min(...nodes.map(node => node.y))
+  };
+}
+
+/**
+ * Scene nodes for the given ids, or the current selection when ids are omitted
+ */
+function resolveTargets(ids?: string[]): SceneNode[] {
+  if (ids && ids.length > 0) {
+    return resolveNodes(ids);
+  }
+  const selection = figma.currentPage.selection.slice();
+  if (selection.length === 0) {
+    throw new PluginError('NO_SELECTION', 'Select at least one layer');
+  }
+  return selection;
+}
+
+function resolveNodes(ids: string[]): SceneNode[] {
+  return ids
+    .map(id => figma.getNodeById(id))
+    .filter((node): node is SceneNode => !!node && node.type !== 'PAGE' && node.type !== 'DOCUMENT');
+}
+
+function pageOf(node: BaseNode): PageNode | null {
+  let current: BaseNode | null = node;
+  while (current && current.type !== 'PAGE') {
+    current = current.parent;
+  }
+  return current as PageNode | null;
+}
@@ -0,0 +1,124 @@
+// All-or-nothing edits for handlers that touch several nodes
+//
+// Run the steps inside runTransaction(). Nodes created through `tx.track()` and
+// properties changed through `tx.set()` are recorded; when every step succeeds
+// the edit is committed as a single undo step, and when one throws the recorded
+// changes are undone and the error reaches the UI with a `rollback` report:
+//   details.rollback = { removed, restored, failed }
+
+interface RollbackReport {
+  // Nodes created by the transaction and removed again
+  removed: { id: string; name: string; type: string }[];
+  // Existing nodes whose properties were put back
+  restored: { id: string; name: string; properties: string[] }[];
+  // Changes that could not be undone
+  failed: { id: string; message: string }[];
+}
+
+interface RecordedChange {
+  node: BaseNode;
+  key: string;
+  previous: any;
+}
+
+class Transaction {
+  private created: SceneNode[] = [];
+  private changes: RecordedChange[] = [];
+
+  /**
+   * Record a node created during the transaction. Returns the node so the
+   * call can wrap the factory: `tx.track(figma.createRectangle())`
+   */
+  track<T extends SceneNode>(node: T): T {
+    this.created.push(node);
+    return node;
+  }
+
+  /**
+   * Assign a property on a node that existed before the transaction,
+   * remembering the original value the first time it changes
+   */
+  set<N extends BaseNode, K extends keyof N>(node: N, key: K, value: N[K]) {
+    const recorded = this.changes.some(change => change.node === node && change.key === key);
+    // Created nodes are removed on rollback, so their properties need no history
+    if (!recorded && this.created.indexOf(node as any) === -1) {
+      this.changes.push({ node, key: key as string, previous: node[key] });
+    }
+    node[key] = value;
+  }
+
+  /**
+   * Undo everything recorded so far: restore changed properties, then remove
+   * created nodes, newest first
+   */
+  rollback(): RollbackReport {
+    const report: RollbackReport = { removed: [], restored: [], failed: [] };
+
+    this.changes.slice().reverse().forEach(({ node, key, previous }) => {
+      try {
+        (node as any)[key] = previous;
+        const entry = report.restored.find(item => item.id === node.id);
+        if (entry) {
+          entry.properties.push(key);
+        } else {
+          report.restored.push({ id: node.id, name: node.name, properties: [key] });
+        }
+      } catch (error) {
+        report.failed.push({ id: node.id, message: `Could not restore ${key}: ${errorMessage(error)}` });
+      }
+    });
+
+    // Removing a parent also removes its children, so describe every node up front
+    const created = this.created.slice().reverse();
+    const summaries = created.map(node => ({ id: node.id, name: node.name, type: node.type }));
+    created.forEach((node, index) => {
+      try {
+        if (!node.removed) {
+          node.remove();
+        }
+        report.removed.push(summaries[index]);
+      } catch (error) {
+        report.failed.push({ id: summaries[index].id, message: `Could not remove node: ${errorMessage(error)}` });
+      }
+    });
+
+    return report;
+  }
+
+  get isEmpty() {
+    return this.created.length === 0 && this.changes.length === 0;
+  }
+}
+
+/**
+ * Run `body` as one transaction. On success the edit is committed as a single
+ * undo step; on failure it is rolled back and the error is rethrown with the
+ * rollback report added to its details (the original error code is kept).
+ *
+ * Pass `parent` to run as part of an enclosing transaction instead: the body
+ * records into it, and committing or rolling back is left to its owner.
+ */
+async function runTransaction<T>(body: (tx: Transaction) => T | Promise<T>, parent?: Transaction): Promise<T> {
+  if (parent) {
+    return body(parent);
+  }
+
+  const tx = new Transaction();
+
+  try {
+    const result = await body(tx);
+    figma.commitUndo();
+    return result;
+  } catch (error) {
+    if (tx.isEmpty) {
+      throw error;
+    }
+    const rollback = tx.rollback();
+    const envelope = toErrorEnvelope(error, null);
+    throw new PluginError(envelope.code, envelope.message, { ...envelope.details, rollback });
+  }
+}
+
+function errorMessage(error: unknown) {
+  return error instanceof Error ? error.message : String(error);
+}
@@ -0,0 +1,293 @@
+/**
+ * Color parsing and conversion shared by code.ts and ui.js
+ *
+ * Like schema.js this is a plain script: tsc concatenates it into dist/code.js
+ * and build-ui.js inlines it into dist/ui.html.
+ *
+ * Colors are plain objects with channels from 0 to 1, matching Figma's RGB/RGBA:
+ *   parseColor('#3b82f6')             -> { r: 0.23, g: 0.51, b: 0.96, a: 1 }
+ *   parseColor('hsl(0 100% 50% / .5)') -> { r: 1, g: 0, b: 0, a: 0.5 }
+ *   parseColor('221.2 83.2% 53.3%')   -> shadcn token from src/ui.css
+ */
+
+/**
+ * @typedef {Object} ParsedColor
+ * @property {number} r - Red, 0 to 1
+ * @property {number} g - Green, 0 to 1
+ * @property {number} b - Blue, 0 to 1
+ * @property {number} a - Alpha, 0 to 1
+ */
+
+/** CSS named colors (CSS Color Module Level 4) */
+/** @type {Object<string, string>} */
+const namedColors = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+  azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd',
+  blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0',
+  chartreuse: '7fff00', chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed',
+  cornsilk: 'fff8dc', crimson: 'dc143c', cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b',
+  darkgoldenrod: 'b8860b', darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9',
+  darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00',
+  darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f',
+  darkturquoise: '00ced1', darkviolet: '9400d3', deeppink: 'ff1493', deepskyblue: '00bfff',
+  dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff', firebrick: 'b22222',
+  floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+  ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+  greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4',
+  indianred: 'cd5c5c', indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+  lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+  lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+  lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899',
+  lightslategrey: '778899', lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00',
+  limegreen: '32cd32', linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000',
+  mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db',
+  mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a',
+  mediumturquoise: '48d1cc', mediumvioletred: 'c71585', midnightblue: '191970',
+  mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5', navajowhite: 'ffdead',
+  navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23', orange: 'ffa500',
+  orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+  paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9',
+  peru: 'cd853f', pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080',
+  rebeccapurple: '663399', red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1',
+  saddlebrown: '8b4513', salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57',
+  seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+  slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f',
+  steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8', tomato: 'ff6347',
+  turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff', whitesmoke: 'f5f5f5',
+  yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+const colorNumberPattern = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?';
+const hexColorPattern = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/;
+const colorFunctionPattern = /^(rgba?|hsla?)\(\s*(.*?)\s*\)$/;
+const shadcnTokenPattern = new RegExp(`^(${colorNumberPattern})(?:deg)?\\s+(${colorNumberPattern})%\\s+(${colorNumberPattern})%(?:\\s*/\\s*(${colorNumberPattern}%?))?$`);
+
+/**
+ * Parse a color string
+ * Accepts #rgb, #rgba, #rrggbb, #rrggbbaa, rgb()/rgba(), hsl()/hsla() (comma or
+ * space separated), CSS named colors, `transparent` and shadcn `H S% L%` tokens.
+ * @param {string} input - Color string
+ * @returns {ParsedColor|null} Parsed color, or null if the string is not a color
+ */
+function parseColor(input) {
+  if (typeof input !== 'string') return null;
+  const value = input.trim().toLowerCase();
+  if (!value) return null;
+
+  if (value === 'transparent') {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+
+  if (Object.prototype.hasOwnProperty.call(namedColors, value)) {
+    return parseHexColor(namedColors[value]);
+  }
+
+  const hex = hexColorPattern.exec(value);
+  if (hex) {
+    return parseHexColor(hex[1]);
+  }
+
+  const fn = colorFunctionPattern.exec(value);
+  if (fn) {
+    return fn[1].startsWith('rgb') ? parseRgbArgs(fn[2]) : parseHslArgs(fn[2]);
+  }
+
+  const token = shadcnTokenPattern.exec(value);
+  if (token) {
+    const alpha = token[4] === undefined ? 1 : parseAlpha(token[4]);
+    return alpha === null ? null : hslToColor(Number(token[1]), Number(token[2]) / 100, Number(token[3]) / 100, alpha);
+  }
+
+  return null;
+}
+
+/**
+ * @param {string} digits - 3, 4, 6 or 8 hex digits without '#'
+ * @returns {ParsedColor}
+ */
+function parseHexColor(digits) {
+  const full = digits.length <= 4 ? digits.split('').map(digit => digit + digit).join('') : digits;
+  const channel = (/** @type {number} */ index) => parseInt(full.slice(index, index + 2), 16) / 255;
+  return {
+    r: channel(0),
+    g: channel(2),
+    b: channel(4),
+    a: full.length === 8 ? channel(6) : 1
+  };
+}
+
+/**
+ * Split color function arguments: "1, 2, 3, .5" or "1 2 3 / 50%"
+ * In the space separated form an alpha only comes after a slash.
+ * @param {string} args
+ * @returns {string[]|null} Three or four components
+ */
+function splitColorArgs(args) {
+  if (args.indexOf(',') !== -1) {
+    const parts = args.split(',').map(part => part.trim());
+    return parts.length === 3 || parts.length === 4 ? parts : null;
+  }
+
+  const [channels, alpha, ...rest] = args.split('/').map(part => part.trim());
+  const parts = channels.split(/\s+/);
+  if (parts.length !== 3 || rest.length > 0) return null;
+  return alpha === undefined ? parts : parts.concat([alpha]);
+}
+
+/**
+ * @param {string} component - Number or percentage
+ * @returns {number|null} Alpha from 0 to 1
+ */
+function parseAlpha(component) {
+  const match = new RegExp(`^(${colorNumberPattern})(%?)$`).exec(component);
+  if (!match) return null;
+  const alpha = Number(match[1]) / (match[2] ? 100 : 1);
+  return clampUnit(alpha);
+}
+
+/**
+ * @param {string} args
+ * @returns {ParsedColor|null}
+ */
+function parseRgbArgs(args) {
+  const parts = splitColorArgs(args);
+  if (!parts) return null;
+
+  const channels = parts.slice(0, 3).map(part => {
+    const match = new RegExp(`^(${colorNumberPattern})(%?)$`).exec(part);
+    if (!match) return null;
+    return clampUnit(Number(match[1]) / (match[2] ? 100 : 255));
+  });
+  const alpha = parts.length === 4 ? parseAlpha(parts[3]) : 1;
+
+  if (channels.some(channel => channel === null) || alpha === null) return null;
+  return { r: /** @type {number} */ (channels[0]), g: /** @type {number} */ (channels[1]), b: /** @type {number} */ (channels[2]), a: alpha };
+}
+
+/**
+ * @param {string} args
+ * @returns {ParsedColor|null}
+ */
+function parseHslArgs(args) {
+  const parts = splitColorArgs(args);
+  if (!parts) return null;
+
+  const hue = new RegExp(`^(${colorNumberPattern})(deg)?$`).exec(parts[0]);
+  const saturation = new RegExp(`^(${colorNumberPattern})%$`).exec(parts[1]);
+  const lightness = new RegExp(`^(${colorNumberPattern})%$`).exec(parts[2]);
+  const alpha = parts.length === 4 ? parseAlpha(parts[3]) : 1;
+
+  if (!hue || !saturation || !lightness || alpha === null) return null;
+  return hslToColor(Number(hue[1]), Number(saturation[1]) / 100, Number(lightness[1]) / 100, alpha);
+}
+
+/**
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation, 0 to 1
+ * @param {number} l - Lightness, 0 to 1
+ * @param {number} a - Alpha, 0 to 1
+ * @returns {ParsedColor}
+ */
+function hslToColor(h, s, l, a) {
+  const hue = ((h % 360) + 360) % 360;
+  const sat = clampUnit(s);
+  const light = clampUnit(l);
+  const k = (/** @type {number} */ n) => (n + hue / 30) % 12;
+  const chroma = sat * Math.min(light, 1 - light);
+  const f = (/** @type {number} */ n) => light - chroma * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return { r: f(0), g: f(8), b: f(4), a: clampUnit(a) };
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function clampUnit(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Format a color as hex
+ * @param {ParsedColor|{r: number, g: number, b: number}} color - Color to format
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.alpha=true] - Append alpha digits when the color is not opaque
+ * @returns {string} '#rrggbb' or '#rrggbbaa'
+ */
+function colorToHex(color, options = {}) {
+  const { alpha = true } = options;
+  const toHex = (/** @type {number} */ channel) => Math.round(clampUnit(channel) * 255).toString(16).padStart(2, '0');
+  const a = 'a' in color ? color.a : 1;
+  const hex = `#${toHex(color.r)}${toHex(color.g)}${toHex(color.b)}`;
+  return alpha && a < 1 ? hex + toHex(a) : hex;
+}
+
+/**
+ * Convert a color to HSL
+ * @param {ParsedColor|{r: number, g: number, b: number}} color - Color to convert
+ * @returns {{h: number, s: number, l: number, a: number}} Hue in degrees, s/l/a from 0 to 1
+ */
+function colorToHsl(color) {
+  const { r, g, b } = color;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  let h = 0;
+  let s = 0;
+
+  if (d !== 0) {
+    s = d / (1 - Math.abs(2 * l - 1));
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    h = (h * 60 + 360) % 360;
+  }
+
+  return { h, s, l, a: 'a' in color ? color.a : 1 };
+}
+
+/**
+ * Format a color as a CSS hsl() string
+ * @param {ParsedColor|{r: number, g: number, b: number}} color - Color to format
+ * @returns {string} e.g. 'hsl(217 91% 60%)' or 'hsl(217 91% 60% / 0.5)'
+ */
+function colorToHslString(color) {
+  const { h, s, l, a } = colorToHsl(color);
+  const base = `${roundColorComponent(h, 1)} ${roundColorComponent(s * 100, 1)}% ${roundColorComponent(l * 100, 1)}%`;
+  return a < 1 ? `hsl(${base} / ${roundColorComponent(a, 2)})` : `hsl(${base})`;
+}
+
+/**
+ * Format a color as a shadcn CSS variable value (see src/ui.css)
+ * @param {ParsedColor|{r: number, g: number, b: number}} color - Color to format
+ * @returns {string} e.g. '221.2 83.2% 53.3%'
+ */
+function colorToShadcnToken(color) {
+  const { h, s, l } = colorToHsl(color);
+  return `${roundColorComponent(h, 1)} ${roundColorComponent(s * 100, 1)}% ${roundColorComponent(l * 100, 1)}%`;
+}
+
+/**
+ * Build a Figma solid paint; alpha becomes the paint's opacity
+ * @param {ParsedColor} color - Parsed color
+ * @returns {{type: 'SOLID', color: {r: number, g: number, b: number}, opacity: number}} Solid paint
+ */
+function colorToPaint(color) {
+  return {
+    type: 'SOLID',
+    color: { r: color.r, g: color.g, b: color.b },
+    opacity: color.a
+  };
+}
+
+/**
+ * @param {number} value
+ * @param {number} digits
+ * @returns {number}
+ */
+function roundColorComponent(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,440 @@
+/**
+ * Payload schemas for plugin messages, keyed by message type
+ * Validated in the sandbox before a handler runs and in the UI before a message
+ * is sent (see src/shared/schema.js). Messages without an entry are not checked.
+ */
+
+/** @type {Object<string, Object<string, FieldSpec>>} */
+const messageSchemas = {
+  'create-rectangle': {
+    name: {
+      type: 'string',
+      label: 'Name',
+      default: 'Rectangle',
+      maxLength: 100
+    },
+    color: {
+      type: 'string',
+      format: 'color',
+      label: 'Color',
+      default: '#3399ff'
+    }
+  },
+
+  'create-shape': {
+    shape: {
+      type: 'enum',
+      label: 'Shape',
+      values: ['rectangle', 'ellipse', 'polygon', 'star', 'line', 'vector', 'frame', 'text'],
+      default: 'rectangle'
+    },
+    name: {
+      type: 'string',
+      label: 'Name',
+      maxLength: 100
+    },
+    width: {
+      type: 'number',
+      label: 'Width',
+      min: 0.01,
+      max: 10000,
+      default: 100
+    },
+    height: {
+      type: 'number',
+      label: 'Height',
+      min: 0.01,
+      max: 10000,
+      default: 100,
+      description: 'Ignored for lines'
+    },
+    fill: {
+      type: 'string',
+      format: 'color',
+      label: 'Fill',
+      default: '#3399ff'
+    },
+    cornerRadius: {
+      type: 'number',
+      label: 'Corner radius',
+      min: 0,
+      max: 5000,
+      default: 0,
+      showWhen: { field: 'shape', values: ['rectangle', 'polygon', 'star', 'frame'] }
+    },
+    pointCount: {
+      type: 'integer',
+      label: 'Points',
+      min: 3,
+      max: 60,
+      default: 5,
+      showWhen: { field: 'shape', values: ['polygon', 'star'] }
+    },
+    innerRadius: {
+      type: 'number',
+      label: 'Inner radius',
+      min: 0,
+      max: 1,
+      default: 0.38,
+      description: 'Ratio of the inner to the outer radius',
+      showWhen: { field: 'shape', values: ['star'] }
+    },
+    text: {
+      type: 'string',
+      label: 'Text',
+      default: 'Text',
+      maxLength: 5000,
+      showWhen: { field: 'shape', values: ['text'] }
+    },
+    fontSize: {
+      type: 'number',
+      label: 'Font size',
+      min: 1,
+      max: 1000,
+      default: 24,
+      showWhen: { field: 'shape', values: ['text'] }
+    },
+    svg: {
+      type: 'string',
+      label: 'SVG markup',
+      multiline: true,
+      pattern: '<svg[\\s>]',
+      showWhen: { field: 'shape', values: ['vector'] }
+    },
+    strokeColor: {
+      type: 'string',
+      format: 'color',
+      label: 'Stroke color',
+      description: 'Leave empty for no stroke'
+    },
+    strokeWeight: {
+      type: 'number',
+      label: 'Stroke weight',
+      min: 0,
+      max: 1000,
+      default: 1
+    },
+    opacity: {
+      type: 'number',
+      label: 'Opacity',
+      min: 0,
+      max: 1,
+      default: 1
+    },
+    rotation: {
+      type: 'number',
+      label: 'Rotation',
+      min: -360,
+      max: 360,
+      default: 0
+    },
+    position: {
+      type: 'object',
+      label: 'Position',
+      properties: {
+        mode: {
+          type: 'enum',
+          label: 'Place at',
+          values: ['viewport-center', 'absolute', 'relative-to-selection'],
+          default: 'viewport-center'
+        },
+        x: {
+          type: 'number',
+          label: 'X',
+          default: 0,
+          description: 'Absolute X, or a horizontal offset (from the right edge of the selection)'
+        },
+        y: {
+          type: 'number',
+          label: 'Y',
+          default: 0,
+          description: 'Absolute Y, or a vertical offset (from the top edge of the selection)'
+        }
+      }
+    }
+  },
+
+  'create-grid': {
+    rows: {
+      type: 'integer',
+      label: 'Rows',
+      min: 1,
+      max: 100,
+      default: 3
+    },
+    columns: {
+      type: 'integer',
+      label: 'Columns',
+      min: 1,
+      max: 100,
+      default: 4
+    },
+    cellWidth: {
+      type: 'number',
+      label: 'Tile width',
+      min: 1,
+      max: 10000,
+      default: 80
+    },
+    cellHeight: {
+      type: 'number',
+      label: 'Tile height',
+      min: 1,
+      max: 10000,
+      default: 80
+    },
+    gap: {
+      type: 'number',
+      label: 'Gap',
+      min: 0,
+      max: 1000,
+      default: 16
+    },
+    cornerRadius: {
+      type: 'number',
+      label: 'Corner radius',
+      min: 0,
+      max: 5000,
+      default: 8
+    },
+    startColor: {
+      type: 'string',
+      format: 'color',
+      label: 'Start color',
+      default: '#3b82f6'
+    },
+    endColor: {
+      type: 'string',
+      format: 'color',
+      label: 'End color',
+      default: '#a855f7'
+    },
+    colorRamp: {
+      type: 'enum',
+      label: 'Color ramp',
+      values: ['sequential', 'rows', 'columns', 'none'],
+      default: 'sequential',
+      description: 'How colors blend from start to end; "none" uses the start color only'
+    },
+    namePattern: {
+      type: 'string',
+      label: 'Name pattern',
+      default: 'Tile {row}-{col}',
+      maxLength: 100,
+      description: 'Placeholders: {row}, {col}, {index}'
+    },
+    wrapInFrame: {
+      type: 'boolean',
+      label: 'Wrap in auto layout frame',
+      default: true
+    },
+    frameName: {
+      type: 'string',
+      label: 'Frame name',
+      default: 'Grid',
+      maxLength: 100,
+      showWhen: { field: 'wrapInFrame', values: [true] }
+    },
+    padding: {
+      type: 'number',
+      label: 'Frame padding',
+      min: 0,
+      max: 1000,
+      default: 0,
+      showWhen: { field: 'wrapInFrame', values: [true] }
+    }
+  },
+
+  'serialize-selection': {
+    depth: {
+      type: 'integer',
+      label: 'Depth',
+      min: 0,
+      max: 10,
+      default: 1,
+      description: 'Levels of children to include'
+    }
+  },
+
+  'import-json': {
+    document: {
+      type: 'object',
+      label: 'Document',
+      required: true,
+      description: 'Node document produced by export-json'
+    },
+    position: {
+      type: 'enum',
+      label: 'Place at',
+      values: ['viewport-center', 'original'],
+      default: 'viewport-center'
+    }
+  },
+
+  'export-selection': {
+    format: {
+      type: 'enum',
+      label: 'Format',
+      values: ['PNG', 'JPG', 'SVG', 'PDF'],
+      default: 'PNG'
+    },
+    scale: {
+      type: 'number',
+      label: 'Scale',
+      min: 0.5,
+      max: 4,
+      default: 2,
+      showWhen: { field: 'format', values: ['PNG', 'JPG'] }
+    },
+    suffix: {
+      type: 'string',
+      label: 'Suffix',
+      default: '',
+      maxLength: 50,
+      description: 'Added to every file name, e.g. @2x'
+    },
+    svgOutlineText: {
+      type: 'boolean',
+      label: 'Outline text',
+      default: true,
+      showWhen: { field: 'format', values: ['SVG'] }
+    },
+    contentsOnly: {
+      type: 'boolean',
+      label: 'Contents only',
+      default: true,
+      description: 'Leave out overlapping layers and the area around each node'
+    }
+  },
+
+  'import-images': {
+    files: {
+      type: 'array',
+      label: 'Files',
+      // Free-form items: image bytes arrive as a Uint8Array
+      items: { type: 'object' },
+      minLength: 1,
+      maxLength: 50,
+      required: true,
+      description: 'Dropped files as { name, kind: "image", bytes } or { name, kind: "svg", svg }'
+    },
+    scaleMode: {
+      type: 'enum',
+      label: 'Image scaling',
+      values: ['fill', 'fit', 'crop'],
+      default: 'fill'
+    },
+    maxSize: {
+      type: 'number',
+      label: 'Max size',
+      min: 1,
+      max: 4096,
+      default: 1024,
+      description: 'Longest side of an imported image; larger images are scaled down'
+    }
+  },
+
+  'find-generated': {
+    scope: {
+      type: 'enum',
+      label: 'Search',
+      values: ['page', 'document'],
+      default: 'page'
+    },
+    generator: {
+      type: 'string',
+      label: 'Generator',
+      description: 'Only nodes made by this message type, e.g. create-grid'
+    }
+  },
+
+  'select-generated': {
+    ids: {
+      type: 'array',
+      label: 'Nodes',
+      items: { type: 'string' },
+      minLength: 1,
+      required: true
+    }
+  },
+
+  'regenerate-generated': {
+    ids: {
+      type: 'array',
+      label: 'Nodes',
+      items: { type: 'string' },
+      description: 'Defaults to the current selection'
+    },
+    params: {
+      type: 'object',
+      label: 'Parameters',
+      default: {},
+      description: 'Overrides merged into the stored parameters of each run'
+    }
+  },
+
+  'strip-generated-tags': {
+    ids: {
+      type: 'array',
+      label: 'Nodes',
+      items: { type: 'string' },
+      description: 'Defaults to the current selection'
+    }
+  },
+
+  // Same bounds as the stored window size
+  'resize-ui': {
+    width: {
+      type: 'integer',
+      label: 'Width',
+      min: settingsSchema.window.properties.width.min,
+      max: settingsSchema.window.properties.width.max,
+      required: true
+    },
+    height: {
+      type: 'integer',
+      label: 'Height',
+      min: settingsSchema.window.properties.height.min,
+      max: settingsSchema.window.properties.height.max,
+      required: true
+    }
+  },
+
+  // Sent by src/ui/toast.js for toasts raised with notify() (src/plugin/notify.ts)
+  'toast-action': {
+    id: { type: 'string', label: 'Toast', required: true }
+  },
+
+  'toast-dismissed': {
+    id: { type: 'string', label: 'Toast', required: true },
+    reason: {
+      type: 'enum',
+      label: 'Reason',
+      values: ['timeout', 'dismiss', 'action_button_click'],
+      required: true
+    }
+  },
+
+  'cancel-job': {
+    jobId: {
+      type: 'string',
+      label: 'Job',
+      required: true,
+      description: 'jobId from a job-progress event'
+    }
+  },
+
+  'set-settings': {
+    values: {
+      type: 'object',
+      label: 'Values',
+      description: 'Settings to change; checked against settingsSchema after merging'
+    },
+    reset: {
+      type: 'array',
+      label: 'Reset',
+      items: { type: 'enum', values: Object.keys(settingsSchema) },
+      description: 'Settings to put back to their defaults before applying values'
+    }
+  }
+};
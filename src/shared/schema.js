@@ -0,0 +1,193 @@
+/**
+ * Declarative payload schemas shared by code.ts and ui.js
+ *
+ * This file is plain JavaScript with no imports or exports: tsc concatenates it
+ * into dist/code.js and build-ui.js inlines it into dist/ui.html, so both sides
+ * of the bridge validate with exactly the same rules.
+ *
+ * A schema maps field names to field specs:
+ *
+ *   {
+ *     name:  { type: 'string', required: true, maxLength: 100 },
+ *     size:  { type: 'number', min: 1, max: 4000, default: 100 },
+ *     shape: { type: 'enum', values: ['rectangle', 'ellipse'] }
+ *   }
+ */
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {'string'|'number'|'integer'|'boolean'|'enum'|'object'|'array'} type - Value type
+ * @property {boolean} [required] - Reject the payload when the field is missing
+ * @property {any} [default] - Value used when the field is missing
+ * @property {number} [min] - Minimum for numbers
+ * @property {number} [max] - Maximum for numbers
+ * @property {number} [minLength] - Minimum length for strings and arrays
+ * @property {number} [maxLength] - Maximum length for strings and arrays
+ * @property {string} [pattern] - Regular expression a string must match
+ * @property {string} [format] - Named string format ('hex-color', 'color')
+ * @property {Array<string|number>} [values] - Allowed values for enums
+ * @property {Object<string, FieldSpec>} [properties] - Nested schema for objects; objects
+ *   without one are free-form and kept as they are
+ * @property {FieldSpec} [items] - Spec applied to every array item
+ * @property {string} [label] - Human readable label, used by generated forms
+ * @property {string} [description] - Help text, used by generated forms
+ * @property {boolean} [multiline] - Render strings as a textarea in generated forms
+ * @property {{field: string, values: Array<string|number>}} [showWhen] - Only show the
+ *   field in generated forms while a sibling field has one of the listed values
+ */
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} path - Dotted path of the offending field (e.g. "stroke.weight")
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid - Whether the payload matched the schema
+ * @property {any} value - Payload with defaults applied
+ * @property {FieldError[]} errors - Field-level errors, empty when valid
+ */
+
+/** @type {Object<string, {test: function(string): boolean, message: string}>} */
+const schemaFormats = {
+  'hex-color': {
+    test: (value) => /^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value),
+    message: 'must be a hex color like #3b82f6'
+  },
+  // Anything parseColor() understands (see src/shared/color.js)
+  'color': {
+    test: (value) => parseColor(value) !== null,
+    message: 'must be a color like #3b82f6, rgb(59 130 246), hsl(217 91% 60%) or blue'
+  }
+};
+
+/**
+ * Validate a payload against a schema
+ * @param {Object<string, FieldSpec>} schema - Field specs keyed by field name
+ * @param {any} data - Payload to validate
+ * @returns {ValidationResult} Validation result
+ */
+function validatePayload(schema, data) {
+  /** @type {FieldError[]} */
+  const errors = [];
+  const value = validateObject(schema, data === undefined ? {} : data, '', errors);
+  return { valid: errors.length === 0, value, errors };
+}
+
+/**
+ * @param {Object<string, FieldSpec>} schema
+ * @param {any} data
+ * @param {string} path
+ * @param {FieldError[]} errors
+ * @returns {any}
+ */
+function validateObject(schema, data, path, errors) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push({ path: path || '(payload)', message: 'must be an object' });
+    return data;
+  }
+
+  /** @type {Object<string, any>} */
+  const result = {};
+  for (const key of Object.keys(schema)) {
+    const spec = schema[key];
+    const fieldPath = path ? `${path}.${key}` : key;
+    const fieldValue = data[key];
+
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (spec.default !== undefined) {
+        result[key] = spec.default;
+      } else if (spec.required) {
+        errors.push({ path: fieldPath, message: 'is required' });
+      } else if (spec.type === 'object') {
+        // Fill in nested defaults even when the whole object was omitted
+        result[key] = validateObject(spec.properties || {}, {}, fieldPath, errors);
+      }
+      continue;
+    }
+
+    result[key] = validateField(spec, fieldValue, fieldPath, errors);
+  }
+
+  return result;
+}
+
+/**
+ * @param {FieldSpec} spec
+ * @param {any} value
+ * @param {string} path
+ * @param {FieldError[]} errors
+ * @returns {any}
+ */
+function validateField(spec, value, path, errors) {
+  const fail = (/** @type {string} */ message) => {
+    errors.push({ path, message });
+    return value;
+  };
+
+  switch (spec.type) {
+    case 'string': {
+      if (typeof value !== 'string') return fail('must be a string');
+      if (spec.minLength !== undefined && value.length < spec.minLength) {
+        return fail(`must be at least ${spec.minLength} characters`);
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return fail(`must be at most ${spec.maxLength} characters`);
+      }
+      if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+        return fail(`must match ${spec.pattern}`);
+      }
+      const format = spec.format && schemaFormats[spec.format];
+      if (format && !format.test(value)) return fail(format.message);
+      return value;
+    }
+
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !isFinite(value)) return fail('must be a number');
+      if (spec.type === 'integer' && !Number.isInteger(value)) return fail('must be a whole number');
+      if (spec.min !== undefined && value < spec.min) return fail(`must be at least ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) return fail(`must be at most ${spec.max}`);
+      return value;
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? value : fail('must be true or false');
+
+    case 'enum': {
+      const values = spec.values || [];
+      return values.indexOf(value) !== -1 ? value : fail(`must be one of ${values.join(', ')}`);
+    }
+
+    case 'object':
+      if (!spec.properties) {
+        return typeof value === 'object' && !Array.isArray(value) ? value : fail('must be an object');
+      }
+      return validateObject(spec.properties, value, path, errors);
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be a list');
+      if (spec.minLength !== undefined && value.length < spec.minLength) {
+        return fail(`must have at least ${spec.minLength} items`);
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return fail(`must have at most ${spec.maxLength} items`);
+      }
+      const items = spec.items;
+      return items ? value.map((item, index) => validateField(items, item, `${path}[${index}]`, errors)) : value;
+    }
+
+    default:
+      return fail(`has unknown schema type "${spec.type}"`);
+  }
+}
+
+/**
+ * Format validation errors as a single readable message
+ * @param {FieldError[]} errors - Errors from validatePayload()
+ * @returns {string} Message such as "color must be a hex color like #3b82f6"
+ */
+function formatValidationErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`).join('; ');
+}
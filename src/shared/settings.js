@@ -0,0 +1,63 @@
+/**
+ * Schema for the persisted plugin settings, shared by code.ts and ui.js
+ * Stored settings are checked against it on every read and write (see
+ * src/plugin/settings.ts), so missing keys get their defaults and unknown keys
+ * are dropped. Adding a key with a default needs no migration.
+ */
+
+/** @type {Object<string, FieldSpec>} */
+const settingsSchema = {
+  activeTab: {
+    type: 'enum',
+    label: 'Last tab',
+    values: ['plugin', 'selection', 'ui', 'settings'],
+    default: 'plugin'
+  },
+  recentColors: {
+    type: 'array',
+    label: 'Recent colors',
+    items: { type: 'string', format: 'color' },
+    maxLength: 12,
+    default: [],
+    description: 'Colors used by successful commands, newest first'
+  },
+  theme: {
+    type: 'enum',
+    label: 'Theme',
+    values: ['figma', 'light', 'dark'],
+    default: 'figma',
+    description: "'figma' follows Figma's light/dark theme and colors; 'light' and 'dark' use the shadcn palette"
+  },
+  forms: {
+    type: 'object',
+    label: 'Form values',
+    default: {},
+    description: 'Last valid values of each generated form, keyed by message type'
+  },
+  window: {
+    type: 'object',
+    label: 'Window',
+    properties: {
+      width: { type: 'integer', label: 'Width', min: 320, max: 1200, default: 400 },
+      height: { type: 'integer', label: 'Height', min: 360, max: 1000, default: 600 },
+      compact: {
+        type: 'boolean',
+        label: 'Compact',
+        default: false,
+        description: 'Shrink to compactWindowSize; width and height are kept for expanding again'
+      }
+    }
+  }
+};
+
+/** Size of the plugin window in compact mode */
+const compactWindowSize = { width: 320, height: 360 };
+
+/**
+ * Size the plugin window should have for the stored window settings
+ * @param {{width: number, height: number, compact: boolean}} stored - settings.window
+ * @returns {{width: number, height: number}} Window size in pixels
+ */
+function windowSizeFor(stored) {
+  return stored.compact ? compactWindowSize : { width: stored.width, height: stored.height };
+}
@@ -120,6 +120,37 @@ function createSeparator(options = {}) {
   return separator;
 }
 
+function createAlert(options = {}) {
+  const { variant = 'default', title = '', description = '', className = '' } = options;
+  const alert = document.createElement('div');
+  alert.setAttribute('role', 'alert');
+  
+  const baseClasses = 'relative w-full rounded-lg border p-4';
+  
+  const variantClasses = {
+    default: 'bg-background text-foreground',
+    destructive: 'border-destructive/50 text-destructive dark:border-destructive'
+  };
+  
+  alert.className = cn(baseClasses, variantClasses[variant] || variantClasses.default, className);
+  
+  if (title) {
+    const titleEl = document.createElement('h5');
+    titleEl.className = 'mb-1 font-medium leading-none tracking-tight';
+    titleEl.textContent = title;
+    alert.appendChild(titleEl);
+  }
+  
+  if (description) {
+    const descriptionEl = document.createElement('div');
+    descriptionEl.className = 'text-sm [&_p]:leading-relaxed';
+    descriptionEl.textContent = description;
+    alert.appendChild(descriptionEl);
+  }
+  
+  return alert;
+}
+
 // Simple tabs implementation
 class Tabs {
   constructor(options = {}) {
@@ -181,6 +212,7 @@ class Tabs {
   }
   
   setActiveTab(value) {
+    const changed = value !== this.activeTab;
     this.activeTab = value;
     
     // Update triggers
@@ -194,6 +226,10 @@ class Tabs {
       const isActive = content.getAttribute('data-value') === value;
       content.style.display = isActive ? 'block' : 'none';
     });
+    
+    if (changed) {
+      this.element.dispatchEvent(new CustomEvent('tabchange', { detail: { value } }));
+    }
   }
   
   appendTo(parent) {
@@ -208,6 +244,23 @@ class Tabs {
 
 // Global state
 let isGeneratingRectangle = false;
+let rectangleForm = null;
+let isCreatingShape = false;
+let shapeForm = null;
+let isCreatingGrid = false;
+let gridForm = null;
+let mainTabs = null;
+
+// Starting values for generated forms, before any are restored from settings
+const initialFormValues = {
+  'create-rectangle': { name: 'Generated Rectangle', color: '#3b82f6' }
+};
+
+// Channel to the plugin sandbox (see src/ui/rpc.js)
+const rpc = createRpcClient();
+
+// Reset callbacks for in-flight actions, keyed by sandbox message type
+const pendingActions = new Map();
 
 /**
  * Initialize the plugin UI
@@ -219,8 +272,12 @@ function initializeUI() {
     return;
   }
 
+  // Match Figma's light/dark theme before anything renders
+  setupThemeSync();
+
   // Create the main tabs interface
   const tabs = new Tabs({ defaultValue: 'plugin' });
+  mainTabs = tabs;
   
   // Add tabs list
   tabs.addTabsList({ className: 'w-full' });
@@ -232,6 +289,13 @@ function initializeUI() {
     content: createPluginTabContent()
   });
   
+  // Add Selection tab
+  tabs.addTab({
+    value: 'selection',
+    label: 'Selection',
+    content: createSelectionTabContent()
+  });
+  
   // Add UI tab
   tabs.addTab({
     value: 'ui',
@@ -239,20 +303,68 @@ function initializeUI() {
     content: createUITabContent()
   });
   
-  // Listen for tab changes
+  // Add Settings tab
+  tabs.addTab({
+    value: 'settings',
+    label: 'Settings',
+    // Stay on the Settings tab after a reset
+    content: createSettingsTabContent({ onReset: (settings) => applySettings(settings, { restoreTab: false }) })
+  });
+  
+  // Listen for tab changes and remember the last one
   tabs.onTabChange((e) => {
     console.log('Tab changed to:', e.detail.value);
+    if (currentSettings && currentSettings.activeTab !== e.detail.value) {
+      saveSettings({ activeTab: e.detail.value }).catch(error => console.warn('Could not save tab:', error));
+    }
   });
   
   // Add to DOM
   tabs.appendTo(root);
+  root.appendChild(createStatusArea());
+  root.appendChild(createWindowControls());
+  // Progress for any long-running job, kept in view above the window controls
+  root.appendChild(createJobProgress({ className: 'fixed inset-x-2 bottom-10 z-40 bg-background shadow-md' }));
   
   // Setup message handling
   setupMessageHandling();
   
+  // Restore the last session (see src/ui/settings.js); a menu command may ask for a specific tab
+  Object.entries(getActionForms()).forEach(([type, form]) => watchFormSettings(type, form));
+  Promise.all([loadSettings(), rpc.call('get-launch')])
+    .then(([settings, launch]) => {
+      applySettings(settings, { restoreTab: !launch.tab });
+      if (launch.tab) {
+        mainTabs.setActiveTab(launch.tab);
+      }
+    })
+    .catch(error => console.warn('Could not load settings:', error));
+  
   console.log('Plugin UI initialized');
 }
 
+/**
+ * Create the status line and error alert shown below every tab
+ */
+function createStatusArea() {
+  const area = document.createElement('div');
+  // Bottom padding keeps the status clear of the window controls
+  area.className = 'px-6 pb-12 space-y-2';
+  
+  // Status display
+  const statusDiv = document.createElement('div');
+  statusDiv.id = 'status-display';
+  statusDiv.className = 'text-sm text-muted-foreground';
+  
+  // Error display for failed sandbox handlers
+  const errorDiv = document.createElement('div');
+  errorDiv.id = 'error-display';
+  
+  area.appendChild(statusDiv);
+  area.appendChild(errorDiv);
+  return area;
+}
+
 /**
  * Create content for the Plugin tab
  */
@@ -276,7 +388,19 @@ function createPluginTabContent() {
         <h4 class="text-sm font-medium">Features:</h4>
         <ul class="text-sm text-muted-foreground space-y-1">
           <li>• Create rectangles with custom properties</li>
-          <li>• Handle selection changes</li>
+          <li>• Create shapes, frames, text and SVG vectors</li>
+          <li>• Generate grids with color ramps and auto layout</li>
+          <li>• Hex, rgb(), hsl(), named and shadcn token colors</li>
+          <li>• Live selection inspector with full node properties</li>
+          <li>• Tagged output that can be found and regenerated</li>
+          <li>• Drag and drop PNG, JPG, GIF and SVG import</li>
+          <li>• JSON export and import of layer subtrees</li>
+          <li>• PNG, JPG, SVG and PDF export with zip download</li>
+          <li>• Settings that persist between sessions</li>
+          <li>• Resizable window with a compact mode</li>
+          <li>• Light and dark themes that follow Figma</li>
+          <li>• Progress and cancel for long-running jobs</li>
+          <li>• Toasts, also raised from the sandbox with notify()</li>
           <li>• Plugin ↔ UI communication</li>
           <li>• Modern UI with shadcn/ui components</li>
           <li>• TypeScript support</li>
@@ -297,6 +421,12 @@ function createPluginTabContent() {
   actionTitle.className = 'text-lg font-semibold';
   actionTitle.textContent = 'Actions';
   
+  // Rectangle options, generated from messageSchemas['create-rectangle']
+  rectangleForm = createSchemaForm(messageSchemas['create-rectangle'], {
+    idPrefix: 'rectangle',
+    values: initialFormValues['create-rectangle']
+  });
+  
   // Rectangle generation button
   const generateButton = createButton({
     variant: 'default',
@@ -307,14 +437,19 @@ function createPluginTabContent() {
   });
   generateButton.id = 'generate-rectangle-btn';
   
-  // Status display
-  const statusDiv = document.createElement('div');
-  statusDiv.id = 'status-display';
-  statusDiv.className = 'text-sm text-muted-foreground';
-  
   actionSection.appendChild(actionTitle);
+  actionSection.appendChild(rectangleForm.element);
   actionSection.appendChild(generateButton);
-  actionSection.appendChild(statusDiv);
+  actionSection.appendChild(createSeparator());
+  actionSection.appendChild(createShapeSection());
+  actionSection.appendChild(createSeparator());
+  actionSection.appendChild(createGridSection());
+  actionSection.appendChild(createSeparator());
+  actionSection.appendChild(createImageDropSection());
+  actionSection.appendChild(createSeparator());
+  actionSection.appendChild(createJsonTransferSection());
+  actionSection.appendChild(createSeparator());
+  actionSection.appendChild(createExportSection());
   
   container.appendChild(descriptionCard);
   container.appendChild(createSeparator());
@@ -323,6 +458,98 @@ function createPluginTabContent() {
   return container;
 }
 
+/**
+ * Generated forms keyed by the message type they submit
+ * @returns {Object<string, Object>} Forms from createSchemaForm()
+ */
+function getActionForms() {
+  return {
+    'create-rectangle': rectangleForm,
+    'create-shape': shapeForm,
+    'create-grid': gridForm,
+    'export-selection': exportForm
+  };
+}
+
+/**
+ * Restore the active tab, window, theme and form values from settings
+ * @param {Object} settings - Settings from loadSettings() or resetSettings()
+ * @param {Object} [options] - Restore options
+ * @param {boolean} [options.restoreTab=true] - Switch to the saved tab
+ */
+function applySettings(settings, options = {}) {
+  const { restoreTab = true } = options;
+  if (restoreTab) {
+    mainTabs.setActiveTab(settings.activeTab);
+  }
+  applyWindowSettings(settings.window);
+  applyTheme(settings.theme);
+  
+  Object.entries(getActionForms()).forEach(([type, form]) => {
+    const defaults = validatePayload(messageSchemas[type], initialFormValues[type] || {}).value;
+    form.setValues(Object.assign(defaults, settings.forms[type]));
+    form.setErrors([]);
+  });
+}
+
+/**
+ * Create the "Create Shape" form, generated from messageSchemas['create-shape']
+ */
+function createShapeSection() {
+  const section = document.createElement('div');
+  section.className = 'space-y-4';
+  
+  const title = document.createElement('h4');
+  title.className = 'text-sm font-semibold';
+  title.textContent = 'Create Shape';
+  
+  shapeForm = createSchemaForm(messageSchemas['create-shape'], { idPrefix: 'shape' });
+  
+  const createShapeButton = createButton({
+    variant: 'default',
+    size: 'default',
+    content: 'Create Shape',
+    className: 'w-full',
+    onClick: handleCreateShape
+  });
+  createShapeButton.id = 'create-shape-btn';
+  
+  section.appendChild(title);
+  section.appendChild(shapeForm.element);
+  section.appendChild(createShapeButton);
+  
+  return section;
+}
+
+/**
+ * Create the "Create Grid" form, generated from messageSchemas['create-grid']
+ */
+function createGridSection() {
+  const section = document.createElement('div');
+  section.className = 'space-y-4';
+  
+  const title = document.createElement('h4');
+  title.className = 'text-sm font-semibold';
+  title.textContent = 'Create Grid';
+  
+  gridForm = createSchemaForm(messageSchemas['create-grid'], { idPrefix: 'grid' });
+  
+  const createGridButton = createButton({
+    variant: 'default',
+    size: 'default',
+    content: 'Create Grid',
+    className: 'w-full',
+    onClick: handleCreateGrid
+  });
+  createGridButton.id = 'create-grid-btn';
+  
+  section.appendChild(title);
+  section.appendChild(gridForm.element);
+  section.appendChild(createGridButton);
+  
+  return section;
+}
+
 /**
  * Create content for the UI tab
  */
@@ -584,93 +811,252 @@ function createUITabContent() {
   return container;
 }
 
+/**
+ * Run a sandbox call with pending-state bookkeeping
+ * The pending state is always reset, and failures are shown in the error alert
+ * @param {string} type - Message type registered in code.ts
+ * @param {any} data - Payload for the handler
+ * @param {function} setPending - Called with true when the call starts, false when it settles
+ * @param {Object} [callOptions] - Options for rpc.call(), e.g. a longer timeout
+ * @returns {Promise<any>} Handler result; rejects with the RpcError after showing it
+ */
+async function runAction(type, data, setPending, callOptions) {
+  clearError();
+  setPending(true);
+  pendingActions.set(type, () => setPending(false));
+  
+  try {
+    const result = await rpc.call(type, data, callOptions);
+    rememberColors(type, data);
+    return result;
+  } catch (error) {
+    // Cancelling is something the user did, not a failure
+    if (error.code === 'CANCELLED') {
+      updateStatus('Cancelled; nothing was changed', 'info');
+    } else {
+      showError(error);
+    }
+    throw error;
+  } finally {
+    pendingActions.delete(type);
+    setPending(false);
+  }
+}
+
 /**
  * Handle rectangle generation
  */
-function handleGenerateRectangle() {
+async function handleGenerateRectangle() {
   if (isGeneratingRectangle) return;
   
-  isGeneratingRectangle = true;
-  updateGenerateButtonState(true);
+  const { valid, value } = rectangleForm.validate();
+  if (!valid) {
+    updateStatus('Fix the highlighted fields', 'error');
+    return;
+  }
+  
   updateStatus('Generating rectangle...', 'info');
   
-  // Send message to plugin code
-  parent.postMessage({
-    pluginMessage: {
-      type: 'create-rectangle',
-      data: {
-        name: 'Generated Rectangle',
-        color: '#3b82f6' // Blue color
-      }
+  try {
+    const rect = await runAction('create-rectangle', value, (pending) => {
+      isGeneratingRectangle = pending;
+      updateGenerateButtonState(pending);
+    });
+    updateStatus(`Rectangle created: ${rect.name}`, 'success');
+  } catch (error) {
+    if (error.code === 'INVALID_PAYLOAD' && error.details) {
+      rectangleForm.setErrors(error.details.errors);
+    }
+    updateStatus('');
+  }
+}
+
+/**
+ * Handle shape creation
+ */
+async function handleCreateShape() {
+  if (isCreatingShape) return;
+  
+  const { valid, value } = shapeForm.validate();
+  if (!valid) {
+    updateStatus('Fix the highlighted fields', 'error');
+    return;
+  }
+  
+  updateStatus(`Creating ${value.shape}...`, 'info');
+  
+  try {
+    const node = await runAction('create-shape', value, (pending) => {
+      isCreatingShape = pending;
+      setButtonLoading('create-shape-btn', pending, 'Create Shape', 'Creating...');
+    });
+    updateStatus(`${node.type.toLowerCase()} created: ${node.name}`, 'success');
+  } catch (error) {
+    if (error.code === 'INVALID_PAYLOAD' && error.details) {
+      shapeForm.setErrors(error.details.errors);
+    }
+    updateStatus('');
+  }
+}
+
+/**
+ * Handle grid creation
+ */
+async function handleCreateGrid() {
+  if (isCreatingGrid) return;
+  
+  const { valid, value } = gridForm.validate();
+  if (!valid) {
+    updateStatus('Fix the highlighted fields', 'error');
+    return;
+  }
+  
+  updateStatus(`Creating ${value.rows * value.columns} tiles...`, 'info');
+  
+  try {
+    // Large grids take a while; the job can be cancelled instead of timing out
+    const grid = await runAction('create-grid', value, (pending) => {
+      isCreatingGrid = pending;
+      setButtonLoading('create-grid-btn', pending, 'Create Grid', 'Creating...');
+    }, { timeout: 0 });
+    updateStatus(`Grid created: ${grid.count} tiles`, 'success');
+  } catch (error) {
+    if (error.code === 'INVALID_PAYLOAD' && error.details) {
+      gridForm.setErrors(error.details.errors);
     }
-  }, '*');
+    if (error.code !== 'CANCELLED') {
+      updateStatus('');
+    }
+  }
 }
 
 /**
  * Update the generate button state
  */
 function updateGenerateButtonState(loading) {
-  const button = document.getElementById('generate-rectangle-btn');
+  setButtonLoading('generate-rectangle-btn', loading, 'Generate Rectangle', 'Generating...');
+}
+
+/**
+ * Toggle the loading state of an action button
+ * @param {string} buttonId - Button element id
+ * @param {boolean} loading - Whether the action is in progress
+ * @param {string} idleText - Label shown when idle
+ * @param {string} loadingText - Label shown while loading
+ */
+function setButtonLoading(buttonId, loading, idleText, loadingText) {
+  const button = document.getElementById(buttonId);
   if (!button) return;
   
   if (loading) {
     button.disabled = true;
-    button.textContent = 'Generating...';
+    button.textContent = loadingText;
     button.classList.add('opacity-50');
   } else {
     button.disabled = false;
-    button.textContent = 'Generate Rectangle';
+    button.textContent = idleText;
     button.classList.remove('opacity-50');
   }
 }
 
 /**
  * Update status display
+ * Progress ('info') stays on the status line; outcomes ('success', 'error')
+ * are shown as toasts (src/ui/toast.js) and clear the line.
  */
 function updateStatus(message, type = 'info') {
   const statusDiv = document.getElementById('status-display');
   if (!statusDiv) return;
   
+  if (message && (type === 'success' || type === 'error')) {
+    statusDiv.textContent = '';
+    toast({ title: message, variant: type === 'error' ? 'destructive' : 'success' });
+    return;
+  }
+  
   statusDiv.textContent = message;
-  statusDiv.className = 'text-sm';
-  
-  switch (type) {
-    case 'success':
-      statusDiv.className += ' text-green-600';
-      break;
-    case 'error':
-      statusDiv.className += ' text-red-600';
-      break;
-    case 'info':
-    default:
-      statusDiv.className += ' text-muted-foreground';
-      break;
+  statusDiv.className = 'text-sm text-muted-foreground';
+}
+
+/**
+ * Show a sandbox error in the destructive alert
+ * @param {RpcError|Error} error - Error raised by rpc.call() or pushed by the sandbox
+ */
+function showError(error) {
+  const errorDiv = document.getElementById('error-display');
+  if (!errorDiv) return;
+  
+  const title = error.requestType ? `"${error.requestType}" failed` : 'Plugin error';
+  const code = error.code ? ` (${error.code})` : '';
+  
+  const alert = createAlert({
+    variant: 'destructive',
+    title: title + code,
+    description: error.message
+  });
+  
+  // Transactions undo their partial changes and say what they undid
+  const rollback = error.details && error.details.rollback;
+  if (rollback) {
+    const summary = document.createElement('p');
+    summary.className = 'mt-2 text-xs';
+    summary.textContent = formatRollback(rollback);
+    alert.appendChild(summary);
+  }
+  
+  errorDiv.replaceChildren(alert);
+}
+
+/**
+ * Describe a transaction rollback report in one sentence
+ * @param {{removed: Array, restored: Array, failed: Array}} rollback - details.rollback from the error
+ * @returns {string} Summary such as "Rolled back: removed 12 nodes, restored selection on Page 1."
+ */
+function formatRollback(rollback) {
+  const parts = [];
+  if (rollback.removed.length > 0) {
+    const count = rollback.removed.length;
+    parts.push(`removed ${count} ${count === 1 ? 'node' : 'nodes'}`);
+  }
+  rollback.restored.forEach(node => {
+    parts.push(`restored ${node.properties.join(', ')} on ${node.name}`);
+  });
+  
+  let text = parts.length > 0 ? `Rolled back: ${parts.join(', ')}.` : 'Nothing needed rolling back.';
+  if (rollback.failed.length > 0) {
+    text += ` Could not undo ${rollback.failed.length} ${rollback.failed.length === 1 ? 'change' : 'changes'}: ${rollback.failed.map(item => item.message).join('; ')}`;
+  }
+  return text;
+}
+
+/**
+ * Clear the error alert
+ */
+function clearError() {
+  const errorDiv = document.getElementById('error-display');
+  if (errorDiv) {
+    errorDiv.replaceChildren();
   }
 }
 
 /**
  * Setup message handling between UI and plugin
+ * Replies to rpc.call() are paired automatically; only pushed events land here
  */
 function setupMessageHandling() {
-  window.addEventListener('message', (event) => {
-    const { type, data } = event.data.pluginMessage || {};
-    
-    console.log('Received message from plugin:', { type, data });
-    
-    switch (type) {
-      case 'rectangle-created':
-        isGeneratingRectangle = false;
-        updateGenerateButtonState(false);
-        updateStatus(`Rectangle created: ${data.name}`, 'success');
-        break;
-        
-      case 'selection-data':
-        console.log('Selection data:', data);
-        break;
-        
-      default:
-        console.log('Unknown message type:', type);
-    }
+  setupSelectionSync();
+  setupInspector();
+  setupGeneratedNodes();
+  setupExport();
+  setupImageDrop();
+  setupToastBridge();
+  
+  // Failures of fire-and-forget messages arrive as events instead of rejections
+  rpc.on('plugin-error', (envelope) => {
+    const error = RpcError.fromEnvelope(envelope);
+    const reset = pendingActions.get(error.requestType);
+    if (reset) reset();
+    showError(error);
   });
 }
 
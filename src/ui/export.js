@@ -0,0 +1,211 @@
+/**
+ * Export section for the Plugin tab
+ * Runs `export-selection` (src/plugin/export.ts), follows its per-node
+ * `export-progress` events, and downloads the files one by one or as a zip.
+ */
+
+let exportForm = null;
+let exportId = null;
+let exportEntries = [];
+
+/**
+ * Create the "Export" section, generated from messageSchemas['export-selection']
+ * @returns {HTMLDivElement} Section element
+ */
+function createExportSection() {
+  const section = document.createElement('div');
+  section.className = 'space-y-4';
+
+  const title = document.createElement('h4');
+  title.className = 'text-sm font-semibold';
+  title.textContent = 'Export';
+
+  exportForm = createSchemaForm(messageSchemas['export-selection'], { idPrefix: 'export' });
+
+  const exportButton = createButton({
+    variant: 'default',
+    content: 'Export selection',
+    className: 'w-full',
+    onClick: handleExportSelection
+  });
+  exportButton.id = 'export-selection-btn';
+
+  const results = document.createElement('div');
+  results.id = 'export-results';
+  results.className = 'space-y-2';
+  results.style.display = 'none';
+
+  const summary = document.createElement('p');
+  summary.id = 'export-summary';
+  summary.className = 'text-xs text-muted-foreground';
+
+  const list = document.createElement('div');
+  list.id = 'export-list';
+  list.className = 'space-y-2';
+
+  const zipButton = createButton({
+    variant: 'outline',
+    size: 'sm',
+    content: 'Download all as .zip',
+    disabled: true,
+    onClick: downloadExportZip
+  });
+  zipButton.id = 'export-zip-btn';
+
+  results.appendChild(summary);
+  results.appendChild(list);
+  results.appendChild(zipButton);
+
+  section.appendChild(title);
+  section.appendChild(exportForm.element);
+  section.appendChild(exportButton);
+  section.appendChild(results);
+
+  return section;
+}
+
+async function handleExportSelection() {
+  const { valid, value } = exportForm.validate();
+  if (!valid) {
+    updateStatus('Fix the highlighted fields', 'error');
+    return;
+  }
+
+  exportId = null;
+  exportEntries = [];
+  renderExportResults(false);
+
+  try {
+    // Progress events keep arriving while the call runs, so there's no overall timeout
+    const result = await runAction('export-selection', value, (pending) => {
+      setButtonLoading('export-selection-btn', pending, 'Export selection', 'Exporting...');
+    }, { timeout: 0 });
+
+    renderExportResults(true);
+    if (result.failed.length > 0) {
+      updateStatus(`Exported ${result.exported} of ${result.total}; ${result.failed.length} failed`, 'error');
+    } else {
+      updateStatus(`Exported ${result.exported} ${result.exported === 1 ? 'file' : 'files'}`, 'success');
+    }
+
+    // A single file needs no extra click
+    if (result.total === 1 && result.exported === 1) {
+      downloadExportEntry(exportEntries[0]);
+    }
+  } catch (error) {
+    if (error.code === 'INVALID_PAYLOAD' && error.details) {
+      exportForm.setErrors(error.details.errors);
+    }
+  }
+}
+
+/**
+ * Track one `export-progress` event
+ * @param {Object} event - Progress event pushed by the sandbox
+ */
+function handleExportProgress(event) {
+  // The first event of a run identifies it; stragglers from older runs are ignored
+  if (!exportId && event.index === 0) {
+    exportId = event.exportId;
+  }
+  if (event.exportId !== exportId) return;
+
+  exportEntries[event.index] = {
+    node: event.node,
+    status: event.status,
+    file: event.file || null,
+    message: event.message || null
+  };
+  exportEntries.length = event.total;
+  renderExportResults(false);
+}
+
+/**
+ * Render `exportEntries` as one row per node
+ * @param {boolean} finished - The export call has returned
+ */
+function renderExportResults(finished) {
+  const results = document.getElementById('export-results');
+  const list = document.getElementById('export-list');
+  if (!results || !list) return;
+
+  const entries = Array.from(exportEntries);
+  results.style.display = entries.length > 0 ? '' : 'none';
+  list.replaceChildren(...entries.map((entry, index) => createExportRow(entry, index)));
+
+  const done = entries.filter(entry => entry && entry.status === 'done').length;
+  const failed = entries.filter(entry => entry && entry.status === 'failed').length;
+  const summary = document.getElementById('export-summary');
+  summary.textContent = finished
+    ? `${done} of ${entries.length} exported${failed > 0 ? `, ${failed} failed` : ''}`
+    : `Exporting ${Math.min(done + failed + 1, entries.length)} of ${entries.length}...`;
+
+  const zipButton = document.getElementById('export-zip-btn');
+  zipButton.disabled = !finished || done === 0;
+}
+
+/**
+ * @param {Object|undefined} entry - Progress of one node; undefined until it starts
+ * @param {number} index - Position in the export
+ * @returns {HTMLDivElement} Row element
+ */
+function createExportRow(entry, index) {
+  const row = document.createElement('div');
+  row.className = 'flex items-center justify-between gap-2 rounded-md border p-3';
+  row.setAttribute('data-export-index', String(index));
+
+  const info = document.createElement('div');
+  info.className = 'min-w-0 space-y-1';
+  const name = document.createElement('p');
+  name.className = 'truncate text-sm font-medium';
+  name.textContent = entry ? (entry.file ? entry.file.filename : entry.node.name) : 'Waiting...';
+  info.appendChild(name);
+
+  if (entry && entry.message) {
+    const message = document.createElement('p');
+    message.className = 'text-xs text-destructive';
+    message.textContent = entry.message;
+    info.appendChild(message);
+  }
+  row.appendChild(info);
+
+  if (entry && entry.status === 'done') {
+    row.appendChild(createButton({
+      variant: 'ghost',
+      size: 'sm',
+      content: `Download (${formatByteSize(entry.file.bytes.length)})`,
+      onClick: () => downloadExportEntry(entry)
+    }));
+  } else {
+    const labels = { exporting: ['secondary', 'Exporting'], failed: ['destructive', 'Failed'] };
+    const [variant, content] = entry ? labels[entry.status] : ['outline', 'Queued'];
+    row.appendChild(createBadge({ variant, content }));
+  }
+
+  return row;
+}
+
+function downloadExportEntry(entry) {
+  downloadBlob(entry.file.filename, new Blob([entry.file.bytes], { type: entry.file.mimeType }));
+}
+
+function downloadExportZip() {
+  const files = exportEntries
+    .filter(entry => entry && entry.status === 'done')
+    .map(entry => ({ name: entry.file.filename, bytes: entry.file.bytes }));
+  downloadBlob('export.zip', createZip(files));
+}
+
+/**
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "12.4 KB"
+ */
+function formatByteSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function setupExport() {
+  rpc.on('export-progress', handleExportProgress);
+}
@@ -0,0 +1,266 @@
+/**
+ * Generated nodes card for the Selection tab
+ * Finds nodes tagged by the sandbox (src/plugin/tags.ts), selects them, strips
+ * their tags, and regenerates the selected run with edited parameters.
+ */
+
+let generatedRuns = [];
+let regenerateForm = null;
+let regenerateRunId = null;
+let regenerateTargets = [];
+
+/**
+ * Create the Generated nodes card
+ * @returns {HTMLDivElement} Card element
+ */
+function createGeneratedNodesCard() {
+  const card = createCard({ className: 'w-full' });
+  const cardHeader = createCardHeader();
+  const cardTitle = createCardTitle({ content: 'Generated nodes', className: 'text-lg' });
+
+  const scope = document.createElement('select');
+  scope.id = 'generated-scope';
+  scope.className = schemaFormInputClasses;
+  scope.setAttribute('aria-label', 'Search in');
+  [['page', 'This page'], ['document', 'Whole document']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    scope.appendChild(option);
+  });
+
+  const findButton = createButton({
+    variant: 'secondary',
+    content: 'Find',
+    onClick: () => findGeneratedNodes(scope.value)
+  });
+  findButton.id = 'find-generated-btn';
+
+  const searchRow = document.createElement('div');
+  searchRow.className = 'flex gap-2';
+  searchRow.appendChild(scope);
+  searchRow.appendChild(findButton);
+
+  const list = document.createElement('div');
+  list.id = 'generated-list';
+  list.className = 'space-y-2';
+
+  const selectAllButton = createButton({
+    variant: 'outline',
+    size: 'sm',
+    content: 'Select all',
+    disabled: true,
+    onClick: () => selectGeneratedNodes(generatedRuns.flatMap(run => run.nodeIds))
+  });
+  selectAllButton.id = 'select-generated-btn';
+
+  const stripButton = createButton({
+    variant: 'outline',
+    size: 'sm',
+    content: 'Strip tags',
+    disabled: true,
+    onClick: () => stripGeneratedNodeTags(generatedRuns.flatMap(run => run.nodeIds))
+  });
+  stripButton.id = 'strip-generated-btn';
+
+  const actions = document.createElement('div');
+  actions.className = 'flex gap-2';
+  actions.appendChild(selectAllButton);
+  actions.appendChild(stripButton);
+
+  const regeneratePanel = document.createElement('div');
+  regeneratePanel.id = 'regenerate-panel';
+  regeneratePanel.className = 'space-y-4 rounded-md border p-3';
+  regeneratePanel.style.display = 'none';
+
+  const cardContent = createCardContent({ className: 'space-y-4' });
+  cardContent.appendChild(searchRow);
+  cardContent.appendChild(list);
+  cardContent.appendChild(actions);
+  cardContent.appendChild(regeneratePanel);
+
+  cardHeader.appendChild(cardTitle);
+  card.appendChild(cardHeader);
+  card.appendChild(cardContent);
+
+  return card;
+}
+
+/**
+ * Search for tagged nodes and list them by run
+ * @param {'page'|'document'} scope - Where to search
+ */
+async function findGeneratedNodes(scope) {
+  try {
+    clearError();
+    const result = await rpc.call('find-generated', { scope });
+    generatedRuns = result.runs;
+    renderGeneratedRuns();
+    updateStatus(`Found ${result.count} generated ${result.count === 1 ? 'node' : 'nodes'} in ${result.runs.length} ${result.runs.length === 1 ? 'run' : 'runs'}`, 'info');
+  } catch (error) {
+    showError(error);
+  }
+}
+
+async function selectGeneratedNodes(ids) {
+  try {
+    clearError();
+    const { selected, skipped } = await rpc.call('select-generated', { ids });
+    updateStatus(`Selected ${selected} ${selected === 1 ? 'node' : 'nodes'}${skipped > 0 ? ` (${skipped} on other pages or deleted)` : ''}`, 'success');
+  } catch (error) {
+    showError(error);
+  }
+}
+
+async function stripGeneratedNodeTags(ids) {
+  try {
+    clearError();
+    // The sandbox reports how many tags it removed with notify()
+    await rpc.call('strip-generated-tags', { ids });
+    generatedRuns = [];
+    renderGeneratedRuns();
+  } catch (error) {
+    showError(error);
+  }
+}
+
+/**
+ * Render `generatedRuns` into the card
+ */
+function renderGeneratedRuns() {
+  const list = document.getElementById('generated-list');
+  if (!list) return;
+
+  if (generatedRuns.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-sm text-muted-foreground';
+    empty.textContent = 'No generated nodes found.';
+    list.replaceChildren(empty);
+  } else {
+    list.replaceChildren(...generatedRuns.map(createGeneratedRunRow));
+  }
+
+  ['select-generated-btn', 'strip-generated-btn'].forEach(id => {
+    const button = document.getElementById(id);
+    if (button) button.disabled = generatedRuns.length === 0;
+  });
+}
+
+/**
+ * Create a row describing one generator run
+ * @param {Object} run - Run from `find-generated`
+ * @returns {HTMLDivElement} Row element
+ */
+function createGeneratedRunRow(run) {
+  const row = document.createElement('div');
+  row.className = 'flex items-center justify-between gap-2 rounded-md border p-3';
+  row.setAttribute('data-run-id', run.runId);
+
+  const info = document.createElement('div');
+  info.className = 'min-w-0 space-y-1';
+  info.appendChild(createBadge({ variant: 'secondary', content: run.generator }));
+  const meta = document.createElement('p');
+  meta.className = 'truncate text-xs text-muted-foreground';
+  const count = run.nodeIds.length;
+  meta.textContent = `${count} ${count === 1 ? 'node' : 'nodes'} · ${run.pageName} · ${new Date(run.createdAt).toLocaleString()}`;
+  info.appendChild(meta);
+
+  row.appendChild(info);
+  row.appendChild(createButton({
+    variant: 'ghost',
+    size: 'sm',
+    content: 'Select',
+    onClick: () => selectGeneratedNodes(run.nodeIds)
+  }));
+  return row;
+}
+
+/**
+ * Show the regenerate panel for the generated nodes in a selection snapshot
+ * @param {Array<Object>} nodes - Nodes as returned by getSelection() in code.ts
+ */
+function renderRegeneratePanel(nodes) {
+  const panel = document.getElementById('regenerate-panel');
+  if (!panel) return;
+
+  // Imports are tagged but can't be rerun
+  const tagged = nodes.filter(node => node.tag && node.regenerable);
+  const runs = tagged
+    .map(node => node.tag)
+    .filter((tag, index, tags) => tags.findIndex(other => other.runId === tag.runId) === index);
+
+  if (runs.length === 0) {
+    panel.style.display = 'none';
+    regenerateRunId = null;
+    return;
+  }
+
+  panel.style.display = '';
+  regenerateTargets = tagged.map(node => node.id);
+
+  // Keep edits in progress while the same run stays selected
+  const runId = runs.length === 1 ? runs[0].runId : null;
+  if (runId && runId === regenerateRunId) return;
+  regenerateRunId = runId;
+
+  const title = document.createElement('h4');
+  title.className = 'text-sm font-semibold';
+
+  const schema = messageSchemas[runs[0].generator];
+  regenerateForm = null;
+  const children = [title];
+
+  if (runs.length === 1 && schema) {
+    title.textContent = `Regenerate ${runs[0].generator}`;
+    regenerateForm = createSchemaForm(schema, { idPrefix: 'regenerate', values: runs[0].params });
+    children.push(regenerateForm.element);
+  } else {
+    // Several runs keep their own parameters
+    title.textContent = `Regenerate ${runs.length} runs with their saved parameters`;
+  }
+
+  const regenerateButton = createButton({
+    variant: 'default',
+    content: 'Regenerate',
+    className: 'w-full',
+    onClick: handleRegenerate
+  });
+  regenerateButton.id = 'regenerate-btn';
+  children.push(regenerateButton);
+
+  panel.replaceChildren(...children);
+}
+
+async function handleRegenerate() {
+  let params = {};
+  if (regenerateForm) {
+    const { valid, value } = regenerateForm.validate();
+    if (!valid) {
+      updateStatus('Fix the highlighted fields', 'error');
+      return;
+    }
+    params = value;
+  }
+
+  try {
+    const result = await runAction('regenerate-generated', { ids: regenerateTargets, params }, (pending) => {
+      setButtonLoading('regenerate-btn', pending, 'Regenerate', 'Regenerating...');
+    });
+    updateStatus(`Regenerated ${result.regenerated} ${result.regenerated === 1 ? 'run' : 'runs'}`, 'success');
+  } catch (error) {
+    if (regenerateForm && error.code === 'INVALID_PAYLOAD' && error.details) {
+      regenerateForm.setErrors(error.details.errors);
+    }
+  }
+}
+
+/**
+ * Keep the regenerate panel in sync with the canvas
+ */
+function setupGeneratedNodes() {
+  rpc.on('selection-changed', renderRegeneratePanel);
+
+  rpc.call('get-selection')
+    .then(renderRegeneratePanel)
+    .catch(error => console.error('Failed to load selection:', error));
+}
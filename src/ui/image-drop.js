@@ -0,0 +1,212 @@
+/**
+ * Image drop zone for the Plugin tab
+ * Reads dropped or chosen PNG, JPG, GIF and SVG files and sends them to
+ * `import-images` (src/plugin/images.ts). Files dropped anywhere on the plugin
+ * window land here too.
+ */
+
+const IMAGE_DROP_TYPES = {
+  'image/png': 'image',
+  'image/jpeg': 'image',
+  'image/gif': 'image',
+  'image/svg+xml': 'svg'
+};
+
+// Creating image hashes for large files takes a while
+const IMAGE_IMPORT_TIMEOUT = 60000;
+
+/**
+ * Create the "Import Images" section
+ * @returns {HTMLDivElement} Section element
+ */
+function createImageDropSection() {
+  const section = document.createElement('div');
+  section.className = 'space-y-4';
+
+  const title = document.createElement('h4');
+  title.className = 'text-sm font-semibold';
+  title.textContent = 'Import Images';
+
+  const fileInput = document.createElement('input');
+  fileInput.id = 'image-drop-input';
+  fileInput.type = 'file';
+  fileInput.multiple = true;
+  fileInput.accept = Object.keys(IMAGE_DROP_TYPES).join(',') + ',.svg';
+  fileInput.className = 'sr-only';
+  fileInput.addEventListener('change', () => {
+    importImageFiles(Array.from(fileInput.files));
+    fileInput.value = '';
+  });
+
+  const zone = document.createElement('div');
+  zone.id = 'image-drop-zone';
+  zone.className = 'flex cursor-pointer flex-col items-center justify-center gap-1 rounded-md border-2 border-dashed border-input p-6 text-center text-sm text-muted-foreground transition-colors hover:bg-accent/50';
+  zone.tabIndex = 0;
+  zone.setAttribute('role', 'button');
+  zone.setAttribute('aria-label', 'Import images');
+  zone.innerHTML = `
+    <span class="font-medium text-foreground">Drop images here</span>
+    <span class="text-xs">PNG, JPG, GIF or SVG — or click to choose files</span>
+  `;
+  zone.addEventListener('click', () => fileInput.click());
+  zone.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      fileInput.click();
+    }
+  });
+
+  const options = document.createElement('div');
+  options.className = 'grid grid-cols-2 gap-2';
+  options.appendChild(createImageDropOption('image-scale-mode', 'Image scaling', messageSchemas['import-images'].scaleMode));
+  options.appendChild(createImageDropOption('image-max-size', 'Max size', messageSchemas['import-images'].maxSize));
+
+  section.appendChild(title);
+  section.appendChild(zone);
+  section.appendChild(fileInput);
+  section.appendChild(options);
+
+  return section;
+}
+
+/**
+ * Labelled select or number input for one `import-images` option
+ * @param {string} id - Control id
+ * @param {string} label - Label text
+ * @param {FieldSpec} spec - Field spec from messageSchemas['import-images']
+ * @returns {HTMLDivElement} Field element
+ */
+function createImageDropOption(id, label, spec) {
+  const field = document.createElement('div');
+  field.className = 'space-y-1';
+
+  const labelEl = document.createElement('label');
+  labelEl.className = 'text-xs font-medium';
+  labelEl.htmlFor = id;
+  labelEl.textContent = label;
+
+  let control;
+  if (spec.type === 'enum') {
+    control = document.createElement('select');
+    spec.values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value.charAt(0).toUpperCase() + value.slice(1);
+      control.appendChild(option);
+    });
+  } else {
+    control = document.createElement('input');
+    control.type = 'number';
+    control.min = String(spec.min);
+    control.max = String(spec.max);
+  }
+  control.id = id;
+  control.className = schemaFormInputClasses;
+  control.value = String(spec.default);
+  if (spec.description) {
+    control.title = spec.description;
+  }
+
+  field.appendChild(labelEl);
+  field.appendChild(control);
+  return field;
+}
+
+/**
+ * Read files and create nodes for them on the canvas
+ * @param {File[]} files - Dropped or chosen files
+ */
+async function importImageFiles(files) {
+  const supported = files.filter(imageDropKind);
+  const skipped = files.filter(file => !imageDropKind(file)).map(file => file.name);
+
+  if (supported.length === 0) {
+    updateStatus(files.length > 0 ? `Unsupported file type: ${skipped.join(', ')}` : 'No files to import', 'error');
+    return;
+  }
+
+  const zone = document.getElementById('image-drop-zone');
+  zone.setAttribute('aria-busy', 'true');
+  updateStatus(`Importing ${supported.length} ${supported.length === 1 ? 'file' : 'files'}...`, 'info');
+
+  try {
+    const payload = await Promise.all(supported.map(readImageDropFile));
+    const maxSize = Number(document.getElementById('image-max-size').value);
+    const result = await runAction('import-images', {
+      files: payload,
+      scaleMode: document.getElementById('image-scale-mode').value,
+      maxSize: maxSize > 0 ? maxSize : undefined
+    }, (pending) => zone.classList.toggle('opacity-50', pending), { timeout: IMAGE_IMPORT_TIMEOUT });
+
+    const problems = result.failed.map(item => `${item.name} (${item.message})`).concat(skipped.map(name => `${name} (unsupported type)`));
+    updateStatus(
+      `Imported ${result.created} ${result.created === 1 ? 'file' : 'files'}${problems.length > 0 ? `; skipped ${problems.join(', ')}` : ''}`,
+      problems.length > 0 ? 'error' : 'success'
+    );
+  } catch (error) {
+    // Sandbox failures are already shown by runAction
+    if (!(error instanceof RpcError)) {
+      showError(error);
+    }
+    updateStatus('Import failed', 'error');
+  } finally {
+    zone.removeAttribute('aria-busy');
+  }
+}
+
+/**
+ * @param {File} file - File to check
+ * @returns {'image'|'svg'|undefined} How the sandbox should import it
+ */
+function imageDropKind(file) {
+  // Some systems report SVG files without a MIME type
+  return IMAGE_DROP_TYPES[file.type] || (/\.svg$/i.test(file.name) ? 'svg' : undefined);
+}
+
+/**
+ * @param {File} file - Supported file
+ * @returns {Promise<Object>} File entry for `import-images`
+ */
+async function readImageDropFile(file) {
+  const kind = imageDropKind(file);
+  if (kind === 'svg') {
+    return { name: file.name, kind, svg: await file.text() };
+  }
+  return { name: file.name, kind, bytes: new Uint8Array(await file.arrayBuffer()) };
+}
+
+/**
+ * Accept file drops anywhere in the plugin window, highlighting the drop zone
+ */
+function setupImageDrop() {
+  let depth = 0;
+  const highlight = (on) => {
+    const zone = document.getElementById('image-drop-zone');
+    if (zone) zone.classList.toggle('border-primary', on);
+  };
+  const hasFiles = (event) => event.dataTransfer && Array.from(event.dataTransfer.types).indexOf('Files') !== -1;
+
+  window.addEventListener('dragenter', (event) => {
+    if (!hasFiles(event)) return;
+    depth++;
+    highlight(true);
+  });
+  window.addEventListener('dragleave', (event) => {
+    if (!hasFiles(event)) return;
+    depth = Math.max(0, depth - 1);
+    if (depth === 0) highlight(false);
+  });
+  // Without this the browser opens the dropped file instead
+  window.addEventListener('dragover', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  });
+  window.addEventListener('drop', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    depth = 0;
+    highlight(false);
+    importImageFiles(Array.from(event.dataTransfer.files));
+  });
+}
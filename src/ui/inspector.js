@@ -0,0 +1,307 @@
+/**
+ * Property inspector card for the Selection tab
+ * Renders `serialize-selection` snapshots (src/plugin/serialize.ts) grouped like
+ * the Figma properties panel, and copies them to the clipboard as JSON.
+ */
+
+let inspectorSnapshot = null;
+let inspectorTimer = null;
+// Only the newest refresh may render; older responses can arrive after it
+let inspectorRequest = 0;
+
+// Selection changes arrive in bursts while dragging a marquee
+const INSPECTOR_REFRESH_DELAY = 150;
+
+const inspectorGroups = [
+  ['geometry', 'Geometry'],
+  ['appearance', 'Appearance'],
+  ['layout', 'Layout'],
+  ['text', 'Text'],
+  ['component', 'Component']
+];
+
+/**
+ * Create the Inspector card
+ * @returns {HTMLDivElement} Card element
+ */
+function createInspectorCard() {
+  const card = createCard({ className: 'w-full' });
+  const cardHeader = createCardHeader();
+  const headerRow = document.createElement('div');
+  headerRow.className = 'flex items-center justify-between gap-2';
+  const cardTitle = createCardTitle({ content: 'Inspector', className: 'text-lg' });
+
+  const controls = document.createElement('div');
+  controls.className = 'flex items-center gap-2';
+
+  const depth = document.createElement('select');
+  depth.id = 'inspector-depth';
+  depth.className = cn(schemaFormInputClasses, 'w-auto');
+  depth.setAttribute('aria-label', 'Child depth');
+  [0, 1, 2, 3, 5].forEach(value => {
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = value === 0 ? 'No children' : `${value} ${value === 1 ? 'level' : 'levels'}`;
+    depth.appendChild(option);
+  });
+  depth.value = String(messageSchemas['serialize-selection'].depth.default);
+  depth.addEventListener('change', refreshInspector);
+
+  const copyButton = createButton({
+    variant: 'outline',
+    size: 'sm',
+    content: 'Copy JSON',
+    disabled: true,
+    onClick: copyInspectorJson
+  });
+  copyButton.id = 'copy-inspector-json-btn';
+
+  const body = document.createElement('div');
+  body.id = 'inspector-body';
+  body.className = 'space-y-2';
+  body.appendChild(createInspectorEmptyState());
+
+  controls.appendChild(depth);
+  controls.appendChild(copyButton);
+  headerRow.appendChild(cardTitle);
+  headerRow.appendChild(controls);
+  cardHeader.appendChild(headerRow);
+
+  const cardContent = createCardContent();
+  cardContent.appendChild(body);
+
+  card.appendChild(cardHeader);
+  card.appendChild(cardContent);
+  return card;
+}
+
+/**
+ * Fetch a fresh snapshot of the selection and render it
+ */
+async function refreshInspector() {
+  const depth = document.getElementById('inspector-depth');
+  const request = ++inspectorRequest;
+  try {
+    const snapshot = await rpc.call('serialize-selection', { depth: Number(depth ? depth.value : 1) });
+    if (request !== inspectorRequest) return;
+    inspectorSnapshot = snapshot;
+    renderInspector();
+  } catch (error) {
+    if (request !== inspectorRequest) return;
+    showError(error);
+  }
+}
+
+/**
+ * Render `inspectorSnapshot` into the card
+ */
+function renderInspector() {
+  const body = document.getElementById('inspector-body');
+  if (!body || !inspectorSnapshot) return;
+
+  const copyButton = document.getElementById('copy-inspector-json-btn');
+  if (copyButton) {
+    copyButton.disabled = inspectorSnapshot.nodes.length === 0;
+  }
+
+  if (inspectorSnapshot.nodes.length === 0) {
+    body.replaceChildren(createInspectorEmptyState());
+    return;
+  }
+
+  const children = inspectorSnapshot.nodes.map(node => createInspectorNode(node, true));
+  if (inspectorSnapshot.truncated) {
+    const note = document.createElement('p');
+    note.className = 'text-xs text-muted-foreground';
+    note.textContent = 'Some nodes were left out to keep the snapshot small.';
+    children.push(note);
+  }
+  body.replaceChildren(...children);
+}
+
+/**
+ * Create a collapsible section for one serialized node and its children
+ * @param {Object} node - Serialized node
+ * @param {boolean} open - Start expanded
+ * @returns {HTMLDetailsElement} Node section
+ */
+function createInspectorNode(node, open) {
+  const details = document.createElement('details');
+  details.className = 'rounded-md border p-3 space-y-3';
+  details.open = open;
+  details.setAttribute('data-node-id', node.id);
+
+  const summary = document.createElement('summary');
+  summary.className = 'flex cursor-pointer items-center justify-between gap-2 text-sm font-medium';
+  const name = document.createElement('span');
+  name.className = 'truncate';
+  name.textContent = node.name;
+  summary.appendChild(name);
+  summary.appendChild(createBadge({ variant: 'outline', content: node.type }));
+  details.appendChild(summary);
+
+  inspectorGroups.forEach(([key, label]) => {
+    if (node[key] && Object.keys(node[key]).length > 0) {
+      details.appendChild(createInspectorGroup(label, node[key]));
+    }
+  });
+
+  if (node.children) {
+    node.children.forEach(child => details.appendChild(createInspectorNode(child, false)));
+  }
+  if (node.childCount || node.truncated) {
+    const note = document.createElement('p');
+    note.className = 'text-xs text-muted-foreground';
+    note.textContent = node.truncated
+      ? 'More children were left out.'
+      : `${node.childCount} ${node.childCount === 1 ? 'child' : 'children'} (increase the depth to inspect them)`;
+    details.appendChild(note);
+  }
+
+  return details;
+}
+
+function createInspectorGroup(label, props) {
+  const group = document.createElement('div');
+  group.className = 'space-y-1';
+
+  const title = document.createElement('h5');
+  title.className = 'text-xs font-semibold uppercase tracking-wide text-muted-foreground';
+  title.textContent = label;
+  group.appendChild(title);
+
+  const list = document.createElement('dl');
+  list.className = 'grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs';
+  Object.keys(props).forEach(key => {
+    const term = document.createElement('dt');
+    term.className = 'text-muted-foreground';
+    term.textContent = key;
+    const value = document.createElement('dd');
+    value.className = 'min-w-0 break-words text-foreground tabular-nums';
+    value.appendChild(formatInspectorValue(props[key]));
+    list.appendChild(term);
+    list.appendChild(value);
+  });
+  group.appendChild(list);
+
+  return group;
+}
+
+/**
+ * Render a property value: paints get swatches, numbers are rounded
+ * @param {any} value - Serialized property value
+ * @returns {Node} Rendered value
+ */
+function formatInspectorValue(value) {
+  if (value === null || value === undefined) {
+    return document.createTextNode('—');
+  }
+  if (typeof value === 'number') {
+    return document.createTextNode(formatSelectionNumber(value));
+  }
+  if (Array.isArray(value) && value.length > 0 && value.every(item => item && typeof item === 'object' && item.type)) {
+    const list = document.createElement('div');
+    list.className = 'space-y-1';
+    value.forEach(item => list.appendChild(createInspectorPaint(item)));
+    return list;
+  }
+  if (Array.isArray(value) && value.length === 0) {
+    return document.createTextNode('None');
+  }
+  if (typeof value === 'object') {
+    return document.createTextNode(JSON.stringify(value));
+  }
+  return document.createTextNode(String(value));
+}
+
+/**
+ * One paint or effect: swatch, type, color and opacity
+ * @param {Object} item - Serialized paint or effect
+ * @returns {HTMLDivElement} Row element
+ */
+function createInspectorPaint(item) {
+  const row = document.createElement('div');
+  row.className = cn('flex items-center gap-2', item.visible === false && 'opacity-50');
+
+  const color = item.color || (item.gradientStops && item.gradientStops[0].color);
+  if (color) {
+    const swatch = document.createElement('span');
+    swatch.className = 'h-3 w-3 shrink-0 rounded-sm border';
+    swatch.style.background = item.gradientStops
+      ? `linear-gradient(90deg, ${item.gradientStops.map(stop => stop.color).join(', ')})`
+      : color;
+    row.appendChild(swatch);
+  }
+
+  const parts = [item.type];
+  if (item.color) parts.push(item.color);
+  if (item.gradientStops) parts.push(`${item.gradientStops.length} stops`);
+  if (item.radius !== undefined) parts.push(`blur ${formatSelectionNumber(item.radius)}`);
+  if (item.opacity !== undefined && item.opacity < 1) parts.push(`${Math.round(item.opacity * 100)}%`);
+
+  const text = document.createElement('span');
+  text.textContent = parts.join(' · ');
+  row.appendChild(text);
+  return row;
+}
+
+function createInspectorEmptyState() {
+  const empty = document.createElement('p');
+  empty.className = 'text-sm text-muted-foreground';
+  empty.textContent = 'Select a layer to see its properties.';
+  return empty;
+}
+
+async function copyInspectorJson() {
+  if (!inspectorSnapshot) return;
+  const json = JSON.stringify(inspectorSnapshot.nodes.length === 1 ? inspectorSnapshot.nodes[0] : inspectorSnapshot.nodes, null, 2);
+  try {
+    await copyToClipboard(json);
+    updateStatus('Node spec copied to the clipboard', 'success');
+  } catch (error) {
+    showError(error);
+  }
+}
+
+/**
+ * Copy text to the clipboard. The async Clipboard API is often blocked inside
+ * the plugin iframe, so fall back to a hidden textarea and execCommand.
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>} Resolves once copied
+ */
+async function copyToClipboard(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return;
+    } catch (error) {
+      // Fall through to the textarea fallback
+    }
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  try {
+    if (!document.execCommand('copy')) {
+      throw new Error('The browser refused to copy');
+    }
+  } finally {
+    textarea.remove();
+  }
+}
+
+/**
+ * Keep the inspector in sync with the canvas
+ */
+function setupInspector() {
+  rpc.on('selection-changed', () => {
+    clearTimeout(inspectorTimer);
+    inspectorTimer = setTimeout(refreshInspector, INSPECTOR_REFRESH_DELAY);
+  });
+  refreshInspector();
+}
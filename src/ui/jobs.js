@@ -0,0 +1,89 @@
+/**
+ * Progress bar and cancel button for sandbox jobs (src/plugin/jobs.ts)
+ * Follows `job-progress` events: it appears when a job starts, shows done/total
+ * and the item being processed, and hides again when the job ends.
+ */
+
+/**
+ * Create a progress display that attaches to jobs as they start
+ * @param {Object} [options] - Display options
+ * @param {string[]} [options.types] - Message types to follow; all jobs when omitted
+ * @param {string} [options.className] - Additional classes
+ * @returns {HTMLDivElement} Progress element, hidden while no job runs
+ */
+function createJobProgress(options = {}) {
+  const { types = null, className = '' } = options;
+  let jobId = null;
+
+  const element = document.createElement('div');
+  element.className = cn('hidden space-y-2 rounded-md border p-3', className);
+  element.setAttribute('aria-live', 'polite');
+
+  const header = document.createElement('div');
+  header.className = 'flex items-center justify-between gap-2 text-sm';
+
+  const label = document.createElement('span');
+  label.className = 'truncate text-muted-foreground';
+
+  const cancelButton = createButton({
+    variant: 'outline',
+    size: 'sm',
+    content: 'Cancel',
+    className: 'h-7 shrink-0 px-2 text-xs',
+    onClick: async () => {
+      if (!jobId) return;
+      cancelButton.disabled = true;
+      cancelButton.textContent = 'Cancelling...';
+      try {
+        await rpc.call('cancel-job', { jobId });
+      } catch (error) {
+        showError(error);
+      }
+    }
+  });
+
+  const track = document.createElement('div');
+  track.className = 'h-2 w-full overflow-hidden rounded-full bg-secondary';
+  track.setAttribute('role', 'progressbar');
+  track.setAttribute('aria-valuemin', '0');
+  const bar = document.createElement('div');
+  bar.className = 'h-full bg-primary transition-all';
+  bar.style.width = '0%';
+  track.appendChild(bar);
+
+  const current = document.createElement('p');
+  current.className = 'truncate text-xs text-muted-foreground';
+
+  header.appendChild(label);
+  header.appendChild(cancelButton);
+  element.appendChild(header);
+  element.appendChild(track);
+  element.appendChild(current);
+
+  rpc.on('job-progress', (progress) => {
+    if (types && types.indexOf(progress.type) === -1) return;
+    // A job that starts while another is shown takes over the display
+    if (progress.jobId !== jobId) {
+      if (progress.status !== 'running') return;
+      jobId = progress.jobId;
+      cancelButton.disabled = false;
+      cancelButton.textContent = 'Cancel';
+    }
+
+    if (progress.status !== 'running') {
+      jobId = null;
+      element.classList.add('hidden');
+      return;
+    }
+
+    const percent = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+    label.textContent = `${progress.type} · ${progress.done} / ${progress.total}`;
+    bar.style.width = `${percent}%`;
+    track.setAttribute('aria-valuemax', String(progress.total));
+    track.setAttribute('aria-valuenow', String(progress.done));
+    current.textContent = progress.current || '';
+    element.classList.remove('hidden');
+  });
+
+  return element;
+}
@@ -0,0 +1,182 @@
+/**
+ * JSON export and import section for the Plugin tab
+ * Downloads the selection as a node document (src/plugin/json-transfer.ts) and
+ * recreates documents from a file or pasted JSON, listing what couldn't be reproduced.
+ */
+
+// Large imports load fonts and components one node at a time
+const JSON_IMPORT_TIMEOUT = 120000;
+
+/**
+ * Create the "JSON Export & Import" section
+ * @returns {HTMLDivElement} Section element
+ */
+function createJsonTransferSection() {
+  const section = document.createElement('div');
+  section.className = 'space-y-4';
+
+  const title = document.createElement('h4');
+  title.className = 'text-sm font-semibold';
+  title.textContent = 'JSON Export & Import';
+
+  const exportButton = createButton({
+    variant: 'outline',
+    content: 'Export selection as JSON',
+    className: 'w-full',
+    onClick: handleExportJson
+  });
+  exportButton.id = 'export-json-btn';
+
+  const fileInput = document.createElement('input');
+  fileInput.id = 'import-json-file';
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.className = cn(schemaFormInputClasses, 'file:border-0 file:bg-transparent file:text-sm file:font-medium');
+  fileInput.setAttribute('aria-label', 'JSON file');
+  fileInput.addEventListener('change', () => loadJsonFile(fileInput.files[0]));
+
+  const textarea = document.createElement('textarea');
+  textarea.id = 'import-json-text';
+  textarea.rows = 4;
+  textarea.placeholder = 'Or paste an exported document';
+  textarea.className = cn(schemaFormInputClasses, 'h-auto font-mono text-xs');
+  textarea.setAttribute('aria-label', 'JSON document');
+
+  const keepPosition = document.createElement('label');
+  keepPosition.className = 'flex items-center gap-2 text-sm';
+  const keepPositionInput = document.createElement('input');
+  keepPositionInput.id = 'import-json-keep-position';
+  keepPositionInput.type = 'checkbox';
+  keepPosition.appendChild(keepPositionInput);
+  keepPosition.appendChild(document.createTextNode('Keep original positions'));
+
+  const importButton = createButton({
+    variant: 'default',
+    content: 'Import JSON',
+    className: 'w-full',
+    onClick: handleImportJson
+  });
+  importButton.id = 'import-json-btn';
+
+  const report = document.createElement('div');
+  report.id = 'import-json-report';
+
+  section.appendChild(title);
+  section.appendChild(exportButton);
+  section.appendChild(fileInput);
+  section.appendChild(textarea);
+  section.appendChild(keepPosition);
+  section.appendChild(importButton);
+  section.appendChild(report);
+
+  return section;
+}
+
+async function handleExportJson() {
+  try {
+    const result = await runAction('export-json', {}, (pending) => {
+      setButtonLoading('export-json-btn', pending, 'Export selection as JSON', 'Exporting...');
+    });
+    const json = JSON.stringify(result.document, null, 2);
+    downloadBlob(jsonExportFilename(result.document), new Blob([json], { type: 'application/json' }));
+    updateStatus(`Exported ${result.count} ${result.count === 1 ? 'node' : 'nodes'}${result.truncated ? ' (some nodes were left out to keep the file small)' : ''}`, 'success');
+  } catch (error) {
+    // Already shown by runAction
+  }
+}
+
+/**
+ * Read a picked file into the paste area so it can be checked before importing
+ * @param {File} file - File from the file input
+ */
+async function loadJsonFile(file) {
+  if (!file) return;
+  const textarea = document.getElementById('import-json-text');
+  textarea.value = await file.text();
+  updateStatus(`Loaded ${file.name}`, 'info');
+}
+
+async function handleImportJson() {
+  const textarea = document.getElementById('import-json-text');
+  const keepPosition = document.getElementById('import-json-keep-position');
+  renderImportReport(null);
+
+  let nodeDocument;
+  try {
+    nodeDocument = JSON.parse(textarea.value);
+  } catch (error) {
+    updateStatus(textarea.value.trim() ? `Not valid JSON: ${error.message}` : 'Choose a file or paste a document first', 'error');
+    return;
+  }
+
+  try {
+    const result = await runAction('import-json', {
+      document: nodeDocument,
+      position: keepPosition.checked ? 'original' : 'viewport-center'
+    }, (pending) => {
+      setButtonLoading('import-json-btn', pending, 'Import JSON', 'Importing...');
+    }, { timeout: JSON_IMPORT_TIMEOUT });
+
+    updateStatus(`Imported ${result.count} ${result.count === 1 ? 'node' : 'nodes'}`, result.issues.length > 0 ? 'info' : 'success');
+    renderImportReport(result.issues);
+  } catch (error) {
+    if (error.details && error.details.issues) {
+      renderImportReport(error.details.issues);
+    }
+  }
+}
+
+/**
+ * List what the last import could not reproduce
+ * @param {Array<{path: string, message: string}>|null} issues - Issues from `import-json`
+ */
+function renderImportReport(issues) {
+  const report = document.getElementById('import-json-report');
+  if (!report) return;
+
+  if (!issues || issues.length === 0) {
+    report.replaceChildren();
+    return;
+  }
+
+  const alert = createAlert({
+    title: `${issues.length} ${issues.length === 1 ? 'thing' : 'things'} could not be reproduced`
+  });
+  const list = document.createElement('ul');
+  list.className = 'mt-2 max-h-40 space-y-1 overflow-y-auto text-xs';
+  issues.forEach(issue => {
+    const item = document.createElement('li');
+    const path = document.createElement('span');
+    path.className = 'font-medium';
+    path.textContent = issue.path;
+    item.appendChild(path);
+    item.appendChild(document.createTextNode(`: ${issue.message}`));
+    list.appendChild(item);
+  });
+  alert.appendChild(list);
+  report.replaceChildren(alert);
+}
+
+function jsonExportFilename(nodeDocument) {
+  const names = nodeDocument.nodes.map(node => node.name);
+  const base = names.length === 1 ? names[0] : `${nodeDocument.source.page} (${names.length} layers)`;
+  return `${base.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'export'}.json`;
+}
+
+/**
+ * Save a blob through a temporary download link
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File contents
+ */
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
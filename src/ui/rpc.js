@@ -0,0 +1,171 @@
+/**
+ * Promise-based RPC client for talking to the plugin sandbox (code.ts)
+ * Pairs every request with its reply through a correlation id
+ */
+
+/**
+ * Error thrown when a sandbox call fails or times out
+ * Carries the fields of the sandbox error envelope (see src/plugin/errors.ts)
+ */
+class RpcError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = options.code || 'INTERNAL_ERROR';
+    this.requestType = options.requestType || null;
+    this.details = options.details;
+  }
+
+  /**
+   * Build an RpcError from an error envelope sent by the sandbox
+   * @param {Object} envelope - Error envelope ({ code, message, type, details })
+   * @returns {RpcError} The matching error
+   */
+  static fromEnvelope(envelope = {}) {
+    return new RpcError(envelope.message || 'Unknown plugin error', {
+      code: envelope.code,
+      requestType: envelope.type,
+      details: envelope.details
+    });
+  }
+}
+
+/**
+ * Creates an RPC client bound to the plugin sandbox
+ * @param {Object} [options] - Client configuration options
+ * @param {number} [options.timeout=10000] - Default call timeout in milliseconds
+ * @param {Window} [options.target=parent] - Window that receives plugin messages
+ * @returns {Object} Client with call, send, on and off methods
+ */
+function createRpcClient(options = {}) {
+  const {
+    timeout: defaultTimeout = 10000,
+    target = parent
+  } = options;
+
+  const pending = new Map();
+  const listeners = new Map();
+  let nextId = 0;
+  const idPrefix = Math.random().toString(36).slice(2, 8);
+
+  function post(message) {
+    target.postMessage({ pluginMessage: message }, '*');
+  }
+
+  // Same check the sandbox runs (src/shared/messages.js), so bad payloads
+  // fail fast with field-level errors instead of a round trip
+  function validate(type, data) {
+    const schema = messageSchemas[type];
+    if (!schema) return data;
+
+    const result = validatePayload(schema, data);
+    if (!result.valid) {
+      throw new RpcError(`Invalid "${type}" payload: ${formatValidationErrors(result.errors)}`, {
+        code: 'INVALID_PAYLOAD',
+        requestType: type,
+        details: { errors: result.errors }
+      });
+    }
+    return result.value;
+  }
+
+  /**
+   * Call a sandbox handler and wait for its result
+   * @param {string} type - Message type registered in code.ts
+   * @param {any} [data] - Payload passed to the handler
+   * @param {Object} [callOptions] - Per-call options
+   * @param {number} [callOptions.timeout] - Timeout in milliseconds, 0 disables it
+   * @returns {Promise<any>} Resolves with the handler's return value
+   */
+  function call(type, data, callOptions = {}) {
+    const { timeout = defaultTimeout } = callOptions;
+    const id = `${idPrefix}-${++nextId}`;
+
+    try {
+      data = validate(type, data);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { type, resolve, reject, timer: null };
+
+      if (timeout > 0) {
+        entry.timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new RpcError(`"${type}" timed out after ${timeout}ms`, { code: 'TIMEOUT', requestType: type }));
+        }, timeout);
+      }
+
+      pending.set(id, entry);
+      post({ type, id, data });
+    });
+  }
+
+  /**
+   * Send a fire-and-forget message with no reply expected
+   * @param {string} type - Message type registered in code.ts
+   * @param {any} [data] - Payload passed to the handler
+   * @throws {RpcError} When the payload fails schema validation
+   */
+  function send(type, data) {
+    post({ type, data: validate(type, data) });
+  }
+
+  /**
+   * Subscribe to events pushed by the sandbox
+   * @param {string} type - Event type
+   * @param {function} handler - Called with the event data
+   */
+  function on(type, handler) {
+    if (!listeners.has(type)) {
+      listeners.set(type, new Set());
+    }
+    listeners.get(type).add(handler);
+  }
+
+  /**
+   * Unsubscribe from sandbox events
+   * @param {string} type - Event type
+   * @param {function} handler - Handler passed to on()
+   */
+  function off(type, handler) {
+    const handlers = listeners.get(type);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  function handleResponse(message) {
+    const entry = pending.get(message.id);
+    if (!entry) return;
+
+    pending.delete(message.id);
+    clearTimeout(entry.timer);
+
+    if (message.ok) {
+      entry.resolve(message.data);
+    } else {
+      entry.reject(RpcError.fromEnvelope({ type: entry.type, ...message.error }));
+    }
+  }
+
+  window.addEventListener('message', (event) => {
+    const message = event.data && event.data.pluginMessage;
+    if (!message) return;
+
+    if (message.type === 'rpc-response') {
+      handleResponse(message);
+      return;
+    }
+
+    const handlers = listeners.get(message.type);
+    if (handlers && handlers.size > 0) {
+      handlers.forEach(handler => handler(message.data));
+    } else {
+      console.log('Unhandled message from plugin:', message);
+    }
+  });
+
+  return { call, send, on, off };
+}
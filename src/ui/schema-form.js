@@ -0,0 +1,277 @@
+/**
+ * Form generator for message schemas (src/shared/schema.js)
+ * Renders one shadcn-styled control per field and reports field-level errors
+ */
+
+const schemaFormInputClasses = 'flex h-9 w-full rounded-md border border-input bg-background px-3 py-1 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50 aria-[invalid=true]:border-destructive';
+
+/**
+ * Creates a form for a schema
+ * @param {Object<string, Object>} schema - Field specs keyed by field name
+ * @param {Object} [options] - Form configuration options
+ * @param {Object} [options.values] - Initial values, falling back to field defaults
+ * @param {string} [options.idPrefix='field'] - Prefix for generated element ids
+ * @param {string} [options.className] - Additional CSS classes
+ * @returns {{element: HTMLFormElement, getValues: function, setValues: function, setErrors: function, validate: function}}
+ */
+function createSchemaForm(schema, options = {}) {
+  const {
+    values = {},
+    idPrefix = 'field',
+    className = ''
+  } = options;
+
+  const form = document.createElement('form');
+  form.className = ['space-y-4', className].filter(Boolean).join(' ');
+  form.noValidate = true;
+  form.addEventListener('submit', (e) => e.preventDefault());
+
+  // path -> { spec, read, write, errorEl, controls }
+  const fields = new Map();
+  const conditionalFields = [];
+
+  renderFields(schema, values, '', form);
+  updateConditionalFields();
+  form.addEventListener('change', updateConditionalFields);
+
+  function renderFields(fieldSchema, fieldValues, pathPrefix, parentEl) {
+    Object.entries(fieldSchema).forEach(([key, spec]) => {
+      const path = pathPrefix ? `${pathPrefix}.${key}` : key;
+      const initial = fieldValues[key] !== undefined ? fieldValues[key] : spec.default;
+
+      if (spec.type === 'object') {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'space-y-3 rounded-md border p-3';
+        const legend = document.createElement('legend');
+        legend.className = 'px-1 text-sm font-medium';
+        legend.textContent = spec.label || key;
+        fieldset.appendChild(legend);
+        renderFields(spec.properties || {}, initial || {}, path, fieldset);
+        parentEl.appendChild(fieldset);
+        return;
+      }
+
+      if (spec.type === 'array') {
+        // Lists have no generic editor; callers supply them programmatically
+        return;
+      }
+
+      const wrapper = renderField(path, spec, initial);
+      if (spec.showWhen) {
+        const sourcePath = pathPrefix ? `${pathPrefix}.${spec.showWhen.field}` : spec.showWhen.field;
+        conditionalFields.push({ wrapper, sourcePath, values: spec.showWhen.values });
+      }
+      parentEl.appendChild(wrapper);
+    });
+  }
+
+  // Show or hide fields whose `showWhen` depends on another field's value
+  function updateConditionalFields() {
+    conditionalFields.forEach(({ wrapper, sourcePath, values }) => {
+      const source = fields.get(sourcePath);
+      const visible = source && values.indexOf(source.read()) !== -1;
+      wrapper.style.display = visible ? '' : 'none';
+    });
+  }
+
+  function renderField(path, spec, initial) {
+    const id = `${idPrefix}-${path.replace(/\./g, '-')}`;
+    const wrapper = document.createElement('div');
+    wrapper.className = 'space-y-2';
+
+    const label = document.createElement('label');
+    label.className = 'text-sm font-medium leading-none';
+    label.htmlFor = id;
+    label.textContent = (spec.label || path) + (spec.required ? ' *' : '');
+
+    const errorEl = document.createElement('p');
+    errorEl.id = `${id}-error`;
+    errorEl.className = 'text-sm font-medium text-destructive';
+    errorEl.hidden = true;
+
+    let control;
+    let controls;
+    let read;
+    let write;
+
+    if (spec.type === 'boolean') {
+      control = document.createElement('input');
+      control.type = 'checkbox';
+      control.className = 'h-4 w-4 rounded border border-primary accent-primary';
+      controls = [control];
+      read = () => control.checked;
+      write = (value) => { control.checked = Boolean(value); };
+      wrapper.className = 'flex items-center gap-2';
+      wrapper.appendChild(control);
+      wrapper.appendChild(label);
+      wrapper.appendChild(errorEl);
+    } else {
+      if (spec.type === 'enum') {
+        control = document.createElement('select');
+        (spec.values || []).forEach(value => {
+          const option = document.createElement('option');
+          option.value = String(value);
+          option.textContent = String(value);
+          control.appendChild(option);
+        });
+        read = () => {
+          const match = (spec.values || []).find(value => String(value) === control.value);
+          return match !== undefined ? match : control.value;
+        };
+      } else if (spec.type === 'number' || spec.type === 'integer') {
+        control = document.createElement('input');
+        control.type = 'number';
+        if (spec.min !== undefined) control.min = String(spec.min);
+        if (spec.max !== undefined) control.max = String(spec.max);
+        control.step = spec.type === 'integer' ? '1' : 'any';
+        // Empty stays undefined so the schema default applies
+        read = () => (control.value === '' ? undefined : Number(control.value));
+      } else if (spec.multiline) {
+        control = document.createElement('textarea');
+        control.rows = 4;
+        if (spec.maxLength !== undefined) control.maxLength = spec.maxLength;
+        read = () => control.value;
+      } else {
+        control = document.createElement('input');
+        control.type = 'text';
+        if (spec.maxLength !== undefined) control.maxLength = spec.maxLength;
+        read = () => control.value;
+      }
+
+      control.className = schemaFormInputClasses;
+      if (spec.multiline) {
+        control.classList.replace('h-9', 'min-h-[80px]');
+        control.classList.add('font-mono', 'text-xs');
+      }
+      write = (value) => { control.value = value === undefined || value === null ? '' : String(value); };
+      controls = [control];
+
+      wrapper.appendChild(label);
+
+      if (spec.format === 'hex-color' || spec.format === 'color') {
+        const row = document.createElement('div');
+        row.className = 'flex gap-2';
+        const swatch = document.createElement('input');
+        swatch.type = 'color';
+        swatch.className = 'h-9 w-12 shrink-0 cursor-pointer rounded-md border border-input bg-background p-1';
+        swatch.setAttribute('aria-label', `${spec.label || path} picker`);
+
+        // Normalized hex/HSL readout of whatever was typed
+        const preview = document.createElement('p');
+        preview.className = 'text-xs text-muted-foreground tabular-nums';
+
+        const syncColor = () => {
+          const parsed = parseColor(control.value);
+          if (parsed) {
+            swatch.value = colorToHex(parsed, { alpha: false });
+            preview.textContent = `${colorToHex(parsed)} · ${colorToHslString(parsed)}`;
+          } else {
+            preview.textContent = '';
+          }
+        };
+
+        swatch.addEventListener('input', () => {
+          // Keep the typed alpha when picking a new hue
+          const parsed = parseColor(control.value);
+          const picked = parseColor(swatch.value);
+          control.value = parsed && parsed.a < 1 ? colorToHex({ ...picked, a: parsed.a }) : swatch.value;
+          syncColor();
+        });
+        control.addEventListener('input', syncColor);
+        const writeText = write;
+        write = (value) => {
+          writeText(value);
+          syncColor();
+        };
+        controls.push(swatch);
+        row.appendChild(swatch);
+        row.appendChild(control);
+        wrapper.appendChild(row);
+        wrapper.appendChild(preview);
+      } else {
+        wrapper.appendChild(control);
+      }
+
+      if (spec.description) {
+        const help = document.createElement('p');
+        help.className = 'text-xs text-muted-foreground';
+        help.textContent = spec.description;
+        wrapper.appendChild(help);
+      }
+
+      wrapper.appendChild(errorEl);
+    }
+
+    control.id = id;
+    control.name = path;
+    control.setAttribute('aria-describedby', errorEl.id);
+    write(initial);
+
+    fields.set(path, { spec, read, write, errorEl, controls });
+    return wrapper;
+  }
+
+  /**
+   * Read the current form values as a payload object
+   * @returns {Object} Nested payload matching the schema shape
+   */
+  function getValues() {
+    const result = {};
+    fields.forEach((field, path) => {
+      const value = field.read();
+      if (value === undefined) return;
+      const keys = path.split('.');
+      let target = result;
+      keys.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[keys[keys.length - 1]] = value;
+    });
+    return result;
+  }
+
+  /**
+   * Replace form values
+   * @param {Object} newValues - Nested values matching the schema shape
+   */
+  function setValues(newValues = {}) {
+    fields.forEach((field, path) => {
+      const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), newValues);
+      if (value !== undefined) field.write(value);
+    });
+    updateConditionalFields();
+  }
+
+  /**
+   * Show field-level errors; fields not listed are cleared
+   * @param {Array<{path: string, message: string}>} errors - Errors from validatePayload()
+   */
+  function setErrors(errors = []) {
+    fields.forEach(field => {
+      field.errorEl.hidden = true;
+      field.errorEl.textContent = '';
+      field.controls.forEach(control => control.removeAttribute('aria-invalid'));
+    });
+    errors.forEach(error => {
+      const field = fields.get(error.path);
+      if (!field) return;
+      const label = field.spec.label || error.path;
+      field.errorEl.textContent = `${label} ${error.message}`;
+      field.errorEl.hidden = false;
+      field.controls.forEach(control => control.setAttribute('aria-invalid', 'true'));
+    });
+  }
+
+  /**
+   * Validate the current values and show any errors
+   * @returns {{valid: boolean, value: Object, errors: Array}} Result of validatePayload()
+   */
+  function validate() {
+    const result = validatePayload(schema, getValues());
+    setErrors(result.errors);
+    return result;
+  }
+
+  return { element: form, getValues, setValues, setErrors, validate };
+}
@@ -0,0 +1,135 @@
+/**
+ * Selection tab - live inspector for the current Figma selection
+ * The sandbox pushes `selection-changed` snapshots; the initial one is requested with `get-selection`
+ */
+
+/**
+ * Create content for the Selection tab
+ * @returns {HTMLDivElement} Tab content element
+ */
+function createSelectionTabContent() {
+  const container = document.createElement('div');
+  container.className = 'p-6 space-y-6';
+
+  const card = createCard({ className: 'w-full' });
+  const cardHeader = createCardHeader();
+  const headerRow = document.createElement('div');
+  headerRow.className = 'flex items-center justify-between';
+  const cardTitle = createCardTitle({ content: 'Selection', className: 'text-lg' });
+
+  const countBadge = createBadge({ variant: 'secondary', content: '0' });
+  countBadge.id = 'selection-count';
+
+  const list = document.createElement('div');
+  list.id = 'selection-list';
+  list.className = 'space-y-2';
+  list.appendChild(createSelectionEmptyState());
+
+  const cardContent = createCardContent();
+  cardContent.appendChild(list);
+
+  headerRow.appendChild(cardTitle);
+  headerRow.appendChild(countBadge);
+  cardHeader.appendChild(headerRow);
+  card.appendChild(cardHeader);
+  card.appendChild(cardContent);
+  container.appendChild(card);
+  container.appendChild(createInspectorCard());
+  container.appendChild(createGeneratedNodesCard());
+
+  return container;
+}
+
+/**
+ * Render a selection snapshot into the Selection tab
+ * @param {Array<Object>} nodes - Nodes as returned by getSelection() in code.ts
+ */
+function renderSelection(nodes) {
+  const list = document.getElementById('selection-list');
+  const countBadge = document.getElementById('selection-count');
+  if (!list) return;
+
+  if (countBadge) {
+    countBadge.textContent = String(nodes.length);
+  }
+
+  if (nodes.length === 0) {
+    list.replaceChildren(createSelectionEmptyState());
+    return;
+  }
+
+  list.replaceChildren(...nodes.map(createSelectionRow));
+}
+
+/**
+ * Create a row describing one selected node
+ * @param {Object} node - Node snapshot ({ id, name, type, x, y, width, height, tag })
+ * @returns {HTMLDivElement} Row element
+ */
+function createSelectionRow(node) {
+  const row = document.createElement('div');
+  row.className = 'rounded-md border p-3 space-y-2';
+  row.setAttribute('data-node-id', node.id);
+
+  const header = document.createElement('div');
+  header.className = 'flex items-center justify-between gap-2';
+
+  const name = document.createElement('span');
+  name.className = 'text-sm font-medium truncate';
+  name.textContent = node.name;
+  name.title = node.name;
+
+  const badges = document.createElement('div');
+  badges.className = 'flex shrink-0 gap-1';
+  if (node.tag) {
+    badges.appendChild(createBadge({ variant: 'secondary', content: node.tag.generator }));
+  }
+  badges.appendChild(createBadge({ variant: 'outline', content: node.type }));
+
+  header.appendChild(name);
+  header.appendChild(badges);
+
+  const metrics = document.createElement('div');
+  metrics.className = 'grid grid-cols-2 gap-2 text-xs text-muted-foreground';
+  metrics.appendChild(createSelectionMetric('Size', node.width !== null ? `${formatSelectionNumber(node.width)} × ${formatSelectionNumber(node.height)}` : '—'));
+  metrics.appendChild(createSelectionMetric('Position', node.x !== null ? `${formatSelectionNumber(node.x)}, ${formatSelectionNumber(node.y)}` : '—'));
+
+  row.appendChild(header);
+  row.appendChild(metrics);
+  return row;
+}
+
+function createSelectionEmptyState() {
+  const empty = document.createElement('p');
+  empty.className = 'text-sm text-muted-foreground';
+  empty.textContent = 'Select layers in Figma to inspect them.';
+  return empty;
+}
+
+function createSelectionMetric(label, value) {
+  const metric = document.createElement('div');
+  const labelEl = document.createElement('span');
+  labelEl.className = 'font-medium mr-1';
+  labelEl.textContent = `${label}:`;
+  const valueEl = document.createElement('span');
+  valueEl.className = 'text-foreground tabular-nums';
+  valueEl.textContent = value;
+  metric.appendChild(labelEl);
+  metric.appendChild(valueEl);
+  return metric;
+}
+
+function formatSelectionNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Keep the Selection tab in sync with the canvas
+ */
+function setupSelectionSync() {
+  rpc.on('selection-changed', renderSelection);
+
+  rpc.call('get-selection')
+    .then(renderSelection)
+    .catch(error => console.error('Failed to load selection:', error));
+}
@@ -0,0 +1,319 @@
+/**
+ * Settings tab and persistence helpers
+ * Settings live in figma.clientStorage on the sandbox side (src/plugin/settings.ts).
+ * The UI keeps a copy in `currentSettings` and writes changes back with `set-settings`.
+ */
+
+let currentSettings = null;
+let settingsVersion = null;
+
+// Form saves wait until typing pauses
+const SETTINGS_SAVE_DELAY = 400;
+
+/**
+ * Fetch the stored settings from the sandbox
+ * @returns {Promise<Object>} Settings with defaults applied
+ */
+async function loadSettings() {
+  const { version, settings } = await rpc.call('get-settings');
+  settingsVersion = version;
+  currentSettings = settings;
+  renderSettings();
+  return settings;
+}
+
+/**
+ * Change some settings; the rest keep their value
+ * @param {Object} changes - Settings to change, keyed as in settingsSchema
+ * @returns {Promise<Object>} The full settings after the change
+ */
+async function saveSettings(changes) {
+  // Update the local copy first so quick successive saves build on each other
+  currentSettings = Object.assign({}, currentSettings, changes);
+  const { settings } = await rpc.call('set-settings', { values: changes });
+  currentSettings = settings;
+  renderSettings();
+  return settings;
+}
+
+/**
+ * Put settings back to their defaults
+ * @param {string[]} [keys] - Settings to reset; all of them when omitted
+ * @returns {Promise<Object>} The full settings after the reset
+ */
+async function resetSettings(keys = Object.keys(settingsSchema)) {
+  const { settings } = await rpc.call('set-settings', { reset: keys });
+  currentSettings = settings;
+  renderSettings();
+  return settings;
+}
+
+/**
+ * Save a generated form's values whenever they change and are valid
+ * @param {string} type - Message type the form is generated from
+ * @param {{element: HTMLFormElement, getValues: function}} form - Form from createSchemaForm()
+ */
+function watchFormSettings(type, form) {
+  let timer = null;
+
+  const save = () => {
+    timer = null;
+    // Nothing to merge into until the stored settings have arrived
+    if (!currentSettings) return;
+    const result = validatePayload(messageSchemas[type], form.getValues());
+    if (!result.valid) return;
+    const forms = Object.assign({}, currentSettings.forms, { [type]: result.value });
+    saveSettings({ forms }).catch(error => console.warn('Could not save form values:', error));
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(save, SETTINGS_SAVE_DELAY);
+  };
+
+  form.element.addEventListener('input', schedule);
+  form.element.addEventListener('change', schedule);
+}
+
+/**
+ * Add the colors of a successful command to the recent colors list
+ * @param {string} type - Message type that succeeded
+ * @param {Object} data - Validated payload that was sent
+ */
+function rememberColors(type, data) {
+  const schema = messageSchemas[type];
+  if (!schema || !currentSettings) return;
+
+  const used = collectColors(schema, data).map(value => colorToHex(parseColor(value)));
+  if (used.length === 0) return;
+
+  const recentColors = used
+    .concat(currentSettings.recentColors)
+    .filter((color, index, list) => list.indexOf(color) === index)
+    .slice(0, settingsSchema.recentColors.maxLength);
+  saveSettings({ recentColors }).catch(error => console.warn('Could not save recent colors:', error));
+}
+
+/**
+ * Values of the color fields in a payload, including nested objects
+ * @param {Object<string, FieldSpec>} schema - Schema the payload matches
+ * @param {Object} data - Payload
+ * @returns {string[]} Parseable color strings
+ */
+function collectColors(schema, data) {
+  return Object.keys(schema).reduce((colors, key) => {
+    const spec = schema[key];
+    const value = data ? data[key] : undefined;
+    if (spec.type === 'object' && spec.properties) {
+      return colors.concat(collectColors(spec.properties, value));
+    }
+    if ((spec.format === 'color' || spec.format === 'hex-color') && parseColor(value)) {
+      colors.push(value);
+    }
+    return colors;
+  }, []);
+}
+
+/**
+ * Create content for the Settings tab
+ * @param {Object} [options] - Tab options
+ * @param {function(Object): void} [options.onReset] - Called with the settings after a reset
+ * @returns {HTMLDivElement} Tab content element
+ */
+function createSettingsTabContent(options = {}) {
+  const { onReset = () => {} } = options;
+
+  const container = document.createElement('div');
+  container.className = 'p-6 space-y-6';
+
+  const card = createCard({ className: 'w-full' });
+  const cardHeader = createCardHeader();
+  const headerRow = document.createElement('div');
+  headerRow.className = 'flex items-center justify-between';
+  const cardTitle = createCardTitle({ content: 'Settings', className: 'text-lg' });
+
+  const versionBadge = createBadge({ variant: 'secondary', content: 'v–' });
+  versionBadge.id = 'settings-version';
+
+  const description = document.createElement('p');
+  description.className = 'text-sm text-muted-foreground';
+  description.textContent = 'Saved on this computer with figma.clientStorage and restored when the plugin opens.';
+
+  const themeControl = createThemeControl();
+
+  const summary = document.createElement('div');
+  summary.id = 'settings-summary';
+  summary.className = 'space-y-3';
+
+  const raw = document.createElement('details');
+  raw.className = 'rounded-md border p-3 text-sm';
+  const rawLabel = document.createElement('summary');
+  rawLabel.className = 'cursor-pointer font-medium';
+  rawLabel.textContent = 'Raw settings';
+  const rawJson = document.createElement('pre');
+  rawJson.id = 'settings-json';
+  rawJson.className = 'mt-2 max-h-64 overflow-auto rounded bg-muted p-2 font-mono text-xs';
+  raw.appendChild(rawLabel);
+  raw.appendChild(rawJson);
+
+  const reset = (keys, label) => async () => {
+    try {
+      clearError();
+      onReset(await resetSettings(keys));
+      updateStatus(`${label} reset`, 'success');
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const actions = document.createElement('div');
+  actions.className = 'flex flex-wrap gap-2';
+  actions.appendChild(createButton({
+    variant: 'outline',
+    size: 'sm',
+    content: 'Clear recent colors',
+    onClick: reset(['recentColors'], 'Recent colors')
+  }));
+  actions.appendChild(createButton({
+    variant: 'outline',
+    size: 'sm',
+    content: 'Forget form values',
+    onClick: reset(['forms'], 'Form values')
+  }));
+  const resetAllButton = createButton({
+    variant: 'destructive',
+    size: 'sm',
+    content: 'Reset all settings',
+    onClick: reset(undefined, 'All settings')
+  });
+  resetAllButton.id = 'reset-settings-btn';
+  actions.appendChild(resetAllButton);
+
+  const cardContent = createCardContent({ className: 'space-y-4' });
+  cardContent.appendChild(description);
+  cardContent.appendChild(themeControl);
+  cardContent.appendChild(summary);
+  cardContent.appendChild(raw);
+  cardContent.appendChild(actions);
+
+  headerRow.appendChild(cardTitle);
+  headerRow.appendChild(versionBadge);
+  cardHeader.appendChild(headerRow);
+  card.appendChild(cardHeader);
+  card.appendChild(cardContent);
+  container.appendChild(card);
+
+  return container;
+}
+
+/**
+ * Theme picker; changes apply right away and are saved
+ * @returns {HTMLDivElement} Labelled select
+ */
+function createThemeControl() {
+  const row = document.createElement('div');
+  row.className = 'flex items-center justify-between gap-4 text-sm';
+
+  const label = document.createElement('label');
+  label.htmlFor = 'theme-select';
+  label.className = 'font-medium';
+  label.textContent = settingsSchema.theme.label;
+
+  const labels = { figma: 'Match Figma', light: 'Light', dark: 'Dark' };
+  const select = document.createElement('select');
+  select.id = 'theme-select';
+  select.className = cn(schemaFormInputClasses, 'w-40');
+  settingsSchema.theme.values.forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = labels[value];
+    select.appendChild(option);
+  });
+  select.value = settingsSchema.theme.default;
+  select.addEventListener('change', async () => {
+    applyTheme(select.value);
+    try {
+      await saveSettings({ theme: select.value });
+    } catch (error) {
+      showError(error);
+    }
+  });
+
+  row.appendChild(label);
+  row.appendChild(select);
+  return row;
+}
+
+/**
+ * Render `currentSettings` into the Settings tab
+ */
+function renderSettings() {
+  const summary = document.getElementById('settings-summary');
+  if (!summary || !currentSettings) return;
+
+  const versionBadge = document.getElementById('settings-version');
+  if (versionBadge) {
+    versionBadge.textContent = `v${settingsVersion}`;
+  }
+
+  const swatches = document.createElement('div');
+  swatches.className = 'flex flex-wrap gap-1';
+  currentSettings.recentColors.forEach(color => {
+    const swatch = document.createElement('span');
+    swatch.className = 'h-5 w-5 rounded border';
+    swatch.style.backgroundColor = color;
+    swatch.title = color;
+    swatches.appendChild(swatch);
+  });
+
+  const savedForms = Object.keys(currentSettings.forms);
+
+  summary.replaceChildren(
+    createSettingsRow(settingsSchema.activeTab.label, document.createTextNode(currentSettings.activeTab)),
+    createSettingsRow(
+      settingsSchema.recentColors.label,
+      swatches.childElementCount > 0 ? swatches : document.createTextNode('None yet')
+    ),
+    createSettingsRow(
+      settingsSchema.forms.label,
+      document.createTextNode(savedForms.length > 0 ? savedForms.join(', ') : 'None yet')
+    ),
+    createSettingsRow(
+      settingsSchema.window.label,
+      document.createTextNode(`${currentSettings.window.width} × ${currentSettings.window.height}${currentSettings.window.compact ? ' (compact)' : ''}`)
+    )
+  );
+
+  const themeSelect = document.getElementById('theme-select');
+  if (themeSelect) {
+    themeSelect.value = currentSettings.theme;
+  }
+
+  const rawJson = document.getElementById('settings-json');
+  if (rawJson) {
+    rawJson.textContent = JSON.stringify(currentSettings, null, 2);
+  }
+}
+
+/**
+ * Create a label/value row for the settings summary
+ * @param {string} label - Setting name
+ * @param {Node} value - Rendered value
+ * @returns {HTMLDivElement} Row element
+ */
+function createSettingsRow(label, value) {
+  const row = document.createElement('div');
+  row.className = 'flex items-center justify-between gap-4 text-sm';
+
+  const labelEl = document.createElement('span');
+  labelEl.className = 'text-muted-foreground';
+  labelEl.textContent = label;
+
+  const valueEl = document.createElement('span');
+  valueEl.className = 'font-medium text-right';
+  valueEl.appendChild(value);
+
+  row.appendChild(labelEl);
+  row.appendChild(valueEl);
+  return row;
+}
@@ -0,0 +1,96 @@
+/**
+ * Theme sync between Figma and the shadcn tokens in src/ui.css
+ * With `themeColors: true` (src/plugin/commands.ts) Figma puts a `figma-light` or
+ * `figma-dark` class on <html> and defines `--figma-color-*` variables. Those
+ * are CSS colors, while the shadcn tokens are `H S% L%` triplets used as
+ * `hsl(var(--token))`, so they are converted here rather than in CSS.
+ */
+
+/** Figma variable each shadcn token takes its color from */
+const figmaThemeTokens = {
+  background: '--figma-color-bg',
+  foreground: '--figma-color-text',
+  card: '--figma-color-bg',
+  'card-foreground': '--figma-color-text',
+  popover: '--figma-color-bg',
+  'popover-foreground': '--figma-color-text',
+  primary: '--figma-color-bg-brand',
+  'primary-foreground': '--figma-color-text-onbrand',
+  secondary: '--figma-color-bg-secondary',
+  'secondary-foreground': '--figma-color-text',
+  muted: '--figma-color-bg-secondary',
+  'muted-foreground': '--figma-color-text-secondary',
+  accent: '--figma-color-bg-hover',
+  'accent-foreground': '--figma-color-text',
+  destructive: '--figma-color-bg-danger',
+  'destructive-foreground': '--figma-color-text-ondanger',
+  border: '--figma-color-border',
+  input: '--figma-color-border',
+  ring: '--figma-color-border-selected'
+};
+
+// 'figma', 'light' or 'dark', from settings.theme
+let themePreference = settingsSchema.theme.default;
+
+/**
+ * Apply a theme preference and follow Figma's theme changes from now on
+ * @param {'figma'|'light'|'dark'} preference - settings.theme
+ */
+function applyTheme(preference) {
+  themePreference = preference;
+  updateTheme();
+}
+
+/**
+ * Toggle `.dark` and the token overrides for the current preference and Figma theme
+ */
+function updateTheme() {
+  const root = document.documentElement;
+  const followFigma = themePreference === 'figma';
+  const dark = followFigma ? root.classList.contains('figma-dark') : themePreference === 'dark';
+  root.classList.toggle('dark', dark);
+
+  const background = followFigma ? readFigmaColor(figmaThemeTokens.background) : null;
+  Object.keys(figmaThemeTokens).forEach(token => {
+    const color = background ? readFigmaColor(figmaThemeTokens[token], background) : null;
+    // Without a Figma color the token falls back to src/ui.css (:root or .dark)
+    if (color) {
+      root.style.setProperty(`--${token}`, colorToShadcnToken(color));
+    } else {
+      root.style.removeProperty(`--${token}`);
+    }
+  });
+}
+
+/**
+ * @param {string} name - Figma CSS variable, e.g. '--figma-color-bg'
+ * @param {ParsedColor} [background] - Color translucent values are blended onto;
+ *   shadcn tokens have no alpha, and Figma's text colors are translucent
+ * @returns {ParsedColor|null} Its color, or null outside Figma or without themeColors
+ */
+function readFigmaColor(name, background) {
+  const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+  const color = value ? parseColor(value) : null;
+  if (!color || !background || color.a === 1) {
+    return color;
+  }
+  const blend = channel => color[channel] * color.a + background[channel] * (1 - color.a);
+  return { r: blend('r'), g: blend('g'), b: blend('b'), a: 1 };
+}
+
+/**
+ * Follow Figma's theme: it swaps the class on <html> when the user switches themes
+ */
+function setupThemeSync() {
+  let figmaDark = document.documentElement.classList.contains('figma-dark');
+  new MutationObserver(() => {
+    // Our own `.dark` toggle changes the class too; only react to Figma's
+    const next = document.documentElement.classList.contains('figma-dark');
+    if (next !== figmaDark) {
+      figmaDark = next;
+      updateTheme();
+    }
+  }).observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+
+  updateTheme();
+}
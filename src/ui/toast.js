@@ -0,0 +1,211 @@
+/**
+ * Toast notifications
+ * Toasts stack at the top of the window, close themselves after a while (paused
+ * while the pointer is over them) and can carry one action button. Sandbox code
+ * raises them through notify() (src/plugin/notify.ts), which arrives here as
+ * `toast` events.
+ */
+
+// Older toasts are dismissed when more than this many are shown
+const TOAST_LIMIT = 3;
+const TOAST_DURATION = 4000;
+
+const toastVariantClasses = {
+  default: 'border bg-background text-foreground',
+  success: 'border border-green-600/50 bg-background text-foreground',
+  destructive: 'border border-destructive bg-destructive text-destructive-foreground'
+};
+
+// Shown toasts, oldest first
+const toasts = [];
+let nextToastId = 0;
+
+/**
+ * Show a toast
+ * @param {Object} options - Toast options
+ * @param {string} options.title - Main text
+ * @param {string} [options.description] - Secondary text
+ * @param {'default'|'success'|'destructive'} [options.variant='default'] - Visual style
+ * @param {number} [options.duration=4000] - Milliseconds before it closes; 0 keeps it until dismissed
+ * @param {Object} [options.action] - Action button
+ * @param {string} options.action.label - Button text
+ * @param {function(): (boolean|void)} options.action.onClick - Return false to keep the toast open
+ * @param {function(string): void} [options.onDismiss] - Called once with 'timeout', 'dismiss' or 'action_button_click'
+ * @returns {{id: string, dismiss: function(): void}} Handle to close it early
+ */
+function toast(options) {
+  const {
+    title,
+    description = '',
+    variant = 'default',
+    duration = TOAST_DURATION,
+    action = null,
+    onDismiss = () => {}
+  } = options;
+
+  const entry = {
+    id: `toast-${++nextToastId}`,
+    element: document.createElement('div'),
+    persistent: duration <= 0,
+    remaining: duration,
+    startedAt: 0,
+    timer: null,
+    onDismiss
+  };
+
+  const { element } = entry;
+  element.className = cn(
+    'pointer-events-auto flex w-full items-start gap-3 rounded-md p-3 shadow-lg animate-in fade-in-0 slide-in-from-top-2',
+    toastVariantClasses[variant] || toastVariantClasses.default
+  );
+  element.setAttribute('role', variant === 'destructive' ? 'alert' : 'status');
+  element.dataset.toastId = entry.id;
+
+  const text = document.createElement('div');
+  text.className = 'min-w-0 flex-1 space-y-1';
+  const titleEl = document.createElement('div');
+  titleEl.className = 'text-sm font-semibold';
+  titleEl.textContent = title;
+  text.appendChild(titleEl);
+  if (description) {
+    const descriptionEl = document.createElement('div');
+    descriptionEl.className = 'text-sm opacity-90';
+    descriptionEl.textContent = description;
+    text.appendChild(descriptionEl);
+  }
+  element.appendChild(text);
+
+  if (action) {
+    const actionButton = createButton({
+      variant: 'outline',
+      size: 'sm',
+      className: cn('h-8 shrink-0 bg-transparent px-3', variant === 'destructive' && 'border-destructive-foreground/40 hover:bg-destructive-foreground/10'),
+      onClick: async () => {
+        const keep = await action.onClick();
+        if (keep !== false) {
+          dismissToast(entry.id, 'action_button_click');
+        }
+      }
+    });
+    // Text, not HTML: labels can come from the sandbox
+    actionButton.textContent = action.label;
+    element.appendChild(actionButton);
+  }
+
+  const closeButton = createButton({
+    variant: 'ghost',
+    size: 'icon',
+    content: '×',
+    className: 'h-6 w-6 shrink-0 text-base opacity-70 hover:opacity-100',
+    onClick: () => dismissToast(entry.id, 'dismiss')
+  });
+  closeButton.setAttribute('aria-label', 'Close');
+  element.appendChild(closeButton);
+
+  getToastStack().appendChild(element);
+  toasts.push(entry);
+  startToastTimer(entry);
+
+  while (toasts.length > TOAST_LIMIT) {
+    dismissToast(toasts[0].id, 'dismiss');
+  }
+
+  return { id: entry.id, dismiss: () => dismissToast(entry.id, 'dismiss') };
+}
+
+/**
+ * Close a toast
+ * @param {string} id - Toast id from toast()
+ * @param {'timeout'|'dismiss'|'action_button_click'} reason - Passed to onDismiss
+ */
+function dismissToast(id, reason) {
+  const index = toasts.findIndex(entry => entry.id === id);
+  if (index === -1) return;
+
+  const [entry] = toasts.splice(index, 1);
+  clearTimeout(entry.timer);
+  entry.element.classList.remove('animate-in', 'fade-in-0', 'slide-in-from-top-2');
+  entry.element.classList.add('animate-out', 'fade-out-0');
+  // Long enough for the exit animation
+  setTimeout(() => entry.element.remove(), 150);
+  entry.onDismiss(reason);
+}
+
+function startToastTimer(entry) {
+  if (entry.persistent) return;
+  entry.startedAt = Date.now();
+  entry.timer = setTimeout(() => dismissToast(entry.id, 'timeout'), entry.remaining);
+}
+
+/**
+ * The toast container, created on first use. Hovering it pauses every timer,
+ * so a toast never closes while the user is reading or reaching for it.
+ * @returns {HTMLDivElement} Stack element
+ */
+function getToastStack() {
+  let stack = document.getElementById('toast-stack');
+  if (stack) return stack;
+
+  stack = document.createElement('div');
+  stack.id = 'toast-stack';
+  stack.className = 'pointer-events-none fixed inset-x-2 top-2 z-50 flex flex-col gap-2';
+  stack.setAttribute('role', 'region');
+  stack.setAttribute('aria-label', 'Notifications');
+
+  stack.addEventListener('mouseenter', () => {
+    toasts.forEach(entry => {
+      if (!entry.timer) return;
+      clearTimeout(entry.timer);
+      entry.timer = null;
+      entry.remaining -= Date.now() - entry.startedAt;
+    });
+  });
+  stack.addEventListener('mouseleave', () => {
+    toasts.forEach(entry => {
+      if (entry.timer) return;
+      // Leave a moment to read toasts whose time ran out during the hover
+      entry.remaining = Math.max(entry.remaining, 1000);
+      startToastTimer(entry);
+    });
+  });
+
+  document.body.appendChild(stack);
+  return stack;
+}
+
+/**
+ * Show toasts raised by notify() in the sandbox and report back how they closed
+ */
+function setupToastBridge() {
+  const shown = new Map();
+
+  rpc.on('toast', (data) => {
+    const handle = toast({
+      title: data.message,
+      variant: data.variant,
+      duration: data.timeout,
+      action: data.button && {
+        label: data.button.text,
+        // The sandbox runs the callback and decides whether the toast stays
+        onClick: async () => {
+          try {
+            const { keep } = await rpc.call('toast-action', { id: data.id });
+            return keep ? false : undefined;
+          } catch (error) {
+            showError(error);
+          }
+        }
+      },
+      onDismiss: (reason) => {
+        shown.delete(data.id);
+        rpc.send('toast-dismissed', { id: data.id, reason });
+      }
+    });
+    shown.set(data.id, handle);
+  });
+
+  rpc.on('toast-cancel', ({ id }) => {
+    const handle = shown.get(id);
+    if (handle) handle.dismiss();
+  });
+}
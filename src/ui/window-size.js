@@ -0,0 +1,177 @@
+/**
+ * Window size controls: a resize grip in the bottom-right corner and a
+ * compact/expanded toggle. Resizing goes through `resize-ui` (src/plugin/commands.ts);
+ * the chosen size is saved as settings.window so the next session opens at it.
+ */
+
+// Keyboard resizing step in pixels
+const WINDOW_RESIZE_STEP = 20;
+
+/**
+ * Create the fixed bottom-right window controls
+ * @returns {HTMLDivElement} Controls element
+ */
+function createWindowControls() {
+  const controls = document.createElement('div');
+  controls.className = 'fixed bottom-0 right-0 z-40 flex items-center gap-1 rounded-tl-md border-l border-t bg-background p-1';
+
+  const toggle = createButton({
+    variant: 'ghost',
+    size: 'sm',
+    content: 'Compact',
+    className: 'h-7 px-2 text-xs',
+    onClick: toggleCompactWindow
+  });
+  toggle.id = 'window-size-toggle';
+
+  const grip = document.createElement('div');
+  grip.id = 'window-resize-handle';
+  grip.className = 'flex h-7 w-7 cursor-nwse-resize touch-none items-center justify-center text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring';
+  grip.tabIndex = 0;
+  grip.setAttribute('role', 'button');
+  grip.setAttribute('aria-label', 'Resize window (arrow keys)');
+  grip.innerHTML = `
+    <svg width="12" height="12" viewBox="0 0 12 12" fill="none" stroke="currentColor" stroke-width="1.5" aria-hidden="true">
+      <path d="M11 1L1 11M11 5L5 11M11 9L9 11" />
+    </svg>
+  `;
+  setupResizeGrip(grip);
+
+  controls.appendChild(toggle);
+  controls.appendChild(grip);
+  return controls;
+}
+
+/**
+ * Drag the grip to resize; the size is saved once the drag ends
+ * @param {HTMLElement} grip - Resize handle
+ */
+function setupResizeGrip(grip) {
+  let start = null;
+  let size = null;
+  let frame = null;
+
+  grip.addEventListener('pointerdown', (event) => {
+    event.preventDefault();
+    grip.setPointerCapture(event.pointerId);
+    start = { x: event.screenX, y: event.screenY, width: window.innerWidth, height: window.innerHeight };
+  });
+
+  grip.addEventListener('pointermove', (event) => {
+    if (!start) return;
+    size = clampWindowSize({
+      width: start.width + event.screenX - start.x,
+      height: start.height + event.screenY - start.y
+    });
+    // One resize per frame is plenty while dragging
+    if (!frame) {
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        rpc.send('resize-ui', size);
+      });
+    }
+  });
+
+  const finish = (event) => {
+    if (!start) return;
+    grip.releasePointerCapture(event.pointerId);
+    start = null;
+    if (size) {
+      saveWindowSize(size);
+      size = null;
+    }
+  };
+  grip.addEventListener('pointerup', finish);
+  grip.addEventListener('pointercancel', finish);
+
+  grip.addEventListener('keydown', (event) => {
+    const delta = {
+      ArrowRight: [WINDOW_RESIZE_STEP, 0],
+      ArrowLeft: [-WINDOW_RESIZE_STEP, 0],
+      ArrowDown: [0, WINDOW_RESIZE_STEP],
+      ArrowUp: [0, -WINDOW_RESIZE_STEP]
+    }[event.key];
+    if (!delta) return;
+    event.preventDefault();
+    resizeWindow(clampWindowSize({
+      width: window.innerWidth + delta[0],
+      height: window.innerHeight + delta[1]
+    }));
+  });
+}
+
+/**
+ * Resize the window and remember the size; leaves compact mode
+ * @param {{width: number, height: number}} size - New size, already clamped
+ */
+async function resizeWindow(size) {
+  try {
+    await rpc.call('resize-ui', size);
+    await saveWindowSize(size);
+  } catch (error) {
+    showError(error);
+  }
+}
+
+/**
+ * Save a size picked with the grip; failures only cost the size next session
+ * @param {{width: number, height: number}} size - New size
+ */
+async function saveWindowSize(size) {
+  const stored = { width: size.width, height: size.height, compact: false };
+  try {
+    renderWindowControls(stored);
+    await saveSettings({ window: stored });
+  } catch (error) {
+    console.warn('Could not save the window size:', error);
+  }
+}
+
+/**
+ * Switch between compact mode and the last expanded size
+ */
+async function toggleCompactWindow() {
+  if (!currentSettings) return;
+  const stored = Object.assign({}, currentSettings.window, { compact: !currentSettings.window.compact });
+  try {
+    await rpc.call('resize-ui', windowSizeFor(stored));
+    renderWindowControls(stored);
+    await saveSettings({ window: stored });
+  } catch (error) {
+    showError(error);
+  }
+}
+
+/**
+ * Keep a size within the bounds of settingsSchema.window
+ * @param {{width: number, height: number}} size - Requested size
+ * @returns {{width: number, height: number}} Whole-pixel size within bounds
+ */
+function clampWindowSize(size) {
+  const { width, height } = settingsSchema.window.properties;
+  const clamp = (value, spec) => Math.round(Math.min(spec.max, Math.max(spec.min, value)));
+  return { width: clamp(size.width, width), height: clamp(size.height, height) };
+}
+
+/**
+ * Show the stored window mode on the toggle
+ * @param {{width: number, height: number, compact: boolean}} stored - settings.window
+ */
+function renderWindowControls(stored) {
+  const toggle = document.getElementById('window-size-toggle');
+  if (!toggle) return;
+  toggle.textContent = stored.compact ? 'Expand' : 'Compact';
+  toggle.title = stored.compact ? `Expand to ${stored.width} × ${stored.height}` : 'Shrink the window';
+}
+
+/**
+ * Match the window to stored settings, e.g. after "Reset all settings"
+ * @param {{width: number, height: number, compact: boolean}} stored - settings.window
+ */
+function applyWindowSettings(stored) {
+  renderWindowControls(stored);
+  const size = windowSizeFor(stored);
+  if (size.width !== window.innerWidth || size.height !== window.innerHeight) {
+    rpc.send('resize-ui', size);
+  }
+}
@@ -0,0 +1,50 @@
+// Checks for the shared color helpers (src/shared/color.js), loaded as the plain script they are
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'src', 'shared', 'color.js'), 'utf8'), context);
+const { parseColor, colorToHex, colorToHslString, colorToShadcnToken } = context;
+
+// Colors come from another realm; compare them as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('hex colors need a leading #', () => {
+  assert.deepStrictEqual(plain(parseColor('#ff0000')), { r: 1, g: 0, b: 0, a: 1 });
+  assert.deepStrictEqual(plain(parseColor('#f008')), { r: 1, g: 0, b: 0, a: 0x88 / 255 });
+  assert.strictEqual(parseColor('ff0000'), null);
+  assert.strictEqual(parseColor('abc'), null);
+  assert.strictEqual(parseColor('#ff0g00'), null);
+});
+
+test('space separated functions only take an alpha after a slash', () => {
+  assert.deepStrictEqual(plain(parseColor('rgb(255 0 0 / 50%)')), { r: 1, g: 0, b: 0, a: 0.5 });
+  assert.deepStrictEqual(plain(parseColor('hsl(0 100% 50% / .5)')), { r: 1, g: 0, b: 0, a: 0.5 });
+  assert.strictEqual(parseColor('rgb(255 0 0 0.5)'), null);
+  assert.strictEqual(parseColor('rgb(255 0 / 0 0.5)'), null);
+  assert.strictEqual(parseColor('rgb(255 0 0 / 0.5 / 1)'), null);
+});
+
+test('comma separated functions take three or four components', () => {
+  assert.deepStrictEqual(plain(parseColor('rgba(255, 0, 0, 0.5)')), { r: 1, g: 0, b: 0, a: 0.5 });
+  assert.strictEqual(parseColor('rgb(255, 0)'), null);
+  assert.strictEqual(parseColor('rgb(255, 0, 0, 1, 1)'), null);
+});
+
+test('shadcn H S% L% tokens parse and format back', () => {
+  const color = parseColor('221.2 83.2% 53.3%');
+  assert.ok(color);
+  assert.strictEqual(colorToShadcnToken(color), '221.2 83.2% 53.3%');
+  assert.strictEqual(parseColor('0 100% 50% / 50%').a, 0.5);
+  assert.strictEqual(parseColor('0 100 50'), null);
+});
+
+test('colors format as hex and hsl()', () => {
+  assert.strictEqual(colorToHex({ r: 1, g: 0, b: 0, a: 1 }), '#ff0000');
+  assert.strictEqual(colorToHex({ r: 1, g: 0, b: 0, a: 0.5 }), '#ff000080');
+  assert.strictEqual(colorToHex({ r: 1, g: 0, b: 0, a: 0.5 }, { alpha: false }), '#ff0000');
+  assert.strictEqual(colorToHslString({ r: 1, g: 0, b: 0, a: 0.5 }), 'hsl(0 100% 50% / 0.5)');
+});
@@ -0,0 +1,70 @@
+// Checks for payload validation (src/shared/schema.js), loaded as the plain script it is
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The 'color' format uses parseColor() from color.js
+const context = vm.createContext({});
+['color.js', 'schema.js'].forEach(file => {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'src', 'shared', file), 'utf8'), context);
+});
+const { validatePayload } = context;
+
+// Results come from another realm; compare them as plain data
+const validate = (schema, data) => JSON.parse(JSON.stringify(validatePayload(schema, data)));
+
+test('missing fields get their defaults', () => {
+  const schema = {
+    size: { type: 'number', default: 100 },
+    shape: { type: 'enum', values: ['rectangle', 'ellipse'], default: 'rectangle' },
+    name: { type: 'string' }
+  };
+  assert.deepStrictEqual(validate(schema, { name: '' }), {
+    valid: true,
+    value: { size: 100, shape: 'rectangle' },
+    errors: []
+  });
+  assert.deepStrictEqual(validate(schema, undefined).value, { size: 100, shape: 'rectangle' });
+});
+
+test('required fields are reported', () => {
+  const result = validate({ name: { type: 'string', required: true } }, {});
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, [{ path: 'name', message: 'is required' }]);
+});
+
+test('integers must be whole numbers within range', () => {
+  const schema = { rows: { type: 'integer', min: 1, max: 10 } };
+  assert.strictEqual(validate(schema, { rows: 3 }).valid, true);
+  assert.deepStrictEqual(validate(schema, { rows: 2.5 }).errors, [{ path: 'rows', message: 'must be a whole number' }]);
+  assert.deepStrictEqual(validate(schema, { rows: 0 }).errors, [{ path: 'rows', message: 'must be at least 1' }]);
+  assert.deepStrictEqual(validate(schema, { rows: '3' }).errors, [{ path: 'rows', message: 'must be a number' }]);
+});
+
+test('enums only accept the listed values', () => {
+  const schema = { shape: { type: 'enum', values: ['rectangle', 'ellipse'] } };
+  assert.strictEqual(validate(schema, { shape: 'ellipse' }).value.shape, 'ellipse');
+  assert.deepStrictEqual(validate(schema, { shape: 'star' }).errors, [
+    { path: 'shape', message: 'must be one of rectangle, ellipse' }
+  ]);
+});
+
+test('nested objects are validated with dotted paths and defaults', () => {
+  const schema = {
+    stroke: {
+      type: 'object',
+      properties: {
+        color: { type: 'string', format: 'color', default: '#000000' },
+        weight: { type: 'number', min: 0, default: 1 }
+      }
+    }
+  };
+  assert.deepStrictEqual(validate(schema, {}).value, { stroke: { color: '#000000', weight: 1 } });
+  assert.deepStrictEqual(validate(schema, { stroke: { weight: 2 } }).value, { stroke: { color: '#000000', weight: 2 } });
+
+  const result = validate(schema, { stroke: { color: 'ff0000', weight: -1 } });
+  assert.deepStrictEqual(result.errors.map(error => error.path), ['stroke.color', 'stroke.weight']);
+  assert.deepStrictEqual(validate(schema, { stroke: 'red' }).errors, [{ path: 'stroke', message: 'must be an object' }]);
+});
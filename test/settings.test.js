@@ -0,0 +1,82 @@
+// Checks for the settings store in the built plugin (dist/code.js), run with a mocked `figma`
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Load the plugin code with a figma mock whose clientStorage answers asynchronously
+ */
+function loadPlugin() {
+  const storage = {};
+  const responses = {};
+  const delay = () => new Promise(resolve => setTimeout(resolve, 5));
+
+  const figma = {
+    command: '',
+    showUI() {},
+    closePlugin() {},
+    on() {},
+    parameters: { on() {} },
+    ui: {
+      onmessage: null,
+      postMessage(msg) {
+        if (msg.type === 'rpc-response') responses[msg.id] = msg;
+      }
+    },
+    clientStorage: {
+      async getAsync(key) {
+        await delay();
+        return storage[key] === undefined ? undefined : JSON.parse(JSON.stringify(storage[key]));
+      },
+      async setAsync(key, value) {
+        await delay();
+        storage[key] = JSON.parse(JSON.stringify(value));
+      }
+    }
+  };
+
+  const context = vm.createContext({ figma, __html__: '', console: { log() {}, warn() {}, error() {} }, setTimeout, clearTimeout, Promise });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'dist', 'code.js'), 'utf8'), context);
+
+  let nextId = 0;
+  const call = (type, data) => new Promise((resolve, reject) => {
+    const id = `test-${++nextId}`;
+    figma.ui.onmessage({ type, id, data });
+    const poll = () => {
+      const response = responses[id];
+      if (!response) return setTimeout(poll, 1);
+      if (response.ok) resolve(response.data);
+      else reject(new Error(response.error.message));
+    };
+    poll();
+  });
+
+  return { call, storage };
+}
+
+test('overlapping set-settings calls both persist', async () => {
+  const { call, storage } = loadPlugin();
+
+  await Promise.all([
+    call('set-settings', { values: { recentColors: ['#FF0000'] } }),
+    call('set-settings', { values: { activeTab: 'settings' } })
+  ]);
+
+  assert.deepStrictEqual(storage.settings.values.recentColors, ['#FF0000']);
+  assert.strictEqual(storage.settings.values.activeTab, 'settings');
+
+  const { settings } = await call('get-settings');
+  assert.deepStrictEqual(settings.recentColors, ['#FF0000']);
+  assert.strictEqual(settings.activeTab, 'settings');
+});
+
+test('a failed update does not block the next one', async () => {
+  const { call, storage } = loadPlugin();
+
+  await assert.rejects(call('set-settings', { values: { theme: 'purple' } }));
+  await call('set-settings', { values: { theme: 'dark' } });
+
+  assert.strictEqual(storage.settings.values.theme, 'dark');
+});